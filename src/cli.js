@@ -74,6 +74,12 @@ program
   .option('-n, --name <name>', 'Player name')
   .option('-j, --join <code>', 'Join existing session with code')
   .option('--auto-create', 'Automatically create a session instead of prompting')
+  .option('--max-tokens <n>', 'Cap AI tokens for a created session', parseInt)
+  .option('--max-cost <usd>', 'Cap AI cost in USD for a created session', parseFloat)
+  .option('--vote', 'Let players vote between candidate segments in a created session')
+  .option('--mode <mode>', 'Story mode for a created session (classic, adventure)')
+  .option('--write-ins', 'Let players write in their own choices in adventure mode')
+  .option('--pacing <pacing>', 'Pacing for a created session (timer, turns, ready)')
   .action(async (options) => {
     try {
       console.log('🌟 Starting Story Chef Client...');
@@ -99,7 +105,13 @@ program
       } else if (options.autoCreate) {
         // Auto-create session
         const playerName = options.name || `Player_${Math.floor(Math.random() * 1000)}`;
-        await client.createSession(playerName);
+        await client.createSession(playerName, {
+          budget: budgetFromOptions(options),
+          voting: options.vote,
+          mode: options.mode,
+          writeIns: options.writeIns,
+          pacing: options.pacing
+        });
         
       } else {
         // Interactive mode - will be handled by UI
@@ -126,6 +138,12 @@ program
   .description('Create a new story session')
   .option('-s, --server <url>', 'Server URL', 'ws://localhost:3333')
   .option('-n, --name <name>', 'Player name')
+  .option('--max-tokens <n>', 'Cap the story\'s AI tokens', parseInt)
+  .option('--max-cost <usd>', 'Cap the story\'s AI cost in USD', parseFloat)
+  .option('--vote', 'Let players vote between candidate segments')
+  .option('--mode <mode>', 'Story mode (classic, adventure)')
+  .option('--write-ins', 'Let players write in their own choices in adventure mode')
+  .option('--pacing <pacing>', 'Story pacing (timer, turns, ready)')
   .action(async (options) => {
     try {
       const client = new StoryChefClient(options.server);
@@ -135,7 +153,13 @@ program
       await client.connect();
       
       const playerName = options.name || await promptForName();
-      const result = await client.createSession(playerName);
+      const result = await client.createSession(playerName, {
+        budget: budgetFromOptions(options),
+        voting: options.vote,
+        mode: options.mode,
+        writeIns: options.writeIns,
+        pacing: options.pacing
+      });
       
       // Ensure clean exit on Ctrl+C
       process.on('SIGINT', () => {
@@ -255,6 +279,68 @@ program
     }
   });
 
+// AI usage report over persisted history
+program
+  .command('usage')
+  .description('Report AI token usage and cost from the session store')
+  .option('-c, --config <path>', 'Configuration file path', './story-chef.config.json')
+  .option('--session <id>', 'Only report a single session')
+  .option('--days <number>', 'Only include the last N days', (val) => parseInt(val))
+  .option('--top <number>', 'Number of sessions to list', (val) => parseInt(val), 10)
+  .action(async (options) => {
+    const SessionStore = require('./server/sessionStore');
+    const Logger = require('./server/logger');
+    const Utils = require('./shared/utils');
+
+    try {
+      const config = new ConfigManager(options.config).getConfig();
+      const logger = new Logger({ ...config, server: { ...config.server, logLevel: 'error' } });
+      const store = new SessionStore({ ...config, persistence: { ...config.persistence, enabled: true } }, logger);
+
+      await store.initialize();
+      const since = options.days ? new Date(Date.now() - options.days * 24 * 60 * 60 * 1000) : null;
+      const report = await store.getUsageReport({ sessionId: options.session, since });
+      await store.close();
+
+      const scope = options.session ? `session ${options.session}` : options.days ? `last ${options.days} days` : 'all time';
+      const totals = report.totals;
+
+      console.log(`📊 Story Chef AI Usage (${scope})`);
+      console.log('');
+
+      if (!totals.calls) {
+        console.log('No AI usage recorded yet.');
+        return;
+      }
+
+      console.log(`Sessions: ${totals.sessions}`);
+      console.log(`AI Calls: ${totals.calls}${totals.failures ? ` (${totals.failures} failed)` : ''}`);
+      console.log(`Tokens: ${(totals.promptTokens + totals.completionTokens).toLocaleString()} (${totals.promptTokens.toLocaleString()} prompt, ${totals.completionTokens.toLocaleString()} completion)`);
+      console.log(`Cost: ${Utils.formatCost(totals.cost)}`);
+      console.log(`Average Latency: ${totals.averageLatencyMs}ms`);
+
+      const printTable = (title, rows) => {
+        console.log('');
+        console.log(title);
+        console.log(`  ${'Name'.padEnd(32)}${'Calls'.padStart(7)}${'Tokens'.padStart(12)}${'Cost'.padStart(12)}${'Avg ms'.padStart(9)}`);
+        rows.forEach(row => {
+          const tokens = (row.promptTokens + row.completionTokens).toLocaleString();
+          console.log(`  ${String(row.name).padEnd(32)}${String(row.calls).padStart(7)}${tokens.padStart(12)}${Utils.formatCost(row.cost).padStart(12)}${String(row.averageLatencyMs).padStart(9)}`);
+        });
+      };
+
+      printTable('By Template:', report.byTemplate);
+      printTable('By Model:', report.byModel);
+      if (!options.session) {
+        printTable(`Top Sessions by Cost:`, report.bySession.slice(0, options.top));
+      }
+
+    } catch (error) {
+      console.error('❌ Failed to build usage report:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Version info with dependencies
 program
   .command('info')
@@ -298,6 +384,12 @@ async function promptForName() {
   });
 }
 
+// Host budget for a new session; the server keeps any tighter operator limit
+function budgetFromOptions(options) {
+  if (!options.maxTokens && !options.maxCost) return null;
+  return { maxTokens: options.maxTokens, maxCost: options.maxCost };
+}
+
 // Handle uncaught exceptions gracefully
 process.on('uncaughtException', (error) => {
   console.error('💥 Uncaught Exception:', error.message);
@@ -1,5 +1,7 @@
 const { io } = require('socket.io-client');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const Utils = require('../shared/utils');
 
 class StoryChefClient extends EventEmitter {
@@ -12,6 +14,17 @@ class StoryChefClient extends EventEmitter {
     this.playerName = null;
     this.isConnected = false;
     this.session = null;
+    this.storyBible = [];
+    this.openVote = null;
+    this.openChoices = null;
+    this.readyState = null;
+    this.chatMessages = [];
+    this.maxChatMessages = 200;
+    this.storyBranches = [];
+    this.shareDrafts = null; // null until the player picks; then the session's default no longer applies
+    this.typing = { active: false, sentAt: 0, timer: null, pending: null };
+    this.resumeToken = null;
+    this.needsResume = false;
   }
 
   async connect() {
@@ -24,6 +37,13 @@ class StoryChefClient extends EventEmitter {
       this.socket.on('connect', () => {
         this.isConnected = true;
         this.emit('connected');
+
+        // Reclaim our player identity after socket.io reconnects us
+        if (this.needsResume) {
+          this.needsResume = false;
+          this.resumeSession().catch(() => {});
+        }
+
         resolve();
       });
 
@@ -35,7 +55,13 @@ class StoryChefClient extends EventEmitter {
 
       this.socket.on('disconnect', (reason) => {
         this.isConnected = false;
+        this.needsResume = Boolean(this.resumeToken);
         this.emit('disconnected', reason);
+
+        // socket.io does not retry on its own after a server-side disconnect
+        if (reason === 'io server disconnect' && this.needsResume) {
+          this.socket.connect();
+        }
       });
 
       this.setupSocketHandlers();
@@ -57,6 +83,28 @@ class StoryChefClient extends EventEmitter {
       this.emit('player_left', data);
     });
 
+    this.socket.on('player_removed', (data) => {
+      this.emit('player_removed', data);
+    });
+
+    this.socket.on('player_muted', (data) => {
+      this.emit('player_muted', data);
+    });
+
+    this.socket.on('host_changed', (data) => {
+      this.emit('host_changed', data);
+    });
+
+    // The host kicked or banned us; there is no seat to resume
+    this.socket.on('removed_from_session', (data) => {
+      this.sessionId = null;
+      this.playerId = null;
+      this.session = null;
+      this.resumeToken = null;
+      this.needsResume = false;
+      this.emit('removed_from_session', data);
+    });
+
     // Story events
     this.socket.on('story_started', () => {
       this.emit('story_started');
@@ -66,10 +114,22 @@ class StoryChefClient extends EventEmitter {
       this.emit('story_segment', data);
     });
 
+    this.socket.on('story_segment_delta', (data) => {
+      this.emit('story_segment_delta', data);
+    });
+
+    this.socket.on('story_segment_failed', (data) => {
+      this.emit('story_segment_failed', data);
+    });
+
     this.socket.on('story_complete', (data) => {
       this.emit('story_complete', data);
     });
 
+    this.socket.on('story_exported', (data) => {
+      this.emit('story_exported', data);
+    });
+
     // Input events
     this.socket.on('seed_added', (data) => {
       this.emit('seed_added', data);
@@ -83,13 +143,113 @@ class StoryChefClient extends EventEmitter {
       this.emit('influence_input_added', data);
     });
 
+    // Competition events
+    this.socket.on('goals_assigned', (goals) => {
+      this.emit('goals_assigned', goals);
+    });
+
+    this.socket.on('competition_results', (results) => {
+      this.emit('competition_results', results);
+    });
+
+    this.socket.on('budget_warning', (data) => {
+      this.emit('budget_warning', data);
+    });
+
+    this.socket.on('segment_candidates', (data) => {
+      this.openVote = data;
+      this.emit('segment_candidates', data);
+    });
+
+    this.socket.on('segment_vote_update', (data) => {
+      this.emit('segment_vote_update', data);
+    });
+
+    this.socket.on('segment_vote_result', (data) => {
+      this.openVote = null;
+      this.emit('segment_vote_result', data);
+    });
+
+    this.socket.on('story_choices', (data) => {
+      this.openChoices = data;
+      this.emit('story_choices', data);
+    });
+
+    this.socket.on('choice_tally', (data) => {
+      this.emit('choice_tally', data);
+    });
+
+    this.socket.on('choice_result', (data) => {
+      this.openChoices = null;
+      this.emit('choice_result', data);
+    });
+
+    this.socket.on('turn_changed', (data) => {
+      this.emit('turn_changed', data);
+    });
+
+    this.socket.on('skip_vote_update', (data) => {
+      this.emit('skip_vote_update', data);
+    });
+
+    this.socket.on('ready_update', (data) => {
+      this.readyState = data;
+      this.emit('ready_update', data);
+    });
+
+    this.socket.on('story_rewound', (data) => {
+      this.openVote = null;
+      this.openChoices = null;
+      this.emit('story_rewound', data);
+    });
+
+    this.socket.on('segment_retracted', (data) => {
+      this.openVote = null;
+      this.openChoices = null;
+      this.emit('segment_retracted', data);
+    });
+
+    this.socket.on('input_struck', (data) => {
+      this.emit('input_struck', data);
+    });
+
+    this.socket.on('rewind_vote_update', (data) => {
+      this.emit('rewind_vote_update', data);
+    });
+
+    this.socket.on('rewind_vote_closed', (data) => {
+      this.emit('rewind_vote_closed', data);
+    });
+
+    this.socket.on('story_bible_updated', (data) => {
+      this.storyBible = data.entries;
+      this.emit('story_bible_updated', data);
+    });
+
+    this.socket.on('player_typing', (data) => {
+      this.emit('player_typing', data);
+    });
+
+    this.socket.on('chat_message', (data) => {
+      this.chatMessages.push(data.message);
+      if (this.chatMessages.length > this.maxChatMessages) {
+        this.chatMessages.shift();
+      }
+      this.emit('chat_message', data);
+    });
+
     // Error handling
     this.socket.on('error', (error) => {
       this.emit('error', error);
     });
   }
 
-  async createSession(playerName) {
+  // options.budget ({ maxTokens, maxCost }) caps the story's AI spend;
+  // options.voting turns candidate voting on or off for the story;
+  // options.mode picks 'classic' or 'adventure' and options.writeIns allows
+  // free-text choices in adventure mode; options.pacing picks 'timer', 'turns'
+  // or 'ready'
+  async createSession(playerName, options = {}) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected) {
         reject(new Error('Not connected to server'));
@@ -98,10 +258,18 @@ class StoryChefClient extends EventEmitter {
 
       this.playerName = playerName;
       
-      this.socket.emit('create_session', { playerName }, (response) => {
+      this.socket.emit('create_session', {
+        playerName,
+        budget: options.budget,
+        voting: options.voting,
+        mode: options.mode,
+        writeIns: options.writeIns,
+        pacing: options.pacing
+      }, (response) => {
         if (response.success) {
           this.sessionId = response.sessionId;
           this.playerId = response.playerId;
+          this.resumeToken = response.resumeToken;
           this.session = response.session;
           this.emit('session_created', response);
           resolve(response);
@@ -130,6 +298,7 @@ class StoryChefClient extends EventEmitter {
         if (response.success) {
           this.sessionId = response.sessionId;
           this.playerId = response.playerId;
+          this.resumeToken = response.resumeToken;
           this.session = response.session;
           this.emit('session_joined', response);
           resolve(response);
@@ -140,6 +309,37 @@ class StoryChefClient extends EventEmitter {
     });
   }
 
+  async resumeSession() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      if (!this.resumeToken) {
+        reject(new Error('No session to resume'));
+        return;
+      }
+
+      this.socket.emit('resume_session', { resumeToken: this.resumeToken }, (response) => {
+        if (response.success) {
+          this.sessionId = response.sessionId;
+          this.playerId = response.playerId;
+          this.playerName = response.playerName;
+          this.resumeToken = response.resumeToken;
+          this.session = response.session;
+          this.emit('session_resumed', response);
+          resolve(response);
+        } else {
+          // The seat is gone for good, so stop trying
+          this.resumeToken = null;
+          this.emit('resume_failed', new Error(response.error));
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
   async submitStorySeed(content) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected || !this.sessionId) {
@@ -171,7 +371,7 @@ class StoryChefClient extends EventEmitter {
       
       this.socket.emit('direct_input', { content: sanitizedContent }, (response) => {
         if (response.success) {
-          this.emit('direct_input_submitted', { content: sanitizedContent });
+          this.emit('direct_input_submitted', { content: sanitizedContent, inputId: response.inputId });
           resolve(response);
         } else {
           reject(new Error(response.error || 'Failed to submit direct input'));
@@ -191,7 +391,7 @@ class StoryChefClient extends EventEmitter {
       
       this.socket.emit('influence_input', { content: sanitizedContent }, (response) => {
         if (response.success) {
-          this.emit('influence_input_submitted', { content: sanitizedContent });
+          this.emit('influence_input_submitted', { content: sanitizedContent, inputId: response.inputId });
           resolve(response);
         } else {
           reject(new Error(response.error || 'Failed to submit influence input'));
@@ -218,7 +418,408 @@ class StoryChefClient extends EventEmitter {
     });
   }
 
+  // candidateIndex is zero-based
+  async voteForSegment(segmentNumber, candidateIndex) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('vote_segment', { segmentNumber, candidateIndex }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to vote'));
+        }
+      });
+    });
+  }
+
+  // Resolves with { skipped } - false while other players still have to agree
+  async requestSkip() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('skip_request', {}, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to skip'));
+        }
+      });
+    });
+  }
+
+  async setReady(ready = true) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('player_ready', { ready }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to mark ready'));
+        }
+      });
+    });
+  }
+
+  async passTurn() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('pass_turn', {}, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to pass turn'));
+        }
+      });
+    });
+  }
+
+  // Host only, like the moderation calls below: remove a player, who may join again
+  async kickPlayer(playerId) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('kick_player', { playerId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to kick player'));
+        }
+      });
+    });
+  }
+
+  // Removes the player and keeps their id and IP out of the session
+  async banPlayer(playerId) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('ban_player', { playerId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to ban player'));
+        }
+      });
+    });
+  }
+
+  async mutePlayer(playerId, muted = true) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('mute_player', { playerId, muted }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to mute player'));
+        }
+      });
+    });
+  }
+
+  async transferHost(playerId) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('transfer_host', { playerId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to transfer host'));
+        }
+      });
+    });
+  }
+
+  // Host only: the direct and influence inputs the next segment will be written from
+  async fetchPendingInputs() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('get_pending_inputs', {}, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to get the input queue'));
+        }
+      });
+    });
+  }
+
+  async strikeInput(inputId) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('strike_input', { inputId }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to strike input'));
+        }
+      });
+    });
+  }
+
+  // Takes segmentNumber out of the story; the reason goes into the moderation log
+  async retractSegment(segmentNumber, reason = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('retract_segment', { segmentNumber, reason }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to retract segment'));
+        }
+      });
+    });
+  }
+
+  // choiceIndex is zero-based
+  async chooseOption(segmentNumber, choiceIndex) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('choose_option', { segmentNumber, choiceIndex }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to pick a choice'));
+        }
+      });
+    });
+  }
+
+  async fetchStoryBible() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('get_story_bible', {}, (response) => {
+        if (response.success) {
+          this.storyBible = response.entries;
+          resolve(response.entries);
+        } else {
+          reject(new Error(response.error || 'Failed to get story bible'));
+        }
+      });
+    });
+  }
+
+  // Host only: changes may set pinned, name and description
+  async updateBibleEntry(entryId, changes) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('update_bible_entry', { entryId, ...changes }, (response) => {
+        if (response.success) {
+          resolve(response.entry);
+        } else {
+          reject(new Error(response.error || 'Failed to update story bible'));
+        }
+      });
+    });
+  }
+
+  // The host rewinds at once; for other players this asks the table, and
+  // response.rewound stays false until enough of them agree
+  async rewindStory(toSegment) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('rewind_story', { toSegment }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to rewind story'));
+        }
+      });
+    });
+  }
+
+  // Branch 1 is the current story; the others were left behind by rewinds
+  async fetchStoryBranches() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('get_story_branches', {}, (response) => {
+        if (response.success) {
+          this.storyBranches = response.branches;
+          resolve(response.branches);
+        } else {
+          reject(new Error(response.error || 'Failed to get story branches'));
+        }
+      });
+    });
+  }
+
+  // Chat goes to the other players only, never into the story; "/me waves" sends an action
+  async sendChatMessage(text) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('chat_message', { text }, (response) => {
+        if (response.success) {
+          resolve(response.message);
+        } else {
+          reject(new Error(response.error || 'Failed to send chat message'));
+        }
+      });
+    });
+  }
+
+  async fetchChatHistory() {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('get_chat_history', {}, (response) => {
+        if (response.success) {
+          this.chatMessages = response.messages.slice(-this.maxChatMessages);
+          resolve(response.messages);
+        } else {
+          reject(new Error(response.error || 'Failed to get chat history'));
+        }
+      });
+    });
+  }
+
+  // Tell the other players what we are typing, at most once per throttle period.
+  // The draft itself is only sent while draft sharing is on
+  sendTyping(mode, text) {
+    if (!this.isConnected || !this.sessionId || this.session?.config?.typing?.enabled === false) return;
+
+    this.typing.pending = { active: true, mode, text: this.isSharingDrafts() ? text : undefined };
+
+    const throttleMs = this.session?.config?.typing?.throttleMs || 500;
+    const wait = this.typing.sentAt + throttleMs - Date.now();
+    if (wait <= 0) {
+      this.flushTyping();
+    } else if (!this.typing.timer) {
+      this.typing.timer = setTimeout(() => this.flushTyping(), wait);
+    }
+  }
+
+  stopTyping() {
+    clearTimeout(this.typing.timer);
+    this.typing.timer = null;
+    this.typing.pending = null;
+
+    if (this.typing.active && this.socket) {
+      this.typing.active = false;
+      this.socket.emit('typing', { active: false });
+    }
+  }
+
+  flushTyping() {
+    clearTimeout(this.typing.timer);
+    this.typing.timer = null;
+
+    if (this.typing.pending && this.socket) {
+      this.socket.emit('typing', this.typing.pending);
+      this.typing.active = true;
+      this.typing.sentAt = Date.now();
+      this.typing.pending = null;
+    }
+  }
+
+  setShareDrafts(share) {
+    this.shareDrafts = Boolean(share);
+  }
+
+  isSharingDrafts() {
+    return this.shareDrafts ?? Boolean(this.session?.config?.typing?.shareDraftsByDefault);
+  }
+
+  // options.tree includes the abandoned branches; options.chat the chat log
+  async requestExport(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected || !this.sessionId) {
+        reject(new Error('Not connected to a session'));
+        return;
+      }
+
+      this.socket.emit('request_export', { tree: Boolean(options.tree), chat: Boolean(options.chat) }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Failed to export story'));
+        }
+      });
+    });
+  }
+
+  // Download the rendered story and save it on this machine
+  async saveExport(outputDir = './exports', options = {}) {
+    const response = await this.requestExport(options);
+    const exportsDir = path.resolve(outputDir);
+
+    await fs.promises.mkdir(exportsDir, { recursive: true });
+
+    const filePath = path.join(exportsDir, path.basename(response.filename));
+    await fs.promises.writeFile(filePath, response.markdown, 'utf8');
+
+    this.emit('export_saved', { filePath });
+    return filePath;
+  }
+
   disconnect() {
+    clearTimeout(this.typing.timer);
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -229,6 +830,16 @@ class StoryChefClient extends EventEmitter {
     this.sessionId = null;
     this.playerName = null;
     this.session = null;
+    this.storyBible = [];
+    this.openVote = null;
+    this.openChoices = null;
+    this.readyState = null;
+    this.chatMessages = [];
+    this.storyBranches = [];
+    this.shareDrafts = null; // null until the player picks; then the session's default no longer applies
+    this.typing = { active: false, sentAt: 0, timer: null, pending: null };
+    this.resumeToken = null;
+    this.needsResume = false;
   }
 
   // Getter methods
@@ -248,6 +859,34 @@ class StoryChefClient extends EventEmitter {
     return this.session;
   }
 
+  getStoryBible() {
+    return this.storyBible;
+  }
+
+  getOpenVote() {
+    return this.openVote;
+  }
+
+  getOpenChoices() {
+    return this.openChoices;
+  }
+
+  getChatMessages() {
+    return this.chatMessages;
+  }
+
+  isReady() {
+    return this.readyState?.ready.some(player => player.id === this.playerId) || false;
+  }
+
+  getStoryBranches() {
+    return this.storyBranches;
+  }
+
+  getStoryBibleEntry(entryId) {
+    return this.storyBible.find(entry => entry.id === entryId) || null;
+  }
+
   isHost() {
     if (!this.session || !this.playerId) return false;
     
@@ -39,6 +39,11 @@ class InputProcessor {
       throw new Error('Not connected to a session');
     }
 
+    // Slash commands act on the session instead of going into the story
+    if (typeof rawInput === 'string' && rawInput.trim().startsWith('/')) {
+      return this.processCommand(rawInput.trim());
+    }
+
     // Validate and sanitize input
     const validatedInput = this.validateInput(rawInput);
     
@@ -63,8 +68,9 @@ class InputProcessor {
           result = await this.client.submitDirectInput(validatedInput.content);
           result.inputType = 'direct';
         } else {
+          // In adventure mode the server adds influences to the choices as write-ins
           result = await this.client.submitInfluenceInput(validatedInput.content);
-          result.inputType = 'influence';
+          result.inputType = result.writeIn ? 'write_in' : 'influence';
         }
       }
 
@@ -86,6 +92,171 @@ class InputProcessor {
     }
   }
 
+  // /vote <n> picks a candidate segment; /choose <n> picks what happens
+  // next in adventure mode; /pass ends your turn early; /skip asks to skip
+  // the wait and /ready toggles being ready for the next segment; /pin <id>, /unpin <id> and
+  // /correct <id> <text> edit the story bible (host only); /rewind <n>,
+  // /branches, /branch [n] and /export [tree] [chat] work with the story tree;
+  // /chat <text> and /me <action> talk to the other players, outside the story;
+  // /drafts [on|off] decides whether the others see what you are typing;
+  // /players lists the players, and the host uses their numbers with /kick,
+  // /ban, /mute, /unmute and /host
+  async processCommand(input) {
+    const [, command, args = ''] = input.match(/^\/(\S+)\s*(.*)$/) || [];
+    const [, entryId, text = ''] = args.match(/^#?(\d+)\s*(.*)$/) || [];
+
+    try {
+      switch ((command || '').toLowerCase()) {
+        case 'vote': {
+          const vote = this.client.getOpenVote();
+          if (!vote) throw new Error('There is no vote open right now');
+          if (!entryId) throw new Error(`Usage: /vote <1-${vote.candidates.length}>`);
+          await this.client.voteForSegment(vote.segmentNumber, Number(entryId) - 1);
+          return { success: true, command, message: `🗳️ Voted for candidate ${entryId}`, candidateIndex: Number(entryId) - 1 };
+        }
+        case 'choose': {
+          const ballot = this.client.getOpenChoices();
+          if (!ballot) throw new Error('There are no choices open right now');
+          if (!entryId) throw new Error(`Usage: /choose <1-${ballot.choices.length}>`);
+          await this.client.chooseOption(ballot.segmentNumber, Number(entryId) - 1);
+          return { success: true, command, message: `🧭 Picked choice ${entryId}`, choiceIndex: Number(entryId) - 1 };
+        }
+        case 'skip': {
+          const response = await this.client.requestSkip();
+          return {
+            success: true,
+            command,
+            message: response.skipped ? '⏭️ Skipping to the next segment' : '⏭️ Asked to skip - waiting for more players to agree'
+          };
+        }
+        case 'ready': {
+          const ready = !this.client.isReady();
+          await this.client.setReady(ready);
+          return { success: true, command, message: ready ? '✋ Ready for the next segment' : '✋ No longer ready' };
+        }
+        case 'pass': {
+          await this.client.passTurn();
+          return { success: true, command, message: '⏭️ Turn passed - writing the next segment' };
+        }
+        case 'pin':
+        case 'unpin': {
+          if (!entryId) throw new Error(`Usage: /${command} <entry number>`);
+          const entry = await this.client.updateBibleEntry(Number(entryId), { pinned: command.toLowerCase() === 'pin' });
+          return { success: true, command, message: `📌 ${entry.name} ${entry.pinned ? 'pinned' : 'unpinned'}` };
+        }
+        case 'correct': {
+          if (!entryId || !text.trim()) throw new Error('Usage: /correct <entry number> <corrected text>');
+          // A fact is a single sentence, so the correction replaces it; other entries keep their name
+          const field = this.client.getStoryBibleEntry(Number(entryId))?.type === 'fact' ? 'name' : 'description';
+          const entry = await this.client.updateBibleEntry(Number(entryId), { [field]: text.trim() });
+          return { success: true, command, message: `✏️ ${entry.name} corrected` };
+        }
+        case 'rewind': {
+          if (!entryId) throw new Error('Usage: /rewind <segment number>');
+          const response = await this.client.rewindStory(Number(entryId));
+          return {
+            success: true,
+            command,
+            message: response.rewound ?
+              `⏪ Story rewound to segment ${entryId}` :
+              `⏪ Asked to rewind to segment ${entryId} - waiting for more players to agree`
+          };
+        }
+        case 'branches': {
+          const branches = await this.client.fetchStoryBranches();
+          const count = n => `${n} segment${n === 1 ? '' : 's'}`;
+          const list = branches.map(branch => branch.isCurrent ?
+            `${branch.number}: current story (${count(branch.segments.length)})` :
+            `${branch.number}: from ${branch.parent ? `branch ${branch.parent} after segment ${branch.forkIndex}` : 'the start'} (${count(branch.segments.length - branch.forkIndex)})`);
+          return { success: true, command, message: `🌳 Branches - ${list.join('; ')}. Read one with /branch <number>` };
+        }
+        case 'branch': {
+          // Without a number (or with 1) this goes back to the live story
+          if (!entryId || Number(entryId) === 1) {
+            return { success: true, command, message: '📖 Back to the current story', branch: null };
+          }
+          const branches = await this.client.fetchStoryBranches();
+          const branch = branches.find(candidate => candidate.number === Number(entryId));
+          if (!branch) throw new Error(`There is no branch ${entryId} (try /branches)`);
+          return { success: true, command, message: `🌿 Reading branch ${branch.number} - /branch to return`, branch };
+        }
+        case 'chat':
+        case 'me': {
+          if (!args.trim()) throw new Error(`Usage: /${command} <${command.toLowerCase() === 'me' ? 'action' : 'message'}>`);
+          await this.client.sendChatMessage(command.toLowerCase() === 'me' ? `/me ${args}` : args);
+          return { success: true, command, message: null };
+        }
+        case 'players':
+          return { success: true, command, message: null };
+        case 'kick':
+        case 'ban':
+        case 'mute':
+        case 'unmute':
+        case 'host': {
+          const action = command.toLowerCase();
+          if (!entryId) throw new Error(`Usage: /${action} <player number> (see /players)`);
+          const target = this.client.getSession()?.players[Number(entryId) - 1];
+          if (!target) throw new Error(`There is no player ${entryId} (see /players)`);
+
+          if (action === 'kick') {
+            await this.client.kickPlayer(target.id);
+            return { success: true, command, message: `🚪 ${target.name} was removed from the story` };
+          } else if (action === 'ban') {
+            await this.client.banPlayer(target.id);
+            return { success: true, command, message: `⛔ ${target.name} was banned from the story` };
+          } else if (action === 'host') {
+            await this.client.transferHost(target.id);
+            return { success: true, command, message: `👑 ${target.name} is now the host` };
+          }
+          await this.client.mutePlayer(target.id, action === 'mute');
+          return { success: true, command, message: `${action === 'mute' ? '🔇' : '🔊'} ${target.name} ${action}d` };
+        }
+        case 'queue':
+          return { success: true, command, message: null };
+        case 'strike': {
+          if (!entryId) throw new Error('Usage: /strike <input number> (see /queue)');
+          const response = await this.client.strikeInput(Number(entryId));
+          return { success: true, command, message: `✂️ Struck ${response.playerName}'s input #${entryId}` };
+        }
+        case 'retract': {
+          // Without a number the latest segment goes; anything after it is the reason
+          const latest = this.client.getSession()?.storyState.segments.length || 0;
+          const segmentNumber = entryId ? Number(entryId) : latest;
+          if (!segmentNumber) throw new Error('There are no segments to retract yet');
+          const reason = (entryId ? text : args).trim() || null;
+          await this.client.retractSegment(segmentNumber, reason);
+          return { success: true, command, message: `🗑️ Segment ${segmentNumber} retracted` };
+        }
+        case 'drafts': {
+          const choice = args.trim().toLowerCase();
+          if (choice && choice !== 'on' && choice !== 'off') throw new Error('Usage: /drafts [on|off]');
+          const share = choice ? choice === 'on' : !this.client.isSharingDrafts();
+          this.client.setShareDrafts(share);
+          return {
+            success: true,
+            command,
+            message: share ? '👀 Others can now see your drafts as you type' : '🙈 Your drafts are private - others only see that you are typing'
+          };
+        }
+        case 'export': {
+          const words = args.toLowerCase().split(/\s+/);
+          const tree = words.includes('tree');
+          const chat = words.includes('chat');
+          const filePath = await this.client.saveExport(undefined, { tree, chat });
+          return {
+            success: true,
+            command,
+            message: `💾 ${tree ? 'Story tree' : 'Story'}${chat ? ' and chat log' : ''} saved to ${filePath}`
+          };
+        }
+        default:
+          throw new Error(`Unknown command: /${command || ''}`);
+      }
+    } catch (error) {
+      return { success: false, command, error: error.message };
+    }
+  }
+
   validateInput(rawInput) {
     if (typeof rawInput !== 'string') {
       throw new Error('Input must be a string');
@@ -6,9 +6,10 @@ const blessed = require('blessed');
  * Handles both story seeding and dual-mode input (Direct/Influence)
  */
 class InputBar {
-  constructor(getLabelsFn, onSubmitFn) {
+  constructor(getLabelsFn, onSubmitFn, onChangeFn = null) {
     this.getLabels = getLabelsFn; // () => { modeText, label }
     this.onSubmit = onSubmitFn;   // async (text) => result
+    this.onChange = onChangeFn;   // (text) => void, as the player types
     
     this.input = blessed.textbox({
       parent: null,
@@ -42,6 +43,12 @@ class InputBar {
       }
     });
 
+    // Report the draft after the textbox has applied the key
+    this.input.on('keypress', (ch, key) => {
+      if (!this.onChange || key?.name === 'enter' || key?.name === 'return') return;
+      setImmediate(() => this.onChange(this.input.getValue()));
+    });
+
     // Additional enter key handler for some terminals
     this.input.key(['enter'], () => {
       // Only submit if not already submitting
@@ -8,6 +8,7 @@ const blessed = require('blessed');
  * - Goals display (competition mode)
  * - Error messages
  * - Confirmations
+ * - Player list and input queue (host moderation)
  */
 class Modal {
   constructor(title = 'Modal', width = 60, height = 20) {
@@ -83,6 +84,7 @@ class Modal {
     });
 
     this.onHide = null;
+    this.keyHandler = null;
   }
 
   getElement() {
@@ -179,11 +181,8 @@ class Modal {
       height: 10
     });
 
-    // Remove existing key handlers
-    this.dialog.removeAllListeners('keypress');
-
     // Add confirm/cancel handlers
-    const keyHandler = (ch, key) => {
+    this.setKeyHandler((ch, key) => {
       if (key.name === 'y') {
         this.hide();
         if (onConfirm) onConfirm();
@@ -191,9 +190,18 @@ class Modal {
         this.hide();
         if (onCancel) onCancel();
       }
-    };
+    });
+  }
 
-    this.dialog.on('keypress', keyHandler);
+  // Replace the previous handler set here; Escape, q, Enter and Space still close the modal
+  setKeyHandler(handler) {
+    if (this.keyHandler) {
+      this.dialog.removeListener('keypress', this.keyHandler);
+    }
+    this.keyHandler = handler;
+    if (handler) {
+      this.dialog.on('keypress', handler);
+    }
   }
 
   destroy() {
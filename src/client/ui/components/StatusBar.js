@@ -9,6 +9,9 @@ const Utils = require('../../../shared/utils');
  * - Time remaining
  * - Current phase (SEEDING/STORY/COMPLETE)
  * - Player count
+ * - AI budget warnings
+ * - Active view
+ * - Who is typing
  * - Status messages
  */
 class StatusBar {
@@ -69,11 +72,34 @@ class StatusBar {
       if (segmentTime > 0) {
         const segmentTimeStr = Utils.formatTime(segmentTime);
         const segmentTimeColor = segmentTime < 10000 ? 'yellow' : 'cyan';
-        const phaseLabel = uiState.isInSeedingPhase() ? 'SEEDING' : 'SEGMENT';
+        const phaseLabel = uiState.isInSeedingPhase() ? 'SEEDING' : uiState.isTurnBased() ? 'TURN' : 'SEGMENT';
         components.push(`{${segmentTimeColor}-fg}${phaseLabel} ${segmentTimeStr}{/${segmentTimeColor}-fg}`);
       }
     }
     
+    // Whose turn it is (turn-based pacing)
+    const turn = uiState.getTurn();
+    if (turn) {
+      components.push(uiState.isMyTurn() ?
+        '{green-fg}{bold}🎲 YOUR TURN{/bold}{/green-fg}' :
+        `{white-fg}🎲 ${blessed.escape(turn.playerName.toUpperCase())}'S TURN{/white-fg}`);
+    }
+
+    // Skip requests, and who is ready when the story waits for everyone
+    const skipVote = uiState.getSkipVote();
+    if (skipVote) {
+      components.push(`{yellow-fg}⏭️ SKIP ${skipVote.votes}/${skipVote.needed}{/yellow-fg}`);
+    }
+    const readyState = uiState.isReadyPaced() && uiState.isStoryActive() ? uiState.getReadyState() : null;
+    if (readyState) {
+      components.push(`{cyan-fg}✋ READY ${readyState.ready.length}/${readyState.needed}{/cyan-fg}`);
+    }
+
+    // Muted by the host
+    if (uiState.isMuted()) {
+      components.push('{red-fg}🔇 MUTED{/red-fg}');
+    }
+
     // Player count
     const playerCount = uiState.getPlayerCount();
     components.push(`{magenta-fg}${playerCount} ${playerCount === 1 ? 'player' : 'players'}{/magenta-fg}`);
@@ -82,6 +108,24 @@ class StatusBar {
     if (session.competitionMode) {
       components.push('{yellow-fg}🏆 COMPETITION{/yellow-fg}');
     }
+
+    // AI budget, once a warning has come in
+    const budget = uiState.getBudgetStatus();
+    if (budget) {
+      const budgetColor = budget.level === 'exceeded' ? 'red' : 'yellow';
+      components.push(`{${budgetColor}-fg}💰 BUDGET ${budget.percent}%{/${budgetColor}-fg}`);
+    }
+    
+    // Who is typing
+    const typists = uiState.getTypingPlayers();
+    if (typists.length > 0) {
+      const who = typists.length > 2 ? `${typists.length} players are` :
+        `${typists.map(typist => blessed.escape(typist.playerName)).join(' and ')} ${typists.length === 1 ? 'is' : 'are'}`;
+      components.push(`{gray-fg}✏️ ${who} typing…{/gray-fg}`);
+    }
+    
+    // Active view (Shift+Tab or Alt+1-6 to change)
+    components.push(`{blue-fg}👁 ${uiState.getCurrentView().toUpperCase()}{/blue-fg}`);
     
     // Host indicator
     const hostPlayer = uiState.getHostPlayer();
@@ -107,7 +151,7 @@ class StatusBar {
       } else if (uiState.isStoryActive()) {
         messageLine = '{green-fg}✍️  Story in progress. Use Tab to switch input modes.{/green-fg}';
       } else if (uiState.isStoryComplete()) {
-        messageLine = '{cyan-fg}🎉 Story complete! Export available.{/cyan-fg}';
+        messageLine = '{cyan-fg}🎉 Story complete! Press Ctrl+E to save the export.{/cyan-fg}';
       } else {
         messageLine = '{white-fg}Waiting to start...{/white-fg}';
       }
@@ -120,7 +164,8 @@ class StatusBar {
   }
 
   getPhaseColor(phase) {
-    switch (phase) {
+    // The phase may carry the story mode after it, e.g. "STORY · ADVENTURE"
+    switch (phase.split(' ')[0]) {
       case 'SEEDING': return 'yellow';
       case 'STORY': return 'green';
       case 'COMPLETE': return 'cyan';
@@ -5,6 +5,9 @@ const blessed = require('blessed');
  * 
  * Shows:
  * - Story content (scrollable)
+ * - The segment being written, while it streams in
+ * - Candidate segments while players vote on them
+ * - An abandoned branch instead, while the player reads it
  * - Recent player inputs (bottom section)
  * - Visual separator between sections
  */
@@ -108,8 +111,32 @@ class StoryView {
   render(uiState) {
     // Update story content
     const storyText = uiState.getFullStory();
-    if (storyText) {
-      this.storyBox.setContent(this.formatStory(storyText));
+    const pending = uiState.getPendingSegment();
+    const vote = uiState.getSegmentVote();
+    const choices = uiState.getStoryChoices();
+    const branch = uiState.getViewedBranch();
+    if (branch) {
+      const branchText = branch.segments.map(segment => segment.text).join('\n\n');
+      this.storyBox.setContent(`{yellow-fg}🌿 Branch ${branch.number} (read only) - /branch to return to the story{/yellow-fg}\n\n${this.formatStory(branchText)}`);
+      this.storyBox.setScrollPerc(100);
+    } else if (storyText || pending || vote || choices) {
+      let content = storyText ? this.formatStory(storyText) : '';
+
+      // The segment still being written, with a cursor at its end
+      if (pending) {
+        const wrappedText = this.wrapText(`${pending.text.trim()}▌`, this.storyBox.width - 4);
+        content += `${content ? '\n\n' : ''}{cyan-fg}${wrappedText}{/cyan-fg}`;
+      }
+
+      if (vote) {
+        content += `${content ? '\n\n' : ''}${this.formatVote(vote)}`;
+      }
+
+      if (choices && !pending) {
+        content += `${content ? '\n\n' : ''}${this.formatChoices(choices)}`;
+      }
+
+      this.storyBox.setContent(content);
       // Auto-scroll to bottom when new content is added
       this.storyBox.setScrollPerc(100);
     } else {
@@ -156,6 +183,35 @@ class StoryView {
       .join('\n\n');
   }
 
+  formatVote(vote) {
+    const secondsLeft = Math.max(0, Math.ceil((vote.closesAt - Date.now()) / 1000));
+    const lines = [`{yellow-fg}{bold}🗳️ Vote for the next segment - /vote <number> (${secondsLeft}s left){/bold}{/yellow-fg}`];
+
+    vote.candidates.forEach((candidate, index) => {
+      const votes = vote.tally[index] || 0;
+      const mine = vote.myVote === index ? ' {green-fg}✔ your vote{/green-fg}' : '';
+      lines.push('');
+      lines.push(`{yellow-fg}[${index + 1}]{/yellow-fg} {gray-fg}${votes} vote${votes === 1 ? '' : 's'}{/gray-fg}${mine}`);
+      lines.push(this.wrapText(candidate.text.trim(), this.storyBox.width - 4));
+    });
+
+    return lines.join('\n');
+  }
+
+  formatChoices(ballot) {
+    const secondsLeft = Math.max(0, Math.ceil((ballot.closesAt - Date.now()) / 1000));
+    const lines = [`{magenta-fg}{bold}🧭 What happens next? - /choose <number> (${secondsLeft}s left){/bold}{/magenta-fg}`];
+
+    ballot.choices.forEach((choice, index) => {
+      const picks = ballot.tally[index] || 0;
+      const mine = ballot.myChoice === index ? ' {green-fg}✔ your choice{/green-fg}' : '';
+      const author = choice.writtenBy ? ` {gray-fg}(write-in by ${blessed.escape(choice.writtenBy)}){/gray-fg}` : '';
+      lines.push(`{magenta-fg}[${index + 1}]{/magenta-fg} ${blessed.escape(choice.text.trim())}${author} {gray-fg}${picks} pick${picks === 1 ? '' : 's'}{/gray-fg}${mine}`);
+    });
+
+    return lines.join('\n');
+  }
+
   formatInput(input, index) {
     // Handle new input format with timestamp object
     const inputText = input.text || input;
@@ -10,7 +10,7 @@ const Modal = require('./components/Modal');
  * TerminalUI - Main terminal interface orchestrator
  * 
  * Implements the complete terminal UI for StoryChef following planning.md design:
- * - Multi-view interface (Story/Direct/Influence/Live/Chat)
+ * - Multi-view interface (Story/Bible/Direct/Influence/Live/Chat)
  * - Dual input modes (Direct/Influence)
  * - Competition mode with goals
  * - Real-time multiplayer support
@@ -27,12 +27,14 @@ class TerminalUI extends EventEmitter {
     this.uiState = new UIState();
     
     // Views tracking
-    this.views = ['story', 'direct', 'influence', 'live', 'chat'];
+    this.views = ['story', 'bible', 'direct', 'influence', 'live', 'chat'];
     this.currentViewIndex = 0;
+    this.chatShown = null; // Id of the newest chat message drawn; the chat view follows new ones
     
     // Component references
     this.statusBar = null;
     this.storyView = null;
+    this.bibleView = null;
     this.inputBar = null;
     this.directView = null;
     this.influenceView = null;
@@ -41,8 +43,17 @@ class TerminalUI extends EventEmitter {
     
     // Modals
     this.goalsModal = null;
+    this.resultsModal = null;
     this.helpModal = null;
     this.configModal = null;
+    this.playersModal = null;
+    this.selectedPlayerIndex = 0; // Highlighted row in the player list
+    this.playersShown = false; // The players modal shows the list, not a confirmation
+    this.queueModal = null;
+    this.queuedInputs = []; // The host's copy of the inputs waiting for the next segment
+    this.selectedInputIndex = 0;
+    this.queueGenerating = false;
+    this.queueShown = false;
     
     // Initialize UI
     this.setupScreen();
@@ -87,6 +98,7 @@ class TerminalUI extends EventEmitter {
     
     // Main content views (only one visible at a time)
     this.storyView = new StoryView();
+    this.bibleView = this.createBibleView();
     this.directView = this.createDirectView();
     this.influenceView = this.createInfluenceView();
     this.liveView = this.createLiveView();
@@ -95,25 +107,33 @@ class TerminalUI extends EventEmitter {
     // Input bar at bottom
     this.inputBar = new InputBar(
       (uiState) => this.getInputLabels(uiState),
-      async (text) => await this.handleInputSubmit(text)
+      async (text) => await this.handleInputSubmit(text),
+      (text) => this.handleDraftChange(text)
     );
     
     // Modals
     this.goalsModal = new Modal(' YOUR SECRET GOALS ', 80, 25);
+    this.resultsModal = new Modal(' COMPETITION RESULTS ', 90, 35);
     this.helpModal = new Modal(' HELP ', 70, 30);
     this.configModal = new Modal(' CONFIGURATION ', 80, 25);
+    this.playersModal = new Modal(' PLAYERS ', 70, 22);
+    this.queueModal = new Modal(' INPUT QUEUE ', 80, 24);
     
     // Add components to screen
     this.screen.append(this.statusBar.getElement());
     this.screen.append(this.storyView.getElement());
+    this.screen.append(this.bibleView);
     this.screen.append(this.directView);
     this.screen.append(this.influenceView);
     this.screen.append(this.liveView);
     this.screen.append(this.chatView);
     this.screen.append(this.inputBar.getElement());
     this.screen.append(this.goalsModal.getElement());
+    this.screen.append(this.resultsModal.getElement());
     this.screen.append(this.helpModal.getElement());
     this.screen.append(this.configModal.getElement());
+    this.screen.append(this.playersModal.getElement());
+    this.screen.append(this.queueModal.getElement());
     
     // Show only the current view
     this.showCurrentView();
@@ -127,7 +147,30 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Create the Direct input view (Phase 2 feature)
+   * Create the Story Bible view: who and what is in the story
+   */
+  createBibleView() {
+    const view = blessed.box({
+      top: 3,
+      left: 0,
+      width: '100%',
+      height: '70%',
+      border: { type: 'line' },
+      label: ' 📚 STORY BIBLE ',
+      hidden: true,
+      scrollable: true,
+      mouse: true,
+      keys: true,
+      vi: true,
+      tags: true,
+      padding: { left: 1, right: 1 }
+    });
+    
+    return view;
+  }
+
+  /**
+   * Create the Direct input view
    */
   createDirectView() {
     const view = blessed.box({
@@ -150,7 +193,7 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Create the Influence input view (Phase 2 feature)
+   * Create the Influence input view
    */
   createInfluenceView() {
     const view = blessed.box({
@@ -173,7 +216,7 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Create the Live input view for multiplayer (Phase 2 feature)
+   * Create the Live input view: everyone's inputs as they arrive
    */
   createLiveView() {
     const view = blessed.box({
@@ -196,7 +239,7 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Create the Chat view for multiplayer (Phase 2 feature)
+   * Create the Chat view: players talking to each other, outside the story
    */
   createChatView() {
     const view = blessed.box({
@@ -205,7 +248,7 @@ class TerminalUI extends EventEmitter {
       width: '100%',
       height: '70%',
       border: { type: 'line' },
-      label: ' 💬 CHAT VIEW ',
+      label: ' 💬 CHAT ',
       hidden: true,
       scrollable: true,
       mouse: true,
@@ -227,11 +270,36 @@ class TerminalUI extends EventEmitter {
       this.toggleInputMode();
     });
     
-    // Shift+Tab: Cycle views (Phase 2 - show message for now)
+    // Shift+Tab: Cycle views
     this.screen.key(['S-tab'], () => {
       this.cycleView();
     });
     
+    // Alt+1-6: Jump straight to a view (plain digits are left for typing)
+    this.views.forEach((view, index) => {
+      this.screen.key([`M-${index + 1}`], () => {
+        this.switchView(index);
+      });
+    });
+    
+    // Ctrl+P: Player list, where the host kicks, bans, mutes and hands over the host role
+    this.screen.key(['C-p'], () => {
+      this.showPlayers();
+    });
+    
+    // The input bar grabs keys while it has focus; let the view and player list keys through
+    this.screen.ignoreLocked.push('S-tab', 'C-b', 'C-t', 'C-p', ...this.views.map((view, index) => `M-${index + 1}`));
+    
+    // Ctrl+B: Switch between the story and the story bible
+    this.screen.key(['C-b'], () => {
+      this.toggleBibleView();
+    });
+    
+    // Ctrl+T: Switch between the story and the chat
+    this.screen.key(['C-t'], () => {
+      this.toggleChatView();
+    });
+    
     // G: Show goals (competition mode)
     this.screen.key(['g', 'G'], () => {
       if (this.uiState.getSession()?.competitionMode) {
@@ -244,6 +312,11 @@ class TerminalUI extends EventEmitter {
       this.requestSkip();
     });
     
+    // Ctrl+E: Save the story export locally
+    this.screen.key(['C-e'], () => {
+      this.saveExport();
+    });
+    
     // C: Configuration panel (Phase 3 - show message for now)
     this.screen.key(['c', 'C'], () => {
       this.showConfig();
@@ -274,7 +347,8 @@ class TerminalUI extends EventEmitter {
     });
     
     this.client.on('disconnected', (reason) => {
-      this.uiState.setMessage(`🔴 Disconnected: ${reason}`, 'yellow');
+      const retry = this.client.getSessionId() ? ' - reconnecting...' : '';
+      this.uiState.setMessage(`🔴 Disconnected: ${reason}${retry}`, 'yellow');
     });
     
     // Session events
@@ -288,10 +362,27 @@ class TerminalUI extends EventEmitter {
       this.uiState.setSession(data.session);
       this.uiState.setPlayerInfo(data.playerId, this.client.getPlayerName());
       this.uiState.setMessage(`🎮 Joined session: ${data.sessionId}`, 'green');
+      this.refreshStoryBible();
+      this.refreshChat();
+    });
+    
+    this.client.on('session_resumed', (data) => {
+      this.uiState.setSession(data.session);
+      this.uiState.setPlayerInfo(data.playerId, data.playerName);
+      this.uiState.setMessage(`🔄 Reconnected to session: ${data.sessionId}`, 'green');
+      this.refreshStoryBible();
+      this.refreshChat();
+    });
+    
+    this.client.on('resume_failed', (error) => {
+      this.uiState.setMessage(`❌ Could not rejoin session: ${error.message}`, 'red');
     });
     
     this.client.on('session_updated', (session) => {
       this.uiState.setSession(session);
+      if (this.playersShown) {
+        this.renderPlayers();
+      }
     });
     
     // Player events
@@ -303,6 +394,35 @@ class TerminalUI extends EventEmitter {
       this.uiState.setMessage(`👤 ${data.playerName} left the story`, 'yellow');
     });
     
+    // Moderation events
+    this.client.on('player_removed', (data) => {
+      this.uiState.setPlayerTyping({ playerId: data.playerId, active: false });
+      this.uiState.setMessage(`${data.banned ? '⛔' : '🚪'} The host ${data.banned ? 'banned' : 'removed'} ${data.playerName}`, 'yellow');
+    });
+    
+    this.client.on('player_muted', (data) => {
+      if (data.playerId === this.client.getPlayerId()) {
+        this.uiState.setMessage(data.muted ?
+          '🔇 The host muted you - you can keep reading, but not send story input' :
+          '🔊 The host unmuted you', data.muted ? 'red' : 'green');
+      } else {
+        this.uiState.setMessage(`${data.muted ? '🔇' : '🔊'} The host ${data.muted ? 'muted' : 'unmuted'} ${data.playerName}`, 'yellow');
+      }
+    });
+    
+    this.client.on('host_changed', (data) => {
+      const you = data.hostPlayerId === this.client.getPlayerId();
+      const why = data.reason === 'disconnect' && data.previousHostName ? ` - ${data.previousHostName} did not come back` : '';
+      this.uiState.setMessage(`👑 ${you ? 'You are' : `${data.hostName} is`} now the host${why}`, you ? 'green' : 'cyan');
+    });
+    
+    this.client.on('removed_from_session', (data) => {
+      this.playersModal.hide();
+      this.queueModal.hide();
+      this.uiState.reset();
+      this.uiState.setMessage(`${data.banned ? '⛔ The host banned you from' : '🚪 The host removed you from'} ${data.sessionId}`, 'red');
+    });
+    
     // Story events
     this.client.on('story_started', () => {
       this.uiState.setMessage('📖 Story generation has begun!', 'green');
@@ -311,12 +431,145 @@ class TerminalUI extends EventEmitter {
     this.client.on('story_segment', (data) => {
       this.uiState.addStorySegment(data.segment);
       // No message for segments - they show in the story view
+      this.refreshQueue();
+    });
+    
+    this.client.on('story_segment_delta', (data) => {
+      this.uiState.applySegmentDelta(data);
+    });
+
+    this.client.on('story_segment_failed', () => {
+      if (this.uiState.getPendingSegment()) {
+        this.uiState.discardPendingSegment();
+        this.uiState.setMessage('⚠️ The AI lost its thread - that segment was discarded', 'yellow');
+      }
+    });
+    
+    this.client.on('segment_candidates', (data) => {
+      this.uiState.setSegmentVote(data);
+      this.uiState.setMessage(`🗳️ ${data.candidates.length} versions of the next segment - vote with /vote <number>`, 'yellow');
+    });
+
+    this.client.on('segment_vote_update', (data) => {
+      this.uiState.updateSegmentVote(data);
+    });
+
+    this.client.on('segment_vote_result', (data) => {
+      this.uiState.clearSegmentVote();
+      const how = {
+        majority: '',
+        host_tiebreak: ' (tie broken by the host)',
+        first_candidate_tiebreak: ' (tie - first candidate wins)',
+        no_votes: ' (no votes - first candidate wins)'
+      }[data.decidedBy] || '';
+      this.uiState.setMessage(`🗳️ Candidate ${data.winner + 1} wins${how}`, 'green');
+    });
+
+    this.client.on('turn_changed', ({ turn }) => {
+      this.uiState.setTurn(turn);
+      if (turn.ended) return;
+
+      if (turn.playerId === this.client.getPlayerId()) {
+        this.uiState.setMessage('🎲 Your turn! Write story text in Direct mode, or /pass to end it early', 'green');
+      } else {
+        this.uiState.setMessage(`🎲 ${turn.playerName}'s turn - you can send influences`, 'cyan');
+      }
+    });
+
+    this.client.on('skip_vote_update', (data) => {
+      this.uiState.setSkipVote(data);
+      if (!data.passed && data.votes === 1) {
+        this.uiState.setMessage(`⏭️ ${data.requestedBy} wants to skip ahead (${data.votes}/${data.needed}) - press ↓ or /skip to agree`, 'yellow');
+      }
+    });
+
+    this.client.on('ready_update', (data) => {
+      this.uiState.setReadyState(data);
+    });
+
+    this.client.on('story_choices', (data) => {
+      const isNew = this.uiState.getStoryChoices()?.segmentNumber !== data.segmentNumber;
+      this.uiState.setStoryChoices(data);
+      if (isNew) {
+        this.uiState.setMessage(`🧭 What happens next? Pick with /choose <1-${data.choices.length}>`, 'yellow');
+      }
+    });
+
+    this.client.on('choice_tally', (data) => {
+      this.uiState.updateStoryChoices(data);
+    });
+
+    this.client.on('choice_result', (data) => {
+      this.uiState.clearStoryChoices();
+      const how = {
+        majority: '',
+        host_tiebreak: ' (tie broken by the host)',
+        first_candidate_tiebreak: ' (tie - first choice wins)',
+        no_votes: ' (no picks - first choice wins)'
+      }[data.decidedBy] || '';
+      this.uiState.setMessage(`🧭 Choice ${data.winner + 1} wins${how}: ${data.text}`, 'green');
+    });
+
+    this.client.on('story_rewound', (data) => {
+      this.uiState.clearSegmentVote();
+      this.uiState.clearStoryChoices();
+      this.uiState.setStorySegments(data.segments);
+      const who = data.decidedBy === 'vote' ? `The players (asked by ${data.requestedBy})` : data.requestedBy || 'The host';
+      this.uiState.setMessage(`⏪ ${who} rewound the story to segment ${data.toSegment} - the old ending is kept as a branch (/branches)`, 'yellow');
+    });
+
+    this.client.on('segment_retracted', (data) => {
+      this.uiState.clearSegmentVote();
+      this.uiState.clearStoryChoices();
+      this.uiState.setStorySegments(data.segments);
+      const why = data.reason ? ` (${data.reason})` : '';
+      this.uiState.setMessage(`🗑️ ${data.retractedBy || 'The host'} retracted segment ${data.segmentNumber}${why}`, 'yellow');
+    });
+
+    this.client.on('input_struck', (data) => {
+      const removed = this.uiState.removeRecentInput(data.inputId);
+      if (removed?.own) {
+        this.uiState.setMessage(`✂️ The host struck your ${data.inputType} input - it will not reach the story`, 'red');
+      }
+      this.refreshQueue();
+    });
+
+    this.client.on('rewind_vote_update', (data) => {
+      this.uiState.setMessage(`⏪ ${data.proposedBy} wants to rewind to segment ${data.toSegment} (${data.support}/${data.needed}) - agree with /rewind ${data.toSegment}`, 'yellow');
+    });
+
+    this.client.on('rewind_vote_closed', (data) => {
+      if (!data.passed) {
+        this.uiState.setMessage(`⏪ Not enough support to rewind to segment ${data.toSegment}`, 'yellow');
+      }
+    });
+
+    this.client.on('story_bible_updated', (data) => {
+      this.uiState.setStoryBible(data.entries);
+    });
+
+    this.client.on('player_typing', (data) => {
+      this.uiState.setPlayerTyping(data);
+    });
+
+    this.client.on('chat_message', ({ message }) => {
+      this.uiState.addChatMessage(message);
+      // Outside the chat view, other players' messages show briefly in the status line
+      if (this.views[this.currentViewIndex] !== 'chat' && message.playerId !== this.client.getPlayerId()) {
+        const name = blessed.escape(message.playerName);
+        const text = message.action ? `* ${name} ${blessed.escape(message.text)}` : `${name}: ${blessed.escape(message.text)}`;
+        this.uiState.setMessage(`💬 ${text} (Ctrl+T to reply)`, 'cyan');
+      }
     });
     
     this.client.on('story_complete', (data) => {
       this.uiState.setMessage(`🎉 Story complete! Duration: ${data.duration}`, 'green');
     });
     
+    this.client.on('story_exported', (data) => {
+      this.uiState.setMessage(`📄 Story exported on server: ${data.filename} (Ctrl+E to save a copy)`, 'cyan');
+    });
+    
     // Input events - both from server (other players) and local confirmations
     this.client.on('seed_added', (data) => {
       if (data.playerName) {
@@ -326,14 +579,16 @@ class TerminalUI extends EventEmitter {
     
     this.client.on('direct_input_added', (data) => {
       if (data.playerName) {
-        this.uiState.addRecentInput(`${data.playerName} [DIRECT]: ${data.content}`);
+        this.uiState.addRecentInput(`${data.playerName} [DIRECT]: ${data.content}`, { inputId: data.inputId });
       }
+      this.refreshQueue();
     });
     
     this.client.on('influence_input_added', (data) => {
       if (data.playerName) {
-        this.uiState.addRecentInput(`${data.playerName} [INFLUENCE]: ${data.content}`);
+        this.uiState.addRecentInput(`${data.playerName} [INFLUENCE]: ${data.content}`, { inputId: data.inputId });
       }
+      this.refreshQueue();
     });
     
     // Local input confirmations
@@ -342,14 +597,14 @@ class TerminalUI extends EventEmitter {
       this.uiState.addRecentInput(`${name} [SEED]: ${content}`);
     });
     
-    this.client.on('direct_input_submitted', ({ content }) => {
+    this.client.on('direct_input_submitted', ({ content, inputId }) => {
       const name = this.client.getPlayerName() || 'You';
-      this.uiState.addRecentInput(`${name} [DIRECT]: ${content}`);
+      this.uiState.addRecentInput(`${name} [DIRECT]: ${content}`, { inputId, own: true });
     });
     
-    this.client.on('influence_input_submitted', ({ content }) => {
+    this.client.on('influence_input_submitted', ({ content, inputId }) => {
       const name = this.client.getPlayerName() || 'You';
-      this.uiState.addRecentInput(`${name} [INFLUENCE]: ${content}`);
+      this.uiState.addRecentInput(`${name} [INFLUENCE]: ${content}`, { inputId, own: true });
     });
     
     // Competition events
@@ -358,6 +613,16 @@ class TerminalUI extends EventEmitter {
       this.uiState.setMessage(`🎯 ${goals.length} secret goals assigned`, 'magenta');
     });
     
+    this.client.on('competition_results', (results) => {
+      this.uiState.setCompetitionResults(results);
+      this.showCompetitionResults();
+    });
+
+    this.client.on('budget_warning', (data) => {
+      this.uiState.setBudgetStatus(data);
+      this.uiState.setMessage(`💰 ${data.message}`, data.level === 'exceeded' ? 'red' : 'yellow');
+    });
+    
     // Error events
     this.client.on('error', (error) => {
       this.uiState.setMessage(`❌ Error: ${error.message}`, 'red');
@@ -381,11 +646,38 @@ class TerminalUI extends EventEmitter {
    * Handle input submission
    */
   async handleInputSubmit(text) {
+    this.client.stopTyping();
+    
     try {
-      const result = await this.inputProcessor.processInput(text);
+      // While the chat is shown, plain text is a chat message rather than story input
+      const result = this.views[this.currentViewIndex] === 'chat' && !text.trim().startsWith('/') ?
+        await this.inputProcessor.processCommand(`/chat ${text}`) :
+        await this.inputProcessor.processInput(text);
       
       if (!result.success && result.error) {
         this.uiState.setMessage(result.error, 'red');
+      } else if (result.message) {
+        this.uiState.setMessage(result.message, 'green');
+      }
+
+      if (result.success && result.command === 'players') {
+        this.showPlayers();
+      }
+
+      if (result.success && result.command === 'queue') {
+        this.showQueue();
+      }
+
+      if (result.success && result.command === 'branch') {
+        this.uiState.setViewedBranch(result.branch);
+      }
+
+      if (result.success && result.command === 'vote') {
+        this.uiState.updateSegmentVote({ segmentNumber: this.uiState.getSegmentVote()?.segmentNumber, myVote: result.candidateIndex });
+      }
+
+      if (result.success && result.command === 'choose') {
+        this.uiState.updateStoryChoices({ segmentNumber: this.uiState.getStoryChoices()?.segmentNumber, myChoice: result.choiceIndex });
       }
       
       // Input bar will handle its own clearing and refocusing
@@ -396,6 +688,25 @@ class TerminalUI extends EventEmitter {
     }
   }
 
+  /**
+   * Share typing presence as the draft changes; commands are never shared
+   */
+  handleDraftChange(text) {
+    const draft = text.trim();
+    if (!draft || draft.startsWith('/')) {
+      this.client.stopTyping();
+      return;
+    }
+    
+    let mode = this.inputProcessor.getCurrentMode();
+    if (this.views[this.currentViewIndex] === 'chat') {
+      mode = 'chat';
+    } else if (this.uiState.isInSeedingPhase()) {
+      mode = 'seed';
+    }
+    this.client.sendTyping(mode, draft);
+  }
+
   /**
    * Toggle between Direct and Influence input modes
    */
@@ -404,23 +715,76 @@ class TerminalUI extends EventEmitter {
     this.uiState.setInputMode(result.currentMode);
     this.uiState.setMessage(`Switched to ${result.currentMode.toUpperCase()} mode`, 'cyan');
     
+    // The Direct and Influence views follow the input mode
+    if (['direct', 'influence'].includes(this.views[this.currentViewIndex])) {
+      this.switchView(this.views.indexOf(result.currentMode));
+    }
+    
     // Ensure input stays focused
     this.inputBar.focus();
   }
 
   /**
-   * Cycle through available views (Phase 2 feature)
+   * Cycle through available views
    */
   cycleView() {
-    // For Phase 1, just show a message
-    this.uiState.setMessage('Multi-view interface will be available in Phase 2', 'yellow');
+    this.switchView((this.currentViewIndex + 1) % this.views.length);
+    this.uiState.setMessage(`Switched to ${this.views[this.currentViewIndex]} view`, 'cyan');
+  }
+
+  /**
+   * Show the view at index; the Direct and Influence views also switch the input mode
+   */
+  switchView(index) {
+    const view = this.views[index];
+    this.currentViewIndex = index;
+    this.uiState.setCurrentView(view);
+    
+    if ((view === 'direct' || view === 'influence') && this.inputProcessor.getCurrentMode() !== view) {
+      this.inputProcessor.setInputMode(view);
+      this.uiState.setInputMode(view);
+    }
     
-    // Phase 2 implementation would be:
-    /*
-    this.currentViewIndex = (this.currentViewIndex + 1) % this.views.length;
     this.showCurrentView();
-    this.uiState.setMessage(`Switched to ${this.views[this.currentViewIndex]} view`, 'cyan');
-    */
+    this.inputBar.focus();
+  }
+
+  /**
+   * Jump between the story and the story bible
+   */
+  toggleBibleView() {
+    const target = this.views[this.currentViewIndex] === 'bible' ? 'story' : 'bible';
+    this.switchView(this.views.indexOf(target));
+  }
+
+  /**
+   * Jump between the story and the chat
+   */
+  toggleChatView() {
+    const target = this.views[this.currentViewIndex] === 'chat' ? 'story' : 'chat';
+    this.switchView(this.views.indexOf(target));
+  }
+
+  /**
+   * Load the chat so far, e.g. after joining a story already underway
+   */
+  async refreshChat() {
+    try {
+      this.uiState.setChatMessages(await this.client.fetchChatHistory());
+    } catch (error) {
+      this.uiState.setMessage(`❌ Could not load the chat: ${error.message}`, 'red');
+    }
+  }
+
+  /**
+   * Load the story bible, e.g. after joining a story already underway
+   */
+  async refreshStoryBible() {
+    try {
+      this.uiState.setStoryBible(await this.client.fetchStoryBible());
+    } catch (error) {
+      this.uiState.setMessage(`❌ Could not load the story bible: ${error.message}`, 'red');
+    }
   }
 
   /**
@@ -429,6 +793,7 @@ class TerminalUI extends EventEmitter {
   showCurrentView() {
     // Hide all views
     this.storyView.hide();
+    this.bibleView.hide();
     this.directView.hide();
     this.influenceView.hide();
     this.liveView.hide();
@@ -439,21 +804,20 @@ class TerminalUI extends EventEmitter {
       case 'story':
         this.storyView.show();
         break;
+      case 'bible':
+        this.bibleView.show();
+        break;
       case 'direct':
         this.directView.show();
-        this.updateDirectView();
         break;
       case 'influence':
         this.influenceView.show();
-        this.updateInfluenceView();
         break;
       case 'live':
         this.liveView.show();
-        this.updateLiveView();
         break;
       case 'chat':
         this.chatView.show();
-        this.updateChatView();
         break;
     }
     
@@ -461,17 +825,122 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Update the Direct view content (Phase 2)
+   * Refresh the content of the current view; called on every state change and tick
+   */
+  updateCurrentView() {
+    switch (this.views[this.currentViewIndex]) {
+      case 'bible':
+        this.updateBibleView();
+        break;
+      case 'direct':
+        this.updateDirectView();
+        break;
+      case 'influence':
+        this.updateInfluenceView();
+        break;
+      case 'live':
+        this.updateLiveView();
+        break;
+      case 'chat':
+        this.updateChatView();
+        break;
+    }
+  }
+
+  /**
+   * When the next segment comes, for the Direct and Influence views
+   */
+  getNextSegmentText() {
+    const seconds = Math.ceil(this.uiState.getSegmentTimeRemaining() / 1000);
+    const turn = this.uiState.getTurn();
+    
+    if (this.uiState.isInSeedingPhase()) {
+      return `{yellow-fg}[🌱 Seeding ends in ${seconds} seconds...]{/yellow-fg}`;
+    }
+    if (this.uiState.isStoryComplete()) {
+      return '{cyan-fg}[🎉 The story is complete]{/cyan-fg}';
+    }
+    if (this.uiState.isReadyPaced()) {
+      const readyState = this.uiState.getReadyState();
+      const count = readyState ? ` (${readyState.ready.length}/${readyState.needed} ready)` : '';
+      return `{green-fg}[✋ Next segment when everyone is ready${count} - /ready]{/green-fg}`;
+    }
+    if (turn && !turn.ended) {
+      const whose = this.uiState.isMyTurn() ? 'Your turn' : `${blessed.escape(turn.playerName)}'s turn`;
+      return `{green-fg}[🎲 ${whose} - ${seconds} seconds left...]{/green-fg}`;
+    }
+    if (seconds > 0) {
+      return `{green-fg}[🎯 Next segment generates in ${seconds} seconds...]{/green-fg}`;
+    }
+    return '{green-fg}[🎯 Next segment is being written...]{/green-fg}';
+  }
+
+  /**
+   * Recent inputs of one type ('SEED', 'DIRECT' or 'INFLUENCE'), or all of them
+   */
+  formatRecentInputs(type = null) {
+    return this.uiState.getRecentInputs()
+      .filter(input => !type || input.text.includes(`[${type}]`))
+      .map(input => {
+        const time = input.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `{gray-fg}${time}{/gray-fg} ${blessed.escape(input.text)}`;
+      });
+  }
+
+  /**
+   * Update the Story Bible view content
+   */
+  updateBibleView() {
+    const entries = this.uiState.getStoryBible();
+    const sections = [
+      ['character', '👤 Characters'],
+      ['location', '🗺️ Locations'],
+      ['item', '🔑 Items'],
+      ['fact', '📜 Facts']
+    ];
+    
+    let content = '';
+    if (entries.length === 0) {
+      content = '{white-fg}Characters, places and facts appear here as the story introduces them...{/white-fg}\n';
+    }
+    
+    for (const [type, heading] of sections) {
+      const ofType = entries.filter(entry => entry.type === type);
+      if (ofType.length === 0) continue;
+      
+      content += `{yellow-fg}{bold}${heading}{/bold}{/yellow-fg}\n`;
+      ofType.forEach(entry => {
+        const pin = entry.pinned ? '{magenta-fg}📌{/magenta-fg} ' : '';
+        const corrected = entry.corrected ? ' {green-fg}(corrected){/green-fg}' : '';
+        const description = entry.description ? ` - ${blessed.escape(entry.description)}` : '';
+        content += `  {gray-fg}#${entry.id}{/gray-fg} ${pin}{cyan-fg}${blessed.escape(entry.name)}{/cyan-fg}${description}${corrected}\n`;
+      });
+      content += '\n';
+    }
+    
+    if (this.uiState.isHost()) {
+      content += '{gray-fg}Host: /pin <#>, /unpin <#> or /correct <#> <text>. Pinned entries are kept true in every later segment.{/gray-fg}';
+    }
+    
+    this.bibleView.setContent(content);
+  }
+
+  /**
+   * Update the Direct view content
    */
   updateDirectView() {
     const story = this.uiState.getFullStory();
     const lastParagraph = story.split('\n\n').filter(p => p.trim()).pop() || '';
+    const inputs = this.formatRecentInputs('DIRECT');
     
     const content = `
 {yellow-fg}Recent story context:{/yellow-fg}
-...${lastParagraph}
+...${blessed.escape(lastParagraph)}
+
+${this.getNextSegmentText()}
 
-{green-fg}[🎯 Next segment generates in ${Math.floor(this.uiState.getTimeRemaining() / 1000)} seconds...]{/green-fg}
+{yellow-fg}Direct inputs so far:{/yellow-fg}
+${inputs.length > 0 ? inputs.join('\n') : '{gray-fg}None yet{/gray-fg}'}
 
 {white-fg}Write exact text to include in the story:{/white-fg}
 `;
@@ -480,17 +949,21 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Update the Influence view content (Phase 2)
+   * Update the Influence view content
    */
   updateInfluenceView() {
     const story = this.uiState.getFullStory();
     const lastParagraph = story.split('\n\n').filter(p => p.trim()).pop() || '';
+    const inputs = this.formatRecentInputs('INFLUENCE');
     
     const content = `
 {yellow-fg}Recent story context:{/yellow-fg}
-...${lastParagraph}
+...${blessed.escape(lastParagraph)}
 
-{green-fg}[🎯 Next segment generates in ${Math.floor(this.uiState.getTimeRemaining() / 1000)} seconds...]{/green-fg}
+${this.getNextSegmentText()}
+
+{yellow-fg}Influences so far:{/yellow-fg}
+${inputs.length > 0 ? inputs.join('\n') : '{gray-fg}None yet{/gray-fg}'}
 
 {white-fg}Guide the story direction:{/white-fg}
 `;
@@ -499,23 +972,61 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Update the Live view content (Phase 2)
+   * Update the Live view content
    */
   updateLiveView() {
-    const recentInputs = this.uiState.getRecentInputs();
-    const content = recentInputs.length > 0 
-      ? recentInputs.join('\n')
+    const inputs = this.formatRecentInputs();
+    let content = inputs.length > 0 
+      ? inputs.join('\n')
       : '{white-fg}Waiting for player inputs...{/white-fg}';
     
+    // What other players are typing; private drafts only show that someone is typing
+    const typists = this.uiState.getTypingPlayers();
+    if (typists.length > 0) {
+      content += '\n\n{yellow-fg}✏️ Typing now:{/yellow-fg}';
+      typists.forEach(typist => {
+        const draft = typist.text === null ? '{gray-fg}(draft hidden){/gray-fg}' : `{gray-fg}${blessed.escape(typist.text)}…{/gray-fg}`;
+        content += `\n${blessed.escape(typist.playerName)} [${typist.mode.toUpperCase()}]: ${draft}`;
+      });
+    }
+    
+    // The segment the AI is writing right now, as it streams in
+    const pending = this.uiState.getPendingSegment();
+    if (pending) {
+      content += `\n\n{yellow-fg}✍️ Segment ${pending.segmentNumber} is being written:{/yellow-fg}\n${blessed.escape(pending.text)}`;
+    }
+    
     this.liveView.setContent(content);
   }
 
   /**
-   * Update the Chat view content (Phase 2)
+   * Update the Chat view content
    */
   updateChatView() {
-    const content = '{yellow-fg}Chat feature will be available in Phase 2{/yellow-fg}';
+    const messages = this.uiState.getChatMessages();
+    
+    let content = '';
+    if (messages.length === 0) {
+      content = '{white-fg}No messages yet. Type here to chat - the AI never sees the chat.{/white-fg}\n';
+    }
+    
+    messages.forEach(message => {
+      const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const name = blessed.escape(message.playerName);
+      const text = blessed.escape(message.text);
+      content += message.action ?
+        `{gray-fg}${time}{/gray-fg} {magenta-fg}* ${name} ${text}{/magenta-fg}\n` :
+        `{gray-fg}${time}{/gray-fg} {cyan-fg}${name}:{/cyan-fg} ${text}\n`;
+    });
+    
     this.chatView.setContent(content);
+    
+    // Follow new messages, but leave the scroll position alone otherwise
+    const newest = messages[messages.length - 1]?.id ?? null;
+    if (newest !== this.chatShown) {
+      this.chatShown = newest;
+      this.chatView.setScrollPerc(100);
+    }
   }
 
   /**
@@ -531,7 +1042,8 @@ class TerminalUI extends EventEmitter {
       goals.forEach((goal, index) => {
         const status = goal.achieved ? '{green-fg}✅{/green-fg}' : '{white-fg}❓{/white-fg}';
         const text = goal.text || String(goal);
-        content += `  ${status} Goal ${index + 1}: ${text}\n`;
+        const score = goal.evaluation && goal.score ? ` {cyan-fg}(${goal.score}/3){/cyan-fg}` : '';
+        content += `  ${status} Goal ${index + 1}: ${text}${score}\n`;
       });
     }
     
@@ -544,13 +1056,206 @@ class TerminalUI extends EventEmitter {
   }
 
   /**
-   * Request to skip the wait time
+   * Show the end-of-story competition results
    */
-  requestSkip() {
-    // Phase 1: Just show message
-    this.uiState.setMessage('Skip functionality will be implemented with story engine', 'yellow');
+  showCompetitionResults() {
+    const results = this.uiState.getCompetitionResults();
+    if (!results) return;
+
+    const medals = ['🥇', '🥈', '🥉'];
+    let content = '\n{center}{bold}🏆 COMPETITION RESULTS 🏆{/bold}{/center}\n\n';
+
+    results.leaderboard.forEach((entry, index) => {
+      const medal = medals[index] || '👤';
+      const you = entry.playerId === this.client.getPlayerId() ? ' {green-fg}(you){/green-fg}' : '';
+      content += `  ${medal} ${entry.rank}. ${entry.playerName}${you}: ${entry.totalScore}/${entry.maxPossibleScore} points\n`;
+    });
+
+    content += '\n{yellow-fg}Individual scores:{/yellow-fg}\n';
+
+    results.leaderboard.forEach(entry => {
+      content += `\n  {bold}${entry.playerName}{/bold} - ${entry.achievedGoals} goals achieved\n`;
+      entry.goals.forEach((goal, index) => {
+        const status = goal.score === 3 ? '{green-fg}✅{/green-fg}' : goal.score === 2 ? '{yellow-fg}⚠️{/yellow-fg}' : '{red-fg}❌{/red-fg}';
+        content += `    ${status} Goal ${index + 1} (${goal.score}pts): ${goal.text}\n`;
+      });
+    });
+
+    content += '\n{center}{white-fg}Press any key to return to story...{/white-fg}{/center}';
+
+    this.resultsModal.show(content);
+    this.resultsModal.setOnHide(() => {
+      this.inputBar.focus();
+    });
+  }
+
+  /**
+   * Show the player list; the host picks a player with ↑/↓ and acts on them
+   */
+  showPlayers() {
+    if (!this.uiState.getSession()) return;
+    
+    this.playersShown = true;
+    this.renderPlayers();
+    this.playersModal.setOnHide(() => {
+      this.playersShown = false;
+      this.playersModal.setKeyHandler(null);
+      this.inputBar.focus();
+    });
+    this.playersModal.setKeyHandler((ch, key) => this.handlePlayersKey(key));
+  }
+
+  renderPlayers() {
+    const players = this.uiState.getPlayers();
+    this.selectedPlayerIndex = Math.min(this.selectedPlayerIndex, Math.max(players.length - 1, 0));
+    
+    let content = '';
+    players.forEach((player, index) => {
+      const cursor = this.uiState.isHost() && index === this.selectedPlayerIndex ? '{yellow-fg}▶{/yellow-fg}' : ' ';
+      const tags = [
+        player.isHost ? '{green-fg}👑 host{/green-fg}' : '',
+        player.isMuted ? '{red-fg}🔇 muted{/red-fg}' : '',
+        player.isConnected ? '' : '{gray-fg}away{/gray-fg}',
+        player.id === this.client.getPlayerId() ? '{cyan-fg}(you){/cyan-fg}' : ''
+      ].filter(Boolean).join(' ');
+      content += `${cursor} ${index + 1}. ${blessed.escape(player.name)} ${tags}\n`;
+    });
+    
+    content += this.uiState.isHost() ?
+      '\n{gray-fg}↑/↓ pick a player · K kick · B ban · M mute/unmute · H make host · Q close{/gray-fg}' :
+      '\n{gray-fg}Only the host can moderate players · Q to close{/gray-fg}';
+    
+    this.playersModal.show(content);
+  }
+
+  async handlePlayersKey(key) {
+    if (!this.uiState.isHost()) return;
+    
+    const players = this.uiState.getPlayers();
+    const target = players[this.selectedPlayerIndex];
+    
+    if (key.name === 'up' || key.name === 'down') {
+      const step = key.name === 'up' ? -1 : 1;
+      this.selectedPlayerIndex = (this.selectedPlayerIndex + step + players.length) % players.length;
+      this.renderPlayers();
+      return;
+    }
+    
+    const command = { k: 'kick', b: 'ban', m: target?.isMuted ? 'unmute' : 'mute', h: 'host' }[key.name];
+    if (!command || !target) return;
     
-    // Phase 2 would emit: this.client.emit('skip_request');
+    const run = async () => {
+      const result = await this.inputProcessor.processCommand(`/${command} ${this.selectedPlayerIndex + 1}`);
+      this.uiState.setMessage(result.success ? result.message : result.error, result.success ? 'green' : 'red');
+    };
+    
+    // Removing a player cannot be undone, so ask first
+    if (command === 'kick' || command === 'ban') {
+      this.playersShown = false;
+      this.playersModal.showConfirm(`${command === 'ban' ? 'Ban' : 'Kick'} ${blessed.escape(target.name)}?`, run, () => this.showPlayers());
+    } else {
+      await run();
+    }
+  }
+
+  /**
+   * Show the direct and influence inputs waiting for the next segment; the
+   * host picks one with ↑/↓ and strikes it before it reaches the AI
+   */
+  async showQueue() {
+    if (!this.uiState.getSession()) return;
+    
+    this.queueShown = true;
+    await this.refreshQueue();
+    if (!this.queueShown) return;
+    
+    this.queueModal.setOnHide(() => {
+      this.queueShown = false;
+      this.queueModal.setKeyHandler(null);
+      this.inputBar.focus();
+    });
+    this.queueModal.setKeyHandler((ch, key) => this.handleQueueKey(key));
+  }
+
+  async refreshQueue() {
+    if (!this.queueShown) return;
+    
+    try {
+      const queue = await this.client.fetchPendingInputs();
+      this.queuedInputs = [
+        ...queue.direct.map(input => ({ ...input, type: 'direct' })),
+        ...queue.influence.map(input => ({ ...input, type: 'influence' }))
+      ];
+      this.queueGenerating = queue.generating;
+    } catch (error) {
+      this.queueShown = false;
+      this.queueModal.hide();
+      this.uiState.setMessage(`❌ ${error.message}`, 'red');
+      return;
+    }
+    
+    if (this.queueShown) {
+      this.renderQueue();
+    }
+  }
+
+  renderQueue() {
+    const inputs = this.queuedInputs;
+    this.selectedInputIndex = Math.min(this.selectedInputIndex, Math.max(inputs.length - 1, 0));
+    
+    let content = this.queueGenerating ?
+      '{yellow-fg}The next segment is being written from these inputs{/yellow-fg}\n\n' : '';
+    if (inputs.length === 0) {
+      content += '{gray-fg}No direct or influence inputs are waiting{/gray-fg}\n';
+    }
+    inputs.forEach((input, index) => {
+      const cursor = index === this.selectedInputIndex ? '{yellow-fg}▶{/yellow-fg}' : ' ';
+      const type = input.type === 'direct' ? '{green-fg}DIRECT{/green-fg}' : '{blue-fg}INFLUENCE{/blue-fg}';
+      content += `${cursor} #${input.id} ${type} ${blessed.escape(input.playerName)}: ${blessed.escape(input.content)}\n`;
+    });
+    
+    content += '\n{gray-fg}↑/↓ pick an input · S strike · R refresh · Q close{/gray-fg}';
+    this.queueModal.show(content);
+  }
+
+  async handleQueueKey(key) {
+    const inputs = this.queuedInputs;
+    
+    if ((key.name === 'up' || key.name === 'down') && inputs.length > 0) {
+      const step = key.name === 'up' ? -1 : 1;
+      this.selectedInputIndex = (this.selectedInputIndex + step + inputs.length) % inputs.length;
+      this.renderQueue();
+    } else if (key.name === 'r') {
+      await this.refreshQueue();
+    } else if (key.name === 's' && inputs[this.selectedInputIndex]) {
+      const result = await this.inputProcessor.processCommand(`/strike ${inputs[this.selectedInputIndex].id}`);
+      this.uiState.setMessage(result.success ? result.message : result.error, result.success ? 'green' : 'red');
+    }
+  }
+
+  /**
+   * Request to skip the wait time
+   */
+  async requestSkip() {
+    // A story that waits for everyone to be ready has nothing to skip; ↓ marks you ready instead
+    const result = await this.inputProcessor.processCommand(this.uiState.isReadyPaced() ? '/ready' : '/skip');
+    if (result.success) {
+      this.uiState.setMessage(result.message, 'green');
+    } else {
+      this.uiState.setMessage(result.error, 'red');
+    }
+  }
+
+  /**
+   * Download the story export and save it locally
+   */
+  async saveExport() {
+    try {
+      const filePath = await this.client.saveExport();
+      this.uiState.setMessage(`📄 Story exported to: ${filePath}`, 'green');
+    } catch (error) {
+      this.uiState.setMessage(`❌ Export failed: ${error.message}`, 'red');
+    }
   }
 
   /**
@@ -574,12 +1279,60 @@ class TerminalUI extends EventEmitter {
   Tab          Switch between Direct/Influence input modes
   Enter        Submit current input
   G            View secret goals (competition mode)
-  ↓            Request to skip wait time
+  ↓            Ask to skip the wait (or mark ready in ready-paced stories)
+  Ctrl+E       Save the story as markdown
+  Ctrl+B       Switch between the story and the story bible
+  Ctrl+T       Switch between the story and the chat
+  Ctrl+P       Player list (the host can kick, ban, mute and hand over)
   C            Configuration panel (Phase 3)
-  Shift+Tab    Cycle views (Phase 2) 
+  Shift+Tab    Cycle views: story, bible, direct, influence, live, chat
+  Alt+1-6      Jump straight to a view
   ?            Show this help
   Esc/Ctrl+C   Exit
 
+{bold}Players:{/bold}
+  /players     Show the player list
+  /kick 2      Remove player 2 (host); /ban 2 also keeps them out
+  /mute 2      Stop player 2 sending story input (host); /unmute 2
+  /host 2      Make player 2 the host
+
+{bold}Removing Content (host):{/bold}
+  /queue       Show the inputs waiting for the next segment
+  /strike 7    Drop input #7 before it reaches the AI
+  /retract 4 <reason>  Take segment 4 out of the story (no number: the latest)
+
+{bold}Typing:{/bold}
+  /drafts      Toggle letting others see your drafts in their Live view
+               (they always see that you are typing; drafts are never saved)
+
+{bold}Chat:{/bold}
+  /chat hi     Talk to the other players (or just type in the chat view)
+  /me waves    Send an action: * Name waves
+  /export chat Save the story with the chat log; never sent to the AI
+
+{bold}Voting:{/bold}
+  /vote 2      Pick candidate 2 for the next segment (voting mode)
+
+{bold}Pacing:{/bold}
+  /skip        Ask to skip to the next segment (others may need to agree)
+  /ready       Toggle being ready for the next segment (ready-paced stories)
+  /pass        End your turn early (turn-based stories)
+
+{bold}Adventure Mode:{/bold}
+  /choose 2    Pick choice 2 for what happens next
+  Influence input adds a write-in choice, if the host allowed them
+
+{bold}Story Bible (host):{/bold}
+  /pin 3       Keep entry #3 true in every later segment
+  /unpin 3     Release a pinned entry
+  /correct 3 <text>  Fix what the bible says about entry #3
+
+{bold}Branches:{/bold}
+  /rewind 4    Continue from segment 4 (host; others start a vote)
+  /branches    List the story's branches
+  /branch 2    Read branch 2; /branch returns to the story
+  /export tree Save the story with all its branches
+
 {bold}Input Modes:{/bold}
   {yellow-fg}SEEDING{/yellow-fg}     Create initial story foundation (30 seconds)
   {green-fg}DIRECT{/green-fg}      Write exact text to include in story
@@ -616,10 +1369,8 @@ class TerminalUI extends EventEmitter {
     this.storyView.render(this.uiState);
     this.inputBar.render(this.uiState);
     
-    // Update view-specific content if needed
-    if (this.views[this.currentViewIndex] !== 'story') {
-      this.showCurrentView();
-    }
+    // Update view-specific content
+    this.updateCurrentView();
     
     // Render screen
     this.screen.render();
@@ -646,8 +1397,11 @@ class TerminalUI extends EventEmitter {
       
       // Destroy all modals
       if (this.goalsModal) this.goalsModal.destroy();
+      if (this.resultsModal) this.resultsModal.destroy();
       if (this.helpModal) this.helpModal.destroy();
       if (this.configModal) this.configModal.destroy();
+      if (this.playersModal) this.playersModal.destroy();
+      if (this.queueModal) this.queueModal.destroy();
       
       // Destroy input bar
       if (this.inputBar) this.inputBar.destroy();
@@ -7,6 +7,8 @@ const EventEmitter = require('events');
  * - Session information
  * - Story content and segments
  * - Recent player inputs
+ * - Player chat
+ * - Who is typing, with their drafts if they share them
  * - Player goals (competition mode)
  * - Status messages
  * - Countdown timer
@@ -22,13 +24,49 @@ class UIState extends EventEmitter {
     
     // Story state
     this.storySegments = [];
+    this.pendingSegment = null; // Segment still streaming in: { segmentNumber, text }
     this.recentInputs = [];
     this.maxRecentInputs = 10;
     
     // Competition state
     this.playerGoals = [];
+    this.competitionResults = null;
+
+    // Latest AI budget warning for this session
+    this.budgetStatus = null;
+
+    // Story bible entries: characters, locations, items and facts
+    this.storyBible = [];
+
+    // Open vote between candidate segments: { segmentNumber, candidates, closesAt, tally, myVote }
+    this.segmentVote = null;
+
+    // Current turn in turn-based stories: { number, playerId, playerName, endsAt, ended }
+    this.turn = null;
+
+    // Open request to skip the wait: { requestedBy, votes, needed }
+    this.skipVote = null;
+
+    // Who is ready for the next segment when ready-paced: { ready: [{ id, name }], needed }
+    this.readyState = null;
+
+    // Choices open after the latest segment in adventure mode: { segmentNumber, choices, closesAt, tally, myChoice }
+    this.storyChoices = null;
+
+    // Players typing right now: playerId -> { playerName, mode, text, updatedAt }.
+    // text is null for players who keep their drafts private
+    this.typingPlayers = new Map();
+    this.typingTimeout = 5000; // Forget a typist we have not heard from in this long
+
+    // Chat between players: { id, playerName, text, action, timestamp }
+    this.chatMessages = [];
+    this.maxChatMessages = 200;
+
+    // Abandoned story branch shown instead of the live story, if any
+    this.viewedBranch = null;
     
     // UI state
+    this.currentView = 'story';
     this.currentInputMode = 'influence';
     this.statusMessage = '';
     this.statusMessageColor = 'white';
@@ -52,6 +90,10 @@ class UIState extends EventEmitter {
     if (session?.storyState?.segmentTimeRemaining !== undefined) {
       this.segmentTimeRemaining = session.storyState.segmentTimeRemaining;
     }
+
+    if (session?.storyState?.turn !== undefined) {
+      this.turn = session.storyState.turn;
+    }
     
     this.emit('change', { type: 'session', session });
   }
@@ -69,9 +111,53 @@ class UIState extends EventEmitter {
   // Story content management
   addStorySegment(segment) {
     this.storySegments.push(segment);
+    this.pendingSegment = null;
+    this.skipVote = null;
     this.emit('change', { type: 'story_segment', segment });
   }
 
+  // Offset 0 starts a segment over, e.g. when the server falls back to another model
+  applySegmentDelta({ segmentNumber, delta, offset }) {
+    if (offset === 0) {
+      this.pendingSegment = { segmentNumber, text: '' };
+    }
+
+    // Out of step (joined mid-stream): wait for a restart or the final segment
+    const pending = this.pendingSegment;
+    if (!pending || pending.segmentNumber !== segmentNumber || pending.text.length !== offset) {
+      return;
+    }
+
+    pending.text += delta;
+    this.emit('change', { type: 'segment_delta', segmentNumber });
+  }
+
+  getPendingSegment() {
+    return this.pendingSegment;
+  }
+
+  discardPendingSegment() {
+    if (!this.pendingSegment) return;
+    this.pendingSegment = null;
+    this.emit('change', { type: 'segment_discarded' });
+  }
+
+  // A rewind or retraction leaves the story at its kept segments
+  setStorySegments(segments) {
+    this.storySegments = [...segments];
+    this.pendingSegment = null;
+    this.emit('change', { type: 'story_rewound', segmentCount: segments.length });
+  }
+
+  setViewedBranch(branch) {
+    this.viewedBranch = branch;
+    this.emit('change', { type: 'viewed_branch', branch });
+  }
+
+  getViewedBranch() {
+    return this.viewedBranch;
+  }
+
   getFullStory() {
     return this.storySegments
       .map(seg => seg.text || seg)
@@ -80,15 +166,18 @@ class UIState extends EventEmitter {
 
   clearStory() {
     this.storySegments = [];
+    this.pendingSegment = null;
     this.emit('change', { type: 'story_clear' });
   }
 
-  // Input tracking
-  addRecentInput(inputText) {
+  // Input tracking; details.inputId lets a struck input be taken out again, details.own marks ours
+  addRecentInput(inputText, details = {}) {
     // Add timestamp to input
     const inputWithTimestamp = {
       text: inputText,
-      timestamp: new Date()
+      timestamp: new Date(),
+      inputId: details.inputId ?? null,
+      own: Boolean(details.own)
     };
     
     // Add to end of array (newest at bottom)
@@ -102,10 +191,53 @@ class UIState extends EventEmitter {
     this.emit('change', { type: 'input_added', input: inputText });
   }
 
+  // An input the host struck; returns the removed entry, if it was listed
+  removeRecentInput(inputId) {
+    const index = this.recentInputs.findIndex(input => input.inputId !== null && input.inputId === inputId);
+    if (index === -1) return null;
+
+    const [removed] = this.recentInputs.splice(index, 1);
+    this.emit('change', { type: 'input_removed', input: removed.text });
+    return removed;
+  }
+
   getRecentInputs() {
     return this.recentInputs;
   }
 
+  // Typing presence
+  setPlayerTyping({ playerId, playerName, active, mode, text }) {
+    if (active) {
+      this.typingPlayers.set(playerId, { playerName, mode, text: text ?? null, updatedAt: Date.now() });
+    } else if (!this.typingPlayers.delete(playerId)) {
+      return;
+    }
+    this.emit('change', { type: 'typing', playerId, active });
+  }
+
+  getTypingPlayers() {
+    const now = Date.now();
+    return Array.from(this.typingPlayers.values()).filter(typist => now - typist.updatedAt < this.typingTimeout);
+  }
+
+  // Player chat
+  addChatMessage(message) {
+    this.chatMessages.push(message);
+    if (this.chatMessages.length > this.maxChatMessages) {
+      this.chatMessages.shift();
+    }
+    this.emit('change', { type: 'chat_message', message });
+  }
+
+  setChatMessages(messages) {
+    this.chatMessages = (messages || []).slice(-this.maxChatMessages);
+    this.emit('change', { type: 'chat_history' });
+  }
+
+  getChatMessages() {
+    return this.chatMessages;
+  }
+
   // Competition goals
   setGoals(goals) {
     this.playerGoals = goals || [];
@@ -116,6 +248,147 @@ class UIState extends EventEmitter {
     return this.playerGoals;
   }
 
+  setCompetitionResults(results) {
+    this.competitionResults = results;
+
+    // Reflect our own scored goals in the goals view
+    const ownScore = results?.playerScores?.[this.playerId];
+    if (ownScore) {
+      this.playerGoals = ownScore.goals;
+    }
+
+    this.emit('change', { type: 'competition_results', results });
+  }
+
+  getCompetitionResults() {
+    return this.competitionResults;
+  }
+
+  // AI budget
+  setBudgetStatus(status) {
+    this.budgetStatus = status;
+    this.emit('change', { type: 'budget', status });
+  }
+
+  getBudgetStatus() {
+    return this.budgetStatus;
+  }
+
+  // Story bible
+  setStoryBible(entries) {
+    this.storyBible = entries || [];
+    this.emit('change', { type: 'story_bible', entries: this.storyBible });
+  }
+
+  getStoryBible() {
+    return this.storyBible;
+  }
+
+  // Segment voting
+  setSegmentVote({ segmentNumber, candidates, closesAt }) {
+    this.segmentVote = {
+      segmentNumber,
+      candidates,
+      closesAt: new Date(closesAt),
+      tally: candidates.map(() => 0),
+      myVote: null
+    };
+    this.emit('change', { type: 'segment_vote', segmentNumber });
+  }
+
+  updateSegmentVote({ segmentNumber, tally, myVote }) {
+    const vote = this.segmentVote;
+    if (!vote || vote.segmentNumber !== segmentNumber) return;
+
+    if (tally) vote.tally = tally;
+    if (myVote !== undefined) vote.myVote = myVote;
+    this.emit('change', { type: 'segment_vote_update', segmentNumber });
+  }
+
+  clearSegmentVote() {
+    if (!this.segmentVote) return;
+    this.segmentVote = null;
+    this.emit('change', { type: 'segment_vote_closed' });
+  }
+
+  getSegmentVote() {
+    return this.segmentVote;
+  }
+
+  // Turn-based pacing
+  setTurn(turn) {
+    this.turn = turn;
+    this.emit('change', { type: 'turn', turn });
+  }
+
+  // The turn being played, or null between turns
+  getTurn() {
+    return this.turn && !this.turn.ended ? this.turn : null;
+  }
+
+  isMyTurn() {
+    return this.getTurn()?.playerId === this.playerId;
+  }
+
+  isTurnBased() {
+    return this.session?.config?.storyPacing?.mode === 'turns';
+  }
+
+  // Skipping and ready pacing
+  setSkipVote(vote) {
+    this.skipVote = vote && !vote.passed ? vote : null;
+    this.emit('change', { type: 'skip_vote', vote });
+  }
+
+  getSkipVote() {
+    return this.skipVote;
+  }
+
+  setReadyState(readyState) {
+    this.readyState = readyState;
+    this.emit('change', { type: 'ready', readyState });
+  }
+
+  getReadyState() {
+    return this.readyState;
+  }
+
+  isReadyPaced() {
+    return this.session?.config?.storyPacing?.mode === 'ready';
+  }
+
+  // Adventure mode choices
+  setStoryChoices({ segmentNumber, choices, closesAt, tally }) {
+    const myChoice = this.storyChoices?.segmentNumber === segmentNumber ? this.storyChoices.myChoice : null;
+    this.storyChoices = {
+      segmentNumber,
+      choices,
+      closesAt: new Date(closesAt),
+      tally: tally || choices.map(() => 0),
+      myChoice
+    };
+    this.emit('change', { type: 'story_choices', segmentNumber });
+  }
+
+  updateStoryChoices({ segmentNumber, tally, myChoice }) {
+    const ballot = this.storyChoices;
+    if (!ballot || ballot.segmentNumber !== segmentNumber) return;
+
+    if (tally) ballot.tally = tally;
+    if (myChoice !== undefined) ballot.myChoice = myChoice;
+    this.emit('change', { type: 'story_choices_update', segmentNumber });
+  }
+
+  clearStoryChoices() {
+    if (!this.storyChoices) return;
+    this.storyChoices = null;
+    this.emit('change', { type: 'story_choices_closed' });
+  }
+
+  getStoryChoices() {
+    return this.storyChoices;
+  }
+
   markGoalAchieved(goalIndex) {
     if (this.playerGoals[goalIndex]) {
       this.playerGoals[goalIndex].achieved = true;
@@ -137,6 +410,16 @@ class UIState extends EventEmitter {
     return this.currentInputMode;
   }
 
+  // Active view: story, bible, direct, influence, live or chat
+  setCurrentView(view) {
+    this.currentView = view;
+    this.emit('change', { type: 'view', view });
+  }
+
+  getCurrentView() {
+    return this.currentView;
+  }
+
   // Status messages
   setMessage(message, color = 'white') {
     this.statusMessage = message;
@@ -219,14 +502,24 @@ class UIState extends EventEmitter {
     return this.session?.storyState?.isCompleted || false;
   }
 
+  isAdventureMode() {
+    return this.session?.config?.mode === 'adventure';
+  }
+
   getPhaseText() {
-    if (this.isStoryComplete()) return 'COMPLETE';
-    if (this.isInSeedingPhase()) return 'SEEDING';
-    if (this.isStoryActive()) return 'STORY';
-    return 'WAITING';
+    const mode = this.isAdventureMode() ? ' · ADVENTURE' : '';
+    if (this.isStoryComplete()) return 'COMPLETE' + mode;
+    if (this.isInSeedingPhase()) return 'SEEDING' + mode;
+    if (this.isStoryActive()) return 'STORY' + mode;
+    return 'WAITING' + mode;
   }
 
   // Player information
+  // Everyone seated in the session, connected or not, in join order
+  getPlayers() {
+    return this.session?.players || [];
+  }
+
   getConnectedPlayers() {
     if (!this.session?.players) return [];
     return this.session.players.filter(p => p.isConnected);
@@ -242,6 +535,10 @@ class UIState extends EventEmitter {
     return player?.isHost || false;
   }
 
+  isMuted() {
+    return this.getPlayers().find(p => p.id === this.playerId)?.isMuted || false;
+  }
+
   getHostPlayer() {
     if (!this.session?.players) return null;
     return this.session.players.find(p => p.isHost) || null;
@@ -252,8 +549,20 @@ class UIState extends EventEmitter {
     this.stopTicker();
     this.session = null;
     this.storySegments = [];
+    this.pendingSegment = null;
     this.recentInputs = [];
     this.playerGoals = [];
+    this.competitionResults = null;
+    this.budgetStatus = null;
+    this.storyBible = [];
+    this.segmentVote = null;
+    this.storyChoices = null;
+    this.turn = null;
+    this.skipVote = null;
+    this.readyState = null;
+    this.chatMessages = [];
+    this.typingPlayers.clear();
+    this.viewedBranch = null;
     this.statusMessage = '';
     this.timeRemaining = 0;
     this.emit('change', { type: 'reset' });
@@ -1,146 +1,519 @@
-const { spawn } = require('child_process');
 const path = require('path');
 const EventEmitter = require('events');
+const PromptTemplates = require('./promptTemplates');
+const PythonWorkerPool = require('./pythonWorkerPool');
+const CassetteStore = require('./cassetteStore');
+const UsageTracker = require('./usageTracker');
+const BudgetGuard = require('./budgetGuard');
+const CircuitBreaker = require('./circuitBreaker');
+const RequestScheduler = require('./requestScheduler');
+const Utils = require('../shared/utils');
+const { getProviderType, isNativeProvider, createProvider } = require('./providers');
 
 class LiteLLMBridge extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
     this.activeRequests = 0;
-    this.requestQueue = [];
+    this.scheduler = new RequestScheduler();
+    this.requests = new Map(); // requestId -> queued or running request
+    this.nextRequestId = 1;
     this.maxConcurrent = config.server?.aiRequestQueue?.maxConcurrent || 10;
     this.timeout = config.server?.aiRequestQueue?.timeout || 30000;
+
+    // Native adapters are used for known providers; "litellm" forces the Python bridge
+    this.bridgeMode = config.aiModel?.bridge || 'native';
+    this.providersConfig = config.aiModel?.providers || {};
+    this.providers = new Map();
+    this.templates = new PromptTemplates(config.prompts.configFile);
+
+    // Python workers are started on first use, one per concurrent request
+    this.workerPool = null;
+
+    // Models tried, in order, after the requested one: [{ provider, model }]
+    this.fallbacks = config.aiModel?.fallbacks || [];
+    const retry = config.aiModel?.retry || {};
+    this.retry = {
+      maxAttempts: retry.maxAttempts || 3,
+      baseDelay: retry.baseDelay ?? 1000,
+      maxDelay: retry.maxDelay || 15000
+    };
+    this.circuitBreakerConfig = config.aiModel?.circuitBreaker || {};
+    this.breakers = new Map(); // "provider/model" -> CircuitBreaker
+
+    this.cassettes = new CassetteStore(config.aiModel?.cassettes);
+    this.cassettes.on('record_failed', (data) => this.emit('cassette_error', data));
+
+    this.usage = new UsageTracker(config);
+    this.usage.on('usage_recorded', (entry) => this.emit('usage_recorded', entry));
+
+    this.budgets = new BudgetGuard(config, this.usage);
+    this.budgets.on('budget_warning', (data) => this.emit('budget_warning', data));
   }
 
-  async executeTemplate(templateName, variables) {
-    return new Promise((resolve, reject) => {
-      // Add to queue if at max capacity
-      if (this.activeRequests >= this.maxConcurrent) {
-        this.requestQueue.push(() => this._executeNow(templateName, variables, resolve, reject));
-        return;
-      }
+  async executeTemplate(templateName, variables, options = {}) {
+    return this.scheduleTemplate(templateName, variables, options).promise;
+  }
+
+  /**
+   * Queue a template call and return `{ id, promise }`; pass the id to
+   * cancelRequest() to drop it. Options:
+   * - sessionId, playerId: attribute the call for fairness, cassettes and usage
+   * - priority: override the class derived from the template name
+   * - deadline: Date or epoch ms after which the result is no longer wanted
+   * - allowOverBudget: let the call through once the session's budget is used up
+   * - onDelta(text, offset): stream the answer as it is generated; offset is
+   *   where the text starts, and drops back to 0 when a fallback model restarts
+   */
+  scheduleTemplate(templateName, variables, options = {}) {
+    if (options.sessionId && !options.allowOverBudget && this.budgets.isExceeded(options.sessionId)) {
+      const error = new Error('AI budget exhausted for this session');
+      error.code = 'BUDGET_EXCEEDED';
+      return { id: null, promise: Promise.reject(error) };
+    }
 
-      this._executeNow(templateName, variables, resolve, reject);
+    const request = {
+      id: this.nextRequestId++,
+      templateName,
+      variables,
+      options,
+      sessionId: options.sessionId || null,
+      priorityClass: options.priority || RequestScheduler.getPriorityClass(templateName),
+      controller: new AbortController(),
+      state: 'queued',
+      queuedAt: Date.now()
+    };
+    const promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
     });
+
+    if (options.deadline) {
+      const remaining = new Date(options.deadline).getTime() - Date.now();
+      request.deadlineTimer = setTimeout(() => this.cancelRequest(request.id, 'deadline'), Math.max(0, remaining));
+    }
+
+    this.requests.set(request.id, request);
+    this.scheduler.enqueue(request);
+    this._processQueue();
+
+    return { id: request.id, promise };
   }
 
-  _executeNow(templateName, variables, resolve, reject) {
-    this.activeRequests++;
-    this.emit('request_started', { templateName, activeRequests: this.activeRequests });
+  // Queued requests are dropped; running ones are aborted mid-flight
+  cancelRequest(requestId, reason = 'cancelled') {
+    const request = this.requests.get(requestId);
+    if (!request) return false;
 
-    const pythonPath = process.env.PYTHON_PATH || 'python3.11';
-    const bridgeScript = path.join(__dirname, 'litellm_bridge.py');
-    
-    const python = spawn(pythonPath, [bridgeScript], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    const error = reason === 'deadline' ?
+      new Error(`AI request ${request.templateName} missed its deadline`) :
+      new Error(`AI request ${request.templateName} ${reason}`);
+    error.code = reason === 'deadline' ? 'DEADLINE_EXCEEDED' : 'REQUEST_CANCELLED';
 
-    const inputData = {
-      pdl_file: this.config.prompts.configFile,
-      template: templateName,
-      variables: variables
-    };
+    if (request.state === 'queued') {
+      this.scheduler.remove(requestId);
+      this.requests.delete(requestId);
+      clearTimeout(request.deadlineTimer);
+      this.emit('request_dropped', {
+        templateName: request.templateName,
+        sessionId: request.sessionId,
+        priorityClass: request.priorityClass,
+        reason: error.code
+      });
+      request.reject(error);
+    } else {
+      request.controller.abort(error);
+    }
+    return true;
+  }
 
-    let output = '';
-    let errorOutput = '';
+  // Drop everything still pending for a session, e.g. once it has ended
+  cancelSession(sessionId, reason = 'cancelled') {
+    const ids = Array.from(this.requests.values())
+      .filter(request => request.sessionId === sessionId)
+      .map(request => request.id);
 
-    // Set timeout for the request
-    const timeoutId = setTimeout(() => {
-      python.kill('SIGTERM');
-      this._handleRequestComplete();
-      reject(new Error(`AI request timeout after ${this.timeout}ms`));
-    }, this.timeout);
+    ids.forEach(id => this.cancelRequest(id, reason));
+    return ids.length;
+  }
 
-    python.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+  _processQueue() {
+    while (this.activeRequests < this.maxConcurrent && this.scheduler.size > 0) {
+      this._executeNow(this.scheduler.dequeue());
+    }
+  }
 
-    python.stderr.on('data', (data) => {
-      errorOutput += data.toString();
+  _executeNow(request) {
+    const { templateName, variables, options, resolve, reject } = request;
+    const signal = request.controller.signal;
+
+    request.state = 'running';
+    this.activeRequests++;
+    this.emit('request_started', {
+      templateName,
+      priorityClass: request.priorityClass,
+      waitedMs: Date.now() - request.queuedAt,
+      activeRequests: this.activeRequests
     });
+    const startedAt = Date.now();
 
-    python.on('close', (code) => {
-      clearTimeout(timeoutId);
-      this._handleRequestComplete();
+    // A replayed session gets exactly the recorded answers, fallbacks included
+    const execution = this.cassettes.isReplaying() ?
+      this._executeFromCassette(templateName, variables) :
+      this._executeWithFallback(templateName, variables, signal, options.onDelta);
 
-      if (code === 0) {
-        try {
-          const result = JSON.parse(output);
-          if (result.success) {
-            this.emit('request_completed', { 
-              templateName, 
-              success: true, 
-              activeRequests: this.activeRequests 
-            });
-            resolve(result);
-          } else {
-            this.emit('request_failed', { 
-              templateName, 
-              error: result.error, 
-              activeRequests: this.activeRequests 
-            });
-            reject(new Error(`AI Error: ${result.error}`));
-          }
-        } catch (parseError) {
-          this.emit('request_failed', { 
-            templateName, 
-            error: 'Invalid JSON response', 
-            activeRequests: this.activeRequests 
+    execution
+      .then((result) => {
+        const latencyMs = Date.now() - startedAt;
+        this.cassettes.record(options.sessionId, {
+          templateName,
+          variables,
+          response: result,
+          durationMs: latencyMs
+        });
+        const usage = this._recordUsage(templateName, variables, options, result, latencyMs);
+        this._handleRequestComplete(request);
+        this.emit('request_completed', { 
+          templateName, 
+          success: true, 
+          provider: result.provider,
+          model: result.model,
+          requestedModel: variables.model_name,
+          fallbackUsed: Boolean(result.fallbackUsed),
+          failedAttempts: result.failedAttempts || [],
+          usage,
+          activeRequests: this.activeRequests 
+        });
+        resolve(result);
+      })
+      .catch((error) => {
+        const latencyMs = Date.now() - startedAt;
+        // A cancellation says nothing about the model, so a replay should not see it
+        if (!signal.aborted) {
+          this.cassettes.record(options.sessionId, {
+            templateName,
+            variables,
+            error: error.message,
+            durationMs: latencyMs
           });
-          reject(new Error(`Failed to parse AI response: ${parseError.message}`));
         }
-      } else {
+        this._recordUsage(templateName, variables, options, null, latencyMs);
+        this._handleRequestComplete(request);
         this.emit('request_failed', { 
           templateName, 
-          error: `Process exited with code ${code}`, 
+          error: error.message, 
+          code: error.code,
+          requestedModel: variables.model_name,
+          failedAttempts: error.attempts || [],
           activeRequests: this.activeRequests 
         });
-        reject(new Error(`Python process exited with code ${code}. Error: ${errorOutput}`));
+        reject(error);
+      });
+  }
+
+  // Failed calls are recorded with their latency but no tokens
+  _recordUsage(templateName, variables, options, result, latencyMs) {
+    const usage = result ? (result.usage || this._estimateUsage(templateName, variables, result.content)) : null;
+
+    return this.usage.record({
+      sessionId: options.sessionId,
+      playerId: options.playerId,
+      templateName,
+      provider: result?.provider || variables.model_provider || this.config.aiModel.provider,
+      model: result?.model,
+      requestedModel: variables.model_name,
+      promptTokens: usage?.promptTokens,
+      completionTokens: usage?.completionTokens,
+      latencyMs,
+      success: Boolean(result),
+      estimated: Boolean(result && !result.usage),
+      replayed: result?.replayed
+    });
+  }
+
+  // The Python bridge reports no token counts; approximate them at ~4 characters per token
+  _estimateUsage(templateName, variables, content = '') {
+    let prompt = '';
+    try {
+      prompt = this.templates.render(templateName, variables).prompt;
+    } catch (error) {
+      // Unknown template; count the completion only
+    }
+
+    return {
+      promptTokens: Math.ceil(prompt.length / 4),
+      completionTokens: Math.ceil(String(content || '').length / 4)
+    };
+  }
+
+  getSessionUsage(sessionId) {
+    return this.usage.getSessionUsage(sessionId);
+  }
+
+  getBudgetStatus(sessionId) {
+    return this.budgets.getStatus(sessionId);
+  }
+
+  setSessionBudget(sessionId, limits) {
+    return this.budgets.setSessionBudget(sessionId, limits);
+  }
+
+  // The requested model first, then the configured fallbacks
+  _getModelChain(variables) {
+    const requested = {
+      provider: variables.model_provider || this.config.aiModel.provider,
+      model: variables.model_name || this.config.aiModel.model
+    };
+
+    const chain = [requested];
+    for (const fallback of this.fallbacks) {
+      const candidate = { provider: fallback.provider || requested.provider, model: fallback.model };
+      if (candidate.model && !chain.some(c => c.provider === candidate.provider && c.model === candidate.model)) {
+        chain.push(candidate);
       }
+    }
+    return chain;
+  }
+
+  _getBreaker({ provider, model }) {
+    const name = `${provider}/${model}`;
+    if (!this.breakers.has(name)) {
+      const breaker = new CircuitBreaker(name, this.circuitBreakerConfig);
+      breaker.on('state_change', (data) => this.emit('circuit_state_changed', data));
+      this.breakers.set(name, breaker);
+    }
+    return this.breakers.get(name);
+  }
+
+  // Equal jitter: half the capped exponential delay, plus a random share of the other half
+  _getBackoffDelay(round) {
+    const delay = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (round - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Walk the model chain until a model answers, skipping models whose
+   * circuit is open. Each pass over the chain is one attempt; passes are
+   * separated by a jittered exponential backoff.
+   */
+  async _executeWithFallback(templateName, variables, signal, onDelta) {
+    const chain = this._getModelChain(variables);
+    const failedAttempts = [];
+
+    for (let round = 0; round < this.retry.maxAttempts; round++) {
+      if (round > 0) {
+        await this._abortable(Utils.sleep(this._getBackoffDelay(round)), signal);
+      }
+
+      for (const [index, candidate] of chain.entries()) {
+        const breaker = this._getBreaker(candidate);
+        if (!breaker.canRequest()) continue;
+
+        // Every attempt streams from the start of the text again
+        let streamed = 0;
+        const onAttemptDelta = onDelta && ((delta) => {
+          if (signal?.aborted) return;
+          onDelta(delta, streamed);
+          streamed += delta.length;
+        });
+
+        try {
+          const result = await this._abortable(this._executeRequest(templateName, {
+            ...variables,
+            model_provider: candidate.provider,
+            model_name: candidate.model
+          }, signal, onAttemptDelta), signal);
+          breaker.recordSuccess();
+
+          return {
+            ...result,
+            provider: result.provider || candidate.provider,
+            model: result.model || candidate.model,
+            fallbackUsed: index > 0,
+            failedAttempts
+          };
+        } catch (error) {
+          if (signal?.aborted) {
+            breaker.releaseTrial();
+            throw signal.reason;
+          }
+          breaker.recordFailure(error);
+          failedAttempts.push({ provider: candidate.provider, model: candidate.model, error: error.message });
+          this.emit('model_failed', { templateName, provider: candidate.provider, model: candidate.model, error: error.message });
+        }
+      }
+    }
+
+    const lastAttempt = failedAttempts[failedAttempts.length - 1];
+    const error = new Error(lastAttempt ?
+      `All models failed after ${failedAttempts.length} attempt${failedAttempts.length === 1 ? '' : 's'}: ${lastAttempt.error}` :
+      'No model available: every circuit is open');
+    error.attempts = failedAttempts;
+    throw error;
+  }
+
+  // Settle as soon as the request is cancelled, whatever the step is waiting on
+  _abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
     });
+  }
+
+  // Route a request to a native adapter, or to the Python LiteLLM bridge for everything else
+  // (only native adapters stream; Python bridge answers arrive in one piece)
+  _executeRequest(templateName, variables, signal, onDelta) {
+    const provider = variables.model_provider || this.config.aiModel.provider;
+
+    // The mock provider has no LiteLLM counterpart, so it never goes through Python
+    if (getProviderType(provider, this.providersConfig) === 'mock' ||
+        (this.bridgeMode !== 'litellm' && isNativeProvider(provider, this.providersConfig))) {
+      return this._executeWithProvider(templateName, variables, signal, onDelta);
+    }
+
+    return this._executeWithPython(templateName, variables, signal);
+  }
+
+  // Recorded failures are replayed as failures so fallbacks run the same way
+  async _executeFromCassette(templateName, variables) {
+    const interaction = this.cassettes.replay(templateName, variables);
+    if (interaction.error) {
+      throw new Error(interaction.error);
+    }
+    return { ...interaction.response, replayed: true };
+  }
+
+  _getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name, this.providersConfig));
+    }
+    return this.providers.get(name);
+  }
+
+  async _executeWithProvider(templateName, variables, signal, onDelta) {
+    const request = this.templates.render(templateName, variables);
+    const provider = this._getProvider(request.provider);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const providerRequest = { ...request, variables, signal: controller.signal };
+      const response = onDelta ?
+        await provider.stream(providerRequest, onDelta) :
+        await provider.complete(providerRequest);
 
-    python.on('error', (error) => {
+      return {
+        success: true,
+        content: response.content.trim(),
+        template: templateName,
+        provider: request.provider,
+        model: response.model,
+        usage: response.usage
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (controller.signal.aborted) {
+        throw new Error(`AI request timeout after ${this.timeout}ms`);
+      }
+      throw new Error(`AI Error: ${error.message}`);
+    } finally {
       clearTimeout(timeoutId);
-      this._handleRequestComplete();
-      this.emit('request_failed', { 
-        templateName, 
-        error: error.message, 
-        activeRequests: this.activeRequests 
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  _getWorkerPool() {
+    if (!this.workerPool) {
+      const queueConfig = this.config.server?.aiRequestQueue || {};
+
+      this.workerPool = new PythonWorkerPool({
+        size: this.maxConcurrent,
+        pythonPath: process.env.PYTHON_PATH || 'python3.11',
+        scriptPath: path.join(__dirname, 'litellm_bridge.py'),
+        healthCheckInterval: queueConfig.healthCheckInterval,
+        healthCheckTimeout: queueConfig.healthCheckTimeout,
+        cancelGracePeriod: queueConfig.cancelGracePeriod
       });
-      reject(new Error(`Failed to start Python process: ${error.message}`));
-    });
 
-    // Send input data to Python script
+      for (const event of ['worker_ready', 'worker_crashed', 'worker_unhealthy', 'worker_stuck', 'worker_error']) {
+        this.workerPool.on(event, (data) => this.emit(event, data));
+      }
+    }
+    return this.workerPool;
+  }
+
+  async _executeWithPython(templateName, variables, signal) {
+    const workerPool = this._getWorkerPool();
+    const { id, promise } = workerPool.execute({
+      pdl_file: this.config.prompts.configFile,
+      template: templateName,
+      variables: variables
+    }, this.timeout);
+
+    // Free the worker as soon as nobody wants the answer
+    const onAbort = () => workerPool.cancel(id, signal.reason.message);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     try {
-      python.stdin.write(JSON.stringify(inputData));
-      python.stdin.end();
-    } catch (writeError) {
-      clearTimeout(timeoutId);
-      this._handleRequestComplete();
-      reject(new Error(`Failed to write to Python process: ${writeError.message}`));
+      const result = await promise;
+      return { ...result, model: variables.model_name };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
-  _handleRequestComplete() {
+  _handleRequestComplete(request) {
+    clearTimeout(request.deadlineTimer);
+    this.requests.delete(request.id);
     this.activeRequests--;
     
-    // Process next request in queue if available
-    if (this.requestQueue.length > 0 && this.activeRequests < this.maxConcurrent) {
-      const nextRequest = this.requestQueue.shift();
-      nextRequest();
-    }
+    // Start the next requests by priority
+    this._processQueue();
   }
 
   getStats() {
     return {
       activeRequests: this.activeRequests,
-      queuedRequests: this.requestQueue.length,
-      maxConcurrent: this.maxConcurrent
+      queuedRequests: this.scheduler.size,
+      queueDepth: this.scheduler.getDepths(),
+      maxConcurrent: this.maxConcurrent,
+      bridgeMode: this.bridgeMode,
+      pythonWorkers: this.workerPool ? this.workerPool.getStats() : null,
+      circuits: Array.from(this.breakers.values()).map(breaker => breaker.getStats()),
+      cassettes: this.cassettes.getStats()
     };
   }
 
+  async shutdown() {
+    for (const id of Array.from(this.requests.keys())) {
+      this.cancelRequest(id, 'cancelled at shutdown');
+    }
+
+    if (this.workerPool) {
+      this.workerPool.shutdown();
+      this.workerPool = null;
+    }
+    await this.cassettes.flush();
+  }
+
   // Test the bridge connection
   async testConnection() {
+    // A replayed session must not spend cassette entries on the start-up check
+    if (this.cassettes.isReplaying()) {
+      return { success: true, message: `Replaying AI calls from ${this.cassettes.replayFile}` };
+    }
+
     try {
       const testVariables = {
         model_provider: this.config.aiModel.provider,
@@ -152,7 +525,8 @@ class LiteLLMBridge extends EventEmitter {
       };
 
       const result = await this.executeTemplate('story_segment_generation', testVariables);
-      return { success: true, message: 'LiteLLM bridge connection successful' };
+      const servedBy = result.fallbackUsed ? ` (served by fallback ${result.provider}/${result.model})` : '';
+      return { success: true, message: `LiteLLM bridge connection successful${servedBy}` };
     } catch (error) {
       return { success: false, message: `LiteLLM bridge test failed: ${error.message}` };
     }
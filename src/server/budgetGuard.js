@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+
+const LEVELS = ['ok', 'warning', 'exceeded'];
+
+/**
+ * BudgetGuard - Token and dollar caps on AI spend
+ *
+ * `budgets.session` caps each session and `budgets.daily` caps the whole
+ * server for the current UTC day; both take `maxTokens` and/or `maxCost`.
+ * A host may set a tighter cap for their own session. Crossing
+ * `warningThreshold` or a cap emits `budget_warning` once per level.
+ */
+class BudgetGuard extends EventEmitter {
+  constructor(config, usageTracker) {
+    super();
+    const budgets = config.budgets || {};
+    this.usage = usageTracker;
+    this.sessionLimits = budgets.session || {};
+    this.dailyLimits = budgets.daily || {};
+    this.warningThreshold = budgets.warningThreshold ?? 0.8;
+
+    this.sessionBudgets = new Map(); // sessionId -> limits set by the host
+    this.reportedLevels = new Map(); // sessionId -> last level announced
+
+    this.usage.on('usage_recorded', (entry) => {
+      if (entry.sessionId) this.checkSession(entry.sessionId);
+    });
+  }
+
+  // A host's limits can only tighten the operator's
+  setSessionBudget(sessionId, limits = {}) {
+    const merged = {};
+
+    for (const key of ['maxTokens', 'maxCost']) {
+      const hostLimit = Number(limits?.[key]);
+      const operatorLimit = this.sessionLimits[key];
+
+      if (hostLimit > 0) {
+        merged[key] = operatorLimit ? Math.min(hostLimit, operatorLimit) : hostLimit;
+      } else if (operatorLimit) {
+        merged[key] = operatorLimit;
+      }
+    }
+
+    this.sessionBudgets.set(sessionId, merged);
+    return merged;
+  }
+
+  getSessionLimits(sessionId) {
+    return this.sessionBudgets.get(sessionId) || this.sessionLimits;
+  }
+
+  // Fraction of the tightest limit used; 0 when no limit is set
+  _usedFraction(totals, limits) {
+    const fractions = [0];
+    if (limits.maxTokens) fractions.push((totals?.totalTokens || 0) / limits.maxTokens);
+    if (limits.maxCost) fractions.push((totals?.cost || 0) / limits.maxCost);
+    return Math.max(...fractions);
+  }
+
+  _level(fraction) {
+    if (fraction >= 1) return 'exceeded';
+    if (fraction >= this.warningThreshold) return 'warning';
+    return 'ok';
+  }
+
+  getStatus(sessionId) {
+    const sessionUsage = this.usage.getSessionUsage(sessionId);
+    const sessionLimits = this.getSessionLimits(sessionId);
+    const sessionFraction = this._usedFraction(sessionUsage, sessionLimits);
+    const dailyFraction = this._usedFraction(this.usage.getDailyUsage(), this.dailyLimits);
+
+    const scope = dailyFraction > sessionFraction ? 'daily' : 'session';
+    const fraction = Math.max(sessionFraction, dailyFraction);
+
+    return {
+      level: this._level(fraction),
+      scope,
+      percent: Math.round(fraction * 100),
+      session: {
+        tokens: sessionUsage?.totalTokens || 0,
+        cost: sessionUsage?.cost || 0,
+        limits: sessionLimits
+      },
+      daily: {
+        tokens: this.usage.getDailyUsage().totalTokens,
+        cost: this.usage.getDailyUsage().cost,
+        limits: this.dailyLimits
+      }
+    };
+  }
+
+  isExceeded(sessionId) {
+    return this.getStatus(sessionId).level === 'exceeded';
+  }
+
+  isNearLimit(sessionId) {
+    return this.getStatus(sessionId).level !== 'ok';
+  }
+
+  checkSession(sessionId) {
+    const status = this.getStatus(sessionId);
+    const previous = this.reportedLevels.get(sessionId) || 'ok';
+
+    if (LEVELS.indexOf(status.level) > LEVELS.indexOf(previous)) {
+      this.reportedLevels.set(sessionId, status.level);
+
+      const budgetName = status.scope === 'daily' ? "The server's daily AI budget" : 'This story\'s AI budget';
+      const message = status.level === 'exceeded' ?
+        `${budgetName} is used up; the story will wrap up now` :
+        `${budgetName} is ${status.percent}% used; the story will save tokens from here on`;
+
+      this.emit('budget_warning', { sessionId, ...status, message });
+    }
+
+    return status;
+  }
+
+  clearSession(sessionId) {
+    this.sessionBudgets.delete(sessionId);
+    this.reportedLevels.delete(sessionId);
+  }
+}
+
+module.exports = BudgetGuard;
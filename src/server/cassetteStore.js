@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Stable JSON for matching: object keys sorted at every level
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * CassetteStore - Record and replay AI calls
+ *
+ * In "record" mode every executeTemplate call made for a session is
+ * appended to `<directory>/<sessionId>.jsonl`: template name, variables and
+ * the response (or error). In "replay" mode answers come from a recorded
+ * cassette instead of a model, so a session's generation can be re-run
+ * exactly.
+ */
+class CassetteStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.mode = options.mode || 'off';
+    this.directory = path.resolve(options.directory || './cassettes');
+    this.replayFile = options.replayFile ? path.resolve(options.replayFile) : null;
+    // Strict replay fails on any call the cassette does not contain verbatim
+    this.strict = options.strict === true;
+
+    this.sequences = new Map(); // sessionId -> last recorded sequence number
+    this.writeQueue = Promise.resolve();
+    this.interactions = null;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getCassettePath(sessionId) {
+    return path.join(this.directory, `${sessionId}.jsonl`);
+  }
+
+  // Appends are chained so lines land in call order
+  record(sessionId, entry) {
+    if (!this.isRecording() || !sessionId) return this.writeQueue;
+
+    const sequence = (this.sequences.get(sessionId) || 0) + 1;
+    this.sequences.set(sessionId, sequence);
+
+    const line = JSON.stringify({
+      sequence,
+      sessionId,
+      recordedAt: new Date().toISOString(),
+      ...entry
+    }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.promises.appendFile(this.getCassettePath(sessionId), line))
+      .catch((error) => {
+        this.emit('record_failed', { sessionId, error: error.message });
+      });
+
+    return this.writeQueue;
+  }
+
+  static load(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  _loadReplay() {
+    if (this.interactions) return;
+    if (!this.replayFile) {
+      throw new Error('Cassette replay needs aiModel.cassettes.replayFile');
+    }
+
+    this.interactions = CassetteStore.load(this.replayFile).map(interaction => ({
+      ...interaction,
+      key: canonicalJSON(interaction.variables),
+      used: false
+    }));
+  }
+
+  /**
+   * Find the recorded answer for a call. Identical calls are answered in
+   * recorded order; when nothing matches exactly (and replay is not strict)
+   * the next unused recording of the same template is used.
+   */
+  replay(templateName, variables) {
+    this._loadReplay();
+
+    const key = canonicalJSON(variables);
+    const unused = this.interactions.filter(interaction => !interaction.used && interaction.templateName === templateName);
+    let interaction = unused.find(candidate => candidate.key === key);
+
+    if (!interaction && !this.strict) {
+      interaction = unused[0];
+    }
+
+    if (!interaction) {
+      throw new Error(`No recorded '${templateName}' call matches these variables in ${path.basename(this.replayFile)}`);
+    }
+
+    interaction.used = true;
+    return interaction;
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      replayFile: this.replayFile,
+      remaining: this.interactions ? this.interactions.filter(interaction => !interaction.used).length : null
+    };
+  }
+
+  // Wait for pending appends, e.g. before shutdown
+  flush() {
+    return this.writeQueue;
+  }
+}
+
+module.exports = CassetteStore;
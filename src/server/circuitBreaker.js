@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+
+/**
+ * CircuitBreaker - Health of one provider/model pair
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and the
+ * model is skipped for `cooldown` ms. The next call after that is a trial
+ * (half-open): success closes the circuit again, failure re-opens it.
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 60000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+      this._setState('half_open');
+    }
+
+    if (this.state === 'closed') return true;
+
+    // Only one trial call at a time while half-open
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    this.trialInFlight = false;
+    this._setState('closed');
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this._setState('open');
+    }
+  }
+
+  // A cancelled trial says nothing about the model; the next call may try again
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.emit('state_change', {
+      name: this.name,
+      state,
+      previous,
+      failures: this.failures,
+      lastError: this.lastError
+    });
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
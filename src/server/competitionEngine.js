@@ -55,6 +55,36 @@ class CompetitionEngine extends EventEmitter {
     }
   }
 
+  // Rebuild competition state for a restored session from the goals saved on its players
+  restoreCompetition(sessionId, sessionManager) {
+    const session = sessionManager.getSession(sessionId);
+    if (!session || !session.competitionMode) {
+      return false;
+    }
+
+    const playerGoals = new Map();
+    for (const player of session.players.values()) {
+      if (player.goals && player.goals.length > 0) {
+        playerGoals.set(player.id, player.goals);
+      }
+    }
+
+    this.activeCompetitions.set(sessionId, {
+      sessionId,
+      sessionManager,
+      playerGoals,
+      playerScores: new Map(),
+      difficulty: this.config.competition.difficulty,
+      goalsPerPlayer: this.config.competition.goalsPerPlayer,
+      isInitialized: true,
+      isCompleted: false,
+      completedAt: null
+    });
+
+    this.logger.info(`Competition restored with goals for ${playerGoals.size} players`, sessionId);
+    return true;
+  }
+
   async generateGoalsForAllPlayers(sessionId) {
     const competition = this.activeCompetitions.get(sessionId);
     if (!competition) {
@@ -69,12 +99,14 @@ class CompetitionEngine extends EventEmitter {
     const players = Array.from(session.players.values());
     this.logger.info(`Generating goals for ${players.length} players`, sessionId);
 
-    for (const player of players) {
+    // All at once: the AI queue keeps goal generation behind live story segments
+    await Promise.all(players.map(async (player) => {
       try {
         const goals = await this.generateGoalsForPlayer(
           player.id, 
           competition.difficulty,
-          competition.goalsPerPlayer
+          competition.goalsPerPlayer,
+          sessionId
         );
         
         competition.playerGoals.set(player.id, goals);
@@ -99,10 +131,10 @@ class CompetitionEngine extends EventEmitter {
           sessionPlayer.goals = fallbackGoals;
         }
       }
-    }
+    }));
   }
 
-  async generateGoalsForPlayer(playerId, difficulty = 'medium', goalsCount = 5) {
+  async generateGoalsForPlayer(playerId, difficulty = 'medium', goalsCount = 5, sessionId = null) {
     const variables = {
       model_provider: this.config.aiModel.provider,
       model_name: this.config.aiModel.model,
@@ -110,7 +142,7 @@ class CompetitionEngine extends EventEmitter {
       difficulty: difficulty
     };
 
-    const result = await this.ai.executeTemplate('competition_goal_generation', variables);
+    const result = await this.ai.executeTemplate('competition_goal_generation', variables, { sessionId, playerId });
     
     if (!result.success) {
       throw new Error(result.error || 'Goal generation failed');
@@ -184,7 +216,8 @@ class CompetitionEngine extends EventEmitter {
       const goals = await this.generateGoalsForPlayer(
         playerId,
         competition.difficulty,
-        competition.goalsPerPlayer
+        competition.goalsPerPlayer,
+        sessionId
       );
 
       competition.playerGoals.set(playerId, goals);
@@ -230,7 +263,7 @@ class CompetitionEngine extends EventEmitter {
       this.logger.debug(`Scoring goals for player ${player.name}`, sessionId);
       
       try {
-        const scoredGoals = await this.scorePlayerGoals(goals, fullStory);
+        const scoredGoals = await this.scorePlayerGoals(goals, fullStory, sessionId);
         const totalScore = scoredGoals.reduce((sum, goal) => sum + goal.score, 0);
         const maxPossibleScore = goals.length * 3;
         
@@ -297,7 +330,7 @@ class CompetitionEngine extends EventEmitter {
     };
   }
 
-  async scorePlayerGoals(goals, fullStory) {
+  async scorePlayerGoals(goals, fullStory, sessionId = null) {
     const scoredGoals = [];
     
     for (const goal of goals) {
@@ -309,7 +342,7 @@ class CompetitionEngine extends EventEmitter {
           goal_statement: goal.text
         };
         
-        const result = await this.ai.executeTemplate('competition_goal_scoring', variables);
+        const result = await this.ai.executeTemplate('competition_goal_scoring', variables, { sessionId, playerId: goal.playerId });
         
         if (!result.success) {
           throw new Error(result.error || 'Goal scoring failed');
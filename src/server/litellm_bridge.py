@@ -6,107 +6,183 @@ from pdl.pdl import exec_file
 import yaml
 import os
 
-def main():
-    try:
-        # Read input from stdin (sent from Node.js)
-        input_data = json.loads(sys.stdin.read())
-        
-        # Load PDL template
-        pdl_file_path = input_data.get('pdl_file', './prompts/story-prompts.pdl')
-        
-        # Resolve relative paths
-        if not os.path.isabs(pdl_file_path):
-            # Get the directory of this script
-            script_dir = os.path.dirname(os.path.abspath(__file__))
-            # Go up two levels to get to project root
-            project_root = os.path.dirname(os.path.dirname(script_dir))
-            pdl_file_path = os.path.join(project_root, pdl_file_path)
-        
-        with open(pdl_file_path, 'r') as f:
-            pdl_config = yaml.safe_load(f)
-        
-        # Get the specific template
-        template_name = input_data.get('template')
-        if template_name not in pdl_config.get('defs', {}):
-            raise ValueError(f"Template '{template_name}' not found in PDL configuration")
-        
-        template = pdl_config['defs'][template_name]
-        variables = input_data.get('variables', {})
-        
-        # Since PDL templates are defined in 'defs', we need to call them properly
-        # Let's create a simple PDL that directly executes the template content
-        template_def = pdl_config['defs'][template_name]
-        
-        # Extract the text section from the template definition
-        template_text = template_def['text']
-        
-        # Create a PDL program with just the template content and our variables
-        from pdl.pdl import parse_str, exec_program
-        
-        # Convert the template definition to a direct PDL program
-        direct_pdl = yaml.dump({'text': template_text})
-        
-        parsed_tuple = parse_str(direct_pdl)
-        parsed_program = parsed_tuple[0]
-        result = exec_program(parsed_program, scope=variables)
-        
-        # Return result to Node.js
-        # PDL exec_program returns the final output as a string
-        result_str = str(result).strip()
-        
-        # Debug: check if result contains unexpected characters
-        if len(result_str) > 200:
-            result_preview = result_str[:200] + "..."
-        else:
-            result_preview = result_str
-            
-        output = {
-            'success': True,
-            'content': result_str,
-            'template': template_name,
-            'variables_used': list(variables.keys()),
-            'debug_preview': result_preview
-        }
-        
-        print(json.dumps(output))
-        
-    except FileNotFoundError as e:
-        error_output = {
+# Parsed PDL files, keyed by path; reloaded when the file changes on disk
+_pdl_cache = {}
+
+def resolve_pdl_path(pdl_file_path):
+    # Resolve relative paths
+    if not os.path.isabs(pdl_file_path):
+        # Get the directory of this script
+        script_dir = os.path.dirname(os.path.abspath(__file__))
+        # Go up two levels to get to project root
+        project_root = os.path.dirname(os.path.dirname(script_dir))
+        pdl_file_path = os.path.join(project_root, pdl_file_path)
+    return pdl_file_path
+
+def load_pdl_config(pdl_file_path):
+    mtime = os.path.getmtime(pdl_file_path)
+    cached = _pdl_cache.get(pdl_file_path)
+    if cached and cached[0] == mtime:
+        return cached[1]
+
+    with open(pdl_file_path, 'r') as f:
+        pdl_config = yaml.safe_load(f)
+
+    _pdl_cache[pdl_file_path] = (mtime, pdl_config)
+    return pdl_config
+
+def execute_request(input_data):
+    # Load PDL template
+    pdl_file_path = resolve_pdl_path(input_data.get('pdl_file', './prompts/story-prompts.pdl'))
+    pdl_config = load_pdl_config(pdl_file_path)
+
+    # Get the specific template
+    template_name = input_data.get('template')
+    if template_name not in pdl_config.get('defs', {}):
+        raise ValueError(f"Template '{template_name}' not found in PDL configuration")
+
+    variables = input_data.get('variables', {})
+
+    # Since PDL templates are defined in 'defs', we need to call them properly
+    # Let's create a simple PDL that directly executes the template content
+    template_def = pdl_config['defs'][template_name]
+
+    # Extract the text section from the template definition
+    template_text = template_def['text']
+
+    # Create a PDL program with just the template content and our variables
+    from pdl.pdl import parse_str, exec_program
+
+    # Convert the template definition to a direct PDL program
+    direct_pdl = yaml.dump({'text': template_text})
+
+    parsed_tuple = parse_str(direct_pdl)
+    parsed_program = parsed_tuple[0]
+    result = exec_program(parsed_program, scope=variables)
+
+    # Return result to Node.js
+    # PDL exec_program returns the final output as a string
+    result_str = str(result).strip()
+
+    # Debug: check if result contains unexpected characters
+    if len(result_str) > 200:
+        result_preview = result_str[:200] + "..."
+    else:
+        result_preview = result_str
+
+    return {
+        'success': True,
+        'content': result_str,
+        'template': template_name,
+        'variables_used': list(variables.keys()),
+        'debug_preview': result_preview
+    }
+
+def error_output(e):
+    if isinstance(e, FileNotFoundError):
+        return {
             'success': False,
             'error': f"PDL file not found: {e}",
             'error_type': 'file_not_found'
         }
-        print(json.dumps(error_output))
-        sys.exit(1)
-        
-    except yaml.YAMLError as e:
-        error_output = {
+
+    if isinstance(e, yaml.YAMLError):
+        return {
             'success': False,
             'error': f"YAML parsing error: {e}",
             'error_type': 'yaml_error'
         }
-        print(json.dumps(error_output))
-        sys.exit(1)
-        
-    except KeyError as e:
-        error_output = {
+
+    if isinstance(e, KeyError):
+        return {
             'success': False,
             'error': f"Missing required field: {e}",
             'error_type': 'missing_field'
         }
-        print(json.dumps(error_output))
-        sys.exit(1)
-        
+
+    import traceback
+    return {
+        'success': False,
+        'error': f"AI generation error: {str(e)}",
+        'error_type': 'ai_error',
+        'traceback': traceback.format_exc()
+    }
+
+def main():
+    try:
+        # Read input from stdin (sent from Node.js)
+        input_data = json.loads(sys.stdin.read())
+        print(json.dumps(execute_request(input_data)))
+
     except Exception as e:
-        import traceback
-        error_output = {
-            'success': False,
-            'error': f"AI generation error: {str(e)}",
-            'error_type': 'ai_error',
-            'traceback': traceback.format_exc()
-        }
-        print(json.dumps(error_output))
+        print(json.dumps(error_output(e)))
         sys.exit(1)
 
+def worker_main():
+    # Long-lived mode: one JSON request per stdin line, one JSON reply per stdout line.
+    # Anything libraries print goes to stderr so it cannot corrupt the protocol.
+    import threading
+
+    protocol_out = sys.stdout
+    sys.stdout = sys.stderr
+    write_lock = threading.Lock()
+    running = set()
+    cancelled = set()
+
+    def reply(message):
+        with write_lock:
+            protocol_out.write(json.dumps(message) + '\n')
+            protocol_out.flush()
+
+    def run(request):
+        request_id = request.get('id')
+        try:
+            output = execute_request(request)
+        except Exception as e:
+            output = error_output(e)
+
+        # A cancelled request gets no result, only word that its call has ended
+        with write_lock:
+            running.discard(request_id)
+            if request_id in cancelled:
+                cancelled.discard(request_id)
+                output = {'type': 'cancelled'}
+        output['id'] = request_id
+        reply(output)
+
+    reply({'type': 'ready', 'pid': os.getpid()})
+
+    # Requests run on their own thread so pings and cancels are answered while busy
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        try:
+            request = json.loads(line)
+        except ValueError as e:
+            reply({'success': False, 'error': f"Invalid request: {e}", 'error_type': 'bad_request'})
+            continue
+
+        request_id = request.get('id')
+        request_type = request.get('type')
+
+        if request_type == 'ping':
+            reply({'id': request_id, 'type': 'pong'})
+        elif request_type == 'cancel':
+            # The thread cannot be stopped, so a running request is confirmed once it ends
+            with write_lock:
+                if request_id in running:
+                    cancelled.add(request_id)
+                    continue
+            reply({'id': request_id, 'type': 'cancelled'})
+        else:
+            with write_lock:
+                running.add(request_id)
+            threading.Thread(target=run, args=(request,), daemon=True).start()
+
 if __name__ == "__main__":
-    main()
\ No newline at end of file
+    if '--worker' in sys.argv:
+        worker_main()
+    else:
+        main()
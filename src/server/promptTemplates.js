@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * PromptTemplates - Renders PDL templates in Node
+ *
+ * Reads the `defs` section of the PDL file and turns a template plus its
+ * variables into a single chat request: the rendered prompt, the target
+ * provider/model and the generation parameters.
+ */
+class PromptTemplates {
+  constructor(pdlFile) {
+    // Relative paths are resolved from the project root, like the Python bridge does
+    this.pdlFile = path.isAbsolute(pdlFile) ? pdlFile : path.join(__dirname, '..', '..', pdlFile);
+    this.defs = null;
+  }
+
+  load() {
+    const pdlConfig = yaml.load(fs.readFileSync(this.pdlFile, 'utf8'));
+    this.defs = pdlConfig?.defs || {};
+    return this.defs;
+  }
+
+  has(templateName) {
+    if (!this.defs) this.load();
+    return Object.prototype.hasOwnProperty.call(this.defs, templateName);
+  }
+
+  render(templateName, variables = {}) {
+    if (!this.has(templateName)) {
+      throw new Error(`Template '${templateName}' not found in PDL configuration`);
+    }
+
+    // Each template is a text block whose model step holds the prompt
+    const steps = this.defs[templateName].text || [];
+    const modelStep = steps.find(step => step && typeof step === 'object' && step.model);
+    if (!modelStep) {
+      throw new Error(`Template '${templateName}' has no model step`);
+    }
+
+    const modelRef = this.substitute(String(modelStep.model), variables);
+    const slash = modelRef.indexOf('/');
+    const provider = slash > 0 ? modelRef.slice(0, slash) : variables.model_provider;
+    const model = slash > 0 ? modelRef.slice(slash + 1) : modelRef;
+
+    const parameters = {};
+    for (const [key, value] of Object.entries(modelStep.parameters || {})) {
+      parameters[key] = this.coerce(this.substitute(value, variables));
+    }
+
+    return {
+      templateName,
+      provider,
+      model,
+      prompt: this.substitute(String(modelStep.input || ''), variables).trim(),
+      temperature: parameters.temperature,
+      maxTokens: parameters.max_tokens
+    };
+  }
+
+  // Replace ${name} placeholders with their variable values
+  substitute(value, variables) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\$\{\s*(\w+)\s*\}/g, (match, name) => {
+      const replacement = variables[name];
+      return replacement === undefined || replacement === null ? '' : String(replacement);
+    });
+  }
+
+  // Parameters arrive as strings after substitution; numbers must stay numbers
+  coerce(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    return value === '' ? undefined : value;
+  }
+}
+
+module.exports = PromptTemplates;
@@ -0,0 +1,89 @@
+const BaseProvider = require('./baseProvider');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * AnthropicProvider - Anthropic Messages API
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, {
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      ...options
+    });
+  }
+
+  getHeaders() {
+    const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  getBody(request) {
+    return {
+      model: request.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature,
+      // The Messages API requires max_tokens
+      max_tokens: request.maxTokens || 1024
+    };
+  }
+
+  async complete(request) {
+    const data = await this.postJSON(`${this.baseUrl}/v1/messages`, this.getBody(request), this.getHeaders(), request.signal);
+
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: data.model || request.model,
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  // Server-sent events: message_start, content_block_delta..., message_delta
+  async stream(request, onDelta) {
+    let content = '';
+    let model = request.model;
+    const usage = { promptTokens: 0, completionTokens: 0 };
+
+    await this.postStream(`${this.baseUrl}/v1/messages`, {
+      ...this.getBody(request),
+      stream: true
+    }, this.getHeaders(), request.signal, (line) => {
+      if (!line.startsWith('data:')) return;
+      const event = JSON.parse(line.slice(5).trim());
+
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model || model;
+          usage.promptTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && event.delta.text) {
+            content += event.delta.text;
+            onDelta(event.delta.text);
+          }
+          break;
+        case 'message_delta':
+          usage.completionTokens = event.usage?.output_tokens || usage.completionTokens;
+          break;
+        case 'error':
+          throw new Error(`${this.name} stream error: ${event.error?.message || 'unknown error'}`);
+      }
+    });
+
+    return { content, model, usage };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,95 @@
+/**
+ * BaseProvider - Common plumbing for native LLM adapters
+ *
+ * Adapters implement `complete(request)` and resolve to
+ * `{ content, model, usage: { promptTokens, completionTokens } }`.
+ * `request` is what PromptTemplates.render() returns plus the template
+ * variables and an optional AbortSignal. Adapters that can stream also
+ * override `stream(request, onDelta)`, calling `onDelta(text)` per chunk
+ * and resolving to the same shape as `complete()`.
+ */
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.options = options;
+  }
+
+  async complete(request) {
+    throw new Error(`Provider '${this.name}' does not implement complete()`);
+  }
+
+  // Without streaming support the whole answer arrives as one delta
+  async stream(request, onDelta) {
+    const response = await this.complete(request);
+    if (response.content) onDelta(response.content);
+    return response;
+  }
+
+  async postJSON(url, body, headers = {}, signal = undefined) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw this.httpError(response, text);
+    }
+
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch (error) {
+      throw new Error(`${this.name} returned invalid JSON (HTTP ${response.status})`);
+    }
+  }
+
+  // POST and hand each non-empty line of the response body to onLine as it arrives
+  async postStream(url, body, headers = {}, signal = undefined, onLine) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw this.httpError(response, await response.text());
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onLine(line.trim()));
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer.trim());
+  }
+
+  httpError(response, text) {
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON; report the raw body
+    }
+
+    const message = data?.error?.message || data?.error || text || response.statusText;
+    return new Error(`${this.name} HTTP ${response.status}: ${message}`);
+  }
+}
+
+module.exports = BaseProvider;
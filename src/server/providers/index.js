@@ -0,0 +1,46 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+// Built-in adapters, keyed by the adapter type
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Resolve the adapter type for a provider name. A name can be mapped to a
+ * built-in type through `aiModel.providers`, e.g.
+ * `{ "groq": { "type": "openai", "baseUrl": "...", "apiKeyEnv": "GROQ_API_KEY" } }`.
+ */
+function getProviderType(name, providersConfig = {}) {
+  return providersConfig[name]?.type || name;
+}
+
+function isNativeProvider(name, providersConfig = {}) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_TYPES, getProviderType(name, providersConfig));
+}
+
+function createProvider(name, providersConfig = {}) {
+  const ProviderClass = PROVIDER_TYPES[getProviderType(name, providersConfig)];
+  if (!ProviderClass) {
+    throw new Error(`No native adapter for provider '${name}'`);
+  }
+
+  const { type, apiKeyEnv, ...options } = providersConfig[name] || {};
+  if (apiKeyEnv) {
+    options.apiKey = process.env[apiKeyEnv];
+  }
+
+  return new ProviderClass(name, options);
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  getProviderType,
+  isNativeProvider,
+  createProvider
+};
@@ -0,0 +1,337 @@
+const BaseProvider = require('./baseProvider');
+
+const NAMES = ['Mira', 'Professor Quill', 'Captain Oduya', 'Tobias Fern', 'Lady Ashgrove', 'Rook', 'Dr. Vasquez', 'Juniper'];
+const PLACES = ['the lantern-lit market', 'the old observatory', 'a fog-bound harbor', 'the library vaults', 'a crooked tower', 'the glass greenhouse'];
+const OBJECTS = ['a brass compass', 'a sealed letter', 'a humming crystal', 'a map drawn in silver ink', 'a cracked pocket watch', 'a key made of bone'];
+const ACTIONS = ['hurried through', 'crept into', 'paused at the edge of', 'stumbled upon', 'searched every corner of', 'returned to'];
+const DETAILS = [
+  'The air smelled of rain and old paper.',
+  'Somewhere above, a bell rang once and fell silent.',
+  'Shadows stretched longer than the hour allowed.',
+  'Every step echoed as if someone were following.',
+  'A cold draft carried whispers nobody could place.',
+  'The silence felt less like peace and more like waiting.'
+];
+const INFLUENCE_LEADS = ['Without warning,', 'As if summoned,', 'Moments later,', 'To everyone\'s surprise,'];
+const HOOKS = [
+  'Then the door behind them clicked shut on its own.',
+  'But the footprints in the dust were not their own.',
+  'And far below, something answered.',
+  'That was when the lights began to flicker.',
+  'Only then did they notice the message carved into the wall.'
+];
+const ENDINGS = [
+  'At last the mystery unravelled, and the truth was stranger and kinder than anyone had feared.',
+  'The friends stood together as dawn broke, changed by everything they had seen.',
+  'What had begun as an accident became the story they would tell for the rest of their lives.'
+];
+const GOAL_EVENTS = [
+  'discovers a glowing purple mushroom that can translate ancient languages',
+  'receives a mysterious phone call from their future self warning about Tuesday',
+  'trades a silver spoon for a map to a hidden lighthouse',
+  'teaches a stubborn parrot to recite a secret password',
+  'finds a clockwork bird carrying a message in invisible ink',
+  'loses a bet to a talking cat and must sing in public'
+];
+const HARD_TWISTS = ['while wearing a borrowed crown', 'during a thunderstorm at midnight', 'in front of three witnesses who all lie about it'];
+
+/**
+ * MockProvider - Deterministic offline stand-in for a real model
+ *
+ * Output depends only on the seed, the template and its variables, so the
+ * same game replays word for word. Latency is simulated so pacing and
+ * queueing behave like they do against a real provider.
+ */
+class MockProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, options);
+    this.seed = options.seed ?? 1;
+    this.latencyMs = options.latencyMs ?? 500;
+    this.latencyJitterMs = options.latencyJitterMs ?? 250;
+    // Pause between streamed words
+    this.tokenDelayMs = options.tokenDelayMs ?? 30;
+  }
+
+  async complete(request) {
+    const variables = request.variables || {};
+    const random = this.createRandom(`${this.seed}|${request.templateName}|${JSON.stringify(variables)}`);
+
+    await this.delay(this.latencyMs + Math.floor(random() * this.latencyJitterMs), request.signal);
+
+    const content = this.generate(request.templateName, variables, random);
+
+    return {
+      content,
+      model: request.model || 'mock',
+      usage: {
+        promptTokens: this.estimateTokens(request.prompt),
+        completionTokens: this.estimateTokens(content)
+      }
+    };
+  }
+
+  // Same answer as complete(), handed out a word at a time after the first-token latency
+  async stream(request, onDelta) {
+    const response = await this.complete(request);
+
+    for (const piece of response.content.match(/\S+\s*/g) || []) {
+      await this.delay(this.tokenDelayMs, request.signal);
+      onDelta(piece);
+    }
+    return response;
+  }
+
+  generate(templateName, variables, random) {
+    switch (templateName) {
+      case 'story_segment_generation':
+      case 'story_segment_with_direct':
+        return this.segment(variables, random);
+      case 'story_conclusion':
+        return this.conclusion(variables, random);
+      case 'competition_goal_generation':
+        return this.goals(variables, random);
+      case 'competition_goal_scoring':
+        return this.score(variables);
+      case 'story_memory_update':
+        return this.memory(variables);
+      case 'story_bible_update':
+        return this.bible(variables);
+      case 'story_choices':
+        return this.choices(variables, random);
+      case 'author_contribution_summary':
+        return this.authorSummary(variables, random);
+      default:
+        return [this.pick(DETAILS, random), this.pick(DETAILS, random)].join(' ');
+    }
+  }
+
+  segment(variables, random) {
+    const cast = this.castFor(variables.story_context);
+    const sentences = [
+      ...this.directLines(variables.player_direct_content),
+      `${cast[0]} ${this.pick(ACTIONS, random)} ${this.pick(PLACES, random)}, clutching ${this.pick(OBJECTS, random)}.`
+    ];
+
+    for (const influence of this.influenceLines(variables.player_influences).slice(0, 2)) {
+      sentences.push(`${this.pick(INFLUENCE_LEADS, random)} ${this.asClause(influence)}`);
+    }
+
+    // Pad to 4-6 sentences (counting the hook) without repeating a detail
+    const fillers = [`${cast[1]} insisted that ${this.pick(OBJECTS, random)} was the key to everything.`];
+    const start = Math.floor(random() * DETAILS.length);
+    for (let i = 0; i < DETAILS.length; i++) {
+      fillers.push(DETAILS[(start + i) % DETAILS.length]);
+    }
+
+    const target = 3 + Math.floor(random() * 3);
+    while (sentences.length < target) {
+      sentences.push(fillers.shift());
+    }
+
+    sentences.push(this.pick(HOOKS, random));
+    return sentences.join(' ');
+  }
+
+  conclusion(variables, random) {
+    const cast = this.castFor(variables.story_context);
+    const sentences = [
+      ...this.directLines(variables.player_direct_content),
+      ...this.influenceLines(variables.player_influences).slice(0, 1)
+        .map(influence => `In the end, ${this.asClause(influence)}`),
+      `${cast[0]} and ${cast[1]} finally understood what ${this.pick(OBJECTS, random)} had been trying to tell them.`,
+      this.pick(DETAILS, random),
+      this.pick(ENDINGS, random)
+    ];
+    return sentences.join(' ');
+  }
+
+  // One "- goal" line per goal, the list format Utils.parseGoals reads
+  goals(variables, random) {
+    const count = parseInt(variables.goals_count) || 3;
+    const lines = [];
+
+    for (let i = 0; i < count; i++) {
+      let goal = `A character named ${this.pick(NAMES, random)} ${this.pick(GOAL_EVENTS, random)}`;
+      if (variables.difficulty === 'hard') {
+        goal += ` ${this.pick(HARD_TWISTS, random)}`;
+      }
+      lines.push(`- ${goal}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Scores by how many of the goal's key words made it into the story
+  score(variables) {
+    const story = String(variables.full_story || '').toLowerCase();
+    const keywords = String(variables.goal_statement || '').toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .filter(word => word.length > 3);
+    const found = keywords.filter(word => story.includes(word)).length;
+    const ratio = keywords.length > 0 ? found / keywords.length : 0;
+
+    if (ratio >= 0.8) return 'Score: 3 - Every key element of the goal appears in the story.';
+    if (ratio >= 0.4) return 'Score: 2 - Parts of the goal appear, but not all of them.';
+    return 'Score: 1 - The story never comes close to this goal.';
+  }
+
+  // Folds the new segment into the previous memory: known names and places
+  // are collected, the summary keeps its last few sentences and the segment's
+  // closing hook becomes an open thread
+  memory(variables) {
+    const previous = String(variables.story_memory || '');
+    const segment = String(variables.new_segment || '');
+    const maxItems = parseInt(variables.max_items) || 8;
+    const sentences = segment.match(/[^.!?]+[.!?]+/g) || [segment];
+
+    const section = (name) => {
+      const match = previous.match(new RegExp(`${name}:\\n([\\s\\S]*?)(?=\\n[A-Z ]+:\\n|$)`));
+      return match ? match[1].split('\n').map(line => line.replace(/^-\s*/, '').trim()).filter(line => line && line !== 'None') : [];
+    };
+
+    const summary = [...section('SUMMARY').join(' ').match(/[^.!?]+[.!?]+/g) || [], sentences[0].trim()]
+      .map(sentence => sentence.trim())
+      .slice(-4);
+    const seen = `${previous} ${segment}`;
+    const characters = NAMES.filter(name => seen.includes(name)).slice(0, maxItems);
+    const locations = PLACES.filter(place => seen.includes(place)).slice(0, maxItems);
+    const threads = [...section('OPEN THREADS'), sentences[sentences.length - 1].trim()]
+      .filter((thread, index, all) => all.indexOf(thread) === index)
+      .slice(-Math.min(3, maxItems));
+
+    return [
+      'SUMMARY:',
+      summary.join(' '),
+      'CHARACTERS:',
+      ...(characters.length > 0 ? characters.map(name => `- ${name}: seen in the story so far`) : ['- None']),
+      'LOCATIONS:',
+      ...(locations.length > 0 ? locations.map(place => `- ${place}: visited in the story so far`) : ['- None']),
+      'OPEN THREADS:',
+      ...threads.map(thread => `- ${thread}`)
+    ].join('\n');
+  }
+
+  // Names, places and objects from the word lists that appear in the segment;
+  // a character holding an object in the same sentence becomes a fact
+  bible(variables) {
+    const segment = String(variables.new_segment || '');
+    const sentences = segment.match(/[^.!?]+[.!?]+/g) || [segment];
+    const mentioned = (list) => list.filter(entry => segment.includes(entry));
+
+    const facts = [];
+    for (const sentence of sentences) {
+      const name = NAMES.find(candidate => sentence.includes(candidate));
+      const object = OBJECTS.find(candidate => sentence.includes(candidate));
+      if (name && object) facts.push(`${name} has ${object}.`);
+    }
+
+    const section = (lines) => lines.length > 0 ? lines : ['- None'];
+    return [
+      'CHARACTERS:',
+      ...section(mentioned(NAMES).map(name => `- ${name}: appears in the story`)),
+      'LOCATIONS:',
+      ...section(mentioned(PLACES).map(place => `- ${place}: a place in the story`)),
+      'ITEMS:',
+      ...section(mentioned(OBJECTS).map(object => `- ${object}: an object in the story`)),
+      'FACTS:',
+      ...section(facts.map(fact => `- ${fact}`))
+    ].join('\n');
+  }
+
+  // Numbered choices built from the story's cast, the list StoryChoices.parse reads
+  choices(variables, random) {
+    const cast = this.castFor(variables.story_context);
+    const count = Math.max(2, Math.min(parseInt(variables.max_choices) || 3, 3));
+    const options = [
+      `${cast[0]} sets out for ${this.pick(PLACES, random)}.`,
+      `${cast[1]} opens ${this.pick(OBJECTS, random)} at last.`,
+      `${cast[0]} and ${cast[1]} split up to search ${this.pick(PLACES, random)}.`
+    ];
+
+    return ['CHOICES:', ...options.slice(0, count).map((option, i) => `${i + 1}. ${option}`)].join('\n');
+  }
+
+  authorSummary(variables, random) {
+    const name = variables.author_name || 'This author';
+    return [
+      `${name} wrote with a taste for ${this.pick(['mystery', 'mischief', 'quiet detail', 'bold turns'], random)}.`,
+      `Their ${variables.total_inputs || 'many'} contributions steered the story toward ${this.pick(PLACES, random)}.`,
+      'They built on other authors\' ideas rather than overriding them.'
+    ].join(' ');
+  }
+
+  // The cast is derived from the story seeds alone so names stay stable between segments
+  castFor(storyContext = '') {
+    const foundation = String(storyContext).split('Recent Story:')[0].trim();
+    const random = this.createRandom(`${this.seed}|cast|${foundation}`);
+    const first = this.pick(NAMES, random);
+    const rest = NAMES.filter(name => name !== first);
+    return [first, this.pick(rest, random)];
+  }
+
+  // "Name: content" lines from formatInfluences; "None" when there are none
+  influenceLines(influences = '') {
+    if (!influences || influences.trim() === 'None') return [];
+
+    return influences.split('\n')
+      .map(line => line.replace(/^[^:]+:\s*/, '').trim())
+      .filter(Boolean);
+  }
+
+  // 'Name: "content"' lines from formatDirectContent, woven in verbatim
+  directLines(directContent = '') {
+    if (!directContent) return [];
+
+    return directContent.split('\n')
+      .map(line => line.replace(/^[^:]+:\s*/, '').replace(/^"|"$/g, '').trim())
+      .filter(Boolean)
+      .map(line => /[.!?]$/.test(line) ? line : `${line}.`);
+  }
+
+  asClause(text) {
+    const clause = text.charAt(0).toLowerCase() + text.slice(1);
+    return /[.!?]$/.test(clause) ? clause : `${clause}.`;
+  }
+
+  pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  // FNV-1a hash of the key feeding a mulberry32 generator
+  createRandom(key) {
+    let state = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+      state ^= key.charCodeAt(i);
+      state = Math.imul(state, 16777619);
+    }
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (ms <= 0) return resolve();
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request aborted'));
+      };
+      // Streaming waits many times on one signal, so each wait removes its listener
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,69 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OllamaProvider - Local models through Ollama's /api/chat
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, {
+      baseUrl: process.env.OLLAMA_HOST || 'http://localhost:11434',
+      ...options
+    });
+  }
+
+  getBody(request, stream) {
+    return {
+      model: request.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      stream,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens
+      }
+    };
+  }
+
+  async complete(request) {
+    const data = await this.postJSON(`${this.baseUrl}/api/chat`, this.getBody(request, false), {}, request.signal);
+
+    return {
+      content: data.message?.content || '',
+      model: data.model || request.model,
+      usage: {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0
+      }
+    };
+  }
+
+  // Newline-delimited JSON; the last line (done: true) carries the token counts
+  async stream(request, onDelta) {
+    let content = '';
+    let final = {};
+
+    await this.postStream(`${this.baseUrl}/api/chat`, this.getBody(request, true), {}, request.signal, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(`${this.name} stream error: ${data.error}`);
+      }
+
+      const delta = data.message?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (data.done) final = data;
+    });
+
+    return {
+      content,
+      model: final.model || request.model,
+      usage: {
+        promptTokens: final.prompt_eval_count || 0,
+        completionTokens: final.eval_count || 0
+      }
+    };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,87 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAIProvider - Any OpenAI-compatible /chat/completions endpoint
+ *
+ * Covers OpenAI itself plus compatible servers (vLLM, LM Studio, Together,
+ * Groq, ...) by pointing `baseUrl` somewhere else.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(name, options = {}) {
+    super(name, {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      ...options
+    });
+  }
+
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  getBody(request) {
+    return {
+      model: request.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+  }
+
+  async complete(request) {
+    const data = await this.postJSON(`${this.baseUrl}/chat/completions`, this.getBody(request), this.getHeaders(), request.signal);
+
+    const choice = data.choices?.[0];
+    if (!choice) {
+      throw new Error(`${this.name} returned no choices`);
+    }
+
+    return {
+      content: choice.message?.content || '',
+      model: data.model || request.model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  // Server-sent events; the final chunk carries usage when the server supports it
+  async stream(request, onDelta) {
+    let content = '';
+    let model = request.model;
+    let usage = null;
+
+    await this.postStream(`${this.baseUrl}/chat/completions`, {
+      ...this.getBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, this.getHeaders(), request.signal, (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      model = data.model || model;
+      if (data.usage) usage = data.usage;
+
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    });
+
+    return {
+      content,
+      model,
+      // Left out when the server sent none, so the caller estimates instead
+      usage: usage ? {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0
+      } : undefined
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
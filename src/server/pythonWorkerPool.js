@@ -0,0 +1,343 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+/**
+ * PythonWorkerPool - Long-lived litellm_bridge.py workers
+ *
+ * Each worker runs the bridge with --worker and exchanges one JSON message
+ * per line over stdio, so interpreter start-up and imports are paid once
+ * per worker instead of once per request.
+ */
+class PythonWorkerPool extends EventEmitter {
+  constructor(options) {
+    super();
+    this.size = options.size;
+    this.pythonPath = options.pythonPath;
+    this.scriptPath = options.scriptPath;
+    this.healthCheckInterval = options.healthCheckInterval || 30000;
+    this.healthCheckTimeout = options.healthCheckTimeout || 5000;
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.cancelGracePeriod = options.cancelGracePeriod || 10000;
+
+    this.workers = [];
+    this.waiting = [];
+    this.requests = new Map(); // requestId -> request
+    this.nextRequestId = 1;
+    this.healthTimer = null;
+    this.isShuttingDown = false;
+  }
+
+  start() {
+    if (this.workers.length > 0) return;
+
+    this.isShuttingDown = false;
+    for (let index = 0; index < this.size; index++) {
+      const worker = {
+        index,
+        process: null,
+        pid: null,
+        state: 'starting',
+        buffer: '',
+        stderr: '',
+        current: null,
+        pendingPing: null,
+        pendingCancel: null,
+        restartTimer: null,
+        requestsServed: 0,
+        restarts: 0,
+        consecutiveCrashes: 0,
+        startedAt: null,
+        lastHealthCheck: null
+      };
+      this.workers.push(worker);
+      this._spawnWorker(worker);
+    }
+
+    this.healthTimer = setInterval(() => this._checkHealth(), this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  // Queue a request for the next idle worker; returns its id for cancel()
+  execute(payload, timeout) {
+    if (this.workers.length === 0) this.start();
+
+    const id = this.nextRequestId++;
+    let request;
+    const promise = new Promise((resolve, reject) => {
+      request = { id, payload, resolve, reject, worker: null, startedAt: null };
+    });
+
+    // The deadline covers time spent waiting for a worker as well as running
+    request.timer = setTimeout(() => {
+      this.cancel(id, `AI request timeout after ${timeout}ms`);
+    }, timeout);
+
+    this.requests.set(id, request);
+    this.waiting.push(request);
+    this._dispatch();
+
+    return { id, promise };
+  }
+
+  // Reject a request at once. Its worker stays taken until the bridge confirms the
+  // call has ended, so maxConcurrent still bounds the AI calls actually running
+  cancel(requestId, reason = 'AI request cancelled') {
+    const request = this.requests.get(requestId);
+    if (!request) return false;
+
+    if (request.worker) {
+      const worker = request.worker;
+      worker.state = 'cancelling';
+      this._finishRequest(worker, request);
+
+      // A call that never returns would hold the worker for good: recycle it instead
+      const child = worker.process;
+      worker.pendingCancel = {
+        id: requestId,
+        timer: setTimeout(() => {
+          worker.pendingCancel = null;
+          this.emit('worker_stuck', { worker: worker.index, pid: worker.pid, gracePeriod: this.cancelGracePeriod });
+          child.kill('SIGKILL');
+        }, this.cancelGracePeriod)
+      };
+      this._send(worker, { type: 'cancel', id: requestId });
+    } else {
+      this.waiting = this.waiting.filter(queued => queued !== request);
+      clearTimeout(request.timer);
+      this.requests.delete(requestId);
+    }
+
+    request.reject(new Error(reason));
+    this._dispatch();
+    return true;
+  }
+
+  _spawnWorker(worker) {
+    const child = spawn(this.pythonPath, [this.scriptPath, '--worker'], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    worker.process = child;
+    worker.pid = child.pid || null;
+    worker.state = 'starting';
+    worker.buffer = '';
+    worker.stderr = '';
+    worker.startedAt = new Date();
+
+    child.stdout.on('data', (data) => {
+      worker.buffer += data.toString();
+
+      let newline;
+      while ((newline = worker.buffer.indexOf('\n')) !== -1) {
+        const line = worker.buffer.slice(0, newline).trim();
+        worker.buffer = worker.buffer.slice(newline + 1);
+        if (line) this._handleMessage(worker, line);
+      }
+    });
+
+    // Keep the tail of stderr for crash reports
+    child.stderr.on('data', (data) => {
+      worker.stderr = (worker.stderr + data.toString()).slice(-2000);
+    });
+
+    // Write failures surface as an exit, which is handled below
+    child.stdin.on('error', () => {});
+
+    child.on('error', (error) => this._handleExit(worker, child, `failed to start: ${error.message}`));
+    child.on('exit', (code, signal) => this._handleExit(worker, child, `exited with ${signal || `code ${code}`}`));
+  }
+
+  _handleMessage(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (parseError) {
+      this.emit('worker_error', { worker: worker.index, error: `Unparseable output: ${line.slice(0, 200)}` });
+      return;
+    }
+
+    if (message.type === 'ready') {
+      worker.state = 'idle';
+      worker.consecutiveCrashes = 0;
+      worker.lastHealthCheck = new Date();
+      this.emit('worker_ready', { worker: worker.index, pid: worker.pid });
+      this._dispatch();
+      return;
+    }
+
+    if (message.type === 'pong') {
+      if (worker.pendingPing && worker.pendingPing.id === message.id) {
+        clearTimeout(worker.pendingPing.timer);
+        worker.pendingPing = null;
+        worker.lastHealthCheck = new Date();
+      }
+      return;
+    }
+
+    // The cancelled call has finished, so the worker can take the next request
+    if (message.type === 'cancelled') {
+      if (worker.pendingCancel && worker.pendingCancel.id === message.id) {
+        clearTimeout(worker.pendingCancel.timer);
+        worker.pendingCancel = null;
+        worker.state = 'idle';
+        this._dispatch();
+      }
+      return;
+    }
+
+    const request = worker.current;
+    if (!request || request.id !== message.id) return;
+
+    this._finishRequest(worker, request);
+    worker.requestsServed++;
+
+    const { id, ...result } = message;
+    if (result.success) {
+      request.resolve(result);
+    } else {
+      request.reject(new Error(`AI Error: ${result.error}`));
+    }
+    this._dispatch();
+  }
+
+  _handleExit(worker, child, reason) {
+    // 'error' and 'exit' can both fire for the same process
+    if (worker.process !== child) return;
+
+    worker.process = null;
+    worker.pid = null;
+    if (worker.pendingPing) {
+      clearTimeout(worker.pendingPing.timer);
+      worker.pendingPing = null;
+    }
+    if (worker.pendingCancel) {
+      clearTimeout(worker.pendingCancel.timer);
+      worker.pendingCancel = null;
+    }
+
+    const request = worker.current;
+    if (request) {
+      this._finishRequest(worker, request);
+      const details = worker.stderr.trim();
+      request.reject(new Error(`Python worker ${reason}${details ? `. Error: ${details}` : ''}`));
+    }
+
+    if (this.isShuttingDown) {
+      worker.state = 'stopped';
+      return;
+    }
+
+    // Back off when a worker keeps dying before it becomes ready
+    worker.state = 'restarting';
+    worker.restarts++;
+    worker.consecutiveCrashes++;
+    const delay = Math.min(1000 * 2 ** (worker.consecutiveCrashes - 1), this.maxRestartDelay);
+
+    this.emit('worker_crashed', { worker: worker.index, reason, restartIn: delay });
+
+    worker.restartTimer = setTimeout(() => {
+      worker.restartTimer = null;
+      this._spawnWorker(worker);
+    }, delay);
+
+    this._dispatch();
+  }
+
+  _finishRequest(worker, request) {
+    clearTimeout(request.timer);
+    this.requests.delete(request.id);
+    request.worker = null;
+    worker.current = null;
+    if (worker.state === 'busy') {
+      worker.state = 'idle';
+    }
+  }
+
+  _dispatch() {
+    while (this.waiting.length > 0) {
+      const worker = this.workers.find(candidate => candidate.state === 'idle');
+      if (!worker) return;
+
+      const request = this.waiting.shift();
+      worker.state = 'busy';
+      worker.current = request;
+      request.worker = worker;
+      request.startedAt = Date.now();
+      worker.stderr = '';
+      this._send(worker, { ...request.payload, id: request.id });
+    }
+  }
+
+  _send(worker, message) {
+    if (!worker.process) return;
+    worker.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  // Ping every live worker; one that does not answer in time is killed and restarted
+  _checkHealth() {
+    for (const worker of this.workers) {
+      if (!worker.process || worker.state === 'starting' || worker.pendingPing) continue;
+
+      const id = `ping-${this.nextRequestId++}`;
+      const child = worker.process;
+      worker.pendingPing = {
+        id,
+        timer: setTimeout(() => {
+          worker.pendingPing = null;
+          worker.state = 'unhealthy';
+          this.emit('worker_unhealthy', { worker: worker.index, pid: worker.pid });
+          child.kill('SIGKILL');
+        }, this.healthCheckTimeout)
+      };
+      this._send(worker, { type: 'ping', id });
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+
+    return {
+      size: this.size,
+      waitingRequests: this.waiting.length,
+      workers: this.workers.map(worker => ({
+        index: worker.index,
+        pid: worker.pid,
+        state: worker.state,
+        currentTemplate: worker.current ? worker.current.payload.template : null,
+        busyForMs: worker.current ? now - worker.current.startedAt : null,
+        requestsServed: worker.requestsServed,
+        restarts: worker.restarts,
+        startedAt: worker.startedAt,
+        lastHealthCheck: worker.lastHealthCheck
+      }))
+    };
+  }
+
+  shutdown() {
+    this.isShuttingDown = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    for (const request of this.requests.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('AI worker pool shut down'));
+    }
+    this.requests.clear();
+    this.waiting = [];
+
+    for (const worker of this.workers) {
+      clearTimeout(worker.restartTimer);
+      if (worker.pendingPing) clearTimeout(worker.pendingPing.timer);
+      if (worker.pendingCancel) clearTimeout(worker.pendingCancel.timer);
+      worker.current = null;
+      worker.state = 'stopped';
+      if (worker.process) {
+        worker.process.stdin.end();
+        worker.process.kill('SIGTERM');
+      }
+    }
+    this.workers = [];
+  }
+}
+
+module.exports = PythonWorkerPool;
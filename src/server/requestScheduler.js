@@ -0,0 +1,76 @@
+const UsageTracker = require('./usageTracker');
+
+// Highest priority first; templates outside these categories queue as "other"
+const PRIORITY_CLASSES = ['segment', 'conclusion', 'choices', 'memory', 'bible', 'scoring', 'goal_generation', 'summary', 'other'];
+
+/**
+ * RequestScheduler - Priority queue for AI requests
+ *
+ * Requests wait in one queue per priority class and the highest non-empty
+ * class is always served first. Within a class, sessions take turns, so
+ * one busy lobby cannot starve the others.
+ */
+class RequestScheduler {
+  constructor() {
+    // priority class -> Map(sessionId -> queued requests); Map order is the turn order
+    this.queues = new Map(PRIORITY_CLASSES.map(priorityClass => [priorityClass, new Map()]));
+    this.size = 0;
+  }
+
+  static getPriorityClass(templateName) {
+    const category = UsageTracker.getCategory(templateName);
+    return PRIORITY_CLASSES.includes(category) ? category : 'other';
+  }
+
+  // request needs id, priorityClass and sessionId
+  enqueue(request) {
+    const priorityClass = PRIORITY_CLASSES.includes(request.priorityClass) ? request.priorityClass : 'other';
+    const sessions = this.queues.get(priorityClass);
+    const key = request.sessionId || '';
+
+    if (!sessions.has(key)) sessions.set(key, []);
+    sessions.get(key).push(request);
+    this.size++;
+  }
+
+  dequeue() {
+    for (const sessions of this.queues.values()) {
+      const [key, queue] = sessions.entries().next().value || [];
+      if (!queue) continue;
+
+      const request = queue.shift();
+      // Move this session to the back of the line
+      sessions.delete(key);
+      if (queue.length > 0) sessions.set(key, queue);
+
+      this.size--;
+      return request;
+    }
+    return null;
+  }
+
+  remove(requestId) {
+    for (const sessions of this.queues.values()) {
+      for (const [key, queue] of sessions) {
+        const index = queue.findIndex(request => request.id === requestId);
+        if (index === -1) continue;
+
+        const [request] = queue.splice(index, 1);
+        if (queue.length === 0) sessions.delete(key);
+        this.size--;
+        return request;
+      }
+    }
+    return null;
+  }
+
+  getDepths() {
+    const depths = {};
+    for (const [priorityClass, sessions] of this.queues) {
+      depths[priorityClass] = Array.from(sessions.values()).reduce((sum, queue) => sum + queue.length, 0);
+    }
+    return depths;
+  }
+}
+
+module.exports = RequestScheduler;
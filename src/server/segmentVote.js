@@ -0,0 +1,115 @@
+/**
+ * SegmentVote - One round of voting between candidate segments
+ *
+ * Adventure mode reuses it for the choices offered after each segment, where
+ * players may add write-in candidates while it is open.
+ *
+ * Players vote for a candidate by index and may change their vote until the
+ * round closes. Closing applies the voting rules:
+ * - Only votes from players still connected at the close are counted
+ * - Players who never vote abstain; if nobody votes, the first candidate wins
+ * - A tie goes to the host's pick when the host voted for one of the tied
+ *   candidates, otherwise to the earliest of them
+ */
+class SegmentVote {
+  constructor(segmentNumber, candidates, voteWindow) {
+    this.segmentNumber = segmentNumber;
+    this.candidates = candidates;
+    this.openedAt = new Date();
+    this.closesAt = new Date(this.openedAt.getTime() + voteWindow);
+    this.votes = new Map(); // playerId -> candidate index
+
+    this.result = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+
+  // Candidate text only; which model wrote each one is kept for the export
+  getPublicCandidates() {
+    return this.candidates.map((candidate, index) => candidate.writtenBy ?
+      { index, text: candidate.text, writtenBy: candidate.writtenBy } :
+      { index, text: candidate.text });
+  }
+
+  // Player write-ins join the ballot while it is open; returns the new index
+  addCandidate(candidate) {
+    this.candidates.push(candidate);
+    return this.candidates.length - 1;
+  }
+
+  cast(playerId, candidateIndex) {
+    const index = Number(candidateIndex);
+    if (!Number.isInteger(index) || index < 0 || index >= this.candidates.length) {
+      throw new Error(`Candidate must be between 1 and ${this.candidates.length}`);
+    }
+    this.votes.set(playerId, index);
+  }
+
+  hasVoted(playerId) {
+    return this.votes.has(playerId);
+  }
+
+  // Vote counts per candidate, optionally only from the given players
+  getTally(playerIds = null) {
+    const tally = this.candidates.map(() => 0);
+    for (const [playerId, index] of this.votes) {
+      if (!playerIds || playerIds.has(playerId)) tally[index]++;
+    }
+    return tally;
+  }
+
+  // players: the session's players Map; resolves result with the winning segment
+  close(players, hostPlayerId) {
+    const connected = new Set(Array.from(players.values())
+      .filter(player => player.isConnected)
+      .map(player => player.id));
+    const tally = this.getTally(connected);
+    const top = Math.max(...tally);
+    const leaders = tally.map((count, index) => count === top ? index : -1).filter(index => index !== -1);
+
+    let winner = 0;
+    let decidedBy = 'no_votes';
+    const hostPick = connected.has(hostPlayerId) ? this.votes.get(hostPlayerId) : undefined;
+
+    if (top > 0 && leaders.length === 1) {
+      winner = leaders[0];
+      decidedBy = 'majority';
+    } else if (top > 0 && leaders.includes(hostPick)) {
+      winner = hostPick;
+      decidedBy = 'host_tiebreak';
+    } else if (top > 0) {
+      winner = leaders[0];
+      decidedBy = 'first_candidate_tiebreak';
+    }
+
+    const record = {
+      winner,
+      decidedBy,
+      tally,
+      candidates: this.candidates.map(candidate => ({
+        text: candidate.text,
+        provider: candidate.provider,
+        model: candidate.model,
+        writtenBy: candidate.writtenBy
+      })),
+      votes: Array.from(this.votes, ([playerId, candidateIndex]) => ({
+        playerId,
+        playerName: players.get(playerId)?.name || 'Unknown',
+        candidateIndex,
+        counted: connected.has(playerId)
+      })),
+      openedAt: this.openedAt,
+      closedAt: new Date()
+    };
+
+    this.resolve({ ...this.candidates[winner], vote: record });
+    return record;
+  }
+
+  cancel(error) {
+    this.reject(error);
+  }
+}
+
+module.exports = SegmentVote;
@@ -1,10 +1,18 @@
 const { Server } = require('socket.io');
 const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
 const ConfigManager = require('../shared/config');
 const Logger = require('./logger');
 const SessionManager = require('./sessionManager');
 const LiteLLMBridge = require('./aiQueue');
+const UsageTracker = require('./usageTracker');
 const StoryEngine = require('./storyEngine');
+const CompetitionEngine = require('./competitionEngine');
+const ExportEngine = require('../shared/exportEngine');
+const StoryTree = require('../shared/storyTree');
+const SessionStore = require('./sessionStore');
+const SessionChat = require('./sessionChat');
 const Utils = require('../shared/utils');
 
 class StoryChefServer {
@@ -14,6 +22,13 @@ class StoryChefServer {
     this.sessionManager = new SessionManager(this.config.getConfig(), this.logger);
     this.liteLLMBridge = new LiteLLMBridge(this.config.getConfig());
     this.storyEngine = new StoryEngine(this.config.getConfig(), this.liteLLMBridge, this.logger);
+    this.competitionEngine = new CompetitionEngine(this.config.getConfig(), this.liteLLMBridge, this.logger);
+    this.exportEngine = new ExportEngine(this.config.getConfig(), this.logger);
+    this.sessionStore = new SessionStore(this.config.getConfig(), this.logger);
+    this.chat = new SessionChat(this.config.getConfig(), this.logger);
+    
+    // Secret for signing resume tokens; set STORY_CHEF_SECRET so tokens survive a restart
+    this.resumeSecret = process.env.STORY_CHEF_SECRET || crypto.randomBytes(32).toString('hex');
     
     this.server = null;
     this.io = null;
@@ -48,6 +63,16 @@ class StoryChefServer {
 
     this.setupSocketHandlers();
 
+    // Open the session store and pick up stories interrupted by a restart
+    try {
+      if (await this.sessionStore.initialize()) {
+        await this.restoreSessions();
+      }
+    } catch (error) {
+      this.logger.error(`Session store unavailable: ${error.message}`);
+      this.logger.info('Server starting anyway - sessions will not survive a restart');
+    }
+
     // Start server
     return new Promise((resolve, reject) => {
       this.server.listen(config.server.port, (err) => {
@@ -72,20 +97,141 @@ class StoryChefServer {
     this.sessionManager.on('player_reconnected', this.handlePlayerReconnected.bind(this));
     this.sessionManager.on('story_started', this.handleStoryStarted.bind(this));
     this.sessionManager.on('segment_added', this.handleSegmentAdded.bind(this));
+    this.sessionManager.on('story_rewound', this.handleStoryRewound.bind(this));
+    this.sessionManager.on('input_struck', this.handleInputStruck.bind(this));
+    this.sessionManager.on('segment_retracted', this.handleSegmentRetracted.bind(this));
     this.sessionManager.on('story_completed', this.handleStoryCompleted.bind(this));
+    this.sessionManager.on('story_time_expired', this.handleStoryTimeExpired.bind(this));
     this.sessionManager.on('session_timer_update', this.handleSessionTimerUpdate.bind(this));
+    this.sessionManager.on('session_cleaned_up', this.handleSessionCleanedUp.bind(this));
+    this.sessionManager.on('player_removed', this.handlePlayerRemoved.bind(this));
+    this.sessionManager.on('player_muted', this.handlePlayerMuted.bind(this));
+    this.sessionManager.on('host_changed', this.handleHostChanged.bind(this));
+
+    // Session persistence
+    this.sessionManager.on('session_created', ({ session }) => {
+      this.sessionStore.saveSession(session);
+      for (const player of session.players.values()) {
+        this.sessionStore.savePlayer(session.sessionId, player);
+      }
+    });
+    this.sessionManager.on('player_joined', ({ sessionId, playerId }) => this.persistPlayer(sessionId, playerId));
+    this.sessionManager.on('player_reconnected', ({ sessionId, playerId }) => this.persistPlayer(sessionId, playerId));
+    this.sessionManager.on('player_left', ({ sessionId, playerId }) => this.persistPlayer(sessionId, playerId));
+    this.sessionManager.on('input_added', ({ sessionId, playerId, input }) => {
+      this.sessionStore.saveInput(sessionId, input);
+      this.persistPlayer(sessionId, playerId);
+    });
+    this.sessionManager.on('segment_added', ({ sessionId, segment, segmentNumber }) => {
+      this.sessionStore.saveSegment(sessionId, segmentNumber - 1, segment);
+      this.sessionStore.clearProcessedInputs(sessionId, segment.inputsProcessed);
+      this.persistSession(sessionId);
+    });
+    this.sessionManager.on('story_rewound', ({ sessionId, toSegment }) => {
+      this.sessionStore.truncateSegments(sessionId, toSegment);
+      this.persistSession(sessionId);
+    });
+    this.sessionManager.on('input_struck', ({ sessionId, input }) => {
+      this.sessionStore.deleteInput(sessionId, input);
+      this.persistPlayer(sessionId, input.playerId);
+      this.persistSession(sessionId);
+    });
+    this.sessionManager.on('segment_retracted', ({ sessionId, segmentNumber }) => {
+      // The segments after the retracted one move up an index
+      const segments = this.sessionManager.getSession(sessionId)?.storyState.segments || [];
+      this.sessionStore.truncateSegments(sessionId, segmentNumber - 1);
+      segments.slice(segmentNumber - 1).forEach((segment, offset) =>
+        this.sessionStore.saveSegment(sessionId, segmentNumber - 1 + offset, segment));
+      this.persistSession(sessionId);
+    });
+    this.sessionManager.on('story_started', ({ sessionId }) => this.persistSession(sessionId));
+    this.sessionManager.on('segment_timer_set', ({ sessionId }) => this.persistSession(sessionId));
+    this.sessionManager.on('story_completed', ({ sessionId }) => this.persistSession(sessionId));
+    this.sessionManager.on('player_removed', ({ sessionId, playerId }) => {
+      this.sessionStore.deletePlayer(sessionId, playerId);
+      this.persistModeration(sessionId);
+    });
+    this.sessionManager.on('player_muted', ({ sessionId }) => this.persistModeration(sessionId));
+    this.sessionManager.on('host_changed', ({ sessionId, hostPlayerId, previousHostId }) => {
+      this.persistSession(sessionId);
+      this.persistPlayer(sessionId, hostPlayerId);
+      this.persistPlayer(sessionId, previousHostId);
+      this.persistModeration(sessionId);
+    });
+    this.liteLLMBridge.on('usage_recorded', (entry) => {
+      if (entry.sessionId) {
+        this.sessionStore.saveUsage(entry);
+      }
+    });
+    this.liteLLMBridge.on('budget_warning', (data) => {
+      this.logger.warn(`AI budget ${data.level} for session ${data.sessionId}: ${data.scope} at ${data.percent}%`);
+      this.io.to(data.sessionId).emit('budget_warning', {
+        level: data.level,
+        scope: data.scope,
+        percent: data.percent,
+        message: data.message
+      });
+    });
 
     // LiteLLM Bridge events
     this.liteLLMBridge.on('request_started', (data) => {
-      this.logger.debug(`AI request started: ${data.templateName} (${data.activeRequests} active)`);
+      this.logger.debug(`AI request started: ${data.templateName} [${data.priorityClass}] after ${data.waitedMs}ms queued (${data.activeRequests} active)`);
+    });
+
+    this.liteLLMBridge.on('request_dropped', (data) => {
+      this.logger.info(`AI request dropped from queue: ${data.templateName} (${data.reason})`, data.sessionId);
     });
 
     this.liteLLMBridge.on('request_completed', (data) => {
-      this.logger.debug(`AI request completed: ${data.templateName} (${data.activeRequests} active)`);
+      if (data.fallbackUsed) {
+        this.logger.warn(`AI request ${data.templateName} served by fallback ${data.provider}/${data.model} after ${data.failedAttempts.length} failed attempt${data.failedAttempts.length === 1 ? '' : 's'}`);
+      }
+      this.logger.debug(`AI request completed: ${data.templateName} by ${data.provider}/${data.model} (${data.activeRequests} active)`);
     });
 
     this.liteLLMBridge.on('request_failed', (data) => {
-      this.logger.error(`AI request failed: ${data.templateName} - ${data.error}`);
+      if (data.code === 'DEADLINE_EXCEEDED' || data.code === 'REQUEST_CANCELLED') {
+        this.logger.info(`AI request stopped: ${data.templateName} - ${data.error}`);
+        return;
+      }
+      const tried = data.failedAttempts.map(attempt => `${attempt.provider}/${attempt.model}`);
+      this.logger.error(`AI request failed: ${data.templateName} - ${data.error}${tried.length > 0 ? ` (tried ${[...new Set(tried)].join(', ')})` : ''}`);
+    });
+
+    this.liteLLMBridge.on('model_failed', (data) => {
+      this.logger.debug(`AI model ${data.provider}/${data.model} failed ${data.templateName}: ${data.error}`);
+    });
+
+    this.liteLLMBridge.on('circuit_state_changed', (data) => {
+      if (data.state === 'open') {
+        this.logger.warn(`AI model ${data.name} unhealthy after ${data.failures} failures; skipping it for now (${data.lastError})`);
+      } else {
+        this.logger.info(`AI model ${data.name} circuit ${data.state.replace('_', '-')}`);
+      }
+    });
+
+    this.liteLLMBridge.on('worker_ready', (data) => {
+      this.logger.debug(`Python worker ${data.worker} ready (pid ${data.pid})`);
+    });
+
+    this.liteLLMBridge.on('worker_crashed', (data) => {
+      this.logger.warn(`Python worker ${data.worker} ${data.reason}; restarting in ${data.restartIn}ms`);
+    });
+
+    this.liteLLMBridge.on('worker_unhealthy', (data) => {
+      this.logger.warn(`Python worker ${data.worker} failed its health check; restarting`);
+    });
+
+    this.liteLLMBridge.on('worker_stuck', (data) => {
+      this.logger.warn(`Python worker ${data.worker} still busy ${data.gracePeriod}ms after a cancel; restarting`);
+    });
+
+    this.liteLLMBridge.on('worker_error', (data) => {
+      this.logger.error(`Python worker ${data.worker}: ${data.error}`);
+    });
+
+    this.liteLLMBridge.on('cassette_error', (data) => {
+      this.logger.error(`Failed to record AI cassette: ${data.error}`, data.sessionId);
     });
 
     // Story Engine events
@@ -93,6 +239,66 @@ class StoryChefServer {
       this.logger.info(`Story segment generated: ${data.segmentNumber}`, data.sessionId);
     });
 
+    this.storyEngine.on('segment_delta', ({ sessionId, segmentNumber, delta, offset }) => {
+      this.io.to(sessionId).emit('story_segment_delta', { segmentNumber, delta, offset });
+    });
+
+    this.storyEngine.on('segment_discarded', ({ sessionId, segmentNumber }) => {
+      this.io.to(sessionId).emit('story_segment_failed', { segmentNumber });
+    });
+
+    this.storyEngine.on('memory_updated', ({ sessionId }) => this.persistSession(sessionId));
+
+    this.storyEngine.on('segment_candidates', ({ sessionId, segmentNumber, candidates, closesAt }) => {
+      this.io.to(sessionId).emit('segment_candidates', { segmentNumber, candidates, closesAt });
+    });
+
+    this.storyEngine.on('vote_cast', ({ sessionId, segmentNumber, tally, votesCast, eligibleVoters }) => {
+      this.io.to(sessionId).emit('segment_vote_update', { segmentNumber, tally, votesCast, eligibleVoters });
+    });
+
+    this.storyEngine.on('vote_closed', ({ sessionId, segmentNumber, winner, decidedBy, tally }) => {
+      this.io.to(sessionId).emit('segment_vote_result', { segmentNumber, winner, decidedBy, tally });
+    });
+
+    this.storyEngine.on('choices_offered', ({ sessionId, segmentNumber, choices, closesAt, tally }) => {
+      this.io.to(sessionId).emit('story_choices', { segmentNumber, choices, closesAt, tally });
+    });
+
+    this.storyEngine.on('choice_picked', ({ sessionId, segmentNumber, tally }) => {
+      this.io.to(sessionId).emit('choice_tally', { segmentNumber, tally });
+    });
+
+    this.storyEngine.on('choice_made', ({ sessionId, segmentNumber, winner, text, decidedBy, tally }) => {
+      this.persistSession(sessionId);
+      this.io.to(sessionId).emit('choice_result', { segmentNumber, winner, text, decidedBy, tally });
+    });
+
+    this.storyEngine.on('turn_changed', ({ sessionId, turn }) => {
+      this.io.to(sessionId).emit('turn_changed', { turn });
+    });
+
+    this.storyEngine.on('skip_vote_update', ({ sessionId, requestedBy, votes, needed, passed }) => {
+      this.io.to(sessionId).emit('skip_vote_update', { requestedBy, votes, needed, passed });
+    });
+
+    this.storyEngine.on('ready_update', ({ sessionId, ready, needed }) => {
+      this.io.to(sessionId).emit('ready_update', { ready, needed });
+    });
+
+    this.storyEngine.on('rewind_vote_update', ({ sessionId, toSegment, proposedBy, support, needed, closesAt }) => {
+      this.io.to(sessionId).emit('rewind_vote_update', { toSegment, proposedBy, support, needed, closesAt });
+    });
+
+    this.storyEngine.on('rewind_vote_closed', ({ sessionId, toSegment, passed }) => {
+      this.io.to(sessionId).emit('rewind_vote_closed', { toSegment, passed });
+    });
+
+    this.storyEngine.on('bible_updated', ({ sessionId, bible }) => {
+      this.persistSession(sessionId);
+      this.io.to(sessionId).emit('story_bible_updated', { entries: bible.entries });
+    });
+
     this.storyEngine.on('generation_error', (data) => {
       this.logger.error(`Story generation error: ${data.error.message}`, data.sessionId);
     });
@@ -100,6 +306,15 @@ class StoryChefServer {
     this.storyEngine.on('story_completed', (data) => {
       this.logger.info(`Story engine completed: ${data.totalSegments} segments`, data.sessionId);
     });
+
+    // Competition Engine events
+    this.competitionEngine.on('competition_initialized', (data) => {
+      this.logger.info(`Competition ready: goals generated for ${data.playerCount} players`, data.sessionId);
+    });
+
+    this.competitionEngine.on('competition_scored', (data) => {
+      this.logger.info(`Competition scored for ${data.totalPlayers} players`, data.sessionId);
+    });
   }
 
   setupSocketHandlers() {
@@ -109,11 +324,12 @@ class StoryChefServer {
       // Create new session
       socket.on('create_session', async (data, callback) => {
         try {
-          const { playerName } = data;
+          const { playerName, budget, voting, mode, writeIns, pacing } = data;
           const playerId = Utils.generatePlayerId();
           const ipAddress = Utils.getClientIP(socket);
 
-          const session = this.sessionManager.createSession(playerId, playerName, ipAddress);
+          const session = this.sessionManager.createSession(playerId, playerName, ipAddress, { budget, voting, mode, writeIns, pacing });
+          this.liteLLMBridge.setSessionBudget(session.sessionId, session.config.sessionBudget);
           this.sessionManager.updatePlayerSocket(playerId, socket.id);
 
           // Store player info in socket
@@ -125,6 +341,7 @@ class StoryChefServer {
             success: true,
             sessionId: session.sessionId,
             playerId,
+            resumeToken: Utils.createResumeToken(session.sessionId, playerId, this.resumeSecret),
             session: this.getPublicSessionData(session)
           });
 
@@ -168,8 +385,10 @@ class StoryChefServer {
             success: true,
             sessionId,
             playerId,
+            resumeToken: Utils.createResumeToken(sessionId, playerId, this.resumeSecret),
             session: this.getPublicSessionData(session)
           });
+          this.sendOpenVote(socket, sessionId);
 
         } catch (error) {
           this.logger.error(`Failed to join session: ${error.message}`);
@@ -180,6 +399,54 @@ class StoryChefServer {
         }
       });
 
+      // Resume a dropped player's identity from their resume token
+      socket.on('resume_session', async (data, callback) => {
+        try {
+          const token = Utils.verifyResumeToken(data?.resumeToken, this.resumeSecret);
+          if (!token) {
+            throw new Error('Invalid resume token');
+          }
+
+          const { sessionId, playerId } = token;
+          const ipAddress = Utils.getClientIP(socket);
+
+          const session = this.sessionManager.resumeSession(sessionId, playerId, ipAddress);
+          this.sessionManager.updatePlayerSocket(playerId, socket.id);
+
+          // Store player info in socket
+          socket.playerId = playerId;
+          socket.sessionId = sessionId;
+          socket.join(sessionId);
+
+          const player = session.players.get(playerId);
+
+          // Notify other players
+          socket.to(sessionId).emit('player_joined', {
+            playerId,
+            playerName: player.name,
+            playerCount: this.sessionManager.getConnectedPlayerCount(session),
+            reconnected: true
+          });
+
+          callback({
+            success: true,
+            sessionId,
+            playerId,
+            playerName: player.name,
+            resumeToken: Utils.createResumeToken(sessionId, playerId, this.resumeSecret),
+            session: this.getPublicSessionData(session)
+          });
+          this.sendOpenVote(socket, sessionId);
+
+        } catch (error) {
+          this.logger.warn(`Failed to resume session: ${error.message}`);
+          callback({
+            success: false,
+            error: error.message
+          });
+        }
+      });
+
       // Submit story seed
       socket.on('story_seed', async (data, callback) => {
         try {
@@ -191,7 +458,7 @@ class StoryChefServer {
             throw new Error('Not connected to a session');
           }
 
-          const success = this.sessionManager.addStoryInput(sessionId, playerId, 'seed', content);
+          const success = Boolean(this.sessionManager.addStoryInput(sessionId, playerId, 'seed', content));
           if (success) {
             // Notify other players about the seed
             socket.to(sessionId).emit('seed_added', {
@@ -219,16 +486,17 @@ class StoryChefServer {
             throw new Error('Not connected to a session');
           }
 
-          const success = this.sessionManager.addStoryInput(sessionId, playerId, 'direct', content);
-          if (success) {
+          const input = this.sessionManager.addStoryInput(sessionId, playerId, 'direct', content);
+          if (input) {
             // Notify other players about the input
             socket.to(sessionId).emit('direct_input_added', {
+              inputId: input.id,
               playerId,
               content
             });
           }
 
-          callback({ success });
+          callback({ success: Boolean(input), inputId: input?.id });
 
         } catch (error) {
           this.logger.error(`Failed to add direct input: ${error.message}`, socket.sessionId);
@@ -247,16 +515,24 @@ class StoryChefServer {
             throw new Error('Not connected to a session');
           }
 
-          const success = this.sessionManager.addStoryInput(sessionId, playerId, 'influence', content);
-          if (success) {
+          // Adventure mode: free text can only be a write-in choice
+          if (this.sessionManager.getSession(sessionId)?.config.mode === 'adventure') {
+            const writeIn = this.storyEngine.addWriteIn(sessionId, playerId, content);
+            callback({ success: true, writeIn });
+            return;
+          }
+
+          const input = this.sessionManager.addStoryInput(sessionId, playerId, 'influence', content);
+          if (input) {
             // Notify other players about the input
             socket.to(sessionId).emit('influence_input_added', {
+              inputId: input.id,
               playerId,
               content
             });
           }
 
-          callback({ success });
+          callback({ success: Boolean(input), inputId: input?.id });
 
         } catch (error) {
           this.logger.error(`Failed to add influence input: ${error.message}`, socket.sessionId);
@@ -292,17 +568,431 @@ class StoryChefServer {
         }
       });
 
+      // Host moderation: remove a player, optionally banning their id and IP
+      socket.on('kick_player', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'remove players');
+          const player = this.sessionManager.removePlayer(session.sessionId, socket.playerId, data?.playerId);
+          callback({ success: true, playerName: player.name });
+
+        } catch (error) {
+          this.logger.warn(`Failed to kick player: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      socket.on('ban_player', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'ban players');
+          const player = this.sessionManager.removePlayer(session.sessionId, socket.playerId, data?.playerId, { ban: true });
+          callback({ success: true, playerName: player.name });
+
+        } catch (error) {
+          this.logger.warn(`Failed to ban player: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Muted players keep reading but cannot send direct or influence input
+      socket.on('mute_player', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'mute players');
+          const player = this.sessionManager.setPlayerMuted(session.sessionId, data?.playerId, data?.muted !== false);
+          callback({ success: true, playerName: player.name });
+
+        } catch (error) {
+          this.logger.warn(`Failed to mute player: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      socket.on('transfer_host', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'hand over the host role');
+          const player = this.sessionManager.transferHost(session.sessionId, data?.playerId);
+          callback({ success: true, playerName: player.name });
+
+        } catch (error) {
+          this.logger.warn(`Failed to transfer host: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Host moderation: the direct and influence inputs waiting for the next segment
+      socket.on('get_pending_inputs', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'see the input queue');
+          const toPublic = input => ({
+            id: input.id,
+            playerId: input.playerId,
+            playerName: input.playerName,
+            content: input.content,
+            timestamp: input.timestamp
+          });
+          callback({
+            success: true,
+            direct: session.pendingInputs.direct.map(toPublic),
+            influence: session.pendingInputs.influence.map(toPublic),
+            generating: this.storyEngine.isGenerating(session.sessionId)
+          });
+
+        } catch (error) {
+          this.logger.warn(`Failed to get pending inputs: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      socket.on('strike_input', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'strike inputs');
+          if (this.storyEngine.isGenerating(session.sessionId)) {
+            throw new Error('The next segment is being written from these inputs - strike once it is in');
+          }
+
+          const host = session.players.get(socket.playerId);
+          const input = this.sessionManager.strikeInput(session.sessionId, Number(data?.inputId), { by: host.name });
+          callback({ success: true, inputId: input.id, playerName: input.playerName });
+
+        } catch (error) {
+          this.logger.warn(`Failed to strike input: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      socket.on('retract_segment', async (data, callback) => {
+        try {
+          const session = this.getHostSession(socket, 'retract segments');
+          const host = session.players.get(socket.playerId);
+          const reason = data?.reason ? Utils.sanitizeInput(String(data.reason), 200) : null;
+          const retraction = this.storyEngine.retractSegment(session.sessionId, Number(data?.segmentNumber), { by: host.name, reason });
+          callback({ success: true, segmentNumber: retraction.segmentNumber });
+
+        } catch (error) {
+          this.logger.warn(`Failed to retract segment: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Ask to skip the wait for the next segment
+      socket.on('skip_request', async (data, callback) => {
+        try {
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const skipped = this.storyEngine.requestSkip(sessionId, playerId);
+          callback({ success: true, skipped });
+
+        } catch (error) {
+          this.logger.warn(`Failed to skip: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Mark yourself ready (or not) for the next segment (ready pacing)
+      socket.on('player_ready', async (data, callback) => {
+        try {
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          this.storyEngine.setReady(sessionId, playerId, data?.ready !== false);
+          callback({ success: true });
+
+        } catch (error) {
+          this.logger.warn(`Failed to mark ready: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // End your turn early so the segment is written now (turn-based pacing)
+      socket.on('pass_turn', async (data, callback) => {
+        try {
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          this.storyEngine.passTurn(sessionId, playerId);
+          callback({ success: true });
+
+        } catch (error) {
+          this.logger.warn(`Failed to pass turn: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Vote for one of the candidate segments (voting mode)
+      socket.on('vote_segment', async (data, callback) => {
+        try {
+          const { segmentNumber, candidateIndex } = data;
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          this.storyEngine.castVote(sessionId, playerId, segmentNumber, candidateIndex);
+          callback({ success: true });
+
+        } catch (error) {
+          this.logger.warn(`Failed to record vote: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Browse the story bible
+      socket.on('get_story_bible', async (data, callback) => {
+        try {
+          const sessionId = socket.sessionId;
+
+          if (!sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          callback({ success: true, entries: session.storyState.bible?.entries || [] });
+
+        } catch (error) {
+          this.logger.error(`Failed to get story bible: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Host pins, unpins or corrects a story bible entry
+      socket.on('update_bible_entry', async (data, callback) => {
+        try {
+          const { entryId, pinned, name, description } = data;
+          const sessionId = socket.sessionId;
+
+          if (!sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          const player = session.players.get(socket.playerId);
+          if (!player?.isHost) {
+            throw new Error('Only the host can edit the story bible');
+          }
+
+          const entry = this.storyEngine.updateBibleEntry(session, entryId, { pinned, name, description });
+          this.logger.info(`Host updated story bible entry ${entry.id} (${entry.type} "${entry.name}")${entry.pinned ? ', pinned' : ''}`, sessionId);
+          callback({ success: true, entry });
+
+        } catch (error) {
+          this.logger.error(`Failed to update story bible: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Pick one of the choices offered after a segment (adventure mode)
+      socket.on('choose_option', async (data, callback) => {
+        try {
+          const { segmentNumber, choiceIndex } = data;
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          this.storyEngine.pickChoice(sessionId, playerId, segmentNumber, choiceIndex);
+          callback({ success: true });
+
+        } catch (error) {
+          this.logger.warn(`Failed to record choice: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Rewind to an earlier segment: the host does it outright, other players vote
+      socket.on('rewind_story', async (data, callback) => {
+        try {
+          const toSegment = Number(data.toSegment);
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const rewind = this.storyEngine.requestRewind(sessionId, playerId, toSegment);
+          callback({ success: true, rewound: Boolean(rewind), toSegment });
+
+        } catch (error) {
+          this.logger.warn(`Failed to rewind story: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Every branch of the story tree, for reading abandoned ones
+      socket.on('get_story_branches', async (data, callback) => {
+        try {
+          const sessionId = socket.sessionId;
+
+          if (!sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          callback({ success: true, branches: this.getPublicBranches(session) });
+
+        } catch (error) {
+          this.logger.error(`Failed to get story branches: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Table talk between players; kept out of the story inputs so it never reaches the AI
+      socket.on('chat_message', async (data, callback) => {
+        try {
+          const playerId = socket.playerId;
+          const sessionId = socket.sessionId;
+
+          if (!playerId || !sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          const message = this.chat.post(session, playerId, data?.text);
+          this.sessionStore.saveChatMessage(sessionId, message);
+          this.io.to(sessionId).emit('chat_message', { message });
+          callback({ success: true, message });
+
+        } catch (error) {
+          this.logger.warn(`Failed to send chat message: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Typing presence: { active, mode, text }, relayed to the other players and never stored.
+      // text is left out by players who keep their drafts private
+      socket.on('typing', (data) => {
+        const playerId = socket.playerId;
+        const sessionId = socket.sessionId;
+        const typingConfig = this.config.getConfig().typing;
+        if (!playerId || !sessionId || typingConfig?.enabled === false) return;
+
+        const player = this.sessionManager.getSession(sessionId)?.players.get(playerId);
+        if (!player) return;
+
+        // Drop updates faster than the throttle; stopping always goes through
+        const active = Boolean(data?.active);
+        const now = Date.now();
+        if (active && now - (socket.typingAt || 0) < (typingConfig?.throttleMs || 500) / 2) return;
+        socket.typingAt = active ? now : 0;
+
+        const mode = ['seed', 'direct', 'influence', 'chat'].includes(data?.mode) ? data.mode : 'influence';
+        const text = active && typeof data?.text === 'string' ?
+          data.text.slice(0, typingConfig?.maxDraftLength || 300) : null;
+
+        socket.to(sessionId).volatile.emit('player_typing', {
+          playerId,
+          playerName: player.name,
+          active,
+          mode,
+          text
+        });
+      });
+
+      // Chat history for players who join or come back mid-story
+      socket.on('get_chat_history', async (data, callback) => {
+        try {
+          const sessionId = socket.sessionId;
+
+          if (!sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          callback({ success: true, messages: SessionChat.getHistory(session) });
+
+        } catch (error) {
+          this.logger.error(`Failed to get chat history: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
+      // Render the story as markdown for the requesting player; data.tree adds the abandoned
+      // branches and data.chat the chat log
+      socket.on('request_export', async (data, callback) => {
+        try {
+          const sessionId = socket.sessionId;
+
+          if (!sessionId) {
+            throw new Error('Not connected to a session');
+          }
+
+          const session = this.sessionManager.getSession(sessionId);
+          if (!session) {
+            throw new Error('Session not found');
+          }
+
+          const competitionResults = this.competitionEngine.getCompetitionResults(sessionId);
+          const markdown = await this.exportEngine.renderMarkdown(
+            session, competitionResults, this.liteLLMBridge.getSessionUsage(sessionId), { tree: Boolean(data?.tree), chat: Boolean(data?.chat) }
+          );
+
+          callback({
+            success: true,
+            filename: this.exportEngine.getExportFilename(sessionId),
+            markdown
+          });
+
+        } catch (error) {
+          this.logger.error(`Failed to export story: ${error.message}`, socket.sessionId);
+          callback({ success: false, error: error.message });
+        }
+      });
+
       // Handle disconnections
       socket.on('disconnect', () => {
         this.logger.debug(`Socket disconnected: ${socket.id}`);
         
         if (socket.playerId && socket.sessionId) {
+          // Ignore stale sockets whose player has already resumed on a new connection
+          const player = this.sessionManager.getSession(socket.sessionId)?.players.get(socket.playerId);
+          if (player && player.socketId !== socket.id) return;
+
           this.sessionManager.leaveSession(socket.playerId);
           
-          // Notify other players
+          // Notify other players; whatever they were typing goes with them
           socket.to(socket.sessionId).emit('player_left', {
             playerId: socket.playerId
           });
+          socket.to(socket.sessionId).emit('player_typing', {
+            playerId: socket.playerId,
+            active: false
+          });
         }
       });
 
@@ -317,6 +1007,12 @@ class StoryChefServer {
   handleSessionCreated({ sessionId, session }) {
     // Start story engine for this session
     this.storyEngine.startSession(sessionId, this.sessionManager);
+
+    // Build the competition so players can see their goals while seeding
+    if (session.competitionMode) {
+      this.startCompetition(sessionId)
+        .catch(error => this.logger.error(`Competition not started: ${error.message}`, sessionId));
+    }
   }
 
   handlePlayerJoined({ sessionId, playerId, playerName }) {
@@ -325,11 +1021,50 @@ class StoryChefServer {
     
     // Resume story generation if it was paused
     this.storyEngine.resumeStoryGeneration(sessionId);
+
+    // Late joiners get their own goals once the competition is running
+    if (this.competitionEngine.isCompetitionInitialized(sessionId)) {
+      this.assignLateJoinerGoals(sessionId, playerId)
+        .catch(error => this.logger.error(`Could not assign goals to late joiner: ${error.message}`, sessionId));
+    }
   }
 
   handlePlayerLeft({ sessionId, playerId, playerName }) {
     // Player left, update all clients in session
     this.updateSessionForClients(sessionId);
+
+    // Their turn, if it was theirs, goes to the next player
+    this.storyEngine.handlePlayerLeft(sessionId, playerId);
+  }
+
+  handlePlayerRemoved({ sessionId, playerId, playerName, socketId, banned }) {
+    // Take the removed player's socket out of the session's room
+    const socket = socketId && this.io.sockets.sockets.get(socketId);
+    if (socket && socket.playerId === playerId) {
+      socket.emit('removed_from_session', { sessionId, banned });
+      socket.leave(sessionId);
+      socket.playerId = null;
+      socket.sessionId = null;
+    }
+
+    this.io.to(sessionId).emit('player_removed', { playerId, playerName, banned });
+    this.updateSessionForClients(sessionId);
+
+    // Their turn or vote, if any, no longer holds the story up
+    this.storyEngine.handlePlayerLeft(sessionId, playerId);
+  }
+
+  handlePlayerMuted({ sessionId, playerId, playerName, muted }) {
+    this.io.to(sessionId).emit('player_muted', { playerId, playerName, muted });
+    if (muted) {
+      this.storyEngine.handlePlayerMuted(sessionId, playerId);
+    }
+    this.updateSessionForClients(sessionId);
+  }
+
+  handleHostChanged({ sessionId, hostPlayerId, hostName, previousHostName, reason }) {
+    this.io.to(sessionId).emit('host_changed', { hostPlayerId, hostName, previousHostName, reason });
+    this.updateSessionForClients(sessionId);
   }
 
   handlePlayerReconnected({ sessionId, playerId, playerName }) {
@@ -338,6 +1073,12 @@ class StoryChefServer {
     
     // Resume story generation if it was paused
     this.storyEngine.resumeStoryGeneration(sessionId);
+
+    // Re-send goals, the new socket has not seen them yet
+    const goals = this.competitionEngine.getPlayerGoals(sessionId, playerId);
+    if (goals) {
+      this.sendGoalsToPlayer(sessionId, playerId, goals);
+    }
   }
 
   handleStoryStarted({ sessionId }) {
@@ -353,11 +1094,66 @@ class StoryChefServer {
     this.updateSessionForClients(sessionId);
   }
 
+  handleStoryRewound({ sessionId, toSegment, decidedBy, requestedBy, abandonedSegments }) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) return;
+
+    this.io.to(sessionId).emit('story_rewound', {
+      toSegment,
+      decidedBy,
+      requestedBy,
+      abandonedSegments,
+      segments: session.storyState.segments,
+      branchCount: StoryTree.getBranches(session.storyState).length
+    });
+    this.updateSessionForClients(sessionId);
+  }
+
+  // The struck text is not sent out again; clients drop the input by id
+  handleInputStruck({ sessionId, input, inputType }) {
+    this.io.to(sessionId).emit('input_struck', { inputId: input.id, inputType });
+    this.updateSessionForClients(sessionId);
+  }
+
+  handleSegmentRetracted({ sessionId, segmentNumber, segmentId, retractedBy, reason }) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) return;
+
+    this.io.to(sessionId).emit('segment_retracted', {
+      segmentNumber,
+      segmentId,
+      retractedBy,
+      reason,
+      segments: session.storyState.segments
+    });
+    this.updateSessionForClients(sessionId);
+  }
+
   handleStoryCompleted({ sessionId, session, duration }) {
     this.io.to(sessionId).emit('story_complete', {
       duration,
       segments: session.storyState.segments.length
     });
+
+    this.finalizeStory(sessionId)
+      .catch(error => this.logger.error(`Could not finalize story: ${error.message}`, sessionId));
+  }
+
+  handleStoryTimeExpired({ sessionId }) {
+    // Let the story engine write the conclusion before the session is marked complete
+    if (this.storyEngine.getSessionStats(sessionId)) {
+      this.storyEngine.completeStory(sessionId);
+    } else {
+      this.sessionManager.completeStory(sessionId);
+    }
+  }
+
+  handleSessionCleanedUp({ sessionId, session }) {
+    this.competitionEngine.stopCompetition(sessionId);
+    this.chat.clearSession(session);
+    this.liteLLMBridge.usage.clearSession(sessionId);
+    this.liteLLMBridge.budgets.clearSession(sessionId);
+    this.liteLLMBridge.cancelSession(sessionId);
   }
 
   handleSessionTimerUpdate({ sessionId }) {
@@ -365,6 +1161,180 @@ class StoryChefServer {
     this.updateSessionForClients(sessionId);
   }
 
+  // Session persistence helpers
+  async restoreSessions() {
+    // Today's spend counts towards the daily budget across restarts
+    const startOfDay = new Date(`${UsageTracker.today()}T00:00:00Z`);
+    const today = await this.sessionStore.getUsageReport({ since: startOfDay });
+    this.liteLLMBridge.usage.restoreDaily(today.totals);
+
+    const sessions = await this.sessionStore.loadUnfinishedSessions();
+
+    for (const session of sessions) {
+      this.sessionManager.restoreSession(session);
+      this.storyEngine.restoreSession(session.sessionId, this.sessionManager);
+      this.competitionEngine.restoreCompetition(session.sessionId, this.sessionManager);
+      this.liteLLMBridge.usage.restore(session.sessionId, await this.sessionStore.loadUsage(session.sessionId));
+      this.liteLLMBridge.setSessionBudget(session.sessionId, session.config.sessionBudget);
+
+      // Restart the story clock last; it may complete a story whose time ran out while we were down
+      if (session.storyState.isActive) {
+        this.sessionManager.startStoryTimer(session.sessionId);
+      }
+    }
+
+    if (sessions.length > 0) {
+      this.logger.info(`Restored ${sessions.length} unfinished sessions from the session store`);
+    }
+  }
+
+  persistSession(sessionId) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (session) {
+      this.sessionStore.saveSession(session);
+    }
+  }
+
+  persistModeration(sessionId) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (session) {
+      this.sessionStore.saveModeration(sessionId, session.moderation);
+    }
+  }
+
+  // The caller's session, if they are its host; action completes "Only the host can ..."
+  getHostSession(socket, action) {
+    if (!socket.playerId || !socket.sessionId) {
+      throw new Error('Not connected to a session');
+    }
+
+    const session = this.sessionManager.getSession(socket.sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const player = session.players.get(socket.playerId);
+    if (!player?.isHost) {
+      throw new Error(`Only the host can ${action}`);
+    }
+
+    return session;
+  }
+
+  persistPlayer(sessionId, playerId) {
+    const player = this.sessionManager.getSession(sessionId)?.players.get(playerId);
+    if (player) {
+      this.sessionStore.savePlayer(sessionId, player);
+    }
+  }
+
+  // Score the competition (if any) and export the finished story
+  async finalizeStory(sessionId) {
+    let competitionResults = null;
+    if (this.competitionEngine.isCompetitionInitialized(sessionId)) {
+      competitionResults = await this.finishCompetition(sessionId);
+    }
+
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) return;
+
+    const result = await this.exportEngine.exportStorySession(
+      session, competitionResults, this.liteLLMBridge.getSessionUsage(sessionId),
+      {
+        tree: session.config.branching?.exportTree !== false,
+        chat: Boolean(session.config.chat?.includeInExport)
+      }
+    );
+    if (result.success) {
+      session.exportPath = result.filePath;
+      this.io.to(sessionId).emit('story_exported', {
+        filename: path.basename(result.filePath)
+      });
+    }
+  }
+
+  // Competition helpers
+  async startCompetition(sessionId) {
+    const result = await this.competitionEngine.initializeCompetition(sessionId, this.sessionManager);
+    if (!result.success) {
+      this.logger.warn(`Competition not started: ${result.message}`, sessionId);
+      return;
+    }
+
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) return;
+
+    for (const playerId of session.players.keys()) {
+      const goals = this.competitionEngine.getPlayerGoals(sessionId, playerId);
+      if (goals) {
+        this.sessionStore.saveGoals(sessionId, playerId, goals);
+        this.sendGoalsToPlayer(sessionId, playerId, goals);
+      } else {
+        // Joined while the initial goals were being generated
+        this.assignLateJoinerGoals(sessionId, playerId)
+          .catch(error => this.logger.error(`Could not assign goals to late joiner: ${error.message}`, sessionId));
+      }
+    }
+  }
+
+  async assignLateJoinerGoals(sessionId, playerId) {
+    const result = await this.competitionEngine.addPlayerToCompetition(sessionId, playerId);
+    if (result.success) {
+      this.sessionStore.saveGoals(sessionId, playerId, result.goals);
+      this.sendGoalsToPlayer(sessionId, playerId, result.goals);
+    } else {
+      this.logger.warn(`Could not assign goals to late joiner: ${result.message}`, sessionId);
+    }
+  }
+
+  async finishCompetition(sessionId) {
+    if (this.competitionEngine.isCompetitionCompleted(sessionId)) {
+      return this.competitionEngine.getCompetitionResults(sessionId);
+    }
+
+    const result = await this.competitionEngine.scoreCompetition(sessionId);
+    if (!result.success) {
+      this.logger.error(`Competition scoring failed: ${result.message}`, sessionId);
+      return null;
+    }
+
+    const results = this.competitionEngine.getCompetitionResults(sessionId);
+    this.io.to(sessionId).emit('competition_results', results);
+    return results;
+  }
+
+  // Goals are secret, so they only ever go to the owning player's socket
+  sendGoalsToPlayer(sessionId, playerId, goals) {
+    const session = this.sessionManager.getSession(sessionId);
+    const player = session?.players.get(playerId);
+    if (!player?.socketId || !player.isConnected) return false;
+
+    this.io.to(player.socketId).emit('goals_assigned', goals);
+    return true;
+  }
+
+  // Players who join mid-vote get the candidates, and the open choices in adventure mode, too
+  sendOpenVote(socket, sessionId) {
+    const vote = this.storyEngine.getOpenVote(sessionId);
+    if (vote) {
+      socket.emit('segment_candidates', {
+        segmentNumber: vote.segmentNumber,
+        candidates: vote.getPublicCandidates(),
+        closesAt: vote.closesAt
+      });
+    }
+
+    const ballot = this.storyEngine.getOpenBallot(sessionId);
+    if (ballot) {
+      socket.emit('story_choices', {
+        segmentNumber: ballot.segmentNumber,
+        choices: ballot.getPublicCandidates(),
+        closesAt: ballot.closesAt,
+        tally: ballot.getTally()
+      });
+    }
+  }
+
   // Helper methods
   updateSessionForClients(sessionId) {
     const session = this.sessionManager.getSession(sessionId);
@@ -373,6 +1343,22 @@ class StoryChefServer {
     }
   }
 
+  getPublicBranches(session) {
+    return StoryTree.getBranches(session.storyState).map(branch => ({
+      number: branch.number,
+      isCurrent: branch.isCurrent,
+      forkIndex: branch.forkIndex,
+      parent: branch.parent,
+      rewind: branch.rewind,
+      segments: branch.segments.map(segment => ({
+        id: segment.id,
+        segmentNumber: segment.segmentNumber,
+        text: segment.text,
+        isConclusion: segment.isConclusion || false
+      }))
+    }));
+  }
+
   getPublicSessionData(session) {
     return {
       sessionId: session.sessionId,
@@ -381,6 +1367,7 @@ class StoryChefServer {
         name: p.name,
         isHost: p.isHost,
         isConnected: p.isConnected,
+        isMuted: this.sessionManager.isMuted(session, p.id),
         joinedAt: p.joinedAt
       })),
       storyState: {
@@ -389,12 +1376,19 @@ class StoryChefServer {
         isActive: session.storyState.isActive,
         isCompleted: session.storyState.isCompleted,
         timeRemaining: session.storyState.timeRemaining,
-        segmentTimeRemaining: session.storyState.segmentTimeRemaining || 0
+        segmentTimeRemaining: session.storyState.segmentTimeRemaining || 0,
+        turn: session.storyState.turn || null
       },
       competitionMode: session.competitionMode,
       config: {
         storyPacing: session.config.storyPacing,
-        competition: session.config.competition
+        competition: session.config.competition,
+        mode: session.config.mode || 'classic',
+        voting: session.config.voting,
+        adventure: session.config.adventure,
+        branching: session.config.branching,
+        chat: session.config.chat,
+        typing: session.config.typing
       }
     };
   }
@@ -411,7 +1405,10 @@ class StoryChefServer {
     }
     
     this.storyEngine.shutdown();
+    this.competitionEngine.shutdown();
     this.sessionManager.shutdown();
+    await this.liteLLMBridge.shutdown();
+    await this.sessionStore.close();
     this.logger.info('Server shutdown complete');
   }
 }
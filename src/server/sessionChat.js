@@ -0,0 +1,86 @@
+const Utils = require('../shared/utils');
+
+/**
+ * SessionChat - Table talk between the players of a session
+ *
+ * Messages are kept on `session.chat`, apart from the story inputs, so they
+ * never reach a prompt. Each player may send `rateLimit.messages` messages
+ * per `rateLimit.windowMs`, and only the latest `historyLimit` messages are
+ * kept. A message starting with "/me " is an action ("* Mira waves").
+ */
+class SessionChat {
+  constructor(config, logger) {
+    this.enabled = config.chat?.enabled !== false;
+    this.historyLimit = config.chat?.historyLimit || 200;
+    this.maxLength = config.chat?.maxLength || 300;
+    this.rateLimit = {
+      messages: config.chat?.rateLimit?.messages || 5,
+      windowMs: config.chat?.rateLimit?.windowMs || 10000
+    };
+    this.logger = logger;
+    this.recent = new Map(); // playerId -> times of the player's recent messages
+  }
+
+  static getHistory(session) {
+    if (!session.chat) {
+      session.chat = [];
+    }
+    return session.chat;
+  }
+
+  // Throws when chat is off, the message is empty or the player is sending too fast
+  post(session, playerId, rawText) {
+    if (!this.enabled) {
+      throw new Error('Chat is turned off on this server');
+    }
+
+    const player = session.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not found in session');
+    }
+
+    let text = Utils.sanitizeInput(rawText, this.maxLength + 4);
+    const action = /^\/me\s/i.test(text);
+    if (action) {
+      text = text.slice(4).trim();
+    }
+    text = text.slice(0, this.maxLength);
+    if (!text) {
+      throw new Error('Chat message cannot be empty');
+    }
+
+    const now = Date.now();
+    const times = (this.recent.get(playerId) || []).filter(time => now - time < this.rateLimit.windowMs);
+    if (times.length >= this.rateLimit.messages) {
+      const wait = Math.ceil((times[0] + this.rateLimit.windowMs - now) / 1000);
+      throw new Error(`You are chatting too fast - wait ${wait}s`);
+    }
+    times.push(now);
+    this.recent.set(playerId, times);
+
+    const history = SessionChat.getHistory(session);
+    const message = {
+      id: (history[history.length - 1]?.id || 0) + 1,
+      playerId,
+      playerName: player.name,
+      text,
+      action,
+      timestamp: new Date(now)
+    };
+
+    history.push(message);
+    if (history.length > this.historyLimit) {
+      history.splice(0, history.length - this.historyLimit);
+    }
+
+    return message;
+  }
+
+  clearSession(session) {
+    for (const playerId of session.players.keys()) {
+      this.recent.delete(playerId);
+    }
+  }
+}
+
+module.exports = SessionChat;
@@ -1,6 +1,9 @@
 const EventEmitter = require('events');
 const Utils = require('../shared/utils');
 
+const STORY_MODES = ['classic', 'adventure'];
+const PACING_MODES = ['timer', 'turns', 'ready'];
+
 class SessionManager extends EventEmitter {
   constructor(config, logger) {
     super();
@@ -8,12 +11,22 @@ class SessionManager extends EventEmitter {
     this.logger = logger;
     this.sessions = new Map();
     this.playerSessions = new Map(); // Maps player IDs to session IDs
+    this.hostHandoffTimers = new Map(); // sessionId -> timer that passes on a dropped host's role
     this.cleanupInterval = null;
     
     this.startCleanupTimer();
   }
 
-  createSession(hostPlayerId, playerName, ipAddress) {
+  createSession(hostPlayerId, playerName, ipAddress, options = {}) {
+    const mode = options.mode || 'classic';
+    if (!STORY_MODES.includes(mode)) {
+      throw new Error(`Unknown story mode: ${mode}`);
+    }
+    const pacing = options.pacing || this.config.storyPacing.mode || 'timer';
+    if (!PACING_MODES.includes(pacing)) {
+      throw new Error(`Unknown pacing mode: ${pacing}`);
+    }
+
     const sessionId = Utils.generateSessionId();
     const timestamp = new Date();
     
@@ -22,7 +35,12 @@ class SessionManager extends EventEmitter {
       hostPlayerId,
       players: new Map(),
       storyState: {
-        segments: [],
+        segments: [], // Current branch of the story tree
+        archivedSegments: [], // Segments left behind by rewinds
+        rewinds: [],
+        nextSegmentId: 1,
+        nextInputId: 1,
+        moderationLog: [], // Inputs struck and segments retracted by the host
         currentContext: '',
         seedingPhase: true,
         seedingStartTime: timestamp,
@@ -30,6 +48,7 @@ class SessionManager extends EventEmitter {
         timeRemaining: this.config.storyPacing.storyTimeLimit,
         segmentTimeRemaining: 0, // Time until next segment generation
         nextSegmentAt: null, // When the next segment will generate
+        turn: null, // Current turn when turn-based: { number, playerId, playerName, endsAt, ended }
         isActive: false,
         isCompleted: false
       },
@@ -38,11 +57,23 @@ class SessionManager extends EventEmitter {
         influence: [],
         seeds: []
       },
+      chat: [], // Players' chat, kept apart from story inputs so it never reaches the AI
+      moderation: { bannedPlayerIds: [], bannedIps: [], mutedPlayerIds: [] },
       competitionMode: this.config.competition.enabled,
       goals: new Map(), // playerId -> goals array
       createdAt: timestamp,
       lastActivity: timestamp,
-      config: { ...this.config } // Session-specific config copy
+      // Session-specific config copy; the host picks the mode and pacing and can switch voting and write-ins on
+      config: {
+        ...this.config,
+        mode,
+        storyPacing: { ...this.config.storyPacing, mode: pacing },
+        sessionBudget: options.budget || null,
+        voting: options.voting === undefined ? this.config.voting :
+          { ...this.config.voting, enabled: Boolean(options.voting) },
+        adventure: options.writeIns === undefined ? this.config.adventure :
+          { ...this.config.adventure, allowWriteIns: Boolean(options.writeIns) }
+      }
     };
 
     // Add host player
@@ -54,6 +85,7 @@ class SessionManager extends EventEmitter {
       joinedAt: timestamp,
       socketId: null,
       isConnected: false,
+      disconnectedAt: null,
       contributions: {
         directWords: 0,
         influenceWords: 0,
@@ -73,6 +105,28 @@ class SessionManager extends EventEmitter {
     return session;
   }
 
+  // Re-register a session loaded from the session store after a restart
+  restoreSession(session) {
+    const sessionId = session.sessionId;
+
+    this.sessions.set(sessionId, session);
+    for (const [playerId, player] of session.players) {
+      this.playerSessions.set(playerId, sessionId);
+      // The restart counts as the disconnect for the reconnect window
+      player.disconnectedAt = new Date();
+    }
+    // Input ids are not stored; pending inputs get fresh ones so the host can strike them
+    const storyState = session.storyState;
+    storyState.nextInputId = storyState.nextInputId || 1;
+    for (const input of [...session.pendingInputs.direct, ...session.pendingInputs.influence]) {
+      input.id = storyState.nextInputId++;
+    }
+    this.scheduleHostHandoff(sessionId);
+
+    this.logger.info(`Restored session with ${session.players.size} players and ${session.storyState.segments.length} segments`, sessionId);
+    return session;
+  }
+
   joinSession(sessionId, playerId, playerName, ipAddress) {
     const session = this.sessions.get(sessionId);
     if (!session) {
@@ -83,20 +137,29 @@ class SessionManager extends EventEmitter {
       throw new Error('Cannot join completed session');
     }
 
-    if (session.players.size >= this.config.server.maxPlayers) {
-      throw new Error('Session is full');
+    if (this.isBanned(session, playerId, ipAddress)) {
+      throw new Error('You have been banned from this session');
     }
 
-    // Check if this is a reconnecting player
+    // Check if this is a reconnecting player (they already hold a seat, so skip the capacity check)
     if (session.players.has(playerId)) {
       const player = session.players.get(playerId);
       player.isConnected = true;
+      player.disconnectedAt = null;
       player.ipAddress = ipAddress; // Update IP in case it changed
-      this.logger.playerReconnected(sessionId, playerName);
-      this.emit('player_reconnected', { sessionId, playerId, playerName });
+      session.lastActivity = new Date();
+      if (player.isHost) {
+        this.cancelHostHandoff(sessionId);
+      }
+      this.logger.playerReconnected(sessionId, player.name);
+      this.emit('player_reconnected', { sessionId, playerId, playerName: player.name });
       return session;
     }
 
+    if (session.players.size >= this.config.server.maxPlayers) {
+      throw new Error('Session is full');
+    }
+
     // Add new player
     const player = {
       id: playerId,
@@ -106,6 +169,7 @@ class SessionManager extends EventEmitter {
       joinedAt: new Date(),
       socketId: null,
       isConnected: true,
+      disconnectedAt: null,
       contributions: {
         directWords: 0,
         influenceWords: 0,
@@ -121,10 +185,37 @@ class SessionManager extends EventEmitter {
 
     this.logger.playerJoined(sessionId, playerName, ipAddress);
     this.emit('player_joined', { sessionId, playerId, playerName });
+
+    // A host who dropped long ago and left nobody to take over hands off to the newcomer
+    const host = session.players.get(session.hostPlayerId);
+    if (host && !host.isConnected && !this.hostHandoffTimers.has(sessionId)) {
+      this.handOffHost(sessionId);
+    }
     
     return session;
   }
 
+  // Give a dropped player their seat back, as long as they return within reconnectTimeout
+  resumeSession(sessionId, playerId, ipAddress) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const player = session.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not found in session');
+    }
+
+    const reconnectTimeout = this.config.server.reconnectTimeout;
+    if (!player.isConnected && player.disconnectedAt &&
+        (new Date() - player.disconnectedAt) > reconnectTimeout) {
+      throw new Error('Reconnect window has expired');
+    }
+
+    return this.joinSession(sessionId, playerId, player.name, ipAddress);
+  }
+
   leaveSession(playerId) {
     const sessionId = this.playerSessions.get(playerId);
     if (!sessionId) return null;
@@ -135,13 +226,166 @@ class SessionManager extends EventEmitter {
     const player = session.players.get(playerId);
     if (player) {
       player.isConnected = false;
+      player.disconnectedAt = new Date();
       this.logger.playerLeft(sessionId, player.name);
       this.emit('player_left', { sessionId, playerId, playerName: player.name });
+
+      if (player.isHost) {
+        this.scheduleHostHandoff(sessionId);
+      }
     }
 
     return session;
   }
 
+  // Moderation. The server checks that the caller is the host before calling these
+
+  isBanned(session, playerId, ipAddress) {
+    const moderation = session.moderation;
+    return Boolean(moderation) &&
+      (moderation.bannedPlayerIds.includes(playerId) || (ipAddress && moderation.bannedIps.includes(ipAddress)));
+  }
+
+  isMuted(session, playerId) {
+    return Boolean(session.moderation?.mutedPlayerIds.includes(playerId));
+  }
+
+  // Remove a player from the session; with ban, they cannot come back under their id or IP
+  removePlayer(sessionId, hostPlayerId, playerId, { ban = false } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const player = session.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not found in session');
+    }
+    if (playerId === hostPlayerId) {
+      throw new Error('You cannot remove yourself');
+    }
+
+    if (ban) {
+      const moderation = session.moderation;
+      moderation.bannedPlayerIds.push(playerId);
+      // Players sharing the host's address (e.g. the same machine or network) are banned by id only
+      const hostIp = session.players.get(hostPlayerId)?.ipAddress;
+      if (player.ipAddress && player.ipAddress !== hostIp && !moderation.bannedIps.includes(player.ipAddress)) {
+        moderation.bannedIps.push(player.ipAddress);
+      }
+    }
+
+    session.players.delete(playerId);
+    this.playerSessions.delete(playerId);
+    session.lastActivity = new Date();
+
+    this.logger.info(`${player.name} was ${ban ? 'banned' : 'kicked'} by the host`, sessionId);
+    this.emit('player_removed', { sessionId, playerId, playerName: player.name, socketId: player.socketId, banned: ban });
+    return player;
+  }
+
+  // Muted players still read the story but cannot send direct or influence input
+  setPlayerMuted(sessionId, playerId, muted) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const player = session.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not found in session');
+    }
+    if (player.isHost) {
+      throw new Error('The host cannot be muted');
+    }
+
+    const mutedPlayerIds = session.moderation.mutedPlayerIds;
+    const index = mutedPlayerIds.indexOf(playerId);
+    if (muted && index === -1) {
+      mutedPlayerIds.push(playerId);
+    } else if (!muted && index !== -1) {
+      mutedPlayerIds.splice(index, 1);
+    }
+
+    this.logger.info(`${player.name} was ${muted ? 'muted' : 'unmuted'} by the host`, sessionId);
+    this.emit('player_muted', { sessionId, playerId, playerName: player.name, muted });
+    return player;
+  }
+
+  // reason is 'transfer' when the host hands over, 'disconnect' when they dropped
+  transferHost(sessionId, playerId, reason = 'transfer') {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const newHost = session.players.get(playerId);
+    if (!newHost) {
+      throw new Error('Player not found in session');
+    }
+    if (!newHost.isConnected) {
+      throw new Error(`${newHost.name} is not connected`);
+    }
+    if (newHost.isHost) {
+      throw new Error(`${newHost.name} is already the host`);
+    }
+
+    const previousHost = session.players.get(session.hostPlayerId);
+    if (previousHost) {
+      previousHost.isHost = false;
+    }
+    newHost.isHost = true;
+    session.hostPlayerId = playerId;
+    this.cancelHostHandoff(sessionId);
+
+    // A muted player who becomes host gets their voice back
+    const mutedIndex = session.moderation.mutedPlayerIds.indexOf(playerId);
+    if (mutedIndex !== -1) {
+      session.moderation.mutedPlayerIds.splice(mutedIndex, 1);
+    }
+
+    this.logger.info(`Host role passed from ${previousHost?.name || 'nobody'} to ${newHost.name} (${reason})`, sessionId);
+    this.emit('host_changed', {
+      sessionId,
+      hostPlayerId: playerId,
+      hostName: newHost.name,
+      previousHostId: previousHost?.id || null,
+      previousHostName: previousHost?.name || null,
+      reason
+    });
+    return newHost;
+  }
+
+  // A host who stays away past reconnectTimeout hands the role to the longest-seated connected player
+  scheduleHostHandoff(sessionId) {
+    this.cancelHostHandoff(sessionId);
+
+    const reconnectTimeout = this.config.server.reconnectTimeout;
+    this.hostHandoffTimers.set(sessionId, setTimeout(() => {
+      this.hostHandoffTimers.delete(sessionId);
+      this.handOffHost(sessionId);
+    }, reconnectTimeout));
+  }
+
+  cancelHostHandoff(sessionId) {
+    clearTimeout(this.hostHandoffTimers.get(sessionId));
+    this.hostHandoffTimers.delete(sessionId);
+  }
+
+  handOffHost(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.storyState.isCompleted) return;
+
+    const host = session.players.get(session.hostPlayerId);
+    if (host?.isConnected) return;
+
+    // Nobody to take over yet; the next player to join becomes host
+    const successor = this.getConnectedPlayers(session)[0];
+    if (successor) {
+      this.transferHost(sessionId, successor.id, 'disconnect');
+    }
+  }
+
   getSession(sessionId) {
     return this.sessions.get(sessionId);
   }
@@ -168,6 +412,7 @@ class SessionManager extends EventEmitter {
     return false;
   }
 
+  // Returns the stored input, or false when the session or player is gone
   addStoryInput(sessionId, playerId, inputType, content) {
     const session = this.sessions.get(sessionId);
     if (!session || session.storyState.isCompleted) return false;
@@ -183,7 +428,24 @@ class SessionManager extends EventEmitter {
       type: inputType
     };
 
+    // Turn-based stories: only the player whose turn it is writes story text
+    if (inputType === 'direct' && session.config.storyPacing.mode === 'turns') {
+      const turn = session.storyState.turn;
+      if (!turn || turn.ended) {
+        throw new Error('Wait for the next turn to write story text');
+      }
+      if (turn.playerId !== playerId) {
+        throw new Error(`It is ${turn.playerName}'s turn - you can send influences instead`);
+      }
+    }
+
+    if ((inputType === 'direct' || inputType === 'influence') && this.isMuted(session, playerId)) {
+      throw new Error('The host has muted you - you can keep reading along');
+    }
+
     const wordCount = Utils.countWords(content);
+    input.id = session.storyState.nextInputId || 1;
+    session.storyState.nextInputId = input.id + 1;
 
     if (inputType === 'direct') {
       session.pendingInputs.direct.push(input);
@@ -203,8 +465,8 @@ class SessionManager extends EventEmitter {
     player.contributions.inputCount++;
     session.lastActivity = new Date();
 
-    this.emit('input_added', { sessionId, playerId, inputType, content: input.content });
-    return true;
+    this.emit('input_added', { sessionId, playerId, inputType, content: input.content, input });
+    return input;
   }
 
   startStory(sessionId) {
@@ -252,9 +514,9 @@ class SessionManager extends EventEmitter {
       }
       
       if (remaining <= 0) {
-        // Time's up! Complete the story
+        // Time's up! Hand over to the story engine so it can write the conclusion
         this.logger.info('Story time limit reached, completing story', sessionId);
-        this.completeStory(sessionId);
+        this.emit('story_time_expired', { sessionId });
         return;
       }
       
@@ -270,14 +532,25 @@ class SessionManager extends EventEmitter {
     const session = this.sessions.get(sessionId);
     if (!session) return false;
 
-    session.storyState.segments.push(segment);
-    session.storyState.currentContext = this.buildStoryContext(session);
+    // Segments are nodes of the story tree, each continuing the one before it
+    const storyState = session.storyState;
+    const parent = storyState.segments[storyState.segments.length - 1];
+    segment.id = storyState.nextSegmentId || 1;
+    segment.parentId = parent?.id ?? null;
+    storyState.nextSegmentId = segment.id + 1;
+
+    storyState.segments.push(segment);
+    storyState.currentContext = this.buildStoryContext(session);
     session.lastActivity = new Date();
 
-    // Clear processed inputs
-    this.logger.debug(`Clearing ${session.pendingInputs.direct.length} direct and ${session.pendingInputs.influence.length} influence inputs`, sessionId);
-    session.pendingInputs.direct = [];
-    session.pendingInputs.influence = [];
+    // Clear processed inputs; ones that arrived while the segment was being written (or voted on) stay pending
+    const processed = segment.inputsProcessed || {
+      direct: session.pendingInputs.direct.length,
+      influence: session.pendingInputs.influence.length
+    };
+    this.logger.debug(`Clearing ${processed.direct} direct and ${processed.influence} influence inputs`, sessionId);
+    session.pendingInputs.direct.splice(0, processed.direct);
+    session.pendingInputs.influence.splice(0, processed.influence);
 
     const segmentNumber = session.storyState.segments.length;
     const activePlayers = this.getConnectedPlayerCount(session);
@@ -288,9 +561,120 @@ class SessionManager extends EventEmitter {
     return true;
   }
 
+  // Keep the first toSegment segments; the ones after them stay in the tree as an abandoned branch
+  rewindStory(sessionId, toSegment, details = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const storyState = session.storyState;
+    const abandoned = storyState.segments.splice(toSegment);
+    if (abandoned.length === 0) return null;
+
+    storyState.archivedSegments = [...(storyState.archivedSegments || []), ...abandoned];
+    const rewind = {
+      toSegment,
+      tipId: abandoned[abandoned.length - 1].id,
+      abandonedSegments: abandoned.length,
+      requestedBy: details.requestedBy || null,
+      decidedBy: details.decidedBy || 'host',
+      timestamp: new Date()
+    };
+    storyState.rewinds = [...(storyState.rewinds || []), rewind];
+    storyState.currentContext = this.buildStoryContext(session);
+    session.lastActivity = new Date();
+
+    this.logger.info(`Story rewound to segment ${toSegment}, ${abandoned.length} segments kept on another branch`, sessionId);
+    this.emit('story_rewound', { sessionId, ...rewind });
+
+    return rewind;
+  }
+
+  // Host moderation: drop a direct or influence input before a segment uses it
+  strikeInput(sessionId, inputId, details = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const inputType = ['direct', 'influence'].find(type =>
+      session.pendingInputs[type].some(input => input.id === inputId));
+    if (!inputType) {
+      throw new Error(`Input #${inputId} is not waiting for the next segment`);
+    }
+
+    const queue = session.pendingInputs[inputType];
+    const [input] = queue.splice(queue.findIndex(candidate => candidate.id === inputId), 1);
+
+    // A struck input does not count towards the player's contributions
+    const player = session.players.get(input.playerId);
+    if (player) {
+      const words = Utils.countWords(input.content);
+      const field = inputType === 'direct' ? 'directWords' : 'influenceWords';
+      player.contributions[field] = Math.max(0, player.contributions[field] - words);
+      player.contributions.inputCount = Math.max(0, player.contributions.inputCount - 1);
+    }
+
+    const entry = {
+      action: 'strike_input',
+      inputId,
+      inputType,
+      playerName: input.playerName,
+      content: input.content,
+      by: details.by || null,
+      timestamp: new Date()
+    };
+    session.storyState.moderationLog = [...(session.storyState.moderationLog || []), entry];
+    session.lastActivity = new Date();
+
+    this.logger.info(`${entry.by || 'The host'} struck ${input.playerName}'s ${inputType} input #${inputId}`, sessionId);
+    this.emit('input_struck', { sessionId, input, inputType, struckBy: entry.by });
+    return input;
+  }
+
+  // Host moderation: take segment segmentNumber out of the story. The segments
+  // after it close up behind it, and the log keeps its text for audit.
+  retractSegment(sessionId, segmentNumber, details = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const storyState = session.storyState;
+    const [segment] = storyState.segments.splice(segmentNumber - 1, 1);
+    if (!segment) {
+      throw new Error(`Segment must be between 1 and ${storyState.segments.length}`);
+    }
+
+    // Whatever continued the retracted segment now continues the one before it
+    for (const other of [...storyState.segments, ...(storyState.archivedSegments || [])]) {
+      if (other.parentId === segment.id) other.parentId = segment.parentId;
+    }
+    storyState.segments.forEach((other, index) => {
+      other.segmentNumber = index + 1;
+    });
+
+    const entry = {
+      action: 'retract_segment',
+      segmentNumber,
+      segmentId: segment.id,
+      wordCount: Utils.countWords(segment.text),
+      text: segment.text,
+      reason: details.reason || null,
+      by: details.by || null,
+      timestamp: new Date()
+    };
+    storyState.moderationLog = [...(storyState.moderationLog || []), entry];
+    storyState.currentContext = this.buildStoryContext(session);
+    session.lastActivity = new Date();
+
+    this.logger.info(`${entry.by || 'The host'} retracted segment ${segmentNumber}${entry.reason ? ` (${entry.reason})` : ''}`, sessionId);
+    this.emit('segment_retracted', { sessionId, segmentNumber, segmentId: segment.id, retractedBy: entry.by, reason: entry.reason });
+    return entry;
+  }
+
   completeStory(sessionId) {
     const session = this.sessions.get(sessionId);
-    if (!session) return false;
+    if (!session || session.storyState.isCompleted) return false;
 
     session.storyState.isActive = false;
     session.storyState.isCompleted = true;
@@ -313,6 +697,7 @@ class SessionManager extends EventEmitter {
     const now = new Date();
     session.storyState.nextSegmentAt = new Date(now.getTime() + segmentDelay);
     session.storyState.segmentTimeRemaining = segmentDelay;
+    this.emit('segment_timer_set', { sessionId, nextSegmentAt: session.storyState.nextSegmentAt });
   }
 
   // Set seeding phase timer
@@ -323,6 +708,7 @@ class SessionManager extends EventEmitter {
     const now = new Date();
     session.storyState.nextSegmentAt = new Date(now.getTime() + seedingTime);
     session.storyState.segmentTimeRemaining = seedingTime;
+    this.emit('segment_timer_set', { sessionId, nextSegmentAt: session.storyState.nextSegmentAt });
   }
 
   // Clear segment timer (when segment is generated)
@@ -379,8 +765,9 @@ class SessionManager extends EventEmitter {
         }
         
         // Remove session
+        this.cancelHostHandoff(sessionId);
         this.sessions.delete(sessionId);
-        this.emit('session_cleaned_up', { sessionId });
+        this.emit('session_cleaned_up', { sessionId, session });
       }
     }
   }
@@ -404,6 +791,10 @@ class SessionManager extends EventEmitter {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+
+    for (const sessionId of this.hostHandoffTimers.keys()) {
+      this.cancelHostHandoff(sessionId);
+    }
   }
 }
 
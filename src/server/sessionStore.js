@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    host_player_id TEXT NOT NULL,
+    competition_mode INTEGER NOT NULL DEFAULT 0,
+    story_state TEXT NOT NULL,
+    config TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_activity TEXT NOT NULL,
+    is_completed INTEGER NOT NULL DEFAULT 0
+  )`,
+  `CREATE TABLE IF NOT EXISTS players (
+    session_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    ip_address TEXT,
+    is_host INTEGER NOT NULL DEFAULT 0,
+    joined_at TEXT NOT NULL,
+    contributions TEXT NOT NULL,
+    PRIMARY KEY (session_id, player_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS pending_inputs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    input_type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS segments (
+    session_id TEXT NOT NULL,
+    segment_index INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, segment_index)
+  )`,
+  `CREATE TABLE IF NOT EXISTS chat_messages (
+    session_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT NOT NULL,
+    text TEXT NOT NULL,
+    is_action INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT NOT NULL,
+    PRIMARY KEY (session_id, message_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS moderation (
+    session_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS goals (
+    session_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    goals TEXT NOT NULL,
+    PRIMARY KEY (session_id, player_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS ai_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    player_id TEXT,
+    template TEXT NOT NULL,
+    category TEXT NOT NULL,
+    provider TEXT,
+    model TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    cost REAL NOT NULL DEFAULT 0,
+    success INTEGER NOT NULL DEFAULT 1,
+    estimated INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_sessions_completed ON sessions(is_completed)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_usage_session ON ai_usage(session_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_pending_inputs_session ON pending_inputs(session_id)'
+];
+
+// Story state fields that hold dates and need reviving after a JSON round-trip
+const STORY_STATE_DATES = ['seedingStartTime', 'storyStartTime', 'nextSegmentAt', 'completedAt'];
+
+/**
+ * SessionStore - SQLite persistence for sessions
+ *
+ * Writes sessions, players, pending inputs, segments, goals, chat and
+ * moderation (bans and mutes) as they
+ * change so unfinished stories survive a server restart.
+ */
+class SessionStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.enabled = config.persistence?.enabled !== false;
+    this.databasePath = path.resolve(config.persistence?.databasePath || './data/story-chef.db');
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.enabled) {
+      this.logger.info('Session persistence disabled');
+      return false;
+    }
+
+    const dataDir = path.dirname(this.databasePath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.databasePath, (err) => {
+        if (err) reject(err);
+        else resolve(db);
+      });
+    });
+
+    // Keep writes in the order they were issued
+    this.db.serialize();
+
+    for (const statement of SCHEMA) {
+      await this._run(statement);
+    }
+
+    this.logger.info(`Session store ready at ${this.databasePath}`);
+    return true;
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  _all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Writes are fire-and-forget from the game's point of view; failures are logged
+  _write(sql, params, sessionId) {
+    if (!this.db) return Promise.resolve(null);
+
+    return this._run(sql, params).catch((error) => {
+      this.logger.error(`Session store write failed: ${error.message}`, sessionId);
+      return null;
+    });
+  }
+
+  saveSession(session) {
+    const { segments, ...storyState } = session.storyState;
+
+    return this._write(
+      `INSERT INTO sessions (session_id, host_player_id, competition_mode, story_state, config, created_at, last_activity, is_completed)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(session_id) DO UPDATE SET
+         host_player_id = excluded.host_player_id,
+         story_state = excluded.story_state,
+         last_activity = excluded.last_activity,
+         is_completed = excluded.is_completed`,
+      [
+        session.sessionId,
+        session.hostPlayerId,
+        session.competitionMode ? 1 : 0,
+        JSON.stringify(storyState),
+        JSON.stringify(session.config),
+        session.createdAt.toISOString(),
+        session.lastActivity.toISOString(),
+        session.storyState.isCompleted ? 1 : 0
+      ],
+      session.sessionId
+    );
+  }
+
+  savePlayer(sessionId, player) {
+    return this._write(
+      `INSERT INTO players (session_id, player_id, name, ip_address, is_host, joined_at, contributions)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(session_id, player_id) DO UPDATE SET
+         name = excluded.name,
+         ip_address = excluded.ip_address,
+         is_host = excluded.is_host,
+         contributions = excluded.contributions`,
+      [
+        sessionId,
+        player.id,
+        player.name,
+        player.ipAddress,
+        player.isHost ? 1 : 0,
+        new Date(player.joinedAt).toISOString(),
+        JSON.stringify(player.contributions)
+      ],
+      sessionId
+    );
+  }
+
+  saveInput(sessionId, input) {
+    return this._write(
+      `INSERT INTO pending_inputs (session_id, player_id, player_name, input_type, content, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [sessionId, input.playerId, input.playerName, input.type, input.content, new Date(input.timestamp).toISOString()],
+      sessionId
+    );
+  }
+
+  // Direct and influence inputs are consumed by each segment; seeds are kept.
+  // With processed counts, only that many of the oldest inputs of each type go.
+  clearProcessedInputs(sessionId, processed = null) {
+    if (!processed) {
+      return this._write(
+        `DELETE FROM pending_inputs WHERE session_id = ? AND input_type IN ('direct', 'influence')`,
+        [sessionId],
+        sessionId
+      );
+    }
+
+    return Promise.all(['direct', 'influence'].map(type => this._write(
+      `DELETE FROM pending_inputs WHERE id IN (
+         SELECT id FROM pending_inputs WHERE session_id = ? AND input_type = ? ORDER BY id LIMIT ?)`,
+      [sessionId, type, processed[type] || 0],
+      sessionId
+    )));
+  }
+
+  // Inputs struck by the host; rows have no in-memory id, so the oldest matching one goes
+  deleteInput(sessionId, input) {
+    return this._write(
+      `DELETE FROM pending_inputs WHERE id IN (
+         SELECT id FROM pending_inputs WHERE session_id = ? AND player_id = ? AND input_type = ? AND timestamp = ? AND content = ?
+         ORDER BY id LIMIT 1)`,
+      [sessionId, input.playerId, input.type, new Date(input.timestamp).toISOString(), input.content],
+      sessionId
+    );
+  }
+
+  saveSegment(sessionId, segmentIndex, segment) {
+    return this._write(
+      `INSERT OR REPLACE INTO segments (session_id, segment_index, data) VALUES (?, ?, ?)`,
+      [sessionId, segmentIndex, JSON.stringify(segment)],
+      sessionId
+    );
+  }
+
+  // After a rewind or retraction only the current branch is kept here; abandoned segments are saved with the story state
+  truncateSegments(sessionId, segmentCount) {
+    return this._write(
+      `DELETE FROM segments WHERE session_id = ? AND segment_index >= ?`,
+      [sessionId, segmentCount],
+      sessionId
+    );
+  }
+
+  deletePlayer(sessionId, playerId) {
+    return this._write(
+      'DELETE FROM players WHERE session_id = ? AND player_id = ?',
+      [sessionId, playerId],
+      sessionId
+    );
+  }
+
+  saveModeration(sessionId, moderation) {
+    return this._write(
+      'INSERT OR REPLACE INTO moderation (session_id, data) VALUES (?, ?)',
+      [sessionId, JSON.stringify(moderation)],
+      sessionId
+    );
+  }
+
+  saveChatMessage(sessionId, message) {
+    return this._write(
+      `INSERT OR REPLACE INTO chat_messages (session_id, message_id, player_id, player_name, text, is_action, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, message.id, message.playerId, message.playerName, message.text, message.action ? 1 : 0,
+        new Date(message.timestamp).toISOString()],
+      sessionId
+    );
+  }
+
+  saveGoals(sessionId, playerId, goals) {
+    return this._write(
+      `INSERT OR REPLACE INTO goals (session_id, player_id, goals) VALUES (?, ?, ?)`,
+      [sessionId, playerId, JSON.stringify(goals)],
+      sessionId
+    );
+  }
+
+  saveUsage(entry) {
+    return this._write(
+      `INSERT INTO ai_usage (session_id, player_id, template, category, provider, model, prompt_tokens, completion_tokens, latency_ms, cost, success, estimated, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.sessionId,
+        entry.playerId,
+        entry.templateName,
+        entry.category,
+        entry.provider,
+        entry.model,
+        entry.promptTokens,
+        entry.completionTokens,
+        entry.latencyMs,
+        entry.cost,
+        entry.success ? 1 : 0,
+        entry.estimated ? 1 : 0,
+        entry.timestamp.toISOString()
+      ],
+      entry.sessionId
+    );
+  }
+
+  async loadUsage(sessionId) {
+    if (!this.db) return [];
+
+    const rows = await this._all('SELECT * FROM ai_usage WHERE session_id = ? ORDER BY id', [sessionId]);
+    return rows.map(row => ({
+      playerId: row.player_id,
+      templateName: row.template,
+      category: row.category,
+      provider: row.provider,
+      model: row.model,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      latencyMs: row.latency_ms,
+      cost: row.cost,
+      success: Boolean(row.success),
+      estimated: Boolean(row.estimated),
+      timestamp: new Date(row.created_at)
+    }));
+  }
+
+  // Aggregate usage history, optionally limited to one session or to calls since a date
+  async getUsageReport({ sessionId = null, since = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (sessionId) {
+      conditions.push('session_id = ?');
+      params.push(sessionId);
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      params.push(since.toISOString());
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totals = `COUNT(*) AS calls,
+      SUM(1 - success) AS failures,
+      SUM(prompt_tokens) AS promptTokens,
+      SUM(completion_tokens) AS completionTokens,
+      SUM(cost) AS cost,
+      CAST(AVG(latency_ms) AS INTEGER) AS averageLatencyMs`;
+
+    const [overall] = await this._all(`SELECT COUNT(DISTINCT session_id) AS sessions, ${totals} FROM ai_usage ${where}`, params);
+
+    return {
+      totals: overall,
+      byTemplate: await this._all(`SELECT category AS name, ${totals} FROM ai_usage ${where} GROUP BY category ORDER BY cost DESC, calls DESC`, params),
+      byModel: await this._all(`SELECT provider || '/' || model AS name, ${totals} FROM ai_usage ${where} GROUP BY provider, model ORDER BY cost DESC, calls DESC`, params),
+      bySession: await this._all(`SELECT session_id AS name, MIN(created_at) AS startedAt, ${totals} FROM ai_usage ${where} GROUP BY session_id ORDER BY cost DESC, calls DESC`, params)
+    };
+  }
+
+  // Rebuild in-memory session objects for every story that has not finished
+  async loadUnfinishedSessions() {
+    if (!this.db) return [];
+
+    const sessionRows = await this._all('SELECT * FROM sessions WHERE is_completed = 0');
+    const sessions = [];
+
+    for (const row of sessionRows) {
+      try {
+        sessions.push(await this._loadSession(row));
+      } catch (error) {
+        this.logger.error(`Failed to restore session: ${error.message}`, row.session_id);
+      }
+    }
+
+    return sessions;
+  }
+
+  async _loadSession(row) {
+    const sessionId = row.session_id;
+    const storyState = JSON.parse(row.story_state);
+
+    for (const key of STORY_STATE_DATES) {
+      if (storyState[key]) {
+        storyState[key] = new Date(storyState[key]);
+      }
+    }
+
+    const segmentRows = await this._all(
+      'SELECT data FROM segments WHERE session_id = ? ORDER BY segment_index', [sessionId]
+    );
+    storyState.segments = segmentRows.map(({ data }) => {
+      const segment = JSON.parse(data);
+      segment.timestamp = new Date(segment.timestamp);
+      return segment;
+    });
+    for (const segment of storyState.archivedSegments || []) {
+      segment.timestamp = new Date(segment.timestamp);
+    }
+
+    const goalRows = await this._all('SELECT player_id, goals FROM goals WHERE session_id = ?', [sessionId]);
+    const goalsByPlayer = new Map(goalRows.map(({ player_id, goals }) => [player_id, JSON.parse(goals)]));
+
+    const players = new Map();
+    const playerRows = await this._all('SELECT * FROM players WHERE session_id = ?', [sessionId]);
+    for (const playerRow of playerRows) {
+      players.set(playerRow.player_id, {
+        id: playerRow.player_id,
+        name: playerRow.name,
+        ipAddress: playerRow.ip_address,
+        isHost: Boolean(playerRow.is_host),
+        joinedAt: new Date(playerRow.joined_at),
+        socketId: null,
+        isConnected: false,
+        contributions: JSON.parse(playerRow.contributions),
+        goals: goalsByPlayer.get(playerRow.player_id) || []
+      });
+    }
+
+    const pendingInputs = { direct: [], influence: [], seeds: [] };
+    const inputRows = await this._all(
+      'SELECT * FROM pending_inputs WHERE session_id = ? ORDER BY id', [sessionId]
+    );
+    for (const inputRow of inputRows) {
+      const bucket = inputRow.input_type === 'seed' ? 'seeds' : inputRow.input_type;
+      pendingInputs[bucket].push({
+        playerId: inputRow.player_id,
+        playerName: inputRow.player_name,
+        content: inputRow.content,
+        timestamp: new Date(inputRow.timestamp),
+        type: inputRow.input_type
+      });
+    }
+
+    // Only the latest chat.historyLimit messages, as SessionChat keeps
+    const chatRows = await this._all(
+      `SELECT * FROM (SELECT * FROM chat_messages WHERE session_id = ? ORDER BY message_id DESC LIMIT ?)
+       ORDER BY message_id`, [sessionId, this.config.chat?.historyLimit || 200]
+    );
+    const chat = chatRows.map(chatRow => ({
+      id: chatRow.message_id,
+      playerId: chatRow.player_id,
+      playerName: chatRow.player_name,
+      text: chatRow.text,
+      action: Boolean(chatRow.is_action),
+      timestamp: new Date(chatRow.timestamp)
+    }));
+
+    const [moderationRow] = await this._all('SELECT data FROM moderation WHERE session_id = ?', [sessionId]);
+    const moderation = moderationRow ? JSON.parse(moderationRow.data) :
+      { bannedPlayerIds: [], bannedIps: [], mutedPlayerIds: [] };
+
+    return {
+      sessionId,
+      hostPlayerId: row.host_player_id,
+      players,
+      storyState,
+      pendingInputs,
+      chat,
+      moderation,
+      competitionMode: Boolean(row.competition_mode),
+      goals: new Map(goalsByPlayer),
+      createdAt: new Date(row.created_at),
+      lastActivity: new Date(row.last_activity),
+      config: JSON.parse(row.config)
+    };
+  }
+
+  async close() {
+    if (!this.db) return;
+
+    const db = this.db;
+    this.db = null;
+
+    await new Promise((resolve) => {
+      db.close((err) => {
+        if (err) {
+          this.logger.error(`Failed to close session store: ${err.message}`);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// `npm run init-db` creates the database and schema without starting the server
+if (require.main === module && process.argv.includes('--init')) {
+  const ConfigManager = require('../shared/config');
+  const Logger = require('./logger');
+
+  const config = new ConfigManager().getConfig();
+  const store = new SessionStore({ ...config, persistence: { ...config.persistence, enabled: true } }, new Logger(config));
+
+  store.initialize()
+    .then(() => store.close())
+    .then(() => {
+      console.log(`✅ Database initialized at ${store.databasePath}`);
+    })
+    .catch((error) => {
+      console.error(`❌ Failed to initialize database: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = SessionStore;
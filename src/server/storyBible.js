@@ -0,0 +1,241 @@
+const Utils = require('../shared/utils');
+
+// Section headers of the story_bible_update answer -> entry types
+const SECTIONS = {
+  'CHARACTERS': 'character',
+  'LOCATIONS': 'location',
+  'ITEMS': 'item',
+  'FACTS': 'fact'
+};
+
+const ENTRY_TYPES = Object.values(SECTIONS);
+
+/**
+ * StoryBible - Per-session reference of who and what is in the story
+ *
+ * After each segment the `story_bible_update` template lists the characters,
+ * locations, items and facts the segment introduced or changed, and they are
+ * merged into `storyState.bible`. Hosts can pin entries, which puts them into
+ * every later segment prompt as facts that must hold, and correct them, which
+ * stops extraction from overwriting their text.
+ */
+class StoryBible {
+  constructor(ai, config, logger) {
+    this.ai = ai;
+    this.enabled = config.storyBible?.enabled !== false;
+    this.maxEntriesPerType = config.storyBible?.maxEntriesPerType || 25;
+    this.logger = logger;
+    this.updates = new Map(); // sessionId -> promise of the latest queued update
+  }
+
+  static empty() {
+    return { entries: [], nextId: 1 };
+  }
+
+  // Entries by type from the sectioned answer; "- None" lines are skipped
+  static parse(text) {
+    const found = [];
+    let type = null;
+
+    for (const rawLine of String(text || '').split('\n')) {
+      const line = rawLine.trim().replace(/^[#*]+\s*|\*+$/g, '');
+
+      const header = line.match(/^([A-Za-z ]+):\s*$/);
+      if (header && SECTIONS[header[1].trim().toUpperCase()]) {
+        type = SECTIONS[header[1].trim().toUpperCase()];
+        continue;
+      }
+
+      // Known entries are shown as "[type] name", which models sometimes echo back
+      const item = line.replace(/^[-*•]\s*/, '').replace(/^\[\w+\]\s*/, '').trim();
+      if (!type || !item || /^none\b/i.test(item)) continue;
+
+      // Facts are whole sentences, so a colon in one is part of the fact
+      const colon = type === 'fact' ? -1 : item.indexOf(':');
+      found.push(colon > 0 ?
+        { type, name: item.slice(0, colon).trim(), description: item.slice(colon + 1).trim() } :
+        { type, name: item, description: '' });
+    }
+
+    return found;
+  }
+
+  static formatEntry(entry) {
+    return entry.description ? `${entry.name}: ${entry.description}` : entry.name;
+  }
+
+  static getBible(session) {
+    if (!session.storyState.bible) {
+      session.storyState.bible = StoryBible.empty();
+    }
+    return session.storyState.bible;
+  }
+
+  // Pinned entries as prompt text for the story templates
+  getPinnedText(session) {
+    const pinned = (session.storyState.bible?.entries || []).filter(entry => entry.pinned);
+    if (pinned.length === 0) return 'None';
+
+    return pinned.map(entry => {
+      const label = entry.type === 'fact' ? '' : `${entry.type.charAt(0).toUpperCase()}${entry.type.slice(1)} `;
+      return `- ${label}${entry.name}${entry.description ? `: ${entry.description}` : ''}`;
+    }).join('\n');
+  }
+
+  // Updates for a session run one at a time, in segment order
+  update(session, segment, modelVariables) {
+    if (!this.enabled) return Promise.resolve(null);
+
+    const sessionId = session.sessionId;
+    const previous = this.updates.get(sessionId) || Promise.resolve();
+    const next = previous.then(() => this._update(session, segment, modelVariables));
+
+    this.updates.set(sessionId, next);
+    next.finally(() => {
+      if (this.updates.get(sessionId) === next) this.updates.delete(sessionId);
+    });
+    return next;
+  }
+
+  async _update(session, segment, modelVariables) {
+    const sessionId = session.sessionId;
+    const entries = session.storyState.bible?.entries || [];
+
+    // The story was rewound past this segment before its turn came
+    if (!session.storyState.segments.includes(segment)) return null;
+
+    try {
+      const result = await this.ai.executeTemplate('story_bible_update', {
+        ...modelVariables,
+        known_entries: entries.length > 0 ?
+          entries.map(entry => `[${entry.type}] ${StoryBible.formatEntry(entry)}`).join('\n') : 'None yet',
+        new_segment: segment.text
+      }, { sessionId });
+
+      if (!session.storyState.segments.includes(segment)) return null;
+
+      // Merged into the bible as it is now, so host edits made meanwhile are kept
+      const changed = this.merge(StoryBible.getBible(session), StoryBible.parse(result.content), segment.segmentNumber);
+      this.logger.debug(`Story bible updated after segment ${segment.segmentNumber}: ${changed} entries added or changed`, sessionId);
+      return changed;
+    } catch (error) {
+      this.logger.warn(`Story bible not updated after segment ${segment.segmentNumber}: ${error.message}`, sessionId);
+      return null;
+    }
+  }
+
+  // Returns how many entries were added or changed
+  merge(bible, found, segmentNumber) {
+    let changed = 0;
+
+    for (const { type, name, description } of found) {
+      const existing = bible.entries.find(entry =>
+        entry.type === type && entry.name.toLowerCase() === name.toLowerCase());
+
+      if (!existing) {
+        bible.entries.push({
+          id: bible.nextId++,
+          type,
+          name,
+          description,
+          pinned: false,
+          corrected: false,
+          firstSegment: segmentNumber,
+          lastSegment: segmentNumber
+        });
+        changed++;
+        continue;
+      }
+
+      existing.lastSegment = segmentNumber;
+      // Host corrections are final
+      if (!existing.corrected && description && description !== existing.description) {
+        existing.description = description;
+        changed++;
+      }
+    }
+
+    this.trim(bible);
+    return changed;
+  }
+
+  // Over the cap, the entries least recently mentioned go first; pinned and corrected ones stay
+  trim(bible) {
+    for (const type of ENTRY_TYPES) {
+      const removable = bible.entries
+        .filter(entry => entry.type === type && !entry.pinned && !entry.corrected)
+        .sort((a, b) => a.lastSegment - b.lastSegment);
+      const excess = bible.entries.filter(entry => entry.type === type).length - this.maxEntriesPerType;
+
+      if (excess > 0) {
+        const dropped = new Set(removable.slice(0, excess));
+        bible.entries = bible.entries.filter(entry => !dropped.has(entry));
+      }
+    }
+  }
+
+  // Entries first seen after toSegment go unless the host pinned or corrected them; returns how many went
+  rewind(session, toSegment) {
+    const bible = StoryBible.getBible(session);
+    const before = bible.entries.length;
+
+    bible.entries = bible.entries.filter(entry =>
+      entry.firstSegment <= toSegment || entry.pinned || entry.corrected);
+    for (const entry of bible.entries) {
+      entry.lastSegment = Math.min(entry.lastSegment, toSegment);
+    }
+
+    return before - bible.entries.length;
+  }
+
+  // Segment segmentNumber left the story: entries first seen in it go unless
+  // pinned or corrected, and the later segment numbers move up; returns how many went
+  retract(session, segmentNumber) {
+    const bible = StoryBible.getBible(session);
+    const before = bible.entries.length;
+
+    bible.entries = bible.entries.filter(entry =>
+      entry.firstSegment !== segmentNumber || entry.pinned || entry.corrected);
+    for (const entry of bible.entries) {
+      if (entry.firstSegment > segmentNumber) entry.firstSegment--;
+      if (entry.lastSegment >= segmentNumber) {
+        entry.lastSegment = Math.max(entry.firstSegment, entry.lastSegment - 1);
+      }
+    }
+
+    return before - bible.entries.length;
+  }
+
+  // Host edits: changes may set pinned, name and description
+  updateEntry(session, entryId, changes = {}) {
+    const bible = StoryBible.getBible(session);
+    const entry = bible.entries.find(candidate => candidate.id === Number(entryId));
+    if (!entry) {
+      throw new Error(`Story bible entry ${entryId} not found`);
+    }
+
+    if (changes.pinned !== undefined) {
+      entry.pinned = Boolean(changes.pinned);
+    }
+
+    for (const field of ['name', 'description']) {
+      if (changes[field] === undefined) continue;
+
+      const value = Utils.sanitizeInput(String(changes[field]), 300);
+      if (field === 'name' && !value) {
+        throw new Error('Entry name cannot be empty');
+      }
+      entry[field] = value;
+      entry.corrected = true;
+    }
+
+    return entry;
+  }
+
+  // Let pending extraction land before the conclusion is written
+  async waitForUpdates(sessionId) {
+    await this.updates.get(sessionId);
+  }
+}
+
+module.exports = StoryBible;
@@ -0,0 +1,53 @@
+/**
+ * StoryChoices - Choices that end each segment in adventure mode
+ *
+ * Once a segment is in the story, the `story_choices` template offers the
+ * players a few numbered ways it could go on. Players pick one until the
+ * next segment starts, and the winning choice becomes that segment's
+ * influence. Where write-ins are allowed, a player's free-text influence is
+ * added to the ballot as one more choice.
+ */
+class StoryChoices {
+  constructor(ai, config, logger) {
+    this.ai = ai;
+    this.minChoices = config.adventure?.minChoices || 2;
+    this.maxChoices = config.adventure?.maxChoices || 4;
+    this.logger = logger;
+  }
+
+  // Numbered or bulleted lines, up to maxChoices; anything else is ignored
+  static parse(text, maxChoices = 4) {
+    const choices = [];
+
+    for (const rawLine of String(text || '').split('\n')) {
+      const match = rawLine.trim().replace(/\*+/g, '').match(/^(?:\d+[.):]|[-•])\s*(.+)$/);
+      const choice = match?.[1].trim();
+      if (choice && !choices.includes(choice)) choices.push(choice);
+    }
+
+    return choices.slice(0, maxChoices);
+  }
+
+  // Throws when the answer does not hold enough choices
+  async generate(session, segment, variables) {
+    const result = await this.ai.executeTemplate('story_choices', {
+      ...variables,
+      new_segment: segment.text,
+      min_choices: this.minChoices,
+      max_choices: this.maxChoices
+    }, { sessionId: session.sessionId });
+
+    const choices = StoryChoices.parse(result.content, this.maxChoices);
+    if (choices.length < this.minChoices) {
+      throw new Error(`answer had ${choices.length} choices, at least ${this.minChoices} needed`);
+    }
+    return choices;
+  }
+
+  // The winning choice as an influence line for the segment prompt
+  static formatChosen(chosen) {
+    return `The players chose what happens next: ${chosen.text}`;
+  }
+}
+
+module.exports = StoryChoices;
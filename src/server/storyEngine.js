@@ -1,5 +1,9 @@
 const EventEmitter = require('events');
 const Utils = require('../shared/utils');
+const StoryMemory = require('./storyMemory');
+const StoryBible = require('./storyBible');
+const SegmentVote = require('./segmentVote');
+const StoryChoices = require('./storyChoices');
 
 class StoryEngine extends EventEmitter {
   constructor(config, liteLLMBridge, logger) {
@@ -7,6 +11,9 @@ class StoryEngine extends EventEmitter {
     this.config = config;
     this.ai = liteLLMBridge;
     this.logger = logger;
+    this.memory = new StoryMemory(liteLLMBridge, config, logger);
+    this.bible = new StoryBible(liteLLMBridge, config, logger);
+    this.choices = new StoryChoices(liteLLMBridge, config, logger);
     
     // Active sessions map: sessionId -> engine state
     this.activeSessions = new Map();
@@ -32,7 +39,18 @@ class StoryEngine extends EventEmitter {
       isRunning: false,
       currentSegment: 0,
       lastGenerationTime: null,
-      pendingGeneration: false
+      pendingGeneration: false,
+      generation: null, // Promise of the latest generateNextSegment run
+      consecutiveFailures: 0,
+      vote: null, // Open SegmentVote in voting mode
+      voteTimer: null,
+      rewindVote: null, // Players' request to rewind, waiting for support
+      ballot: null, // Choices offered after the latest segment in adventure mode
+      skipVote: null, // Players asking to skip the wait for the next segment
+      readyPlayers: null, // Players ready for the next segment when ready-paced
+      segmentRequests: new Set(), // AI requests writing the next segment
+      timeline: 0, // Bumped by every rewind
+      isCompleting: false
     };
 
     this.activeSessions.set(sessionId, engineState);
@@ -44,6 +62,57 @@ class StoryEngine extends EventEmitter {
     return true;
   }
 
+  // Resume a session restored from the session store, continuing from its saved timers
+  restoreSession(sessionId, sessionManager) {
+    if (this.activeSessions.has(sessionId)) return false;
+
+    const session = sessionManager.getSession(sessionId);
+    if (!session) return false;
+
+    const storyState = session.storyState;
+    const remaining = storyState.nextSegmentAt ?
+      Math.max(0, new Date(storyState.nextSegmentAt) - Date.now()) : 0;
+
+    const engineState = {
+      sessionId,
+      sessionManager,
+      timer: null,
+      segmentTimer: null,
+      isRunning: false,
+      currentSegment: storyState.segments.filter(segment => !segment.isConclusion).length,
+      lastGenerationTime: storyState.segments.length > 0 ?
+        storyState.segments[storyState.segments.length - 1].timestamp : null,
+      pendingGeneration: false,
+      generation: null, // Promise of the latest generateNextSegment run
+      consecutiveFailures: 0,
+      vote: null, // Open SegmentVote in voting mode
+      voteTimer: null,
+      rewindVote: null, // Players' request to rewind, waiting for support
+      ballot: null, // Choices offered after the latest segment in adventure mode
+      skipVote: null, // Players asking to skip the wait for the next segment
+      readyPlayers: null, // Players ready for the next segment when ready-paced
+      segmentRequests: new Set(), // AI requests writing the next segment
+      timeline: 0, // Bumped by every rewind
+      isCompleting: false
+    };
+
+    this.activeSessions.set(sessionId, engineState);
+
+    if (storyState.seedingPhase) {
+      this.logger.info(`Story engine restored in seeding phase (${Math.round(remaining / 1000)}s left)`, sessionId);
+      sessionManager.setSeedingTimer(sessionId, remaining);
+      engineState.timer = setTimeout(() => {
+        this.endSeedingPhase(sessionId);
+      }, remaining);
+    } else {
+      this.logger.info(`Story engine restored at segment ${engineState.currentSegment} (${Math.round(remaining / 1000)}s to next)`, sessionId);
+      engineState.isRunning = true;
+      this.scheduleNextSegment(sessionId, remaining);
+    }
+
+    return true;
+  }
+
   startSeedingPhase(sessionId) {
     const engineState = this.activeSessions.get(sessionId);
     if (!engineState) return;
@@ -125,11 +194,15 @@ class StoryEngine extends EventEmitter {
     const connectedPlayers = Array.from(session.players.values()).filter(p => p.isConnected);
     if (connectedPlayers.length > 0 && engineState.isRunning && !engineState.segmentTimer) {
       this.logger.info('Resuming story generation - players reconnected', sessionId);
-      this.scheduleNextSegment(sessionId);
+
+      // Honour a segment time that is still in the future (e.g. saved before a restart)
+      const remaining = session.storyState.nextSegmentAt ?
+        new Date(session.storyState.nextSegmentAt) - Date.now() : 0;
+      this.scheduleNextSegment(sessionId, remaining > 0 ? remaining : undefined);
     }
   }
 
-  scheduleNextSegment(sessionId) {
+  scheduleNextSegment(sessionId, segmentDelay = this.getSegmentDelay(sessionId)) {
     const engineState = this.activeSessions.get(sessionId);
     if (!engineState || !engineState.isRunning) return;
 
@@ -148,20 +221,39 @@ class StoryEngine extends EventEmitter {
       return;
     }
 
-    const segmentDelay = this.config.storyPacing.segmentDelay;
+    // Ready pacing: no timer, the segment is written once everyone is ready
+    if (this.isReadyPaced(session)) {
+      this.waitForReady(session, engineState);
+      return;
+    }
+
+    // Turn-based: the segment is written when the current turn ends
+    if (this.isTurnBased(session)) {
+      segmentDelay = this.nextTurn(session, this.getSegmentDelay(sessionId));
+    }
+
+    // Only one timer at a time, e.g. when the first segment comes in after the loop started
+    clearTimeout(engineState.segmentTimer);
 
     // Update session manager with segment timer
     engineState.sessionManager.setNextSegmentTime(sessionId, segmentDelay);
 
     engineState.segmentTimer = setTimeout(() => {
+      engineState.segmentTimer = null;
       this.generateNextSegment(sessionId);
     }, segmentDelay);
   }
 
-  async generateNextSegment(sessionId) {
+  // Keeps the run on engineState so the conclusion can wait for a segment still being written
+  generateNextSegment(sessionId) {
     const engineState = this.activeSessions.get(sessionId);
-    if (!engineState || engineState.pendingGeneration) return;
+    if (!engineState || engineState.pendingGeneration) return engineState?.generation;
 
+    engineState.generation = this.runSegmentGeneration(sessionId, engineState);
+    return engineState.generation;
+  }
+
+  async runSegmentGeneration(sessionId, engineState) {
     const session = engineState.sessionManager.getSession(sessionId);
     if (!session) return;
 
@@ -177,6 +269,10 @@ class StoryEngine extends EventEmitter {
       return;
     }
 
+    this.endTurn(session);
+    engineState.skipVote = null;
+    engineState.readyPlayers = null;
+
     // Check if story should be completed
     const storyStartTime = session.storyState.storyStartTime;
     const storyTimeLimit = this.config.storyPacing.storyTimeLimit;
@@ -187,34 +283,82 @@ class StoryEngine extends EventEmitter {
       return;
     }
 
+    // Out of budget: skip straight to the conclusion rather than failing segment after segment
+    if (this.ai.getBudgetStatus(sessionId).level === 'exceeded') {
+      this.logger.warn('AI budget exhausted, concluding story early', sessionId);
+      this.completeStory(sessionId);
+      return;
+    }
+
+    // Adventure mode: the choice picked after the last segment steers this one
+    this.closeBallot(sessionId);
+
     engineState.pendingGeneration = true;
     engineState.currentSegment++;
+    const timeline = engineState.timeline;
 
     try {
       this.logger.debug(`Generating segment ${engineState.currentSegment}`, sessionId);
       
-      const segment = await this.generateStorySegment(session, engineState.currentSegment);
+      const segment = session.config.voting?.enabled ?
+        await this.generateVotedSegment(session, engineState) :
+        await this.generateStorySegment(session, engineState.currentSegment);
+
+      // Rewound meanwhile: this segment continues a branch that has been left
+      if (engineState.timeline !== timeline) return;
       
+      this.takeChosenOption(session, segment);
+
       // Clear current timer and add segment to session
       engineState.sessionManager.clearSegmentTimer(sessionId);
       engineState.sessionManager.addStorySegment(sessionId, segment);
       
-      this.logger.info(`Generated segment ${engineState.currentSegment}`, sessionId);
+      this.logger.info(`Generated segment ${engineState.currentSegment} with ${segment.provider}/${segment.model}`, sessionId);
       this.emit('segment_generated', { sessionId, segment, segmentNumber: engineState.currentSegment });
+
+      // These run alongside the wait for the next segment
+      this.updateMemory(session, segment);
+      this.updateBible(session, segment);
+      if (session.config.mode === 'adventure') {
+        this.offerChoices(session, engineState, segment);
+      }
       
     } catch (error) {
+      // The rewind has already discarded it and scheduled the next one
+      if (engineState.timeline !== timeline) return;
+
+      // Whatever was streamed of this segment is void
+      this.emit('segment_discarded', { sessionId, segmentNumber: engineState.currentSegment, reason: error.message });
+
+      if (error.code === 'DEADLINE_EXCEEDED' || error.code === 'REQUEST_CANCELLED') {
+        this.logger.info(`Segment ${engineState.currentSegment} dropped: ${error.message}`, sessionId);
+        engineState.currentSegment--;
+        engineState.pendingGeneration = false;
+        return;
+      }
+
+      // The AI queue has already retried every model in the chain
       this.logger.error(`Failed to generate segment ${engineState.currentSegment}: ${error.message}`, sessionId);
       this.emit('generation_error', { sessionId, error, segmentNumber: engineState.currentSegment });
-      
-      // Try to continue with next segment after a delay
-      setTimeout(() => {
-        engineState.pendingGeneration = false;
-        this.scheduleNextSegment(sessionId);
-      }, 5000);
+
+      engineState.currentSegment--;
+      engineState.pendingGeneration = false;
+      engineState.consecutiveFailures++;
+
+      const maxFailures = this.config.aiModel.retry?.maxConsecutiveFailures || 3;
+      if (engineState.consecutiveFailures >= maxFailures) {
+        this.logger.warn(`${engineState.consecutiveFailures} segments failed in a row, concluding story`, sessionId);
+        this.completeStory(sessionId);
+        return;
+      }
+
+      // Pending inputs are kept, so the next segment picks them up
+      this.scheduleNextSegment(sessionId);
       return;
     }
 
     engineState.pendingGeneration = false;
+    engineState.consecutiveFailures = 0;
     engineState.lastGenerationTime = new Date();
     
     // Schedule next segment if story is still active
@@ -223,17 +367,223 @@ class StoryEngine extends EventEmitter {
     }
   }
 
-  async generateStorySegment(session, segmentNumber) {
+  isTurnBased(session) {
+    return session.config.storyPacing?.mode === 'turns';
+  }
+
+  // Keeps a turn that is still running, or gives the next turn to the next
+  // connected, unmuted player in join order; returns the time left in the turn
+  nextTurn(session, turnTime) {
+    const storyState = session.storyState;
+    const current = storyState.turn;
+    const canWrite = player => player?.isConnected &&
+      !this.activeSessions.get(session.sessionId)?.sessionManager.isMuted(session, player.id);
+    if (current && !current.ended && canWrite(session.players.get(current.playerId))) {
+      return Math.max(0, new Date(current.endsAt) - Date.now());
+    }
+
+    // A removed player is no longer in the list; the players after them moved up into their position
+    const players = Array.from(session.players.values());
+    const index = current ? players.findIndex(player => player.id === current.playerId) : -1;
+    const start = index !== -1 ? index + 1 : Math.min(current?.position || 0, players.length);
+    const order = [...players.slice(start), ...players.slice(0, start)];
+    const next = order.find(canWrite);
+
+    // Everyone left is muted: the segment is written from influences alone
+    if (!next) {
+      storyState.turn = null;
+      this.logger.info('No player can take a turn, writing the next segment from influences', session.sessionId);
+      return turnTime;
+    }
+
+    storyState.turn = {
+      number: (current?.number || 0) + 1,
+      playerId: next.id,
+      playerName: next.name,
+      position: players.indexOf(next),
+      endsAt: new Date(Date.now() + turnTime),
+      ended: false
+    };
+
+    this.logger.info(`Turn ${storyState.turn.number}: ${next.name}`, session.sessionId);
+    this.emit('turn_changed', { sessionId: session.sessionId, turn: storyState.turn });
+    return turnTime;
+  }
+
+  // The segment for the turn is being written; nobody has the next turn yet
+  endTurn(session) {
+    const turn = session.storyState.turn;
+    if (!turn || turn.ended) return;
+
+    turn.ended = true;
+    this.emit('turn_changed', { sessionId: session.sessionId, turn });
+  }
+
+  // The active player ends their turn early, and the segment is written now
+  passTurn(sessionId, playerId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session || !engineState.isRunning || !this.isTurnBased(session)) {
+      throw new Error('This story is not turn-based');
+    }
+
+    const turn = session.storyState.turn;
+    if (!turn || turn.ended || turn.playerId !== playerId) {
+      throw new Error('It is not your turn');
+    }
+    if (engineState.pendingGeneration) {
+      throw new Error('The last segment is still being written - pass once it is in');
+    }
+
+    this.logger.info(`${turn.playerName} passed turn ${turn.number}`, sessionId);
+    this.skipToNextSegment(sessionId);
+  }
+
+  // A player leaving can complete a skip vote or the ready round; one who
+  // leaves during their turn loses it to the next player, without a segment
+  handlePlayerLeft(sessionId, playerId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!engineState?.isRunning || !session) return;
+
+    if (this.checkSkipVote(session, engineState) || this.checkReady(session, engineState)) return;
+
+    this.endPlayerTurn(session, engineState, playerId, 'left');
+  }
+
+  // A muted player cannot write story text, so their turn passes on
+  handlePlayerMuted(sessionId, playerId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!engineState?.isRunning || !session) return;
+
+    this.endPlayerTurn(session, engineState, playerId, 'was muted');
+  }
+
+  endPlayerTurn(session, engineState, playerId, why) {
+    const turn = session.storyState.turn;
+    if (!turn || turn.ended || turn.playerId !== playerId) return;
+
+    this.logger.info(`${turn.playerName} ${why} during turn ${turn.number}`, session.sessionId);
+    turn.ended = true;
+
+    // A segment being written schedules the next turn once it is in
+    if (!engineState.pendingGeneration) {
+      this.scheduleNextSegment(session.sessionId);
+    }
+  }
+
+  // Skip the wait for the next segment: straight away for a player on their
+  // own, otherwise once storyPacing.skipShare of the connected players ask
+  requestSkip(sessionId, playerId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session || !engineState.isRunning) {
+      throw new Error('The story is not running');
+    }
+    if (this.isReadyPaced(session)) {
+      throw new Error('This story goes on once everyone is ready - use /ready');
+    }
+    if (engineState.pendingGeneration) {
+      throw new Error('The next segment is already being written');
+    }
+
+    if (!engineState.skipVote) {
+      engineState.skipVote = { players: new Set(), requestedBy: session.players.get(playerId)?.name || 'Unknown' };
+    }
+    engineState.skipVote.players.add(playerId);
+    return this.checkSkipVote(session, engineState);
+  }
+
+  // Only players still connected count, and the share is of those connected now
+  checkSkipVote(session, engineState) {
+    const vote = engineState.skipVote;
+    if (!vote) return false;
+
+    const connected = Array.from(session.players.values()).filter(player => player.isConnected);
+    const votes = connected.filter(player => vote.players.has(player.id)).length;
+    const share = session.config.storyPacing.skipShare ?? 0.5;
+    const needed = Math.max(1, Math.ceil(connected.length * share));
+    const passed = votes >= needed;
+
+    this.emit('skip_vote_update', { sessionId: session.sessionId, requestedBy: vote.requestedBy, votes, needed, passed });
+    if (passed) {
+      this.logger.info(`Skipping to the next segment (${votes}/${needed} asked)`, session.sessionId);
+      this.skipToNextSegment(session.sessionId);
+    }
+    return passed;
+  }
+
+  isReadyPaced(session) {
+    return session.config.storyPacing?.mode === 'ready';
+  }
+
+  // A new round of readiness starts once the last segment is in
+  waitForReady(session, engineState) {
+    if (engineState.pendingGeneration) return;
+
+    if (!engineState.readyPlayers) {
+      engineState.readyPlayers = new Set();
+    }
+    this.checkReady(session, engineState);
+  }
+
+  setReady(sessionId, playerId, ready = true) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session || !engineState.isRunning || !this.isReadyPaced(session)) {
+      throw new Error('This story does not wait for players to be ready');
+    }
+    if (!engineState.readyPlayers) {
+      throw new Error('The next segment is already being written');
+    }
+
+    if (ready) {
+      engineState.readyPlayers.add(playerId);
+    } else {
+      engineState.readyPlayers.delete(playerId);
+    }
+    return this.checkReady(session, engineState);
+  }
+
+  // Every connected player has to be ready
+  checkReady(session, engineState) {
+    if (!engineState.readyPlayers) return false;
+
+    const connected = Array.from(session.players.values()).filter(player => player.isConnected);
+    const ready = connected.filter(player => engineState.readyPlayers.has(player.id));
+    const everyone = connected.length > 0 && ready.length === connected.length;
+
+    this.emit('ready_update', {
+      sessionId: session.sessionId,
+      ready: ready.map(player => ({ id: player.id, name: player.name })),
+      needed: connected.length
+    });
+    if (everyone) {
+      this.logger.info('Everyone is ready, writing the next segment', session.sessionId);
+      this.generateNextSegment(session.sessionId);
+    }
+    return everyone;
+  }
+
+  // candidate numbers the parallel continuations in voting mode; candidates are not streamed
+  async generateStorySegment(session, segmentNumber, candidate = null) {
     const sessionId = session.sessionId; // Get sessionId from session
     const hasDirectInputs = session.pendingInputs.direct.length > 0;
     const template = hasDirectInputs ? 'story_segment_with_direct' : 'story_segment_generation';
+
+    // Inputs that arrive while this segment is written are left for the next one
+    const inputsProcessed = {
+      direct: session.pendingInputs.direct.length,
+      influence: session.pendingInputs.influence.length
+    };
     
     // Build story context from recent segments
     const storyContext = this.buildStoryContext(session);
     
     // Format player influences
     this.logger.debug(`Raw pending influences: ${JSON.stringify(session.pendingInputs.influence)}`, sessionId);
-    const playerInfluences = this.formatInfluences(session.pendingInputs.influence, sessionId);
+    const playerInfluences = this.getPlayerInfluences(session);
     this.logger.info(`Influences being sent to LLM for segment ${segmentNumber}: ${playerInfluences}`, sessionId);
     
     // Format direct content if available
@@ -242,21 +592,42 @@ class StoryEngine extends EventEmitter {
     
     // Prepare variables for AI generation
     const variables = {
-      model_provider: this.config.aiModel.provider,
-      model_name: this.config.aiModel.model,
+      ...this.getModelVariables(sessionId),
       temperature: this.config.aiModel.temperature,
       max_tokens: this.config.aiModel.maxTokens,
       story_context: storyContext,
+      story_memory: this.memory.getPromptText(session),
+      pinned_facts: this.bible.getPinnedText(session),
       player_influences: playerInfluences,
       player_direct_content: playerDirectContent
     };
+    if (candidate !== null) {
+      variables.candidate_number = candidate;
+    }
     
     this.logger.debug(`AI variables prepared - player_influences: "${playerInfluences}"`, sessionId);
     this.logger.info(`Generating segment ${segmentNumber} with template: ${template}`, sessionId);
     this.logger.info(`Story context length: ${storyContext.length} chars, Direct inputs: ${session.pendingInputs.direct.length}, Influence inputs: ${session.pendingInputs.influence.length}`, sessionId);
 
-    // Call AI to generate segment
-    const result = await this.ai.executeTemplate(template, variables);
+    // A segment that arrives after the story's time is up is no longer wanted
+    const deadline = session.storyState.storyStartTime ?
+      new Date(session.storyState.storyStartTime).getTime() + this.config.storyPacing.storyTimeLimit : null;
+
+    // Call AI to generate segment; tracked so a rewind can cancel it
+    const { id, promise } = this.ai.scheduleTemplate(template, variables, {
+      sessionId,
+      deadline,
+      onDelta: candidate === null ? this.createDeltaHandler(sessionId, segmentNumber) : undefined
+    });
+    const segmentRequests = this.activeSessions.get(sessionId)?.segmentRequests;
+    segmentRequests?.add(id);
+
+    let result;
+    try {
+      result = await promise;
+    } finally {
+      segmentRequests?.delete(id);
+    }
     
     if (!result.success) {
       throw new Error(result.error || 'AI generation failed');
@@ -267,16 +638,474 @@ class StoryEngine extends EventEmitter {
       timestamp: new Date(),
       segmentNumber: segmentNumber,
       template: template,
+      provider: result.provider,
+      model: result.model,
+      fallbackUsed: Boolean(result.fallbackUsed),
       playersInvolved: this.getInvolvedPlayers(session),
-      inputsProcessed: {
-        direct: session.pendingInputs.direct.length,
-        influence: session.pendingInputs.influence.length
-      }
+      inputsProcessed
     };
 
     return segment;
   }
 
+  // Voting mode: candidates are written in parallel and players pick the one that goes into the story
+  async generateVotedSegment(session, engineState) {
+    const sessionId = session.sessionId;
+    const segmentNumber = engineState.currentSegment;
+    const { candidates: count = 3, voteWindow = 15000 } = session.config.voting;
+
+    const results = await Promise.allSettled(Array.from({ length: Math.max(2, count) },
+      (_, index) => this.generateStorySegment(session, segmentNumber, index + 1)));
+    const candidates = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    // Nothing to choose between: fail or commit as in normal mode
+    if (candidates.length === 0) {
+      throw results[0].reason;
+    }
+    if (candidates.length === 1) {
+      this.logger.warn(`Only one candidate for segment ${segmentNumber} succeeded, skipping the vote`, sessionId);
+      return candidates[0];
+    }
+
+    const vote = new SegmentVote(segmentNumber, candidates, voteWindow);
+    engineState.vote = vote;
+    engineState.voteTimer = setTimeout(() => this.closeVote(sessionId), voteWindow);
+
+    this.logger.info(`Voting on ${candidates.length} candidates for segment ${segmentNumber}`, sessionId);
+    this.emit('segment_candidates', {
+      sessionId,
+      segmentNumber,
+      candidates: vote.getPublicCandidates(),
+      closesAt: vote.closesAt
+    });
+
+    return vote.result;
+  }
+
+  getOpenVote(sessionId) {
+    return this.activeSessions.get(sessionId)?.vote || null;
+  }
+
+  // Throws if there is no open vote for this segment or the candidate is out of range
+  castVote(sessionId, playerId, segmentNumber, candidateIndex) {
+    const engineState = this.activeSessions.get(sessionId);
+    const vote = engineState?.vote;
+    if (!vote || vote.segmentNumber !== segmentNumber) {
+      throw new Error('Voting for that segment is closed');
+    }
+
+    vote.cast(playerId, candidateIndex);
+
+    const session = engineState.sessionManager.getSession(sessionId);
+    const connected = Array.from(session.players.values()).filter(player => player.isConnected);
+    this.emit('vote_cast', {
+      sessionId,
+      segmentNumber,
+      tally: vote.getTally(),
+      votesCast: vote.votes.size,
+      eligibleVoters: connected.length
+    });
+
+    // No need to wait out the window once everyone has voted
+    if (connected.every(player => vote.hasVoted(player.id))) {
+      this.closeVote(sessionId);
+    }
+  }
+
+  closeVote(sessionId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const vote = engineState?.vote;
+    if (!vote) return;
+
+    clearTimeout(engineState.voteTimer);
+    engineState.vote = null;
+    engineState.voteTimer = null;
+
+    const session = engineState.sessionManager.getSession(sessionId);
+    const record = vote.close(session.players, session.hostPlayerId);
+
+    this.logger.info(`Vote for segment ${vote.segmentNumber} closed: candidate ${record.winner + 1} wins (${record.tally.join('/')}, ${record.decidedBy})`, sessionId);
+    this.emit('vote_closed', { sessionId, segmentNumber: vote.segmentNumber, ...record });
+  }
+
+  cancelVote(engineState, reason) {
+    if (!engineState.vote) return;
+
+    clearTimeout(engineState.voteTimer);
+    const error = new Error(`Vote cancelled: ${reason}`);
+    error.code = 'REQUEST_CANCELLED';
+    engineState.vote.cancel(error);
+    engineState.vote = null;
+    engineState.voteTimer = null;
+  }
+
+  // Adventure mode: once a segment is in, open a ballot on how the story goes on
+  async offerChoices(session, engineState, segment) {
+    const sessionId = session.sessionId;
+    const timeline = engineState.timeline;
+
+    let choices;
+    try {
+      choices = await this.choices.generate(session, segment, {
+        ...this.getModelVariables(sessionId),
+        story_context: this.buildStoryContext(session),
+        story_memory: this.memory.getPromptText(session),
+        pinned_facts: this.bible.getPinnedText(session)
+      });
+    } catch (error) {
+      this.logger.warn(`No choices offered after segment ${segment.segmentNumber}: ${error.message}`, sessionId);
+      return;
+    }
+
+    // Too late: the next segment, a rewind or the ending got there first
+    const segments = session.storyState.segments;
+    if (engineState.timeline !== timeline || engineState.pendingGeneration || !engineState.isRunning ||
+        segments[segments.length - 1] !== segment) {
+      return;
+    }
+
+    const closesIn = session.storyState.nextSegmentAt ?
+      Math.max(0, new Date(session.storyState.nextSegmentAt) - Date.now()) : 0;
+    const ballot = new SegmentVote(segment.segmentNumber, choices.map(text => ({ text })), closesIn);
+    engineState.ballot = ballot;
+
+    this.logger.info(`Offered ${choices.length} choices after segment ${segment.segmentNumber}`, sessionId);
+    this.emit('choices_offered', {
+      sessionId,
+      segmentNumber: segment.segmentNumber,
+      choices: ballot.getPublicCandidates(),
+      closesAt: ballot.closesAt
+    });
+  }
+
+  getOpenBallot(sessionId) {
+    return this.activeSessions.get(sessionId)?.ballot || null;
+  }
+
+  // Throws if no choices are open for this segment or the choice is out of range
+  pickChoice(sessionId, playerId, segmentNumber, choiceIndex) {
+    const engineState = this.activeSessions.get(sessionId);
+    const ballot = engineState?.ballot;
+    if (!ballot || ballot.segmentNumber !== segmentNumber) {
+      throw new Error('Choosing after that segment is closed');
+    }
+    if (!Number.isInteger(choiceIndex) || choiceIndex < 0 || choiceIndex >= ballot.candidates.length) {
+      throw new Error(`Choice must be between 1 and ${ballot.candidates.length}`);
+    }
+
+    ballot.cast(playerId, choiceIndex);
+    this.emit('choice_picked', { sessionId, segmentNumber, tally: ballot.getTally() });
+  }
+
+  // Free text from a player becomes one more choice, which the player picks
+  addWriteIn(sessionId, playerId, content) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session?.config.adventure?.allowWriteIns) {
+      throw new Error('Write-ins are off for this story - pick one of the choices with /choose <number>');
+    }
+    if (engineState.sessionManager.isMuted(session, playerId)) {
+      throw new Error('The host has muted you - you can keep reading along');
+    }
+
+    const ballot = engineState.ballot;
+    if (!ballot) {
+      throw new Error('There are no choices open right now');
+    }
+    if (ballot.candidates.some(candidate => candidate.playerId === playerId)) {
+      throw new Error('You have already written in a choice for this segment');
+    }
+
+    const text = Utils.sanitizeInput(content, 300);
+    if (!text) {
+      throw new Error('Write-in cannot be empty');
+    }
+
+    const player = session.players.get(playerId);
+    const index = ballot.addCandidate({ text, playerId, writtenBy: player?.name || 'Unknown' });
+    ballot.cast(playerId, index);
+
+    this.emit('choices_offered', {
+      sessionId,
+      segmentNumber: ballot.segmentNumber,
+      choices: ballot.getPublicCandidates(),
+      closesAt: ballot.closesAt,
+      tally: ballot.getTally()
+    });
+    return { index, text };
+  }
+
+  // The winner waits on storyState until a segment uses it, so a failed segment keeps it
+  closeBallot(sessionId) {
+    const engineState = this.activeSessions.get(sessionId);
+    const ballot = engineState?.ballot;
+    if (!ballot) return;
+
+    engineState.ballot = null;
+    const session = engineState.sessionManager.getSession(sessionId);
+    const record = ballot.close(session.players, session.hostPlayerId);
+    const chosen = { afterSegment: ballot.segmentNumber, text: record.candidates[record.winner].text, ...record };
+    session.storyState.chosenOption = chosen;
+
+    this.logger.info(`Choice ${record.winner + 1} picked after segment ${ballot.segmentNumber} (${record.tally.join('/')}, ${record.decidedBy})`, sessionId);
+    this.emit('choice_made', { sessionId, segmentNumber: ballot.segmentNumber, ...chosen });
+  }
+
+  // Move the players' choice onto the segment it steered
+  takeChosenOption(session, segment) {
+    if (!session.storyState.chosenOption) return;
+
+    segment.choice = session.storyState.chosenOption;
+    delete session.storyState.chosenOption;
+  }
+
+  // Pending influences, led by the players' choice in adventure mode
+  getPlayerInfluences(session) {
+    const influences = this.formatInfluences(session.pendingInputs.influence, session.sessionId);
+    const chosen = session.storyState.chosenOption;
+    if (!chosen) return influences;
+
+    const line = StoryChoices.formatChosen(chosen);
+    return influences === 'None' ? line : `${line}\n${influences}`;
+  }
+
+  // Throws unless the story is being written and toSegment is an earlier segment of it
+  checkRewind(engineState, session, toSegment) {
+    if (session.config.branching?.enabled === false) {
+      throw new Error('Rewinding is turned off for this story');
+    }
+    if (!engineState?.isRunning || engineState.isCompleting) {
+      throw new Error('The story can only be rewound while it is being written');
+    }
+
+    const written = session.storyState.segments.length;
+    if (written < 2) {
+      throw new Error('There is nothing to rewind yet');
+    }
+    if (!Number.isInteger(toSegment) || toSegment < 1 || toSegment >= written) {
+      throw new Error(`Can only rewind to segments 1 to ${written - 1}`);
+    }
+  }
+
+  // The host rewinds straight away; anyone else starts or backs a vote, which
+  // passes once more than half of the connected players support the same segment.
+  // Returns the rewind, or null while the vote is still open.
+  requestRewind(sessionId, playerId, toSegment) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session) {
+      throw new Error('The story can only be rewound while it is being written');
+    }
+    this.checkRewind(engineState, session, toSegment);
+
+    const player = session.players.get(playerId);
+    if (playerId === session.hostPlayerId) {
+      return this.rewindStory(sessionId, toSegment, { requestedBy: player?.name, decidedBy: 'host' });
+    }
+
+    let vote = engineState.rewindVote;
+    if (vote && vote.toSegment !== toSegment) {
+      throw new Error(`A rewind to segment ${vote.toSegment} is already being voted on`);
+    }
+    if (!vote) {
+      const voteWindow = session.config.branching?.voteWindow || 30000;
+      vote = {
+        toSegment,
+        proposedBy: player?.name || 'Unknown',
+        supporters: new Set(),
+        closesAt: new Date(Date.now() + voteWindow),
+        timer: setTimeout(() => this.closeRewindVote(sessionId, false), voteWindow)
+      };
+      engineState.rewindVote = vote;
+    }
+    vote.supporters.add(playerId);
+
+    const connected = Array.from(session.players.values()).filter(p => p.isConnected);
+    const support = connected.filter(p => vote.supporters.has(p.id)).length;
+    const needed = Math.floor(connected.length / 2) + 1;
+
+    if (support >= needed) {
+      return this.rewindStory(sessionId, toSegment, { requestedBy: vote.proposedBy, decidedBy: 'vote' });
+    }
+
+    this.emit('rewind_vote_update', {
+      sessionId,
+      toSegment,
+      proposedBy: vote.proposedBy,
+      support,
+      needed,
+      closesAt: vote.closesAt
+    });
+    return null;
+  }
+
+  closeRewindVote(sessionId, passed) {
+    const engineState = this.activeSessions.get(sessionId);
+    const vote = engineState?.rewindVote;
+    if (!vote) return;
+
+    clearTimeout(vote.timer);
+    engineState.rewindVote = null;
+
+    this.logger.info(`Vote to rewind to segment ${vote.toSegment} ${passed ? 'passed' : 'failed'}`, sessionId);
+    this.emit('rewind_vote_closed', { sessionId, toSegment: vote.toSegment, passed });
+  }
+
+  // Continue the story from the end of segment toSegment. The later segments
+  // stay in the tree as an abandoned branch; memory and bible go back with it.
+  rewindStory(sessionId, toSegment, details = {}) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session) {
+      throw new Error('The story can only be rewound while it is being written');
+    }
+    this.checkRewind(engineState, session, toSegment);
+
+    // Whatever is being written or voted on now would continue the abandoned branch
+    this.discardPendingWork(sessionId, engineState, 'story rewound');
+    if (engineState.rewindVote) {
+      this.closeRewindVote(sessionId, engineState.rewindVote.toSegment === toSegment);
+    }
+
+    // Choices offered or made after an abandoned segment no longer apply
+    engineState.ballot = null;
+    delete session.storyState.chosenOption;
+
+    this.memory.rewind(session, toSegment);
+    this.bible.rewind(session, toSegment);
+    const rewind = engineState.sessionManager.rewindStory(sessionId, toSegment, details);
+
+    engineState.currentSegment = toSegment;
+    engineState.consecutiveFailures = 0;
+    engineState.lastGenerationTime = new Date();
+
+    this.emit('bible_updated', { sessionId, bible: session.storyState.bible });
+    this.scheduleNextSegment(sessionId);
+    return rewind;
+  }
+
+  // Stop the segment being waited for, written or voted on; the caller schedules the next one
+  discardPendingWork(sessionId, engineState, reason) {
+    engineState.timeline++;
+    if (engineState.segmentTimer) {
+      clearTimeout(engineState.segmentTimer);
+      engineState.segmentTimer = null;
+    }
+    engineState.segmentRequests.forEach(id => this.ai.cancelRequest(id, `cancelled: ${reason}`));
+    this.cancelVote(engineState, reason);
+    if (engineState.pendingGeneration) {
+      this.emit('segment_discarded', { sessionId, segmentNumber: engineState.currentSegment, reason });
+      engineState.pendingGeneration = false;
+    }
+  }
+
+  // Host moderation: take a segment out of the story. A segment being written
+  // from the old context is dropped and written again without it.
+  retractSegment(sessionId, segmentNumber, details = {}) {
+    const engineState = this.activeSessions.get(sessionId);
+    const session = engineState?.sessionManager.getSession(sessionId);
+    if (!session || !engineState.isRunning || engineState.isCompleting) {
+      throw new Error('Segments can only be retracted while the story is being written');
+    }
+
+    const written = session.storyState.segments.length;
+    if (written === 0) {
+      throw new Error('There are no segments to retract yet');
+    }
+    if (!Number.isInteger(segmentNumber) || segmentNumber < 1 || segmentNumber > written) {
+      throw new Error(`Segment must be between 1 and ${written}`);
+    }
+
+    this.discardPendingWork(sessionId, engineState, 'segment retracted');
+    // Segment numbers move up, so a vote on one no longer means the same segment
+    if (engineState.rewindVote) {
+      this.closeRewindVote(sessionId, false);
+    }
+    engineState.ballot = null;
+    delete session.storyState.chosenOption;
+
+    // Memory goes back to before the segment and folds the later ones in again;
+    // the bible forgets what only the retracted segment introduced
+    this.memory.rewind(session, segmentNumber - 1);
+    this.bible.retract(session, segmentNumber);
+    const retraction = engineState.sessionManager.retractSegment(sessionId, segmentNumber, details);
+    session.storyState.segments.slice(segmentNumber - 1).forEach(segment => this.updateMemory(session, segment));
+
+    engineState.currentSegment = session.storyState.segments.length;
+    engineState.consecutiveFailures = 0;
+
+    this.emit('bible_updated', { sessionId, bible: session.storyState.bible });
+    this.scheduleNextSegment(sessionId);
+    return retraction;
+  }
+
+  // Inputs already sent to the AI for the segment being written can no longer be struck
+  isGenerating(sessionId) {
+    return Boolean(this.activeSessions.get(sessionId)?.pendingGeneration);
+  }
+
+  updateMemory(session, segment) {
+    const sessionId = session.sessionId;
+    this.memory.update(session, segment, this.getModelVariables(sessionId)).then(memory => {
+      if (memory) {
+        this.emit('memory_updated', { sessionId, memory });
+      }
+    });
+  }
+
+  updateBible(session, segment) {
+    const sessionId = session.sessionId;
+    this.bible.update(session, segment, this.getModelVariables(sessionId)).then(changed => {
+      if (changed) {
+        this.emit('bible_updated', { sessionId, bible: session.storyState.bible });
+      }
+    });
+  }
+
+  // Host pin/correct; throws if the entry does not exist
+  updateBibleEntry(session, entryId, changes) {
+    const entry = this.bible.updateEntry(session, entryId, changes);
+    this.emit('bible_updated', { sessionId: session.sessionId, bible: session.storyState.bible });
+    return entry;
+  }
+
+  // Relay streamed text so clients can show a segment while it is being written
+  createDeltaHandler(sessionId, segmentNumber) {
+    return (delta, offset) => {
+      this.emit('segment_delta', { sessionId, segmentNumber, delta, offset });
+    };
+  }
+
+  // Near the budget cap, generation moves to the configured cheaper model
+  getModelVariables(sessionId) {
+    const fallback = this.config.budgets?.fallbackModel;
+    if (fallback?.model && this.ai.getBudgetStatus(sessionId).level !== 'ok') {
+      return {
+        model_provider: fallback.provider || this.config.aiModel.provider,
+        model_name: fallback.model
+      };
+    }
+
+    return {
+      model_provider: this.config.aiModel.provider,
+      model_name: this.config.aiModel.model
+    };
+  }
+
+  // ...and segments come further apart
+  getSegmentDelay(sessionId) {
+    const session = this.activeSessions.get(sessionId)?.sessionManager.getSession(sessionId);
+    const segmentDelay = session && this.isTurnBased(session) ?
+      session.config.storyPacing.turnTime || this.config.storyPacing.segmentDelay :
+      this.config.storyPacing.segmentDelay;
+    const slowdownFactor = this.config.budgets?.slowdownFactor || 1;
+
+    if (slowdownFactor > 1 && this.ai.getBudgetStatus(sessionId).level !== 'ok') {
+      return Math.round(segmentDelay * slowdownFactor);
+    }
+    return segmentDelay;
+  }
+
   buildStoryContext(session, maxSegments = 3) {
     // Include story seeds at the beginning
     let context = '';
@@ -338,12 +1167,13 @@ class StoryEngine extends EventEmitter {
 
   async completeStory(sessionId) {
     const engineState = this.activeSessions.get(sessionId);
-    if (!engineState) return;
+    if (!engineState || engineState.isCompleting) return;
 
     const session = engineState.sessionManager.getSession(sessionId);
     if (!session) return;
 
     this.logger.info('Completing story', sessionId);
+    engineState.isCompleting = true;
     
     // Stop timers
     if (engineState.timer) {
@@ -355,11 +1185,26 @@ class StoryEngine extends EventEmitter {
     
     engineState.isRunning = false;
 
+    // A segment still being written lands before the conclusion; when time ran
+    // out mid-vote, the votes so far decide it
+    if (engineState.vote) {
+      this.closeVote(sessionId);
+    }
+    await engineState.generation;
+    this.closeRewindVote(sessionId, false);
+    this.closeBallot(sessionId);
+    this.endTurn(session);
+
     try {
+      // The conclusion should see the last segment in memory and the bible
+      await this.memory.waitForUpdates(sessionId);
+      await this.bible.waitForUpdates(sessionId);
+
       // Generate conclusion segment
       const conclusionSegment = await this.generateConclusion(session, sessionId);
       
       // Add conclusion to session
+      this.takeChosenOption(session, conclusionSegment);
       engineState.sessionManager.addStorySegment(sessionId, conclusionSegment);
       
       // Mark story as completed
@@ -370,6 +1215,7 @@ class StoryEngine extends EventEmitter {
       
     } catch (error) {
       this.logger.error(`Failed to generate story conclusion: ${error.message}`, sessionId);
+      this.emit('segment_discarded', { sessionId, segmentNumber: -1, reason: error.message });
       
       // Complete story anyway without conclusion
       engineState.sessionManager.completeStory(sessionId);
@@ -382,20 +1228,25 @@ class StoryEngine extends EventEmitter {
 
   async generateConclusion(session, sessionId) {
     const storyContext = this.buildStoryContext(session, 5); // Use more context for conclusion
-    const playerInfluences = this.formatInfluences(session.pendingInputs.influence, sessionId);
+    const playerInfluences = this.getPlayerInfluences(session);
     const playerDirectContent = this.formatDirectContent(session.pendingInputs.direct);
     
     const variables = {
-      model_provider: this.config.aiModel.provider,
-      model_name: this.config.aiModel.model,
+      ...this.getModelVariables(sessionId),
       temperature: this.config.aiModel.temperature,
       max_tokens: this.config.aiModel.maxTokens,
       story_context: storyContext,
+      story_memory: this.memory.getPromptText(session),
+      pinned_facts: this.bible.getPinnedText(session),
       player_influences: playerInfluences,
       player_direct_content: playerDirectContent
     };
 
-    const result = await this.ai.executeTemplate('story_conclusion', variables);
+    const result = await this.ai.executeTemplate('story_conclusion', variables, {
+      sessionId,
+      allowOverBudget: true,
+      onDelta: this.createDeltaHandler(sessionId, -1)
+    });
     
     if (!result.success) {
       throw new Error(result.error || 'Conclusion generation failed');
@@ -406,6 +1257,9 @@ class StoryEngine extends EventEmitter {
       timestamp: new Date(),
       segmentNumber: -1, // Special marker for conclusion
       template: 'story_conclusion',
+      provider: result.provider,
+      model: result.model,
+      fallbackUsed: Boolean(result.fallbackUsed),
       isConclusion: true
     };
   }
@@ -423,6 +1277,10 @@ class StoryEngine extends EventEmitter {
     if (engineState.segmentTimer) {
       clearTimeout(engineState.segmentTimer);
     }
+    this.cancelVote(engineState, 'story engine stopped');
+    if (engineState.rewindVote) {
+      clearTimeout(engineState.rewindVote.timer);
+    }
     
     engineState.isRunning = false;
     this.activeSessions.delete(sessionId);
@@ -439,6 +1297,7 @@ class StoryEngine extends EventEmitter {
     // Clear current segment timer
     if (engineState.segmentTimer) {
       clearTimeout(engineState.segmentTimer);
+      engineState.segmentTimer = null;
     }
 
     // Generate next segment immediately
@@ -465,7 +1324,8 @@ class StoryEngine extends EventEmitter {
       isRunning: engineState.isRunning,
       currentSegment: engineState.currentSegment,
       lastGenerationTime: engineState.lastGenerationTime,
-      pendingGeneration: engineState.pendingGeneration
+      pendingGeneration: engineState.pendingGeneration,
+      usage: this.ai.getSessionUsage(sessionId)
     };
   }
 
@@ -0,0 +1,159 @@
+// Section headers of the story_memory_update answer -> memory fields
+const SECTIONS = {
+  'SUMMARY': 'summary',
+  'CHARACTERS': 'characters',
+  'LOCATIONS': 'locations',
+  'OPEN THREADS': 'threads'
+};
+
+/**
+ * StoryMemory - Rolling memory for long stories
+ *
+ * After each segment the `story_memory_update` template folds the new text
+ * into a running summary plus lists of characters, locations and open plot
+ * threads. The memory lives on `storyState.memory`, so it is saved and
+ * restored with the session, and goes into every segment and conclusion
+ * prompt so early events are remembered after they leave the recent context.
+ */
+class StoryMemory {
+  constructor(ai, config, logger) {
+    this.ai = ai;
+    this.enabled = config.storyMemory?.enabled !== false;
+    this.maxItems = config.storyMemory?.maxItems || 8;
+    this.logger = logger;
+    this.updates = new Map(); // sessionId -> promise of the latest queued update
+    this.latest = new WeakMap(); // segment -> token of its latest queued update
+  }
+
+  static empty() {
+    return { summary: '', characters: [], locations: [], threads: [], throughSegment: 0 };
+  }
+
+  // Read the sectioned answer; lines outside a known section are ignored
+  static parse(text, maxItems = 8) {
+    const memory = StoryMemory.empty();
+    let section = null;
+
+    for (const rawLine of String(text || '').split('\n')) {
+      let line = rawLine.trim().replace(/^[#*]+\s*|\*+$/g, '');
+
+      const header = line.match(/^([A-Za-z ]+):\s*(.*)$/);
+      if (header && SECTIONS[header[1].trim().toUpperCase()]) {
+        section = SECTIONS[header[1].trim().toUpperCase()];
+        line = header[2].trim();
+      }
+      if (!line || !section) continue;
+
+      if (section === 'summary') {
+        memory.summary = memory.summary ? `${memory.summary} ${line}` : line;
+      } else if (section === 'threads') {
+        memory.threads.push(line.replace(/^[-*•]\s*/, ''));
+      } else {
+        const item = line.replace(/^[-*•]\s*/, '');
+        const colon = item.indexOf(':');
+        memory[section].push(colon > 0 ?
+          { name: item.slice(0, colon).trim(), description: item.slice(colon + 1).trim() } :
+          { name: item, description: '' });
+      }
+    }
+
+    memory.characters = memory.characters.slice(0, maxItems);
+    memory.locations = memory.locations.slice(0, maxItems);
+    memory.threads = memory.threads.filter(thread => !/^none\b/i.test(thread)).slice(0, maxItems);
+    return memory;
+  }
+
+  // Prompt text in the same layout the update template answers in
+  static format(memory) {
+    if (!memory?.summary) {
+      return 'None yet - the story has just begun.';
+    }
+
+    const entry = ({ name, description }) => description ? `- ${name}: ${description}` : `- ${name}`;
+    const lines = ['SUMMARY:', memory.summary];
+    lines.push('CHARACTERS:', ...(memory.characters.length > 0 ? memory.characters.map(entry) : ['- None']));
+    lines.push('LOCATIONS:', ...(memory.locations.length > 0 ? memory.locations.map(entry) : ['- None']));
+    lines.push('OPEN THREADS:', ...(memory.threads.length > 0 ? memory.threads.map(thread => `- ${thread}`) : ['- None']));
+    return lines.join('\n');
+  }
+
+  getPromptText(session) {
+    return this.enabled ? StoryMemory.format(session.storyState.memory) : 'Not tracked for this story.';
+  }
+
+  // Updates for a session run one at a time, in segment order. Queueing a
+  // segment again replaces its earlier update that has not landed yet.
+  update(session, segment, modelVariables) {
+    if (!this.enabled) return Promise.resolve(null);
+
+    const sessionId = session.sessionId;
+    const token = Symbol('memory update');
+    this.latest.set(segment, token);
+    const previous = this.updates.get(sessionId) || Promise.resolve();
+    const next = previous.then(() => this._update(session, segment, modelVariables, token));
+
+    this.updates.set(sessionId, next);
+    next.finally(() => {
+      if (this.updates.get(sessionId) === next) this.updates.delete(sessionId);
+    });
+    return next;
+  }
+
+  async _update(session, segment, modelVariables, token) {
+    const sessionId = session.sessionId;
+    const current = session.storyState.memory || StoryMemory.empty();
+
+    // The story was rewound past this segment, or it was queued again, before its turn came
+    const superseded = () => !session.storyState.segments.includes(segment) || this.latest.get(segment) !== token;
+    if (superseded()) return null;
+
+    try {
+      const result = await this.ai.executeTemplate('story_memory_update', {
+        ...modelVariables,
+        story_memory: StoryMemory.format(current),
+        new_segment: segment.text,
+        max_items: this.maxItems
+      }, { sessionId });
+
+      const memory = StoryMemory.parse(result.content, this.maxItems);
+      if (!memory.summary) {
+        throw new Error('answer had no summary');
+      }
+
+      if (superseded()) return null;
+
+      memory.throughSegment = segment.segmentNumber;
+      session.storyState.memory = memory;
+      // Kept per segment so a rewind can go back to it
+      session.storyState.memoryHistory = { ...session.storyState.memoryHistory, [segment.id]: memory };
+      this.logger.debug(`Story memory updated through segment ${segment.segmentNumber}: ${memory.characters.length} characters, ${memory.threads.length} open threads`, sessionId);
+      return memory;
+    } catch (error) {
+      // The previous memory stays; the next update folds this segment in too
+      this.logger.warn(`Story memory not updated after segment ${segment.segmentNumber}: ${error.message}`, sessionId);
+      return null;
+    }
+  }
+
+  // Back to the memory as it was after the last kept segment; call before the rest are removed
+  rewind(session, toSegment) {
+    const kept = session.storyState.segments.slice(0, toSegment);
+    const history = session.storyState.memoryHistory || {};
+    const keptHistory = {};
+    for (const segment of kept) {
+      if (history[segment.id]) keptHistory[segment.id] = history[segment.id];
+    }
+
+    const latest = kept.filter(segment => keptHistory[segment.id]).pop();
+    session.storyState.memoryHistory = keptHistory;
+    session.storyState.memory = latest ? keptHistory[latest.id] : StoryMemory.empty();
+    return session.storyState.memory;
+  }
+
+  // Let a pending update land before the conclusion is written
+  async waitForUpdates(sessionId) {
+    await this.updates.get(sessionId);
+  }
+}
+
+module.exports = StoryMemory;
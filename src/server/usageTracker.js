@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+
+// Report categories for the PDL templates; unknown templates report under their own name
+const TEMPLATE_CATEGORIES = {
+  story_segment_generation: 'segment',
+  story_segment_with_direct: 'segment',
+  story_conclusion: 'conclusion',
+  story_memory_update: 'memory',
+  story_bible_update: 'bible',
+  story_choices: 'choices',
+  competition_goal_generation: 'goal_generation',
+  competition_goal_scoring: 'scoring',
+  author_contribution_summary: 'summary'
+};
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    failures: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    latencyMs: 0,
+    averageLatencyMs: 0
+  };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  if (!entry.success) totals.failures++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.promptTokens + entry.completionTokens;
+  totals.cost += entry.cost;
+  totals.latencyMs += entry.latencyMs;
+  totals.averageLatencyMs = Math.round(totals.latencyMs / totals.calls);
+}
+
+/**
+ * UsageTracker - Token, latency and cost accounting for AI calls
+ *
+ * Prices come from `aiModel.pricing`, in USD per million tokens:
+ * `{ "gpt-4o": { "input": 2.5, "output": 10 } }`. Keys may be a bare model
+ * name or "provider/model".
+ */
+class UsageTracker extends EventEmitter {
+  constructor(config) {
+    super();
+    this.pricing = config.aiModel?.pricing || {};
+    this.sessions = new Map(); // sessionId -> usage rollup
+    this.daily = { date: UsageTracker.today(), ...emptyTotals() };
+  }
+
+  // Days roll over at midnight UTC
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  static getCategory(templateName) {
+    return TEMPLATE_CATEGORIES[templateName] || templateName;
+  }
+
+  // First price found for the served model, then the requested one
+  getPrice(provider, ...models) {
+    for (const model of models.filter(Boolean)) {
+      const price = this.pricing[`${provider}/${model}`] || this.pricing[model];
+      if (price) return price;
+    }
+    return null;
+  }
+
+  calculateCost(price, promptTokens, completionTokens) {
+    if (!price) return 0;
+    return ((promptTokens * (price.input || 0)) + (completionTokens * (price.output || 0))) / 1000000;
+  }
+
+  /**
+   * Record one executeTemplate call and return the stored entry.
+   * `call` carries sessionId, playerId, templateName, provider, model,
+   * requestedModel, promptTokens, completionTokens, latencyMs, success,
+   * estimated and replayed.
+   */
+  record(call) {
+    const price = this.getPrice(call.provider, call.model, call.requestedModel);
+    const entry = {
+      sessionId: call.sessionId || null,
+      playerId: call.playerId || null,
+      templateName: call.templateName,
+      category: UsageTracker.getCategory(call.templateName),
+      provider: call.provider || null,
+      model: call.model || call.requestedModel || null,
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+      latencyMs: call.latencyMs || 0,
+      // Replayed calls never reached a model, so they cost nothing
+      cost: call.replayed ? 0 : this.calculateCost(price, call.promptTokens || 0, call.completionTokens || 0),
+      priced: Boolean(price),
+      success: call.success !== false,
+      estimated: Boolean(call.estimated),
+      timestamp: new Date()
+    };
+
+    this._accumulate(entry);
+    addToTotals(this.getDailyUsage(), entry);
+    this.emit('usage_recorded', entry);
+    return entry;
+  }
+
+  // Rebuild a session's rollup from persisted entries after a restart
+  restore(sessionId, entries) {
+    this.sessions.delete(sessionId);
+    entries.forEach(entry => this._accumulate({ ...entry, sessionId }));
+  }
+
+  _accumulate(entry) {
+    if (!entry.sessionId) return;
+
+    if (!this.sessions.has(entry.sessionId)) {
+      this.sessions.set(entry.sessionId, {
+        ...emptyTotals(),
+        byTemplate: {},
+        byPlayer: {},
+        byModel: {}
+      });
+    }
+
+    const usage = this.sessions.get(entry.sessionId);
+    addToTotals(usage, entry);
+
+    const groups = [
+      [usage.byTemplate, entry.category],
+      [usage.byModel, entry.model ? `${entry.provider}/${entry.model}` : null],
+      [usage.byPlayer, entry.playerId]
+    ];
+
+    for (const [group, key] of groups) {
+      if (!key) continue;
+      if (!group[key]) group[key] = emptyTotals();
+      addToTotals(group[key], entry);
+    }
+  }
+
+  // Seed today's server-wide totals from persisted history after a restart
+  restoreDaily(totals) {
+    const daily = { date: UsageTracker.today(), ...emptyTotals() };
+    daily.calls = totals.calls || 0;
+    daily.failures = totals.failures || 0;
+    daily.promptTokens = totals.promptTokens || 0;
+    daily.completionTokens = totals.completionTokens || 0;
+    daily.totalTokens = daily.promptTokens + daily.completionTokens;
+    daily.cost = totals.cost || 0;
+    daily.averageLatencyMs = totals.averageLatencyMs || 0;
+    daily.latencyMs = daily.averageLatencyMs * daily.calls;
+    this.daily = daily;
+  }
+
+  getDailyUsage() {
+    if (this.daily.date !== UsageTracker.today()) {
+      this.daily = { date: UsageTracker.today(), ...emptyTotals() };
+    }
+    return this.daily;
+  }
+
+  getSessionUsage(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  clearSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+module.exports = UsageTracker;
@@ -28,7 +28,31 @@ class ConfigManager {
         provider: "openai",
         model: "gpt-4o",
         temperature: 0.8,
-        maxTokens: 300
+        maxTokens: 300,
+        // Tried in order when the requested model fails, e.g. { provider: "anthropic", model: "claude-3-5-haiku-latest" }
+        fallbacks: [],
+        retry: {
+          maxAttempts: 3,
+          baseDelay: 1000,
+          maxDelay: 15000,
+          // Failed segments in a row before the story is wrapped up
+          maxConsecutiveFailures: 3
+        },
+        circuitBreaker: {
+          failureThreshold: 3,
+          cooldown: 60000
+        },
+        cassettes: {
+          mode: "off",
+          directory: "./cassettes"
+        },
+        // USD per million tokens
+        pricing: {
+          "gpt-4o": { input: 2.5, output: 10 },
+          "gpt-4o-mini": { input: 0.15, output: 0.6 },
+          "claude-3-5-sonnet-latest": { input: 3, output: 15 },
+          "claude-3-5-haiku-latest": { input: 0.8, output: 4 }
+        }
       },
       prompts: {
         configFile: "./prompts/story-prompts.pdl"
@@ -37,7 +61,14 @@ class ConfigManager {
         seedingTime: 30000,
         segmentDelay: 30000,
         segmentLength: "4-6 sentences",
-        storyTimeLimit: 600000
+        storyTimeLimit: 600000,
+        // "timer" writes a segment every segmentDelay; "turns" hands players
+        // turns of turnTime in join order and writes a segment when each ends;
+        // "ready" writes one as soon as every connected player is ready
+        mode: "timer",
+        turnTime: 45000,
+        // Share of connected players who must ask to skip the wait
+        skipShare: 0.5
       },
       server: {
         port: 3000,
@@ -49,7 +80,10 @@ class ConfigManager {
         sessionCleanupInterval: 300000,
         aiRequestQueue: {
           maxConcurrent: 10,
-          timeout: 30000
+          timeout: 30000,
+          healthCheckInterval: 30000,
+          healthCheckTimeout: 5000,
+          cancelGracePeriod: 10000
         }
       },
       webFrontend: {
@@ -57,11 +91,73 @@ class ConfigManager {
         port: 3001,
         staticPath: "./web"
       },
+      persistence: {
+        enabled: true,
+        databasePath: "./data/story-chef.db"
+      },
       competition: {
         enabled: false,
         goalsPerPlayer: 5,
         difficulty: "medium",
         globalLeaderboard: true
+      },
+      budgets: {
+        session: { maxTokens: null, maxCost: null },
+        daily: { maxTokens: null, maxCost: null },
+        warningThreshold: 0.8,
+        // Applied once a session passes the warning threshold
+        fallbackModel: null,
+        slowdownFactor: 2
+      },
+      storyMemory: {
+        enabled: true,
+        // Cap on characters, locations and open threads kept in memory
+        maxItems: 8
+      },
+      storyBible: {
+        enabled: true,
+        // Unpinned, uncorrected entries past this cap are dropped, least recently mentioned first
+        maxEntriesPerType: 25
+      },
+      voting: {
+        // Players pick each segment from several candidates; hosts can also turn this on per story
+        enabled: false,
+        candidates: 3,
+        voteWindow: 15000
+      },
+      adventure: {
+        // Adventure mode (picked per story): each segment is followed by this many choices
+        minChoices: 2,
+        maxChoices: 4,
+        // Let players type their own choice instead of picking one
+        allowWriteIns: false
+      },
+      branching: {
+        // Hosts rewind at once; other players' rewind requests need majority support within voteWindow
+        enabled: true,
+        voteWindow: 30000,
+        // Whether the export saved when a story ends includes its abandoned branches
+        exportTree: true
+      },
+      chat: {
+        // Player chat never reaches the AI; each player may send rateLimit.messages per rateLimit.windowMs
+        enabled: true,
+        historyLimit: 200,
+        maxLength: 300,
+        rateLimit: {
+          messages: 5,
+          windowMs: 10000
+        },
+        // Whether the export saved when a story ends includes the chat log
+        includeInExport: false
+      },
+      typing: {
+        // "X is typing" and draft previews; drafts are relayed as they come and never stored
+        enabled: true,
+        throttleMs: 500,
+        maxDraftLength: 300,
+        // Players share only that they are typing until they turn draft sharing on with /drafts
+        shareDraftsByDefault: false
       }
     };
   }
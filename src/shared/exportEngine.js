@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const Utils = require('./utils');
+const StoryTree = require('./storyTree');
 
 class ExportEngine {
   constructor(config, logger) {
@@ -14,12 +15,14 @@ class ExportEngine {
     }
   }
 
-  async exportStorySession(session, competitionResults = null) {
+  // options.tree exports the whole story tree instead of just the current branch;
+  // options.chat adds the players' chat log
+  async exportStorySession(session, competitionResults = null, aiUsage = null, options = {}) {
     const sessionId = session.sessionId;
     this.logger.info('Starting story export', sessionId);
 
     try {
-      const exportData = await this.buildExportData(session, competitionResults);
+      const exportData = await this.buildExportData(session, competitionResults, aiUsage, options);
       const markdown = this.generateMarkdown(exportData);
       const filePath = await this.saveMarkdownFile(sessionId, markdown);
       
@@ -47,9 +50,15 @@ class ExportEngine {
     }
   }
 
-  async buildExportData(session, competitionResults = null) {
+  // Render the full markdown export without writing it to disk
+  async renderMarkdown(session, competitionResults = null, aiUsage = null, options = {}) {
+    const exportData = await this.buildExportData(session, competitionResults, aiUsage, options);
+    return this.generateMarkdown(exportData);
+  }
+
+  async buildExportData(session, competitionResults = null, aiUsage = null, options = {}) {
     const sessionInfo = this.extractSessionInfo(session);
-    const storyData = this.extractStoryData(session);
+    const storyData = this.extractStoryData(session, options);
     const playerData = this.extractPlayerData(session);
     const storyStats = this.calculateStoryStats(storyData, playerData);
     
@@ -59,7 +68,19 @@ class ExportEngine {
       players: playerData,
       storyStats,
       generatedAt: new Date(),
-      exportVersion: '1.0'
+      exportVersion: '1.0',
+      aiUsage,
+      chat: options.chat ? (session.chat || []).map(message => ({
+        playerName: message.playerName,
+        text: message.text,
+        action: message.action,
+        timestamp: new Date(message.timestamp)
+      })) : [],
+      // What the host struck or retracted; the removed text stays out of the export
+      moderationLog: (session.storyState.moderationLog || []).map(({ text, content, ...entry }) => ({
+        ...entry,
+        timestamp: new Date(entry.timestamp)
+      }))
     };
 
     // Add competition data if available
@@ -105,6 +126,7 @@ class ExportEngine {
         id: hostPlayer.id
       } : null,
       competitionMode: session.competitionMode || false,
+      storyMode: session.config?.mode || 'classic',
       serverConfig: {
         aiProvider: this.config.aiModel.provider,
         aiModel: this.config.aiModel.model,
@@ -113,9 +135,11 @@ class ExportEngine {
     };
   }
 
-  extractStoryData(session) {
+  extractStoryData(session, options = {}) {
     const storySeeds = session.pendingInputs.seeds || [];
     const segments = session.storyState.segments || [];
+    const branches = StoryTree.getBranches(session.storyState);
+    const branchPoints = options.tree ? StoryTree.getBranchPoints(branches, 1) : new Map();
     
     // Build full story text
     let fullStory = '';
@@ -130,6 +154,7 @@ class ExportEngine {
     
     segments.forEach((segment, index) => {
       fullStory += `${segment.text}\n\n`;
+      fullStory += this.formatBranchPoint(branchPoints.get(index));
     });
 
     return {
@@ -145,12 +170,35 @@ class ExportEngine {
         wordCount: Utils.countWords(segment.text),
         timestamp: segment.timestamp,
         template: segment.template,
-        isConclusion: segment.isConclusion || false
+        model: segment.model ? `${segment.provider}/${segment.model}` : null,
+        fallbackUsed: segment.fallbackUsed || false,
+        isConclusion: segment.isConclusion || false,
+        vote: segment.vote || null,
+        choice: segment.choice || null
       })),
-      fullStory: fullStory.trim()
+      fullStory: fullStory.trim(),
+      abandonedBranchCount: branches.length - 1,
+      // Only exported with options.tree
+      branches: options.tree ? branches.slice(1).map(branch => {
+        const points = StoryTree.getBranchPoints(branches, branch.number);
+        return {
+          number: branch.number,
+          parent: branch.parent,
+          forkIndex: branch.forkIndex,
+          rewind: branch.rewind,
+          text: branch.segments.slice(branch.forkIndex).map((segment, offset) =>
+            `${segment.text}\n\n${this.formatBranchPoint(points.get(branch.forkIndex + offset))}`).join('').trim()
+        };
+      }) : []
     };
   }
 
+  formatBranchPoint(branchNumbers) {
+    if (!branchNumbers) return '';
+    const names = branchNumbers.map(number => `Branch ${number}`).join(', ');
+    return `*🔀 Branch point: ${names} ${branchNumbers.length === 1 ? 'leaves' : 'leave'} the story here*\n\n`;
+  }
+
   extractPlayerData(session) {
     return Array.from(session.players.values()).map(player => {
       const contributions = this.analyzePlayerContributions(session, player.id);
@@ -265,6 +313,13 @@ class ExportEngine {
     
     const totalPlayerWords = playerData.reduce((sum, player) => sum + player.contributions.wordCounts.total, 0);
     const totalPlayerInputs = playerData.reduce((sum, player) => sum + player.contributions.totalInputs, 0);
+
+    // Which model actually wrote each segment
+    const segmentsByModel = {};
+    storyData.segments.filter(segment => segment.model).forEach(segment => {
+      segmentsByModel[segment.model] = (segmentsByModel[segment.model] || 0) + 1;
+    });
+    const fallbackSegments = storyData.segments.filter(segment => segment.fallbackUsed).length;
     
     // Calculate player contribution percentages
     playerData.forEach(player => {
@@ -280,7 +335,9 @@ class ExportEngine {
       totalPlayerInputWords: totalPlayerWords,
       totalPlayerInputs,
       averageSegmentLength: totalSegments > 0 ? Math.round(totalStoryWords / totalSegments) : 0,
-      averageInputLength: totalPlayerInputs > 0 ? Math.round(totalPlayerWords / totalPlayerInputs) : 0
+      averageInputLength: totalPlayerInputs > 0 ? Math.round(totalPlayerWords / totalPlayerInputs) : 0,
+      segmentsByModel,
+      fallbackSegments
     };
   }
 
@@ -331,6 +388,9 @@ class ExportEngine {
     md.push(`- **Story Duration**: ${Utils.formatTime(info.storyDuration * 1000)} (${info.storyDuration} seconds)`);
     md.push(`- **Players**: ${exportData.players.length} total`);
     md.push(`- **Competition Mode**: ${info.competitionMode ? 'Enabled' : 'Disabled'}`);
+    if (info.storyMode !== 'classic') {
+      md.push(`- **Story Mode**: ${info.storyMode}`);
+    }
     md.push(`- **Generated**: ${exportData.generatedAt.toLocaleDateString()} at ${exportData.generatedAt.toLocaleTimeString()}`);
     md.push(`- **AI Model**: ${info.serverConfig.aiProvider}/${info.serverConfig.aiModel} (temp: ${info.serverConfig.temperature})`);
     md.push('');
@@ -365,9 +425,30 @@ class ExportEngine {
     md.push('');
     md.push(story.fullStory);
     md.push('');
+    if (story.abandonedBranchCount > 0 && story.branches.length === 0) {
+      md.push(`*${story.abandonedBranchCount} abandoned ${story.abandonedBranchCount === 1 ? 'branch is' : 'branches are'} not included in this export.*`);
+      md.push('');
+    }
     md.push('---');
     md.push('');
 
+    // Branches left behind by rewinds
+    if (story.branches.length > 0) {
+      md.push(...this.generateBranchesMarkdown(story.branches));
+    }
+
+    // Segments chosen by player vote
+    const votedSegments = story.segments.filter(segment => segment.vote);
+    if (votedSegments.length > 0) {
+      md.push(...this.generateVotesMarkdown(votedSegments));
+    }
+
+    // Adventure mode: the choice that steered each segment
+    const chosenSegments = story.segments.filter(segment => segment.choice);
+    if (chosenSegments.length > 0) {
+      md.push(...this.generateChoicesMarkdown(chosenSegments));
+    }
+
     // Player contributions
     md.push('## Player Contributions');
     md.push('');
@@ -419,8 +500,29 @@ class ExportEngine {
     md.push(`- **Average Segment Length**: ${exportData.storyStats.averageSegmentLength} words`);
     md.push(`- **Total Player Inputs**: ${exportData.storyStats.totalPlayerInputs} (${exportData.storyStats.totalPlayerInputWords} words)`);
     md.push(`- **Average Input Length**: ${exportData.storyStats.averageInputLength} words`);
+    const modelEntries = Object.entries(exportData.storyStats.segmentsByModel || {});
+    if (modelEntries.length > 0) {
+      const models = modelEntries.map(([model, count]) => `${model} (${count})`).join(', ');
+      const fallbacks = exportData.storyStats.fallbackSegments;
+      md.push(`- **Written By**: ${models}${fallbacks > 0 ? ` - ${fallbacks} segments from fallback models` : ''}`);
+    }
     md.push('');
 
+    // AI usage and cost
+    if (exportData.aiUsage) {
+      md.push(...this.generateUsageMarkdown(exportData.aiUsage, exportData.players));
+    }
+
+    // Chat log, when asked for
+    if (exportData.chat.length > 0) {
+      md.push(...this.generateChatMarkdown(exportData.chat));
+    }
+
+    // Inputs and segments the host removed
+    if (exportData.moderationLog.length > 0) {
+      md.push(...this.generateModerationMarkdown(exportData.moderationLog));
+    }
+
     // Footer
     md.push('---');
     md.push('');
@@ -429,10 +531,179 @@ class ExportEngine {
     return md.join('\n');
   }
 
-  async saveMarkdownFile(sessionId, markdown) {
+  generateBranchesMarkdown(branches) {
+    const md = [];
+
+    md.push('## Other Branches');
+    md.push('*Story lines abandoned by a rewind; Branch 1 is the story above*');
+    md.push('');
+
+    branches.forEach(branch => {
+      md.push(`### Branch ${branch.number}`);
+      md.push(branch.parent ?
+        `- **Leaves**: Branch ${branch.parent} after segment ${branch.forkIndex}` :
+        '- **Leaves**: the start of the story');
+
+      if (branch.rewind) {
+        const by = branch.rewind.decidedBy === 'vote' ?
+          `a vote started by ${branch.rewind.requestedBy}` : `${branch.rewind.requestedBy || 'the host'} (host)`;
+        md.push(`- **Abandoned**: rewound to segment ${branch.rewind.toSegment} by ${by}`);
+      }
+      md.push('');
+      md.push(branch.text);
+      md.push('');
+    });
+
+    md.push('---');
+    md.push('');
+    return md;
+  }
+
+  generateChatMarkdown(messages) {
+    const md = [];
+
+    md.push('## Chat Log');
+    md.push('*What the players said to each other; none of it went to the AI*');
+    md.push('');
+
+    messages.forEach(message => {
+      const time = message.timestamp.toLocaleTimeString();
+      md.push(message.action ?
+        `- ${time} *${message.playerName} ${message.text}*` :
+        `- ${time} **${message.playerName}**: ${message.text}`);
+    });
+    md.push('');
+
+    return md;
+  }
+
+  generateModerationMarkdown(entries) {
+    const md = [];
+
+    md.push('## Moderation Log');
+    md.push('*Inputs and segments the host removed from the story*');
+    md.push('');
+
+    entries.forEach(entry => {
+      const time = entry.timestamp.toLocaleTimeString();
+      const by = entry.by || 'The host';
+      md.push(entry.action === 'retract_segment' ?
+        `- ${time} ${by} retracted segment ${entry.segmentNumber} (${entry.wordCount} words)${entry.reason ? `: ${entry.reason}` : ''}` :
+        `- ${time} ${by} struck ${entry.playerName}'s ${entry.inputType} input`);
+    });
+    md.push('');
+
+    return md;
+  }
+
+  generateChoicesMarkdown(segments) {
+    const md = [];
+    const decisions = {
+      majority: 'most picks',
+      host_tiebreak: 'tie broken by the host',
+      first_candidate_tiebreak: 'tie, first choice taken',
+      no_votes: 'no picks, first choice taken'
+    };
+
+    md.push('## Choices');
+    md.push('');
+
+    segments.forEach(segment => {
+      const { afterSegment, winner, decidedBy, tally, candidates } = segment.choice;
+      md.push(`### After Segment ${afterSegment}`);
+      candidates.forEach((candidate, index) => {
+        const author = candidate.writtenBy ? ` *(write-in by ${candidate.writtenBy})*` : '';
+        const text = index === winner ? `**${candidate.text}**` : candidate.text;
+        md.push(`${index + 1}. ${text}${author} - ${tally[index] || 0} pick${tally[index] === 1 ? '' : 's'}`);
+      });
+      md.push('');
+      md.push(`Choice ${winner + 1} steered segment ${segment.segmentNumber} (${decisions[decidedBy] || decidedBy}).`);
+      md.push('');
+    });
+
+    return md;
+  }
+
+  generateVotesMarkdown(segments) {
+    const md = [];
+    const decisions = {
+      majority: 'most votes',
+      host_tiebreak: 'tie broken by the host',
+      first_candidate_tiebreak: 'tie, first candidate chosen',
+      no_votes: 'no votes, first candidate chosen'
+    };
+
+    md.push('## Segment Votes');
+    md.push('');
+
+    segments.forEach(segment => {
+      const { winner, decidedBy, tally, candidates, votes } = segment.vote;
+      md.push(`### Segment ${segment.segmentNumber}`);
+      md.push(`- **Winner**: Candidate ${winner + 1} of ${candidates.length} (${decisions[decidedBy] || decidedBy}; votes ${tally.join(' / ')})`);
+
+      if (votes.length > 0) {
+        const ballots = votes.map(vote =>
+          `${vote.playerName} → ${vote.candidateIndex + 1}${vote.counted ? '' : ' (left before the close, not counted)'}`);
+        md.push(`- **Votes**: ${ballots.join(', ')}`);
+      }
+      md.push('');
+
+      candidates.forEach((candidate, index) => {
+        if (index === winner) return;
+        // Quote every line, or the blockquote ends at the candidate's first paragraph
+        md.push(`> *Candidate ${index + 1}*: ${candidate.text.split('\n').join('\n> ')}`);
+        md.push('');
+      });
+    });
+
+    return md;
+  }
+
+  generateUsageMarkdown(usage, players) {
+    const md = [];
+    const formatTotals = (totals) =>
+      `${totals.calls} calls, ${totals.totalTokens.toLocaleString()} tokens, ${Utils.formatCost(totals.cost)}, avg ${totals.averageLatencyMs}ms`;
+
+    md.push('## AI Usage');
+    md.push('');
+    md.push(`- **AI Calls**: ${usage.calls}${usage.failures > 0 ? ` (${usage.failures} failed)` : ''}`);
+    md.push(`- **Tokens**: ${usage.totalTokens.toLocaleString()} (${usage.promptTokens.toLocaleString()} prompt, ${usage.completionTokens.toLocaleString()} completion)`);
+    md.push(`- **Estimated Cost**: ${Utils.formatCost(usage.cost)}`);
+    md.push(`- **Average Latency**: ${usage.averageLatencyMs}ms`);
+    md.push('');
+
+    md.push('### By Template');
+    Object.entries(usage.byTemplate).forEach(([category, totals]) => {
+      md.push(`- **${category}**: ${formatTotals(totals)}`);
+    });
+    md.push('');
+
+    md.push('### By Model');
+    Object.entries(usage.byModel).forEach(([model, totals]) => {
+      md.push(`- **${model}**: ${formatTotals(totals)}`);
+    });
+    md.push('');
+
+    const playerEntries = Object.entries(usage.byPlayer);
+    if (playerEntries.length > 0) {
+      md.push('### By Player');
+      playerEntries.forEach(([playerId, totals]) => {
+        const player = players.find(p => p.id === playerId);
+        md.push(`- **${player ? player.name : playerId}**: ${formatTotals(totals)}`);
+      });
+      md.push('');
+    }
+
+    return md;
+  }
+
+  getExportFilename(sessionId) {
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    const filename = `${sessionId}_${timestamp}.md`;
-    const filePath = path.join(this.exportsDir, filename);
+    return `${sessionId}_${timestamp}.md`;
+  }
+
+  async saveMarkdownFile(sessionId, markdown) {
+    const filePath = path.join(this.exportsDir, this.getExportFilename(sessionId));
     
     await fs.promises.writeFile(filePath, markdown, 'utf8');
     return filePath;
@@ -0,0 +1,69 @@
+/**
+ * StoryTree - Reads the branches out of a story's segment tree
+ *
+ * Every segment has an `id` and the `parentId` of the segment it continues.
+ * `storyState.segments` is the current branch, root to tip; segments left
+ * behind by a rewind move to `storyState.archivedSegments`. Branch 1 is
+ * always the current story, and the abandoned branches follow in the order
+ * they were abandoned. A branch shares its first `forkIndex` segments with
+ * the branches before it and leaves branch `parent` after segment `forkIndex`.
+ */
+class StoryTree {
+  static getArchivedSegments(storyState) {
+    return storyState.archivedSegments || [];
+  }
+
+  static getBranches(storyState) {
+    const segments = storyState.segments || [];
+    const archived = StoryTree.getArchivedSegments(storyState);
+    const byId = new Map([...segments, ...archived].map(segment => [segment.id, segment]));
+
+    // Tips of abandoned branches: archived segments nothing else continues
+    const parentIds = new Set([...segments, ...archived].map(segment => segment.parentId));
+    const tips = archived
+      .filter(segment => !parentIds.has(segment.id))
+      .sort((a, b) => a.id - b.id);
+
+    const paths = [segments, ...tips.map(tip => {
+      const path = [];
+      for (let segment = tip; segment; segment = byId.get(segment.parentId)) {
+        path.unshift(segment);
+      }
+      return path;
+    })];
+
+    // Each segment belongs to the first branch it appears in
+    const owner = new Map();
+    return paths.map((path, index) => {
+      const number = index + 1;
+      const forkIndex = path.findIndex(segment => !owner.has(segment.id));
+      const shared = forkIndex === -1 ? path.length : forkIndex;
+      path.slice(shared).forEach(segment => owner.set(segment.id, number));
+
+      return {
+        number,
+        isCurrent: number === 1,
+        tipId: path.length > 0 ? path[path.length - 1].id : null,
+        forkIndex: index === 0 ? 0 : shared,
+        parent: index === 0 || shared === 0 ? null : owner.get(path[shared - 1].id),
+        segments: path,
+        rewind: index === 0 ? null :
+          (storyState.rewinds || []).find(rewind => rewind.tipId === path[path.length - 1].id) || null
+      };
+    });
+  }
+
+  // Branches leaving the given branch, keyed by the index of the segment they follow
+  static getBranchPoints(branches, branchNumber) {
+    const points = new Map();
+    for (const branch of branches) {
+      if (branch.parent !== branchNumber) continue;
+      const list = points.get(branch.forkIndex - 1) || [];
+      list.push(branch.number);
+      points.set(branch.forkIndex - 1, list);
+    }
+    return points;
+  }
+}
+
+module.exports = StoryTree;
@@ -25,6 +25,33 @@ class Utils {
     return `player_${crypto.randomBytes(8).toString('hex')}`;
   }
 
+  // Sign a resume token so a dropped player can reclaim their identity
+  static createResumeToken(sessionId, playerId, secret) {
+    const payload = Buffer.from(JSON.stringify({ sessionId, playerId, issuedAt: Date.now() })).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  // Verify a resume token and return its payload, or null if it is malformed or tampered with
+  static verifyResumeToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Format time remaining in MM:SS format
   static formatTime(milliseconds) {
     const totalSeconds = Math.floor(milliseconds / 1000);
@@ -33,6 +60,12 @@ class Utils {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   }
 
+  // Format a USD amount; small amounts keep four decimals so per-call costs stay visible
+  static formatCost(amount) {
+    const value = Number(amount) || 0;
+    return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+  }
+
   // Sanitize user input
   static sanitizeInput(input, maxLength = 1000) {
     if (typeof input !== 'string') return '';
@@ -0,0 +1,116 @@
+const TerminalUI = require('../../src/client/ui/terminalUI');
+const UIState = require('../../src/client/ui/uiState');
+const InputProcessor = require('../../src/client/inputProcessor');
+
+// The view switching of a TerminalUI, with stand-ins for the blessed screen and widgets
+function viewSwitcher() {
+  const ui = Object.create(TerminalUI.prototype);
+  const keys = {};
+
+  ui.views = ['story', 'bible', 'direct', 'influence', 'live', 'chat'];
+  ui.currentViewIndex = 0;
+  ui.uiState = new UIState();
+  ui.inputProcessor = new InputProcessor(null);
+  ui.screen = { ignoreLocked: [], key: (names, handler) => names.forEach(name => { keys[name] = handler; }) };
+  ui.inputBar = { focus: jest.fn() };
+  ui.render = jest.fn();
+  for (const view of ui.views) {
+    const widget = { hidden: true, show() { widget.hidden = false; }, hide() { widget.hidden = true; } };
+    ui[`${view}View`] = widget;
+  }
+
+  ui.setupKeyBindings();
+  ui.press = name => keys[name]();
+  ui.shown = () => ui.views.filter(view => !ui[`${view}View`].hidden);
+  return ui;
+}
+
+// Status messages clear themselves after a few seconds
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('terminal UI views', () => {
+  test('Shift+Tab cycles through every view and back to the story', () => {
+    const ui = viewSwitcher();
+    const seen = [];
+
+    for (let i = 0; i < ui.views.length; i++) {
+      ui.press('S-tab');
+      seen.push(ui.uiState.getCurrentView());
+    }
+
+    expect(seen).toEqual(['bible', 'direct', 'influence', 'live', 'chat', 'story']);
+    expect(ui.shown()).toEqual(['story']);
+    expect(ui.uiState.statusMessage).toBe('Switched to story view');
+  });
+
+  test('Alt+number jumps straight to a view, showing only that one', () => {
+    const ui = viewSwitcher();
+    const changes = [];
+    ui.uiState.on('change', change => change.type === 'view' && changes.push(change.view));
+
+    ui.press('M-5');
+
+    expect(ui.uiState.getCurrentView()).toBe('live');
+    expect(ui.shown()).toEqual(['live']);
+    expect(changes).toEqual(['live']);
+    expect(ui.inputBar.focus).toHaveBeenCalled();
+  });
+
+  test('the Direct and Influence views switch the input mode', () => {
+    const ui = viewSwitcher();
+
+    ui.press('M-3');
+    expect(ui.inputProcessor.getCurrentMode()).toBe('direct');
+    expect(ui.uiState.getInputMode()).toBe('direct');
+
+    ui.press('M-4');
+    expect(ui.inputProcessor.getCurrentMode()).toBe('influence');
+    expect(ui.uiState.getInputMode()).toBe('influence');
+  });
+
+  test('Tab on the Direct or Influence view follows the input mode to the other view', () => {
+    const ui = viewSwitcher();
+
+    ui.press('M-4');
+    ui.press('tab');
+
+    expect(ui.inputProcessor.getCurrentMode()).toBe('direct');
+    expect(ui.uiState.getCurrentView()).toBe('direct');
+    expect(ui.shown()).toEqual(['direct']);
+  });
+
+  test('Tab elsewhere changes the input mode but keeps the view', () => {
+    const ui = viewSwitcher();
+
+    ui.press('tab');
+
+    expect(ui.inputProcessor.getCurrentMode()).toBe('direct');
+    expect(ui.uiState.getCurrentView()).toBe('story');
+  });
+
+  test('Ctrl+B and Ctrl+T jump between the story and the bible or chat', () => {
+    const ui = viewSwitcher();
+
+    ui.press('C-b');
+    expect(ui.uiState.getCurrentView()).toBe('bible');
+    ui.press('C-t');
+    expect(ui.uiState.getCurrentView()).toBe('chat');
+    ui.press('C-t');
+    expect(ui.uiState.getCurrentView()).toBe('story');
+    ui.press('M-2');
+    ui.press('C-b');
+    expect(ui.uiState.getCurrentView()).toBe('story');
+  });
+
+  test('the view keys get through while the input bar has focus', () => {
+    const ui = viewSwitcher();
+
+    expect(ui.screen.ignoreLocked).toEqual(expect.arrayContaining(['S-tab', 'C-b', 'C-t', 'M-1', 'M-2', 'M-3', 'M-4', 'M-5', 'M-6']));
+  });
+});
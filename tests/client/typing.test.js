@@ -0,0 +1,105 @@
+const StoryChefClient = require('../../src/client/client');
+const InputProcessor = require('../../src/client/inputProcessor');
+const UIState = require('../../src/client/ui/uiState');
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: 100000 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// A client in a session, with the socket replaced by a recorder of what it sends
+function clientInSession(typing = {}) {
+  const client = new StoryChefClient();
+  client.socket = { emit: jest.fn(), disconnect() {} };
+  client.isConnected = true;
+  client.sessionId = 'session-1';
+  client.session = { config: { typing } };
+  return client;
+}
+
+function typingSent(client) {
+  return client.socket.emit.mock.calls.filter(([event]) => event === 'typing').map(([, data]) => data);
+}
+
+describe('sending typing presence', () => {
+  test('drafts stay private unless the player or the session shares them', () => {
+    const client = clientInSession();
+
+    client.sendTyping('direct', 'The door');
+    expect(typingSent(client)).toEqual([{ active: true, mode: 'direct', text: undefined }]);
+
+    const sharing = clientInSession({ shareDraftsByDefault: true });
+    sharing.sendTyping('direct', 'The door');
+    expect(typingSent(sharing)[0].text).toBe('The door');
+
+    sharing.setShareDrafts(false);
+    expect(sharing.isSharingDrafts()).toBe(false);
+  });
+
+  test('updates are sent at most once per throttle period, the latest draft winning', () => {
+    const client = clientInSession({ throttleMs: 500, shareDraftsByDefault: true });
+
+    client.sendTyping('influence', 'T');
+    client.sendTyping('influence', 'Th');
+    client.sendTyping('influence', 'The');
+    expect(typingSent(client).map(typing => typing.text)).toEqual(['T']);
+
+    jest.advanceTimersByTime(500);
+    expect(typingSent(client).map(typing => typing.text)).toEqual(['T', 'The']);
+  });
+
+  test('stopping cancels the pending update and is sent once', () => {
+    const client = clientInSession({ shareDraftsByDefault: true });
+
+    client.sendTyping('influence', 'T');
+    client.sendTyping('influence', 'Th');
+    client.stopTyping();
+    client.stopTyping();
+    jest.advanceTimersByTime(1000);
+
+    expect(typingSent(client)).toEqual([{ active: true, mode: 'influence', text: 'T' }, { active: false }]);
+  });
+
+  test('nothing is sent when the session turns typing presence off', () => {
+    const client = clientInSession({ enabled: false });
+
+    client.sendTyping('influence', 'The door');
+
+    expect(typingSent(client)).toEqual([]);
+  });
+
+  test('/drafts switches draft sharing on and off', async () => {
+    const client = clientInSession();
+    const processor = new InputProcessor(client);
+
+    await expect(processor.processInput('/drafts')).resolves.toMatchObject({ success: true });
+    expect(client.isSharingDrafts()).toBe(true);
+    await processor.processInput('/drafts off');
+    expect(client.isSharingDrafts()).toBe(false);
+    await expect(processor.processInput('/drafts maybe')).resolves.toMatchObject({ success: false, error: 'Usage: /drafts [on|off]' });
+  });
+});
+
+describe('showing who is typing', () => {
+  test('typists are listed until they stop or go quiet for typingTimeout', () => {
+    const uiState = new UIState();
+    const changes = [];
+    uiState.on('change', change => change.type === 'typing' && changes.push([change.playerId, change.active]));
+
+    uiState.setPlayerTyping({ playerId: 'player-1', playerName: 'Mira', active: true, mode: 'direct', text: 'The door' });
+    uiState.setPlayerTyping({ playerId: 'player-2', playerName: 'Tom', active: true, mode: 'chat' });
+    expect(uiState.getTypingPlayers().map(typist => [typist.playerName, typist.mode, typist.text]))
+      .toEqual([['Mira', 'direct', 'The door'], ['Tom', 'chat', null]]);
+
+    uiState.setPlayerTyping({ playerId: 'player-1', active: false });
+    uiState.setPlayerTyping({ playerId: 'player-1', active: false });
+    expect(uiState.getTypingPlayers().map(typist => typist.playerName)).toEqual(['Tom']);
+    expect(changes).toEqual([['player-1', true], ['player-2', true], ['player-1', false]]);
+
+    jest.advanceTimersByTime(uiState.typingTimeout);
+    expect(uiState.getTypingPlayers()).toEqual([]);
+  });
+});
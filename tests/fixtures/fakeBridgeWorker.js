@@ -0,0 +1,61 @@
+/**
+ * Stand-in for litellm_bridge.py --worker: the same line protocol, with
+ * requests that say how to behave instead of calling a model.
+ *
+ *   { delayMs }     answer after delayMs
+ *   { error }       answer with a failure
+ *   { crash }       write crash to stderr and exit
+ *   { hang }        never answer, not even a cancel
+ *   { deaf }        stop answering pings as well
+ */
+const readline = require('readline');
+
+const running = new Set();
+const cancelled = new Set();
+let deaf = false;
+
+function reply(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function run(request) {
+  running.add(request.id);
+  if (request.hang || request.deaf) {
+    deaf = deaf || Boolean(request.deaf);
+    return;
+  }
+  if (request.crash) {
+    process.stderr.write(request.crash);
+    process.exit(1);
+  }
+
+  setTimeout(() => {
+    running.delete(request.id);
+    // As in the bridge, a cancelled call only reports that it has ended
+    if (cancelled.delete(request.id)) {
+      reply({ id: request.id, type: 'cancelled' });
+    } else if (request.error) {
+      reply({ id: request.id, success: false, error: request.error });
+    } else {
+      reply({ id: request.id, success: true, content: `done ${request.template || ''}`.trim(), pid: process.pid });
+    }
+  }, request.delayMs || 0);
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+
+  if (message.type === 'ping') {
+    if (!deaf) reply({ id: message.id, type: 'pong' });
+  } else if (message.type === 'cancel') {
+    if (running.has(message.id)) {
+      cancelled.add(message.id);
+    } else {
+      reply({ id: message.id, type: 'cancelled' });
+    }
+  } else {
+    run(message);
+  }
+});
+
+reply({ type: 'ready', pid: process.pid });
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/shared/config');
+
+// The default configuration; each override section is merged over its default
+function makeConfig(overrides = {}) {
+  const config = ConfigManager.prototype.getDefaultConfig.call(null);
+  for (const [section, value] of Object.entries(overrides)) {
+    config[section] = value && typeof value === 'object' && !Array.isArray(value) ?
+      { ...config[section], ...value } : value;
+  }
+  return config;
+}
+
+// Write a configuration file for the code that takes a config path
+function writeConfig(overrides = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-test-'));
+  const configPath = path.join(directory, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(makeConfig({
+    server: { logLevel: 'error' },
+    ...overrides
+  })));
+  return configPath;
+}
+
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+// Socket.io stand-in that records what would be emitted to which room or socket.
+// connect() runs the server's connection handler for a new socket; socket.call()
+// sends an event the way a client does and resolves with the server's callback.
+function recordingIO() {
+  const handlers = {};
+  const io = {
+    emitted: [],
+    sockets: { sockets: new Map() },
+    on: (event, handler) => { handlers[event] = handler; },
+    to: (room) => ({ emit: (event, data) => io.emitted.push({ room, event, data }) }),
+    close() {},
+
+    connect(address = '127.0.0.1') {
+      const socketHandlers = {};
+      const socket = {
+        id: `socket-${io.sockets.sockets.size + 1}`,
+        handshake: { headers: {}, address },
+        conn: { remoteAddress: address },
+        rooms: new Set(),
+        on: (event, handler) => { socketHandlers[event] = handler; },
+        emit: (event, data) => io.emitted.push({ room: socket.id, event, data }),
+        to: (room) => {
+          const target = { emit: (event, data) => io.emitted.push({ room, event, data, from: socket.id }) };
+          // Volatile events may be dropped on a slow connection; here they always arrive
+          target.volatile = target;
+          return target;
+        },
+        join: (room) => socket.rooms.add(room),
+        leave: (room) => socket.rooms.delete(room),
+        call: (event, data = {}) => new Promise(resolve => socketHandlers[event](data, resolve)),
+        disconnect: () => socketHandlers.disconnect && socketHandlers.disconnect()
+      };
+      socket.rooms.add(socket.id);
+      io.sockets.sockets.set(socket.id, socket);
+      handlers.connection(socket);
+      return socket;
+    },
+
+    // Events sent to a room or socket, optionally of one type only
+    sent(room, event) {
+      return io.emitted.filter(entry => entry.room === room && (!event || entry.event === event));
+    }
+  };
+  return io;
+}
+
+// A server wired to recordingIO() instead of the network, with its log silenced
+function createTestServer(overrides = {}) {
+  const StoryChefServer = require('../src/server/server');
+  const server = new StoryChefServer(writeConfig(overrides));
+  Object.assign(server.logger, silentLogger);
+  server.io = recordingIO();
+  server.setupSocketHandlers();
+  return server;
+}
+
+// Resolve once check() returns something truthy, polling while async work finishes
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  makeConfig,
+  writeConfig,
+  silentLogger,
+  recordingIO,
+  createTestServer,
+  waitFor
+};
@@ -0,0 +1,92 @@
+const http = require('http');
+const LiteLLMBridge = require('../../src/server/aiQueue');
+const { makeConfig } = require('../helpers');
+
+let bridge;
+let server;
+
+// An OpenAI-style endpoint that streams one chunk and then garbage
+function startBrokenStream() {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end('data: {"model":"test-model","choices":[{"delta":{"content":"The door"}}]}\n\ndata: {broken\n\n');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1`)));
+}
+
+function bridgeWith({ providers = {}, fallbacks = [], tokenDelayMs = 0 } = {}) {
+  bridge = new LiteLLMBridge(makeConfig({
+    aiModel: {
+      provider: 'mock',
+      model: 'mock',
+      providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0, tokenDelayMs }, ...providers },
+      fallbacks,
+      retry: { maxAttempts: 1 }
+    }
+  }));
+  return bridge;
+}
+
+const variables = { story_context: 'Story Seeds: a lighthouse' };
+
+afterEach(async () => {
+  await bridge.shutdown();
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+});
+
+describe('LiteLLMBridge streaming', () => {
+  test('deltas arrive in order with their offsets and add up to the answer', async () => {
+    bridgeWith();
+    const deltas = [];
+
+    const result = await bridge.executeTemplate('story_segment_generation', { ...variables, model_provider: 'mock', model_name: 'mock' }, {
+      onDelta: (delta, offset) => deltas.push({ delta, offset })
+    });
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.map(({ delta }) => delta).join('').trim()).toBe(result.content);
+    let expectedOffset = 0;
+    for (const { delta, offset } of deltas) {
+      expect(offset).toBe(expectedOffset);
+      expectedOffset += delta.length;
+    }
+  });
+
+  test('a fallback model streams again from offset 0', async () => {
+    const baseUrl = await startBrokenStream();
+    bridgeWith({
+      providers: { flaky: { type: 'openai', baseUrl, apiKey: 'sk-test' } },
+      fallbacks: [{ provider: 'mock', model: 'mock' }]
+    });
+    const offsets = [];
+
+    const result = await bridge.executeTemplate('story_segment_generation', { ...variables, model_provider: 'flaky', model_name: 'gpt-4o' }, {
+      onDelta: (delta, offset) => offsets.push([delta, offset])
+    });
+
+    expect(result.fallbackUsed).toBe(true);
+    expect(offsets[0]).toEqual(['The door', 0]);
+    expect(offsets[1][1]).toBe(0);
+  });
+
+  test('nothing more is streamed once the request is cancelled', async () => {
+    bridgeWith({ tokenDelayMs: 20 });
+    const deltas = [];
+    const call = bridge.scheduleTemplate('story_segment_generation', { ...variables, model_provider: 'mock', model_name: 'mock' }, {
+      onDelta: (delta) => {
+        deltas.push(delta);
+        if (deltas.length === 2) bridge.cancelRequest(call.id);
+      }
+    });
+
+    await expect(call.promise).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(deltas).toHaveLength(2);
+  });
+});
@@ -0,0 +1,96 @@
+const UsageTracker = require('../../src/server/usageTracker');
+const BudgetGuard = require('../../src/server/budgetGuard');
+const LiteLLMBridge = require('../../src/server/aiQueue');
+const { makeConfig } = require('../helpers');
+
+const pricing = { 'gpt-4o': { input: 2.5, output: 10 } };
+
+function guardWith(budgets) {
+  const usage = new UsageTracker({ aiModel: { pricing } });
+  const guard = new BudgetGuard({ budgets }, usage);
+  const warnings = [];
+  guard.on('budget_warning', warning => warnings.push(warning));
+  return { usage, guard, warnings };
+}
+
+// A call of the given size for session ABC123
+function spend(usage, tokens, sessionId = 'ABC123') {
+  usage.record({ sessionId, templateName: 'story_segment_generation', provider: 'openai', model: 'gpt-4o',
+    promptTokens: tokens, completionTokens: 0 });
+}
+
+describe('BudgetGuard', () => {
+  test('a session moves from ok to warning to exceeded, announcing each level once', () => {
+    const { usage, guard, warnings } = guardWith({ session: { maxTokens: 1000 }, warningThreshold: 0.8 });
+
+    spend(usage, 500);
+    expect(guard.getStatus('ABC123')).toMatchObject({ level: 'ok', scope: 'session', percent: 50 });
+
+    spend(usage, 300);
+    spend(usage, 100);
+    expect(guard.isNearLimit('ABC123')).toBe(true);
+    expect(guard.isExceeded('ABC123')).toBe(false);
+
+    spend(usage, 100);
+    expect(guard.isExceeded('ABC123')).toBe(true);
+    expect(warnings.map(warning => [warning.level, warning.percent])).toEqual([['warning', 80], ['exceeded', 100]]);
+    expect(warnings[1].message).toBe("This story's AI budget is used up; the story will wrap up now");
+  });
+
+  test('the tightest of the token and cost caps counts', () => {
+    const { usage, guard } = guardWith({ session: { maxTokens: 1000000, maxCost: 0.01 } });
+
+    spend(usage, 2000);
+
+    expect(guard.getStatus('ABC123')).toMatchObject({ level: 'ok', percent: 50 });
+  });
+
+  test('the daily cap covers every session on the server', () => {
+    const { usage, guard, warnings } = guardWith({ session: { maxTokens: 10000 }, daily: { maxTokens: 1000 } });
+
+    spend(usage, 600, 'OTHER1');
+    spend(usage, 500);
+
+    expect(guard.getStatus('ABC123')).toMatchObject({ level: 'exceeded', scope: 'daily' });
+    expect(warnings.pop().message).toBe("The server's daily AI budget is used up; the story will wrap up now");
+  });
+
+  test('a host can tighten the operator\'s cap but not loosen it', () => {
+    const { guard } = guardWith({ session: { maxTokens: 5000 } });
+
+    expect(guard.setSessionBudget('ABC123', { maxTokens: 2000, maxCost: 1 })).toEqual({ maxTokens: 2000, maxCost: 1 });
+    expect(guard.setSessionBudget('OTHER1', { maxTokens: 9000 })).toEqual({ maxTokens: 5000 });
+    expect(guard.getSessionLimits('UNSET1')).toEqual({ maxTokens: 5000 });
+  });
+
+  test('without caps nothing is ever exceeded', () => {
+    const { usage, guard, warnings } = guardWith({});
+
+    spend(usage, 10000000);
+
+    expect(guard.getStatus('ABC123')).toMatchObject({ level: 'ok', percent: 0 });
+    expect(warnings).toEqual([]);
+  });
+});
+
+describe('LiteLLMBridge budgets', () => {
+  test('a session over budget only gets calls that are allowed over it', async () => {
+    const bridge = new LiteLLMBridge(makeConfig({
+      aiModel: {
+        provider: 'mock',
+        model: 'mock',
+        providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0 } }
+      },
+      budgets: { session: { maxTokens: 10 } }
+    }));
+    const variables = { model_provider: 'mock', model_name: 'mock', story_context: 'Story Seeds: a lighthouse' };
+
+    await bridge.executeTemplate('story_segment_generation', variables, { sessionId: 'ABC123' });
+    const refused = bridge.executeTemplate('story_segment_generation', variables, { sessionId: 'ABC123' });
+    const conclusion = bridge.executeTemplate('story_conclusion', variables, { sessionId: 'ABC123', allowOverBudget: true });
+
+    await expect(refused).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED', message: 'AI budget exhausted for this session' });
+    await expect(conclusion).resolves.toMatchObject({ success: true });
+    await bridge.shutdown();
+  });
+});
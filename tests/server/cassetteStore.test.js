@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CassetteStore = require('../../src/server/cassetteStore');
+const LiteLLMBridge = require('../../src/server/aiQueue');
+const { makeConfig } = require('../helpers');
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-cassettes-'));
+});
+
+function writeCassette(interactions) {
+  const replayFile = path.join(directory, 'replay.jsonl');
+  fs.writeFileSync(replayFile, interactions.map(interaction => JSON.stringify(interaction)).join('\n') + '\n');
+  return replayFile;
+}
+
+function bridgeWith(cassettes) {
+  return new LiteLLMBridge(makeConfig({
+    aiModel: {
+      provider: 'mock',
+      model: 'mock',
+      providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0 } },
+      cassettes
+    }
+  }));
+}
+
+const variables = {
+  model_provider: 'mock',
+  model_name: 'mock',
+  story_context: 'Story Seeds: a lighthouse on a foggy coast',
+  player_influences: 'Bob: A storm rolls in',
+  segment_length: '4-6 sentences'
+};
+
+describe('CassetteStore', () => {
+  test('recording appends one numbered line per call to the session\'s cassette', async () => {
+    const store = new CassetteStore({ mode: 'record', directory });
+
+    store.record('ABC123', { templateName: 'story_segment_generation', variables, response: { content: 'One.' } });
+    store.record('ABC123', { templateName: 'story_conclusion', variables, error: 'rate limited' });
+    store.record(null, { templateName: 'test_connection', variables: {}, response: {} });
+    await store.flush();
+
+    const lines = CassetteStore.load(store.getCassettePath('ABC123'));
+    expect(lines.map(line => [line.sequence, line.templateName])).toEqual([[1, 'story_segment_generation'], [2, 'story_conclusion']]);
+    expect(lines[1]).toMatchObject({ sessionId: 'ABC123', error: 'rate limited' });
+    expect(fs.readdirSync(directory)).toEqual(['ABC123.jsonl']);
+  });
+
+  test('nothing is recorded outside record mode', async () => {
+    const store = new CassetteStore({ mode: 'off', directory });
+
+    store.record('ABC123', { templateName: 'story_conclusion', variables, response: {} });
+    await store.flush();
+
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('replay answers identical calls in recorded order, whatever the key order', () => {
+    const store = new CassetteStore({
+      mode: 'replay',
+      replayFile: writeCassette([
+        { templateName: 'story_segment_generation', variables, response: { content: 'First.' } },
+        { templateName: 'story_segment_generation', variables, response: { content: 'Second.' } }
+      ])
+    });
+    const reordered = Object.fromEntries(Object.entries(variables).reverse());
+
+    expect(store.replay('story_segment_generation', reordered).response.content).toBe('First.');
+    expect(store.replay('story_segment_generation', variables).response.content).toBe('Second.');
+    expect(store.getStats().remaining).toBe(0);
+  });
+
+  test('a call that was never recorded takes the next recording of its template, unless replay is strict', () => {
+    const interactions = [{ templateName: 'story_segment_generation', variables, response: { content: 'First.' } }];
+    const changed = { ...variables, player_influences: 'Carol: A ghost appears' };
+
+    const loose = new CassetteStore({ mode: 'replay', replayFile: writeCassette(interactions) });
+    const strict = new CassetteStore({ mode: 'replay', replayFile: writeCassette(interactions), strict: true });
+
+    expect(loose.replay('story_segment_generation', changed).response.content).toBe('First.');
+    expect(() => strict.replay('story_segment_generation', changed))
+      .toThrow("No recorded 'story_segment_generation' call matches these variables in replay.jsonl");
+    expect(() => loose.replay('story_conclusion', variables)).toThrow("No recorded 'story_conclusion' call");
+  });
+
+  test('replay without a cassette file is refused', () => {
+    const store = new CassetteStore({ mode: 'replay' });
+
+    expect(() => store.replay('story_conclusion', variables)).toThrow('Cassette replay needs aiModel.cassettes.replayFile');
+  });
+});
+
+describe('LiteLLMBridge with cassettes', () => {
+  test('a recorded session replays word for word without calling the model', async () => {
+    const recorder = bridgeWith({ mode: 'record', directory });
+    const recorded = await recorder.executeTemplate('story_segment_generation', variables, { sessionId: 'ABC123' });
+    await recorder.shutdown();
+
+    const player = bridgeWith({ mode: 'replay', replayFile: path.join(directory, 'ABC123.jsonl'), strict: true });
+    player._getProvider = () => { throw new Error('replay called the model'); };
+    const replayed = await player.executeTemplate('story_segment_generation', variables, { sessionId: 'ABC123' });
+    await player.shutdown();
+
+    expect(recorded.success).toBe(true);
+    expect(replayed.content).toBe(recorded.content);
+    expect(replayed.replayed).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+const CircuitBreaker = require('../../src/server/circuitBreaker');
+const LiteLLMBridge = require('../../src/server/aiQueue');
+const { makeConfig } = require('../helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold failures in a row', () => {
+    const breaker = new CircuitBreaker('openai/gpt-4o', { failureThreshold: 2, cooldown: 60000 });
+    const changes = [];
+    breaker.on('state_change', change => changes.push(change));
+
+    breaker.recordFailure(new Error('rate limited'));
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure(new Error('rate limited'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(changes).toEqual([{ name: 'openai/gpt-4o', state: 'open', previous: 'closed', failures: 2, lastError: 'rate limited' }]);
+  });
+
+  test('a success resets the failure count', () => {
+    const breaker = new CircuitBreaker('openai/gpt-4o', { failureThreshold: 2 });
+
+    breaker.recordFailure(new Error('timeout'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('timeout'));
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('after the cooldown a single trial call decides whether the circuit closes', async () => {
+    const breaker = new CircuitBreaker('openai/gpt-4o', { failureThreshold: 1, cooldown: 20 });
+    breaker.recordFailure(new Error('down'));
+    await sleep(30);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a failed trial opens the circuit for another cooldown', async () => {
+    const breaker = new CircuitBreaker('openai/gpt-4o', { failureThreshold: 3, cooldown: 20 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('down'));
+    await sleep(30);
+
+    breaker.canRequest();
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.getStats()).toMatchObject({ state: 'open', failures: 4, lastError: 'still down' });
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
+
+describe('LiteLLMBridge fallbacks', () => {
+  let bridge;
+
+  // "broken" speaks the OpenAI API to a port nothing listens on
+  function bridgeWith(aiModel = {}) {
+    bridge = new LiteLLMBridge(makeConfig({
+      aiModel: {
+        provider: 'broken',
+        model: 'gpt-4o',
+        providers: {
+          broken: { type: 'openai', baseUrl: 'http://127.0.0.1:9/v1', apiKey: 'sk-test' },
+          mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0 }
+        },
+        fallbacks: [{ provider: 'mock', model: 'mock' }],
+        retry: { maxAttempts: 2, baseDelay: 0, maxDelay: 1 },
+        circuitBreaker: { failureThreshold: 2, cooldown: 60000 },
+        ...aiModel
+      }
+    }));
+    return bridge;
+  }
+
+  const variables = { model_provider: 'broken', model_name: 'gpt-4o', story_context: 'Story Seeds: a lighthouse' };
+
+  afterEach(() => bridge.shutdown());
+
+  test('a failing model falls back to the next one in the chain', async () => {
+    bridgeWith();
+
+    const result = await bridge.executeTemplate('story_segment_generation', variables);
+
+    expect(result).toMatchObject({ success: true, provider: 'mock', model: 'mock', fallbackUsed: true });
+    expect(result.failedAttempts).toEqual([{ provider: 'broken', model: 'gpt-4o', error: expect.stringContaining('AI Error') }]);
+  });
+
+  test('a model whose circuit opened is skipped until its cooldown ends', async () => {
+    bridgeWith();
+    const failures = [];
+    bridge.on('model_failed', failure => failures.push(failure.provider));
+
+    for (let i = 0; i < 3; i++) {
+      await bridge.executeTemplate('story_segment_generation', variables);
+    }
+
+    expect(failures).toEqual(['broken', 'broken']);
+    expect(bridge._getBreaker({ provider: 'broken', model: 'gpt-4o' }).state).toBe('open');
+  });
+
+  test('when every model fails, each round is retried and the last error reported', async () => {
+    bridgeWith({ fallbacks: [], circuitBreaker: { failureThreshold: 5 } });
+
+    const failed = bridge.executeTemplate('story_segment_generation', variables);
+
+    await expect(failed).rejects.toThrow(/^All models failed after 2 attempts: AI Error/);
+    await expect(failed).rejects.toMatchObject({ attempts: [{ provider: 'broken' }, { provider: 'broken' }] });
+  });
+
+  test('with every circuit open no model is called at all', async () => {
+    bridgeWith({ fallbacks: [], circuitBreaker: { failureThreshold: 1 } });
+    await bridge.executeTemplate('story_segment_generation', variables).catch(() => {});
+
+    await expect(bridge.executeTemplate('story_segment_generation', variables))
+      .rejects.toThrow('No model available: every circuit is open');
+  });
+});
@@ -0,0 +1,82 @@
+const MockProvider = require('../../src/server/providers/mockProvider');
+
+function mock(options = {}) {
+  return new MockProvider('mock', { latencyMs: 0, latencyJitterMs: 0, ...options });
+}
+
+const segmentRequest = {
+  templateName: 'story_segment_with_direct',
+  prompt: 'Continue the story',
+  variables: {
+    story_context: 'Story Seeds: a lighthouse on a foggy coast\n\nRecent Story: The keeper climbed the stairs.',
+    player_direct_content: 'Alice: "The lamp went dark"',
+    player_influences: 'Bob: A storm rolls in'
+  }
+};
+
+describe('MockProvider', () => {
+  test('the same seed, template and variables give the same answer', async () => {
+    const first = await mock().complete(segmentRequest);
+    const second = await mock().complete(segmentRequest);
+
+    expect(second).toEqual(first);
+    expect(first.model).toBe('mock');
+    expect(first.usage).toEqual({
+      promptTokens: Math.ceil(segmentRequest.prompt.length / 4),
+      completionTokens: Math.ceil(first.content.length / 4)
+    });
+  });
+
+  test('another seed tells another story', async () => {
+    const seeded = await mock({ seed: 1 }).complete(segmentRequest);
+    const reseeded = await mock({ seed: 2 }).complete(segmentRequest);
+
+    expect(reseeded.content).not.toBe(seeded.content);
+  });
+
+  test('players\' direct text is woven in verbatim and influences steer the segment', async () => {
+    const { content } = await mock().complete(segmentRequest);
+
+    expect(content.startsWith('The lamp went dark.')).toBe(true);
+    expect(content).toContain('a storm rolls in.');
+  });
+
+  test('the cast depends on the story seeds, not on how far the story has come', () => {
+    const provider = mock();
+    const opening = provider.castFor('Story Seeds: a lighthouse\n\nRecent Story: It began.');
+    const later = provider.castFor('Story Seeds: a lighthouse\n\nRecent Story: Much later.');
+
+    expect(later).toEqual(opening);
+    expect(opening[0]).not.toBe(opening[1]);
+  });
+
+  test('goals come back one "- goal" line each, with a twist on hard', async () => {
+    const easy = await mock().complete({ templateName: 'competition_goal_generation', variables: { goals_count: '4', difficulty: 'easy' } });
+    const hard = await mock().complete({ templateName: 'competition_goal_generation', variables: { goals_count: '2', difficulty: 'hard' } });
+
+    expect(easy.content.split('\n')).toHaveLength(4);
+    expect(easy.content.split('\n').every(line => line.startsWith('- A character named '))).toBe(true);
+    expect(hard.content.split('\n')).toHaveLength(2);
+    expect(hard.content).toMatch(/(borrowed crown|thunderstorm at midnight|three witnesses)/);
+  });
+
+  test('goal scores follow how much of the goal made it into the story', async () => {
+    const score = async (story) => (await mock().complete({
+      templateName: 'competition_goal_scoring',
+      variables: { goal_statement: 'Rook trades a silver spoon for a lighthouse map', full_story: story }
+    })).content;
+
+    expect(await score('Rook trades a silver spoon for a lighthouse map.')).toMatch(/^Score: 3/);
+    expect(await score('Rook found a silver spoon.')).toMatch(/^Score: 2/);
+    expect(await score('Nothing happened at all.')).toMatch(/^Score: 1/);
+  });
+
+  test('an aborted request stops waiting out its latency', async () => {
+    const controller = new AbortController();
+    const pending = mock({ latencyMs: 10000 }).complete({ ...segmentRequest, signal: controller.signal });
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Request aborted');
+  });
+});
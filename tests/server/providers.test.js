@@ -0,0 +1,235 @@
+const http = require('http');
+const OpenAIProvider = require('../../src/server/providers/openaiProvider');
+const AnthropicProvider = require('../../src/server/providers/anthropicProvider');
+const OllamaProvider = require('../../src/server/providers/ollamaProvider');
+
+// Local stand-in for a provider API: records each request and answers with the next reply
+function startStub() {
+  const stub = { requests: [], replies: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+
+      const { status = 200, type = 'application/json', body: reply } = stub.replies.shift();
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(typeof reply === 'string' ? reply : JSON.stringify(reply));
+    });
+  });
+
+  return new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => {
+    stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve(stub);
+  }));
+}
+
+const request = { model: 'test-model', prompt: 'Continue the story', temperature: 0.7, maxTokens: 300 };
+
+let stub;
+
+beforeEach(async () => {
+  stub = await startStub();
+});
+
+afterEach(() => new Promise(resolve => stub.server.close(resolve)));
+
+describe('OpenAIProvider', () => {
+  test('complete() posts a chat completion and maps the reply', async () => {
+    const provider = new OpenAIProvider('openai', { baseUrl: `${stub.baseUrl}/v1/`, apiKey: 'sk-test' });
+    stub.replies.push({ body: {
+      model: 'test-model-0613',
+      choices: [{ message: { role: 'assistant', content: 'The door creaked open.' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 }
+    } });
+
+    const result = await provider.complete(request);
+
+    expect(stub.requests[0].url).toBe('/v1/chat/completions');
+    expect(stub.requests[0].headers.authorization).toBe('Bearer sk-test');
+    expect(stub.requests[0].body).toEqual({
+      model: 'test-model',
+      messages: [{ role: 'user', content: 'Continue the story' }],
+      temperature: 0.7,
+      max_tokens: 300
+    });
+    expect(result).toEqual({
+      content: 'The door creaked open.',
+      model: 'test-model-0613',
+      usage: { promptTokens: 12, completionTokens: 5 }
+    });
+  });
+
+  test('complete() rejects a reply without choices', async () => {
+    const provider = new OpenAIProvider('openai', { baseUrl: stub.baseUrl });
+    stub.replies.push({ body: { choices: [] } });
+
+    await expect(provider.complete(request)).rejects.toThrow('openai returned no choices');
+  });
+
+  test('HTTP errors carry the API error message', async () => {
+    const provider = new OpenAIProvider('openai', { baseUrl: stub.baseUrl });
+    stub.replies.push({ status: 429, body: { error: { message: 'Rate limit reached' } } });
+
+    await expect(provider.complete(request)).rejects.toThrow('openai HTTP 429: Rate limit reached');
+  });
+
+  test('stream() hands on each delta and reads usage from the last chunk', async () => {
+    const provider = new OpenAIProvider('openai', { baseUrl: stub.baseUrl });
+    stub.replies.push({ type: 'text/event-stream', body: [
+      'data: {"model":"test-model","choices":[{"delta":{"content":"The door"}}]}',
+      'data: {"model":"test-model","choices":[{"delta":{"content":" creaked."}}]}',
+      'data: {"model":"test-model","choices":[],"usage":{"prompt_tokens":12,"completion_tokens":4}}',
+      'data: [DONE]',
+      ''
+    ].join('\n\n') });
+
+    const deltas = [];
+    const result = await provider.stream(request, delta => deltas.push(delta));
+
+    expect(stub.requests[0].body.stream).toBe(true);
+    expect(stub.requests[0].body.stream_options).toEqual({ include_usage: true });
+    expect(deltas).toEqual(['The door', ' creaked.']);
+    expect(result).toEqual({
+      content: 'The door creaked.',
+      model: 'test-model',
+      usage: { promptTokens: 12, completionTokens: 4 }
+    });
+  });
+
+  test('stream() leaves usage out when the server sends none', async () => {
+    const provider = new OpenAIProvider('openai', { baseUrl: stub.baseUrl });
+    stub.replies.push({ type: 'text/event-stream', body: 'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n' });
+
+    const result = await provider.stream(request, () => {});
+
+    expect(result.usage).toBeUndefined();
+  });
+});
+
+describe('AnthropicProvider', () => {
+  test('complete() posts to the Messages API and joins the text blocks', async () => {
+    const provider = new AnthropicProvider('anthropic', { baseUrl: stub.baseUrl, apiKey: 'ant-test' });
+    stub.replies.push({ body: {
+      model: 'test-model',
+      content: [
+        { type: 'text', text: 'The door ' },
+        { type: 'tool_use', id: 'ignored' },
+        { type: 'text', text: 'creaked open.' }
+      ],
+      usage: { input_tokens: 20, output_tokens: 6 }
+    } });
+
+    const result = await provider.complete(request);
+
+    expect(stub.requests[0].url).toBe('/v1/messages');
+    expect(stub.requests[0].headers['x-api-key']).toBe('ant-test');
+    expect(stub.requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect(stub.requests[0].body).toEqual({
+      model: 'test-model',
+      messages: [{ role: 'user', content: 'Continue the story' }],
+      temperature: 0.7,
+      max_tokens: 300
+    });
+    expect(result).toEqual({
+      content: 'The door creaked open.',
+      model: 'test-model',
+      usage: { promptTokens: 20, completionTokens: 6 }
+    });
+  });
+
+  test('max_tokens defaults when the request sets none', async () => {
+    const provider = new AnthropicProvider('anthropic', { baseUrl: stub.baseUrl });
+    stub.replies.push({ body: { content: [] } });
+
+    await provider.complete({ ...request, maxTokens: undefined });
+
+    expect(stub.requests[0].body.max_tokens).toBe(1024);
+  });
+
+  test('stream() follows the message events', async () => {
+    const provider = new AnthropicProvider('anthropic', { baseUrl: stub.baseUrl });
+    stub.replies.push({ type: 'text/event-stream', body: [
+      'event: message_start\ndata: {"type":"message_start","message":{"model":"test-model-1","usage":{"input_tokens":20}}}',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"The door"}}',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":" creaked."}}',
+      'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":4}}',
+      'event: message_stop\ndata: {"type":"message_stop"}',
+      ''
+    ].join('\n\n') });
+
+    const deltas = [];
+    const result = await provider.stream(request, delta => deltas.push(delta));
+
+    expect(stub.requests[0].body.stream).toBe(true);
+    expect(deltas).toEqual(['The door', ' creaked.']);
+    expect(result).toEqual({
+      content: 'The door creaked.',
+      model: 'test-model-1',
+      usage: { promptTokens: 20, completionTokens: 4 }
+    });
+  });
+
+  test('stream() rejects on an error event', async () => {
+    const provider = new AnthropicProvider('anthropic', { baseUrl: stub.baseUrl });
+    stub.replies.push({ type: 'text/event-stream', body: 'data: {"type":"error","error":{"message":"Overloaded"}}\n\n' });
+
+    await expect(provider.stream(request, () => {})).rejects.toThrow('anthropic stream error: Overloaded');
+  });
+});
+
+describe('OllamaProvider', () => {
+  test('complete() posts to /api/chat and maps the eval counts', async () => {
+    const provider = new OllamaProvider('ollama', { baseUrl: stub.baseUrl });
+    stub.replies.push({ body: {
+      model: 'llama3.1',
+      message: { role: 'assistant', content: 'The door creaked open.' },
+      done: true,
+      prompt_eval_count: 30,
+      eval_count: 7
+    } });
+
+    const result = await provider.complete(request);
+
+    expect(stub.requests[0].url).toBe('/api/chat');
+    expect(stub.requests[0].body).toEqual({
+      model: 'test-model',
+      messages: [{ role: 'user', content: 'Continue the story' }],
+      stream: false,
+      options: { temperature: 0.7, num_predict: 300 }
+    });
+    expect(result).toEqual({
+      content: 'The door creaked open.',
+      model: 'llama3.1',
+      usage: { promptTokens: 30, completionTokens: 7 }
+    });
+  });
+
+  test('stream() reads newline-delimited JSON up to the done line', async () => {
+    const provider = new OllamaProvider('ollama', { baseUrl: stub.baseUrl });
+    stub.replies.push({ type: 'application/x-ndjson', body: [
+      '{"model":"llama3.1","message":{"content":"The door"},"done":false}',
+      '{"model":"llama3.1","message":{"content":" creaked."},"done":false}',
+      '{"model":"llama3.1","message":{"content":""},"done":true,"prompt_eval_count":30,"eval_count":4}'
+    ].join('\n') });
+
+    const deltas = [];
+    const result = await provider.stream(request, delta => deltas.push(delta));
+
+    expect(stub.requests[0].body.stream).toBe(true);
+    expect(deltas).toEqual(['The door', ' creaked.']);
+    expect(result).toEqual({
+      content: 'The door creaked.',
+      model: 'llama3.1',
+      usage: { promptTokens: 30, completionTokens: 4 }
+    });
+  });
+
+  test('HTTP errors carry the error string', async () => {
+    const provider = new OllamaProvider('ollama', { baseUrl: stub.baseUrl });
+    stub.replies.push({ status: 404, body: { error: 'model "test-model" not found' } });
+
+    await expect(provider.complete(request)).rejects.toThrow('ollama HTTP 404: model "test-model" not found');
+  });
+});
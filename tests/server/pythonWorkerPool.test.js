@@ -0,0 +1,116 @@
+const { once } = require('events');
+const path = require('path');
+const PythonWorkerPool = require('../../src/server/pythonWorkerPool');
+
+let pool;
+
+// Node runs the fake worker where the pool would run python on the bridge
+function startPool(options = {}) {
+  pool = new PythonWorkerPool({
+    size: 1,
+    pythonPath: process.execPath,
+    scriptPath: path.join(__dirname, '../fixtures/fakeBridgeWorker.js'),
+    ...options
+  });
+  const ready = once(pool, 'worker_ready');
+  pool.start();
+  return ready;
+}
+
+afterEach(() => {
+  pool.shutdown();
+});
+
+describe('PythonWorkerPool', () => {
+  test('one worker process serves request after request', async () => {
+    const [{ pid }] = await startPool();
+
+    const first = await pool.execute({ template: 'story_segment' }, 5000).promise;
+    const second = await pool.execute({ template: 'goals' }, 5000).promise;
+
+    expect(first).toMatchObject({ success: true, content: 'done story_segment', pid });
+    expect(second).toMatchObject({ success: true, content: 'done goals', pid });
+    expect(pool.getStats().workers[0]).toMatchObject({ state: 'idle', requestsServed: 2, restarts: 0 });
+  });
+
+  test('a failed call rejects with the bridge error', async () => {
+    await startPool();
+
+    await expect(pool.execute({ error: 'rate limited' }, 5000).promise).rejects.toThrow('AI Error: rate limited');
+    expect(pool.getStats().workers[0].state).toBe('idle');
+  });
+
+  test('a queued request is cancelled without touching the busy worker', async () => {
+    await startPool();
+    const running = pool.execute({ delayMs: 100 }, 5000);
+    const queued = pool.execute({}, 5000);
+
+    expect(pool.cancel(queued.id, 'player left')).toBe(true);
+
+    await expect(queued.promise).rejects.toThrow('player left');
+    await expect(running.promise).resolves.toMatchObject({ success: true });
+    expect(pool.getStats().waitingRequests).toBe(0);
+  });
+
+  test('a timed-out request is rejected at once but holds its worker until the call ends', async () => {
+    const [{ pid }] = await startPool();
+    const slow = pool.execute({ delayMs: 300 }, 50);
+    const next = pool.execute({ template: 'next' }, 5000);
+
+    await expect(slow.promise).rejects.toThrow('AI request timeout after 50ms');
+    expect(pool.getStats().workers[0].state).toBe('cancelling');
+    expect(pool.getStats().waitingRequests).toBe(1);
+
+    await expect(next.promise).resolves.toMatchObject({ content: 'done next', pid });
+    expect(pool.getStats().workers[0].restarts).toBe(0);
+  });
+
+  test('a cancelled call that outlives the grace period gets its worker recycled', async () => {
+    const [{ pid }] = await startPool({ cancelGracePeriod: 100 });
+    const hung = pool.execute({ hang: true }, 5000);
+    const next = pool.execute({ template: 'next' }, 5000);
+    const stuck = once(pool, 'worker_stuck');
+
+    pool.cancel(hung.id);
+
+    await expect(hung.promise).rejects.toThrow('AI request cancelled');
+    expect(await stuck).toEqual([{ worker: 0, pid, gracePeriod: 100 }]);
+    const result = await next.promise;
+    expect(result.content).toBe('done next');
+    expect(result.pid).not.toBe(pid);
+  });
+
+  test('a crashed worker fails its request with the crash output and is restarted', async () => {
+    const [{ pid }] = await startPool();
+    const crashed = once(pool, 'worker_crashed');
+
+    await expect(pool.execute({ crash: 'Traceback: boom' }, 5000).promise)
+      .rejects.toThrow('Python worker exited with code 1. Error: Traceback: boom');
+    expect(await crashed).toEqual([{ worker: 0, reason: 'exited with code 1', restartIn: 1000 }]);
+
+    const [restarted] = await once(pool, 'worker_ready');
+    expect(restarted.pid).not.toBe(pid);
+    expect(pool.getStats().workers[0]).toMatchObject({ state: 'idle', restarts: 1 });
+  });
+
+  test('a worker that stops answering health checks is killed', async () => {
+    await startPool({ healthCheckInterval: 50, healthCheckTimeout: 50 });
+    const frozen = pool.execute({ deaf: true }, 5000);
+    const unhealthy = once(pool, 'worker_unhealthy');
+
+    await unhealthy;
+
+    await expect(frozen.promise).rejects.toThrow('Python worker exited with SIGKILL');
+  });
+
+  test('shutting down rejects everything still pending', async () => {
+    await startPool();
+    const running = pool.execute({ hang: true }, 5000);
+    const queued = pool.execute({}, 5000);
+
+    pool.shutdown();
+
+    await expect(running.promise).rejects.toThrow('AI worker pool shut down');
+    await expect(queued.promise).rejects.toThrow('AI worker pool shut down');
+  });
+});
@@ -0,0 +1,146 @@
+const RequestScheduler = require('../../src/server/requestScheduler');
+const LiteLLMBridge = require('../../src/server/aiQueue');
+const { makeConfig, waitFor } = require('../helpers');
+
+describe('RequestScheduler', () => {
+  test('templates map to their priority class', () => {
+    expect(RequestScheduler.getPriorityClass('story_segment_with_direct')).toBe('segment');
+    expect(RequestScheduler.getPriorityClass('competition_goal_scoring')).toBe('scoring');
+    expect(RequestScheduler.getPriorityClass('test_connection')).toBe('other');
+  });
+
+  test('the highest non-empty class is served first', () => {
+    const scheduler = new RequestScheduler();
+    scheduler.enqueue({ id: 1, priorityClass: 'summary', sessionId: 'A' });
+    scheduler.enqueue({ id: 2, priorityClass: 'scoring', sessionId: 'A' });
+    scheduler.enqueue({ id: 3, priorityClass: 'segment', sessionId: 'B' });
+
+    expect([scheduler.dequeue().id, scheduler.dequeue().id, scheduler.dequeue().id]).toEqual([3, 2, 1]);
+    expect(scheduler.dequeue()).toBeNull();
+  });
+
+  test('sessions take turns within a class', () => {
+    const scheduler = new RequestScheduler();
+    for (const [id, sessionId] of [[1, 'A'], [2, 'A'], [3, 'A'], [4, 'B'], [5, 'C'], [6, 'B']]) {
+      scheduler.enqueue({ id, priorityClass: 'segment', sessionId });
+    }
+
+    const order = [];
+    while (scheduler.size > 0) order.push(scheduler.dequeue().id);
+
+    expect(order).toEqual([1, 4, 5, 2, 6, 3]);
+  });
+
+  test('a removed request leaves the queue and its depth', () => {
+    const scheduler = new RequestScheduler();
+    scheduler.enqueue({ id: 1, priorityClass: 'segment', sessionId: 'A' });
+    scheduler.enqueue({ id: 2, priorityClass: 'scoring', sessionId: 'A' });
+
+    expect(scheduler.remove(2)).toMatchObject({ id: 2 });
+    expect(scheduler.remove(2)).toBeNull();
+    expect(scheduler.getDepths()).toMatchObject({ segment: 1, scoring: 0 });
+    expect(scheduler.size).toBe(1);
+  });
+});
+
+describe('LiteLLMBridge scheduling', () => {
+  let bridge;
+  let started;
+
+  // One call at a time against a mock that takes latencyMs to answer
+  function bridgeWith(latencyMs, aiModel = {}) {
+    bridge = new LiteLLMBridge(makeConfig({
+      server: { aiRequestQueue: { maxConcurrent: 1, timeout: 30000 } },
+      aiModel: {
+        provider: 'mock',
+        model: 'mock',
+        providers: { mock: { type: 'mock', latencyMs, latencyJitterMs: 0 } },
+        retry: { maxAttempts: 1 },
+        ...aiModel
+      }
+    }));
+    started = [];
+    bridge.on('request_started', ({ templateName }) => started.push(templateName));
+    return bridge;
+  }
+
+  const variables = { model_provider: 'mock', model_name: 'mock', story_context: 'Story Seeds: a lighthouse' };
+
+  afterEach(() => bridge.shutdown());
+
+  test('a waiting segment goes ahead of background work queued before it', async () => {
+    bridgeWith(20);
+
+    const calls = [
+      bridge.executeTemplate('author_contribution_summary', variables, { sessionId: 'A' }),
+      bridge.executeTemplate('author_contribution_summary', variables, { sessionId: 'A' }),
+      bridge.executeTemplate('story_segment_generation', variables, { sessionId: 'B' })
+    ];
+    await Promise.all(calls);
+
+    expect(started).toEqual(['author_contribution_summary', 'story_segment_generation', 'author_contribution_summary']);
+  });
+
+  test('a queued request past its deadline is dropped without running', async () => {
+    bridgeWith(100);
+    const dropped = [];
+    bridge.on('request_dropped', event => dropped.push(event));
+
+    const running = bridge.executeTemplate('story_segment_generation', variables, { sessionId: 'A' });
+    const late = bridge.executeTemplate('competition_goal_scoring', variables, { sessionId: 'A', deadline: Date.now() + 20 });
+
+    await expect(late).rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED', message: 'AI request competition_goal_scoring missed its deadline' });
+    await running;
+    expect(dropped).toEqual([{
+      templateName: 'competition_goal_scoring', sessionId: 'A', priorityClass: 'scoring', reason: 'DEADLINE_EXCEEDED'
+    }]);
+    expect(started).toEqual(['story_segment_generation']);
+  });
+
+  test('cancelling a running request aborts it and frees its slot', async () => {
+    bridgeWith(10000);
+    const running = bridge.scheduleTemplate('story_segment_generation', variables, { sessionId: 'A' });
+    const next = bridge.scheduleTemplate('story_conclusion', variables, { sessionId: 'B' });
+
+    expect(bridge.cancelRequest(running.id, 'player left')).toBe(true);
+    await expect(running.promise).rejects.toMatchObject({ code: 'REQUEST_CANCELLED', message: 'AI request story_segment_generation player left' });
+
+    await waitFor(() => started.length === 2);
+    expect(bridge.activeRequests).toBe(1);
+    bridge.cancelRequest(next.id);
+    await expect(next.promise).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(bridge.cancelRequest(next.id)).toBe(false);
+  });
+
+  test('ending a session cancels everything it still has pending', async () => {
+    bridgeWith(10000);
+    const calls = [
+      bridge.executeTemplate('story_segment_generation', variables, { sessionId: 'A' }),
+      bridge.executeTemplate('story_conclusion', variables, { sessionId: 'A' })
+    ];
+    const other = bridge.scheduleTemplate('story_segment_generation', variables, { sessionId: 'B' });
+
+    expect(bridge.cancelSession('A', 'session ended')).toBe(2);
+
+    for (const call of calls) {
+      await expect(call).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    }
+    bridge.cancelRequest(other.id);
+    await expect(other.promise).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+  });
+
+  test('a cancelled half-open trial leaves the circuit free for the next call', async () => {
+    bridgeWith(10000, { circuitBreaker: { failureThreshold: 1, cooldown: 10 } });
+    const breaker = bridge._getBreaker({ provider: 'mock', model: 'mock' });
+    breaker.recordFailure(new Error('down'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const trial = bridge.scheduleTemplate('story_segment_generation', variables, { sessionId: 'A' });
+    await waitFor(() => breaker.state === 'half_open');
+    bridge.cancelRequest(trial.id);
+    await expect(trial.promise).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
@@ -0,0 +1,124 @@
+const SegmentVote = require('../../src/server/segmentVote');
+
+function makePlayers(...specs) {
+  return new Map(specs.map(([id, name, isConnected = true]) => [id, { id, name, isConnected }]));
+}
+
+function makeVote(count = 3) {
+  const candidates = Array.from({ length: count }, (_, index) => ({ text: `Candidate ${index + 1}`, provider: 'mock', model: 'mock' }));
+  return new SegmentVote(4, candidates, 30000);
+}
+
+describe('SegmentVote.close', () => {
+  const players = makePlayers(['host', 'Alice'], ['bob', 'Bob'], ['cara', 'Cara']);
+
+  test('the candidate with most votes wins', async () => {
+    const vote = makeVote();
+    vote.cast('host', 0);
+    vote.cast('bob', 2);
+    vote.cast('cara', 2);
+
+    const record = vote.close(players, 'host');
+
+    expect(record.winner).toBe(2);
+    expect(record.decidedBy).toBe('majority');
+    expect(record.tally).toEqual([1, 0, 2]);
+    await expect(vote.result).resolves.toMatchObject({ text: 'Candidate 3', vote: record });
+  });
+
+  test('a changed vote replaces the earlier one', () => {
+    const vote = makeVote();
+    vote.cast('bob', 0);
+    vote.cast('bob', 1);
+
+    expect(vote.close(players, 'host').tally).toEqual([0, 1, 0]);
+  });
+
+  test('the host breaks a tie they voted in', () => {
+    const vote = makeVote();
+    vote.cast('bob', 0);
+    vote.cast('host', 1);
+
+    const record = vote.close(players, 'host');
+
+    expect(record.winner).toBe(1);
+    expect(record.decidedBy).toBe('host_tiebreak');
+  });
+
+  test('a tie the host did not vote in goes to the earliest tied candidate', () => {
+    const vote = makeVote();
+    vote.cast('host', 0);
+    vote.cast('bob', 2);
+    vote.cast('cara', 1);
+    vote.cast('dan', 2);
+    vote.cast('eve', 1);
+
+    const record = vote.close(makePlayers(['host', 'Alice'], ['bob', 'Bob'], ['cara', 'Cara'], ['dan', 'Dan'], ['eve', 'Eve']), 'host');
+
+    expect(record.tally).toEqual([1, 2, 2]);
+    expect(record.winner).toBe(1);
+    expect(record.decidedBy).toBe('first_candidate_tiebreak');
+  });
+
+  test('players who do not vote abstain; with no votes the first candidate wins', () => {
+    const vote = makeVote();
+
+    const record = vote.close(players, 'host');
+
+    expect(record.winner).toBe(0);
+    expect(record.decidedBy).toBe('no_votes');
+    expect(record.tally).toEqual([0, 0, 0]);
+    expect(record.votes).toEqual([]);
+  });
+
+  test('votes from players who disconnected before the close are recorded but not counted', () => {
+    const vote = makeVote();
+    vote.cast('bob', 2);
+    vote.cast('cara', 2);
+    vote.cast('host', 1);
+
+    const record = vote.close(makePlayers(['host', 'Alice'], ['bob', 'Bob', false], ['cara', 'Cara', false]), 'host');
+
+    expect(record.winner).toBe(1);
+    expect(record.decidedBy).toBe('majority');
+    expect(record.tally).toEqual([0, 1, 0]);
+    expect(record.votes).toEqual([
+      { playerId: 'bob', playerName: 'Bob', candidateIndex: 2, counted: false },
+      { playerId: 'cara', playerName: 'Cara', candidateIndex: 2, counted: false },
+      { playerId: 'host', playerName: 'Alice', candidateIndex: 1, counted: true }
+    ]);
+  });
+
+  test('a disconnected host does not break ties', () => {
+    const vote = makeVote();
+    vote.cast('bob', 0);
+    vote.cast('cara', 1);
+    vote.cast('host', 1);
+
+    const record = vote.close(makePlayers(['host', 'Alice', false], ['bob', 'Bob'], ['cara', 'Cara']), 'host');
+
+    expect(record.winner).toBe(0);
+    expect(record.decidedBy).toBe('first_candidate_tiebreak');
+  });
+
+  test('when everyone who voted has left, the first candidate wins', () => {
+    const vote = makeVote();
+    vote.cast('bob', 2);
+
+    const record = vote.close(makePlayers(['host', 'Alice'], ['bob', 'Bob', false]), 'host');
+
+    expect(record.winner).toBe(0);
+    expect(record.decidedBy).toBe('no_votes');
+  });
+});
+
+describe('SegmentVote.cast', () => {
+  test('rejects candidates outside the ballot', () => {
+    const vote = makeVote();
+
+    expect(() => vote.cast('bob', 3)).toThrow('Candidate must be between 1 and 3');
+    expect(() => vote.cast('bob', -1)).toThrow('Candidate must be between 1 and 3');
+    expect(() => vote.cast('bob', 'two')).toThrow('Candidate must be between 1 and 3');
+    expect(vote.hasVoted('bob')).toBe(false);
+  });
+});
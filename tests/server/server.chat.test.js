@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestServer } = require('../helpers');
+
+let servers;
+
+beforeEach(() => {
+  servers = [];
+});
+
+afterEach(async () => {
+  for (const server of servers) {
+    await server.stop();
+  }
+});
+
+function startServer(overrides = {}) {
+  const server = createTestServer(overrides);
+  servers.push(server);
+  return server;
+}
+
+async function sessionWithPlayers(server) {
+  const alice = server.io.connect();
+  const created = await alice.call('create_session', { playerName: 'Alice' });
+  const bob = server.io.connect();
+  await bob.call('join_session', { sessionId: created.sessionId, playerName: 'Bob' });
+  return { alice, bob, sessionId: created.sessionId };
+}
+
+describe('session chat', () => {
+  test('a message goes to everyone in the session and into its history', async () => {
+    const server = startServer();
+    const { alice, bob, sessionId } = await sessionWithPlayers(server);
+
+    const sent = await alice.call('chat_message', { text: 'who has the map?' });
+    const history = await bob.call('get_chat_history');
+
+    expect(sent).toMatchObject({ success: true, message: { id: 1, playerName: 'Alice', text: 'who has the map?' } });
+    expect(server.io.sent(sessionId, 'chat_message').map(entry => entry.data.message)).toEqual([sent.message]);
+    expect(history).toEqual({ success: true, messages: [sent.message] });
+  });
+
+  test('chat never becomes a story input', async () => {
+    const server = startServer();
+    const { alice, sessionId } = await sessionWithPlayers(server);
+
+    await alice.call('chat_message', { text: 'a dragon should show up' });
+
+    const { pendingInputs } = server.sessionManager.getSession(sessionId);
+    expect([...pendingInputs.seeds, ...pendingInputs.direct, ...pendingInputs.influence]).toEqual([]);
+  });
+
+  test('a refused message is reported to the sender only', async () => {
+    const server = startServer();
+    const { alice, sessionId } = await sessionWithPlayers(server);
+
+    const sent = await alice.call('chat_message', { text: '' });
+
+    expect(sent).toEqual({ success: false, error: 'Chat message cannot be empty' });
+    expect(server.io.sent(sessionId, 'chat_message')).toEqual([]);
+  });
+
+  test('chat needs a session', async () => {
+    const server = startServer();
+
+    await expect(server.io.connect().call('chat_message', { text: 'hello' }))
+      .resolves.toEqual({ success: false, error: 'Not connected to a session' });
+  });
+
+  test('a restored session gets back its latest historyLimit messages', async () => {
+    const databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-db-')), 'story-chef.db');
+    const overrides = {
+      persistence: { enabled: true, databasePath },
+      chat: { historyLimit: 2, rateLimit: { messages: 10, windowMs: 10000 } }
+    };
+    const server = startServer(overrides);
+    await server.sessionStore.initialize();
+    const { alice, sessionId } = await sessionWithPlayers(server);
+    for (const text of ['one', 'two', 'three']) {
+      await alice.call('chat_message', { text });
+    }
+
+    await server.stop();
+    servers = [];
+    const restarted = startServer(overrides);
+    await restarted.sessionStore.initialize();
+    await restarted.restoreSessions();
+
+    const chat = restarted.sessionManager.getSession(sessionId).chat;
+    expect(chat.map(message => [message.id, message.text, message.playerName])).toEqual([[2, 'two', 'Alice'], [3, 'three', 'Alice']]);
+    expect(chat[0].timestamp).toBeInstanceOf(Date);
+  });
+});
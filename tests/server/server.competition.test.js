@@ -0,0 +1,79 @@
+const { createTestServer } = require('../helpers');
+
+const GOALS = [
+  '- A lighthouse keeper finds a message in a bottle',
+  '- Someone whistles a tune nobody else knows',
+  '- A storm forces everyone indoors'
+].join('\n');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer({ competition: { enabled: true, goalsPerPlayer: 3 } });
+  server.liteLLMBridge.executeTemplate = jest.fn(async () => ({ success: true, content: GOALS }));
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+function createSession() {
+  const session = server.sessionManager.createSession('host-1', 'Alice', '127.0.0.1');
+  server.sessionManager.updatePlayerSocket('host-1', 'socket-alice');
+  return session;
+}
+
+function joinSession(session, playerId, name, socketId) {
+  server.sessionManager.joinSession(session.sessionId, playerId, name, '127.0.0.2');
+  server.sessionManager.updatePlayerSocket(playerId, socketId);
+}
+
+const goalsSentTo = (room) => server.io.emitted.filter(entry => entry.event === 'goals_assigned' && entry.room === room);
+
+describe('competition wiring', () => {
+  test('goals are generated when a competition session is created and sent only to their owner', async () => {
+    createSession();
+    await flush();
+
+    const sent = goalsSentTo('socket-alice');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].data.map(goal => goal.text)).toEqual([
+      'A lighthouse keeper finds a message in a bottle',
+      'Someone whistles a tune nobody else knows',
+      'A storm forces everyone indoors'
+    ]);
+    expect(server.io.emitted.filter(entry => entry.event === 'goals_assigned' && entry.room !== 'socket-alice')).toEqual([]);
+  });
+
+  test('a player who joins a running competition gets goals of their own', async () => {
+    const session = createSession();
+    await flush();
+
+    joinSession(session, 'player-2', 'Bob', 'socket-bob');
+    await flush();
+
+    expect(goalsSentTo('socket-bob')).toHaveLength(1);
+    expect(goalsSentTo('socket-bob')[0].data.every(goal => goal.playerId === 'player-2')).toBe(true);
+    expect(goalsSentTo('socket-alice')).toHaveLength(1);
+  });
+
+  test('goals are not sent to a player who is not connected', () => {
+    const session = createSession();
+    session.players.get('host-1').isConnected = false;
+
+    expect(server.sendGoalsToPlayer(session.sessionId, 'host-1', [])).toBe(false);
+    expect(goalsSentTo('socket-alice')).toEqual([]);
+  });
+
+  test('a failing competition start is logged instead of rejecting unhandled', async () => {
+    jest.spyOn(server.competitionEngine, 'initializeCompetition').mockRejectedValue(new Error('database is locked'));
+    const logged = jest.spyOn(server.logger, 'error');
+
+    const session = createSession();
+    await flush();
+
+    expect(logged).toHaveBeenCalledWith('Competition not started: database is locked', session.sessionId);
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestServer, waitFor } = require('../helpers');
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+  server.exportEngine.exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-exports-'));
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+async function startStory() {
+  const socket = server.io.connect();
+  const created = await socket.call('create_session', { playerName: 'Alice' });
+  server.sessionManager.addStorySegment(created.sessionId, {
+    segmentNumber: 1,
+    text: 'The lighthouse keeper found a glowing bottle on the shore.',
+    timestamp: new Date(),
+    provider: 'test',
+    model: 'test-model'
+  });
+  return { socket, sessionId: created.sessionId };
+}
+
+describe('story export', () => {
+  test('a completed story is exported to disk and announced to the session', async () => {
+    const { sessionId } = await startStory();
+
+    server.sessionManager.completeStory(sessionId);
+    const [announced] = await waitFor(() => server.io.sent(sessionId, 'story_exported').length && server.io.sent(sessionId, 'story_exported'));
+
+    const filePath = path.join(server.exportEngine.exportsDir, announced.data.filename);
+    expect(announced.data.filename).toMatch(new RegExp(`^${sessionId}_.*\\.md$`));
+    expect(fs.readFileSync(filePath, 'utf8')).toContain('The lighthouse keeper found a glowing bottle on the shore.');
+    expect(server.sessionManager.getSession(sessionId).exportPath).toBe(filePath);
+  });
+
+  test('players can download the markdown over the socket', async () => {
+    const { socket, sessionId } = await startStory();
+
+    const response = await socket.call('request_export', {});
+
+    expect(response.success).toBe(true);
+    expect(response.filename).toMatch(new RegExp(`^${sessionId}_.*\\.md$`));
+    expect(response.markdown).toContain('The lighthouse keeper found a glowing bottle on the shore.');
+    expect(fs.readdirSync(server.exportEngine.exportsDir)).toEqual([]);
+  });
+
+  test('an export needs a session', async () => {
+    const socket = server.io.connect();
+
+    await expect(socket.call('request_export', {})).resolves.toEqual({ success: false, error: 'Not connected to a session' });
+  });
+});
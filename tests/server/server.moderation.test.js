@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestServer, waitFor } = require('../helpers');
+
+let servers;
+let server;
+
+beforeEach(() => {
+  servers = [];
+});
+
+afterEach(async () => {
+  for (const running of servers) {
+    await running.stop();
+    // Ends the session clocks, which run for as long as their story does
+    running.sessionManager.sessions.clear();
+  }
+});
+
+function startServer(overrides = {}) {
+  server = createTestServer(overrides);
+  servers.push(server);
+  return server;
+}
+
+// Alice hosts from 10.0.0.1; the others join from addresses of their own
+async function sessionWith(names, options = {}) {
+  const host = server.io.connect('10.0.0.1');
+  const created = await host.call('create_session', { playerName: 'Alice', ...options });
+  const players = {};
+  for (const [index, playerName] of names.entries()) {
+    const socket = server.io.connect(`10.0.0.${index + 2}`);
+    await socket.call('join_session', { sessionId: created.sessionId, playerName });
+    players[playerName] = socket;
+  }
+  return { host, players, sessionId: created.sessionId, resumeToken: created.resumeToken };
+}
+
+function lastSent(room, event) {
+  return server.io.sent(room, event).pop()?.data;
+}
+
+describe('kicking and banning', () => {
+  test('a kicked player is taken out of the session and can come back', async () => {
+    startServer();
+    const { host, players: { Bob }, sessionId } = await sessionWith(['Bob']);
+    const bobId = Bob.playerId;
+
+    const kicked = await host.call('kick_player', { playerId: bobId });
+
+    expect(kicked).toEqual({ success: true, playerName: 'Bob' });
+    expect(lastSent(Bob.id, 'removed_from_session')).toEqual({ sessionId, banned: false });
+    expect(lastSent(sessionId, 'player_removed')).toEqual({ playerId: bobId, playerName: 'Bob', banned: false });
+    expect(Bob.rooms.has(sessionId)).toBe(false);
+    expect(Bob.playerId).toBeNull();
+    expect(server.sessionManager.getSession(sessionId).players.has(bobId)).toBe(false);
+
+    const rejoined = await server.io.connect('10.0.0.2').call('join_session', { sessionId, playerName: 'Bob' });
+    expect(rejoined.success).toBe(true);
+  });
+
+  test('a banned player cannot come back from their address', async () => {
+    startServer();
+    const { host, players: { Bob }, sessionId } = await sessionWith(['Bob']);
+
+    await host.call('ban_player', { playerId: Bob.playerId });
+
+    expect(lastSent(Bob.id, 'removed_from_session')).toEqual({ sessionId, banned: true });
+    await expect(server.io.connect('10.0.0.2').call('join_session', { sessionId, playerName: 'Robert' }))
+      .resolves.toEqual({ success: false, error: 'You have been banned from this session' });
+    await expect(server.io.connect('10.0.0.9').call('join_session', { sessionId, playerName: 'Carol' }))
+      .resolves.toMatchObject({ success: true });
+  });
+
+  test('a player on the host\'s own address is banned by id only', async () => {
+    startServer();
+    const { host, sessionId } = await sessionWith([]);
+    const bob = server.io.connect('10.0.0.1');
+    const joined = await bob.call('join_session', { sessionId, playerName: 'Bob' });
+
+    await host.call('ban_player', { playerId: joined.playerId });
+
+    expect(server.sessionManager.getSession(sessionId).moderation).toMatchObject({ bannedPlayerIds: [joined.playerId], bannedIps: [] });
+    await expect(server.io.connect('10.0.0.1').call('join_session', { sessionId, playerName: 'Carol' }))
+      .resolves.toMatchObject({ success: true });
+  });
+
+  test('only the host removes players, and never themselves', async () => {
+    startServer();
+    const { host, players: { Bob } } = await sessionWith(['Bob']);
+
+    await expect(Bob.call('kick_player', { playerId: host.playerId }))
+      .resolves.toEqual({ success: false, error: 'Only the host can remove players' });
+    await expect(Bob.call('ban_player', { playerId: host.playerId }))
+      .resolves.toEqual({ success: false, error: 'Only the host can ban players' });
+    await expect(host.call('kick_player', { playerId: host.playerId }))
+      .resolves.toEqual({ success: false, error: 'You cannot remove yourself' });
+    await expect(host.call('kick_player', { playerId: 'nobody' }))
+      .resolves.toEqual({ success: false, error: 'Player not found in session' });
+  });
+
+  test('bans and mutes are restored with the session', async () => {
+    const databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-db-')), 'story-chef.db');
+    startServer({ persistence: { enabled: true, databasePath } });
+    await server.sessionStore.initialize();
+    const { host, players: { Bob, Carol }, sessionId } = await sessionWith(['Bob', 'Carol']);
+    const bobId = Bob.playerId;
+    await host.call('ban_player', { playerId: bobId });
+    await host.call('mute_player', { playerId: Carol.playerId });
+
+    await server.stop();
+    servers = [];
+    const restarted = startServer({ persistence: { enabled: true, databasePath } });
+    await restarted.sessionStore.initialize();
+    await restarted.restoreSessions();
+
+    expect(restarted.sessionManager.getSession(sessionId).moderation).toEqual({
+      bannedPlayerIds: [bobId],
+      bannedIps: ['10.0.0.2'],
+      mutedPlayerIds: [Carol.playerId]
+    });
+  });
+});
+
+describe('muting', () => {
+  test('a muted player keeps reading but cannot write until unmuted', async () => {
+    startServer();
+    const { host, players: { Bob }, sessionId } = await sessionWith(['Bob']);
+
+    await expect(host.call('mute_player', { playerId: Bob.playerId })).resolves.toEqual({ success: true, playerName: 'Bob' });
+
+    expect(lastSent(sessionId, 'player_muted')).toEqual({ playerId: Bob.playerId, playerName: 'Bob', muted: true });
+    const muted = { success: false, error: 'The host has muted you - you can keep reading along' };
+    await expect(Bob.call('direct_input', { content: 'Bob grabs the lamp' })).resolves.toEqual(muted);
+    await expect(Bob.call('influence_input', { content: 'a storm rolls in' })).resolves.toEqual(muted);
+
+    await host.call('mute_player', { playerId: Bob.playerId, muted: false });
+    await expect(Bob.call('influence_input', { content: 'a storm rolls in' })).resolves.toMatchObject({ success: true });
+  });
+
+  test('the host cannot be muted', async () => {
+    startServer();
+    const { host } = await sessionWith([]);
+
+    await expect(host.call('mute_player', { playerId: host.playerId }))
+      .resolves.toEqual({ success: false, error: 'The host cannot be muted' });
+  });
+});
+
+describe('the host role', () => {
+  test('the host hands the role over to another player', async () => {
+    startServer();
+    const { host, players: { Bob, Carol }, sessionId } = await sessionWith(['Bob', 'Carol']);
+
+    await expect(host.call('transfer_host', { playerId: Bob.playerId })).resolves.toEqual({ success: true, playerName: 'Bob' });
+
+    expect(lastSent(sessionId, 'host_changed')).toEqual({ hostPlayerId: Bob.playerId, hostName: 'Bob', previousHostName: 'Alice', reason: 'transfer' });
+    await expect(host.call('kick_player', { playerId: Carol.playerId }))
+      .resolves.toEqual({ success: false, error: 'Only the host can remove players' });
+    await expect(Bob.call('kick_player', { playerId: Carol.playerId })).resolves.toMatchObject({ success: true });
+  });
+
+  test('a muted player who becomes host gets their voice back', async () => {
+    startServer();
+    const { host, players: { Bob }, sessionId } = await sessionWith(['Bob']);
+
+    await host.call('mute_player', { playerId: Bob.playerId });
+    await host.call('transfer_host', { playerId: Bob.playerId });
+
+    expect(server.sessionManager.isMuted(server.sessionManager.getSession(sessionId), Bob.playerId)).toBe(false);
+  });
+
+  test('the role only goes to a connected player', async () => {
+    startServer();
+    const { host, players: { Bob } } = await sessionWith(['Bob']);
+
+    Bob.disconnect();
+
+    await expect(host.call('transfer_host', { playerId: Bob.playerId }))
+      .resolves.toEqual({ success: false, error: 'Bob is not connected' });
+  });
+
+  test('a host who stays away past reconnectTimeout hands the role to the longest-seated player', async () => {
+    startServer({ server: { reconnectTimeout: 50 } });
+    const { host, players: { Bob }, sessionId } = await sessionWith(['Bob', 'Carol']);
+
+    host.disconnect();
+    await waitFor(() => lastSent(sessionId, 'host_changed'));
+
+    expect(lastSent(sessionId, 'host_changed')).toMatchObject({ hostPlayerId: Bob.playerId, previousHostName: 'Alice', reason: 'disconnect' });
+  });
+
+  test('a host who comes back in time keeps the role', async () => {
+    startServer({ server: { reconnectTimeout: 50 } });
+    const { host, sessionId, resumeToken } = await sessionWith(['Bob']);
+
+    host.disconnect();
+    await server.io.connect('10.0.0.1').call('resume_session', { resumeToken });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(server.sessionManager.getSession(sessionId).hostPlayerId).toBe(host.playerId);
+    expect(server.io.sent(sessionId, 'host_changed')).toEqual([]);
+  });
+});
+
+describe('moderation in turn-based stories', () => {
+  function turns(sessionId) {
+    return server.io.sent(sessionId, 'turn_changed').map(entry => entry.data.turn);
+  }
+
+  async function turnBasedStory() {
+    startServer({
+      aiModel: {
+        provider: 'mock',
+        model: 'mock',
+        providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0, tokenDelayMs: 0 } }
+      },
+      storyPacing: { seedingTime: 20, segmentDelay: 60000, turnTime: 60000 }
+    });
+    const story = await sessionWith(['Bob', 'Carol'], { pacing: 'turns' });
+    await story.host.call('story_seed', { content: 'a lighthouse on a foggy coast' });
+    await waitFor(() => server.io.sent(story.sessionId, 'story_segment').length === 1, 5000);
+    return story;
+  }
+
+  test('muted players are skipped in the turn order', async () => {
+    const { host, players: { Bob, Carol }, sessionId } = await turnBasedStory();
+
+    await host.call('mute_player', { playerId: Bob.playerId });
+    await host.call('pass_turn');
+    await waitFor(() => turns(sessionId).some(turn => turn.number === 2));
+
+    expect(turns(sessionId).pop()).toMatchObject({ number: 2, playerId: Carol.playerId });
+  });
+
+  test('a player muted during their turn loses it', async () => {
+    const { host, players: { Bob, Carol }, sessionId } = await turnBasedStory();
+    await host.call('pass_turn');
+    await waitFor(() => turns(sessionId).some(turn => turn.number === 2));
+
+    await host.call('mute_player', { playerId: Bob.playerId });
+
+    expect(turns(sessionId).pop()).toMatchObject({ number: 3, playerId: Carol.playerId });
+    expect(server.io.sent(sessionId, 'story_segment')).toHaveLength(2);
+  });
+
+  test('kicking the player whose turn it is hands it to the player after them', async () => {
+    const { host, players: { Bob, Carol }, sessionId } = await turnBasedStory();
+    await host.call('pass_turn');
+    await waitFor(() => turns(sessionId).some(turn => turn.number === 2));
+
+    await host.call('kick_player', { playerId: Bob.playerId });
+
+    expect(turns(sessionId).pop()).toMatchObject({ number: 3, playerId: Carol.playerId });
+  });
+});
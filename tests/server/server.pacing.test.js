@@ -0,0 +1,128 @@
+const { createTestServer, waitFor } = require('../helpers');
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer({
+    aiModel: {
+      provider: 'mock',
+      model: 'mock',
+      providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0, tokenDelayMs: 0 } }
+    },
+    storyPacing: { seedingTime: 20, segmentDelay: 60000 }
+  });
+});
+
+afterEach(async () => {
+  await server.stop();
+  // Ends the session clocks, which run for as long as their story does
+  server.sessionManager.sessions.clear();
+});
+
+function segments(sessionId) {
+  return server.io.sent(sessionId, 'story_segment');
+}
+
+function lastSent(sessionId, event) {
+  return server.io.sent(sessionId, event).pop()?.data;
+}
+
+// Alice hosts with the other players joining after her; resolves once the first segment is in
+async function storyWith(names, options = {}) {
+  const sockets = [server.io.connect()];
+  const created = await sockets[0].call('create_session', { playerName: 'Alice', ...options });
+  for (const playerName of names) {
+    const socket = server.io.connect();
+    await socket.call('join_session', { sessionId: created.sessionId, playerName });
+    sockets.push(socket);
+  }
+  await sockets[0].call('story_seed', { content: 'a lighthouse on a foggy coast' });
+
+  await waitFor(() => segments(created.sessionId).length === 1, 5000);
+  return { sockets, sessionId: created.sessionId };
+}
+
+describe('skipping the wait', () => {
+  test('a player on their own skips straight to the next segment', async () => {
+    const { sockets: [alice], sessionId } = await storyWith([]);
+
+    expect(await alice.call('skip_request')).toEqual({ success: true, skipped: true });
+    await waitFor(() => segments(sessionId).length === 2);
+  });
+
+  test('with others, the skip waits for skipShare of the connected players', async () => {
+    const { sockets: [alice, bob], sessionId } = await storyWith(['Bob', 'Carol']);
+
+    expect(await alice.call('skip_request')).toEqual({ success: true, skipped: false });
+    expect(lastSent(sessionId, 'skip_vote_update')).toEqual({ requestedBy: 'Alice', votes: 1, needed: 2, passed: false });
+    expect(await alice.call('skip_request')).toEqual({ success: true, skipped: false });
+
+    expect(await bob.call('skip_request')).toEqual({ success: true, skipped: true });
+    expect(lastSent(sessionId, 'skip_vote_update')).toEqual({ requestedBy: 'Alice', votes: 2, needed: 2, passed: true });
+    await waitFor(() => segments(sessionId).length === 2);
+  });
+
+  test('a player leaving can complete the skip', async () => {
+    const { sockets: [alice, , carol], sessionId } = await storyWith(['Bob', 'Carol']);
+
+    await alice.call('skip_request');
+    carol.disconnect();
+
+    expect(lastSent(sessionId, 'skip_vote_update')).toMatchObject({ votes: 1, needed: 1, passed: true });
+    await waitFor(() => segments(sessionId).length === 2);
+  });
+
+  test('a new skip vote starts with each segment', async () => {
+    const { sockets: [alice, bob], sessionId } = await storyWith(['Bob', 'Carol']);
+
+    await alice.call('skip_request');
+    await bob.call('skip_request');
+    await waitFor(() => segments(sessionId).length === 2);
+    await bob.call('skip_request');
+
+    expect(lastSent(sessionId, 'skip_vote_update')).toEqual({ requestedBy: 'Bob', votes: 1, needed: 2, passed: false });
+  });
+});
+
+describe('ready pacing', () => {
+  test('the next segment is written once every connected player is ready', async () => {
+    const { sockets: [alice, bob], sessionId } = await storyWith(['Bob'], { pacing: 'ready' });
+
+    expect(await alice.call('player_ready')).toEqual({ success: true });
+    expect(lastSent(sessionId, 'ready_update')).toEqual({ ready: [{ id: alice.playerId, name: 'Alice' }], needed: 2 });
+    expect(segments(sessionId)).toHaveLength(1);
+
+    await bob.call('player_ready');
+    await waitFor(() => segments(sessionId).length === 2);
+  });
+
+  test('a player can take back being ready', async () => {
+    const { sockets: [alice], sessionId } = await storyWith(['Bob'], { pacing: 'ready' });
+
+    await alice.call('player_ready');
+    await alice.call('player_ready', { ready: false });
+
+    expect(lastSent(sessionId, 'ready_update')).toEqual({ ready: [], needed: 2 });
+  });
+
+  test('the last player who is not ready leaving lets the story go on', async () => {
+    const { sockets: [alice, bob], sessionId } = await storyWith(['Bob'], { pacing: 'ready' });
+
+    await alice.call('player_ready');
+    bob.disconnect();
+
+    await waitFor(() => segments(sessionId).length === 2);
+  });
+
+  test('a ready-paced story cannot be skipped', async () => {
+    const { sockets: [alice] } = await storyWith([], { pacing: 'ready' });
+
+    expect(await alice.call('skip_request')).toEqual({ success: false, error: 'This story goes on once everyone is ready - use /ready' });
+  });
+
+  test('a timer-paced story does not wait for anyone to be ready', async () => {
+    const { sockets: [alice] } = await storyWith([]);
+
+    expect(await alice.call('player_ready')).toEqual({ success: false, error: 'This story does not wait for players to be ready' });
+  });
+});
@@ -0,0 +1,80 @@
+const { createTestServer } = require('../helpers');
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+async function sessionWithDroppedPlayer() {
+  const host = server.io.connect();
+  const created = await host.call('create_session', { playerName: 'Alice' });
+  const socket = server.io.connect();
+  const joined = await socket.call('join_session', { sessionId: created.sessionId, playerName: 'Bob' });
+  socket.disconnect();
+  return { sessionId: created.sessionId, joined };
+}
+
+describe('resuming a session', () => {
+  test('a dropped player reclaims their seat and contributions with their resume token', async () => {
+    const { sessionId, joined } = await sessionWithDroppedPlayer();
+    server.sessionManager.getSession(sessionId).players.get(joined.playerId).contributions.inputCount = 3;
+
+    const socket = server.io.connect();
+    const resumed = await socket.call('resume_session', { resumeToken: joined.resumeToken });
+
+    expect(resumed).toMatchObject({ success: true, sessionId, playerId: joined.playerId, playerName: 'Bob' });
+    expect(resumed.resumeToken).toEqual(expect.any(String));
+    const player = server.sessionManager.getSession(sessionId).players.get(joined.playerId);
+    expect(player).toMatchObject({ isConnected: true, socketId: socket.id, disconnectedAt: null });
+    expect(player.contributions.inputCount).toBe(3);
+    expect(server.io.sent(sessionId, 'player_joined').pop().data).toMatchObject({ playerId: joined.playerId, reconnected: true });
+  });
+
+  test('a resumed seat does not count against a full session', async () => {
+    const { sessionId, joined } = await sessionWithDroppedPlayer();
+    server.sessionManager.config.server.maxPlayers = 2;
+
+    const newcomer = await server.io.connect().call('join_session', { sessionId, playerName: 'Carol' });
+    const resumed = await server.io.connect().call('resume_session', { resumeToken: joined.resumeToken });
+
+    expect(newcomer).toEqual({ success: false, error: 'Session is full' });
+    expect(resumed.success).toBe(true);
+  });
+
+  test('the reconnect window closes after reconnectTimeout', async () => {
+    const { sessionId, joined } = await sessionWithDroppedPlayer();
+    const player = server.sessionManager.getSession(sessionId).players.get(joined.playerId);
+    player.disconnectedAt = new Date(Date.now() - server.config.getConfig().server.reconnectTimeout - 1000);
+
+    const resumed = await server.io.connect().call('resume_session', { resumeToken: joined.resumeToken });
+
+    expect(resumed).toEqual({ success: false, error: 'Reconnect window has expired' });
+    expect(player.isConnected).toBe(false);
+  });
+
+  test('a forged token is refused', async () => {
+    const { joined } = await sessionWithDroppedPlayer();
+    const [payload] = joined.resumeToken.split('.');
+
+    const resumed = await server.io.connect().call('resume_session', { resumeToken: `${payload}.forged` });
+
+    expect(resumed).toEqual({ success: false, error: 'Invalid resume token' });
+  });
+
+  test('the old socket closing after a resume does not drop the player again', async () => {
+    const host = server.io.connect();
+    const created = await host.call('create_session', { playerName: 'Alice' });
+    const oldSocket = server.io.connect();
+    const joined = await oldSocket.call('join_session', { sessionId: created.sessionId, playerName: 'Bob' });
+
+    await server.io.connect().call('resume_session', { resumeToken: joined.resumeToken });
+    oldSocket.disconnect();
+
+    expect(server.sessionManager.getSession(created.sessionId).players.get(joined.playerId).isConnected).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+const { createTestServer, waitFor } = require('../helpers');
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer({
+    aiModel: {
+      provider: 'mock',
+      model: 'mock',
+      providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0, tokenDelayMs: 0 } }
+    },
+    storyPacing: { seedingTime: 20, segmentDelay: 60000 }
+  });
+});
+
+afterEach(async () => {
+  await server.stop();
+  // Ends the session clocks, which run for as long as their story does
+  server.sessionManager.sessions.clear();
+});
+
+function segments(sessionId) {
+  return server.sessionManager.getSession(sessionId).storyState.segments;
+}
+
+// Alice hosts with Bob and Carol; resolves once the first segment is in
+async function runningStory() {
+  const host = server.io.connect();
+  const created = await host.call('create_session', { playerName: 'Alice' });
+  const players = {};
+  for (const playerName of ['Bob', 'Carol']) {
+    players[playerName] = server.io.connect();
+    await players[playerName].call('join_session', { sessionId: created.sessionId, playerName });
+  }
+  await host.call('story_seed', { content: 'a lighthouse on a foggy coast' });
+
+  await waitFor(() => segments(created.sessionId).length === 1, 5000);
+  return { host, players, sessionId: created.sessionId };
+}
+
+async function nextSegment(sessionId) {
+  const written = segments(sessionId).length;
+  server.storyEngine.skipToNextSegment(sessionId);
+  await waitFor(() => segments(sessionId).length === written + 1);
+}
+
+describe('striking inputs', () => {
+  test('a struck input is left out of the next segment and the player\'s contributions', async () => {
+    const { host, players: { Bob, Carol }, sessionId } = await runningStory();
+    const struck = await Bob.call('direct_input', { content: 'Bob kicks the keeper into the sea' });
+    await Carol.call('direct_input', { content: 'Carol lights a candle in the window' });
+    const bob = server.sessionManager.getSession(sessionId).players.get(Bob.playerId);
+    const before = { ...bob.contributions };
+
+    const queue = await host.call('get_pending_inputs');
+    expect(queue).toMatchObject({ success: true, generating: false, influence: [] });
+    expect(queue.direct.map(input => [input.id, input.playerName])).toEqual([[struck.inputId, 'Bob'], [expect.any(Number), 'Carol']]);
+
+    await expect(host.call('strike_input', { inputId: struck.inputId }))
+      .resolves.toEqual({ success: true, inputId: struck.inputId, playerName: 'Bob' });
+
+    expect(server.io.sent(sessionId, 'input_struck').pop().data).toEqual({ inputId: struck.inputId, inputType: 'direct' });
+    expect(bob.contributions).toMatchObject({ directWords: before.directWords - 7, inputCount: before.inputCount - 1 });
+    expect(server.sessionManager.getSession(sessionId).storyState.moderationLog).toEqual([expect.objectContaining({
+      action: 'strike_input',
+      inputId: struck.inputId,
+      playerName: 'Bob',
+      content: 'Bob kicks the keeper into the sea',
+      by: 'Alice'
+    })]);
+
+    await nextSegment(sessionId);
+    const text = segments(sessionId)[1].text;
+    expect(text).toContain('Carol lights a candle in the window');
+    expect(text).not.toContain('Bob kicks the keeper into the sea');
+  });
+
+  test('only inputs still waiting can be struck, and only by the host', async () => {
+    const { host, players: { Bob } } = await runningStory();
+    const input = await Bob.call('influence_input', { content: 'a storm rolls in' });
+
+    await expect(Bob.call('strike_input', { inputId: input.inputId }))
+      .resolves.toEqual({ success: false, error: 'Only the host can strike inputs' });
+    await expect(host.call('strike_input', { inputId: 999 }))
+      .resolves.toEqual({ success: false, error: 'Input #999 is not waiting for the next segment' });
+  });
+});
+
+describe('retracting segments', () => {
+  test('a retracted segment leaves the story, the later ones closing up behind it', async () => {
+    const { host, sessionId } = await runningStory();
+    await nextSegment(sessionId);
+    const [first, second] = segments(sessionId);
+
+    const retracted = await host.call('retract_segment', { segmentNumber: 1, reason: 'too grim' });
+
+    expect(retracted).toEqual({ success: true, segmentNumber: 1 });
+    expect(segments(sessionId)).toEqual([expect.objectContaining({ id: second.id, segmentNumber: 1, parentId: first.parentId })]);
+    expect(server.io.sent(sessionId, 'segment_retracted').pop().data).toMatchObject({
+      segmentNumber: 1,
+      segmentId: first.id,
+      retractedBy: 'Alice',
+      reason: 'too grim'
+    });
+    expect(server.sessionManager.getSession(sessionId).storyState.moderationLog).toEqual([expect.objectContaining({
+      action: 'retract_segment',
+      segmentNumber: 1,
+      text: first.text,
+      reason: 'too grim',
+      by: 'Alice'
+    })]);
+  });
+
+  test('story memory is rebuilt from the segments that are left', async () => {
+    const { host, sessionId } = await runningStory();
+    await nextSegment(sessionId);
+    const storyState = server.sessionManager.getSession(sessionId).storyState;
+    await waitFor(() => storyState.memory?.throughSegment === 2);
+
+    await host.call('retract_segment', { segmentNumber: 1 });
+
+    await waitFor(() => storyState.memory?.throughSegment === 1);
+  });
+
+  test('the writing goes on after the retraction', async () => {
+    const { host, sessionId } = await runningStory();
+    await nextSegment(sessionId);
+
+    await host.call('retract_segment', { segmentNumber: 2 });
+    await nextSegment(sessionId);
+
+    expect(segments(sessionId).map(segment => segment.segmentNumber)).toEqual([1, 2]);
+  });
+
+  test('only a segment that exists can be retracted, and only by the host', async () => {
+    const { host, players: { Bob } } = await runningStory();
+
+    await expect(Bob.call('retract_segment', { segmentNumber: 1 }))
+      .resolves.toEqual({ success: false, error: 'Only the host can retract segments' });
+    await expect(host.call('retract_segment', { segmentNumber: 2 }))
+      .resolves.toEqual({ success: false, error: 'Segment must be between 1 and 1' });
+  });
+});
@@ -0,0 +1,98 @@
+const { createTestServer, waitFor } = require('../helpers');
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer({
+    aiModel: {
+      provider: 'mock',
+      model: 'mock',
+      providers: { mock: { type: 'mock', latencyMs: 0, latencyJitterMs: 0, tokenDelayMs: 0 } }
+    },
+    storyPacing: { seedingTime: 20, segmentDelay: 60000, turnTime: 60000 }
+  });
+});
+
+afterEach(async () => {
+  await server.stop();
+  // Ends the session clocks, which run for as long as their story does
+  server.sessionManager.sessions.clear();
+});
+
+function turns(sessionId) {
+  return server.io.sent(sessionId, 'turn_changed').map(entry => entry.data.turn);
+}
+
+function segments(sessionId) {
+  return server.io.sent(sessionId, 'story_segment');
+}
+
+// Alice hosts a turn-based story with Bob; resolves once the first segment is in
+async function turnBasedStory() {
+  const alice = server.io.connect();
+  const created = await alice.call('create_session', { playerName: 'Alice', pacing: 'turns' });
+  const bob = server.io.connect();
+  const joined = await bob.call('join_session', { sessionId: created.sessionId, playerName: 'Bob' });
+  await alice.call('story_seed', { content: 'a lighthouse on a foggy coast' });
+
+  await waitFor(() => segments(created.sessionId).length === 1, 5000);
+  return { alice, bob, sessionId: created.sessionId, aliceId: created.playerId, bobId: joined.playerId };
+}
+
+describe('turn-based pacing', () => {
+  test('the first turn goes to the first player to join', async () => {
+    const { sessionId, aliceId } = await turnBasedStory();
+
+    expect(turns(sessionId).pop()).toMatchObject({ number: 1, playerId: aliceId, playerName: 'Alice', ended: false });
+    expect(server.sessionManager.getSession(sessionId).config.storyPacing.mode).toBe('turns');
+  });
+
+  test('only the player whose turn it is writes story text', async () => {
+    const { alice, bob } = await turnBasedStory();
+
+    const fromBob = await bob.call('direct_input', { content: 'Bob grabs the lamp' });
+    const fromAlice = await alice.call('direct_input', { content: 'Alice climbs the stairs' });
+    const influence = await bob.call('influence_input', { content: 'a storm rolls in' });
+
+    expect(fromBob).toEqual({ success: false, error: "It is Alice's turn - you can send influences instead" });
+    expect(fromAlice.success).toBe(true);
+    expect(influence.success).toBe(true);
+  });
+
+  test('passing a turn writes the segment and hands the next turn on in join order', async () => {
+    const { alice, bob, sessionId, bobId } = await turnBasedStory();
+
+    expect(await bob.call('pass_turn')).toEqual({ success: false, error: 'It is not your turn' });
+    expect(await alice.call('pass_turn')).toEqual({ success: true });
+    await waitFor(() => segments(sessionId).length === 2 && turns(sessionId).some(turn => turn.number === 2));
+
+    const [ended, next] = turns(sessionId).slice(-2);
+    expect(ended).toMatchObject({ number: 1, ended: true });
+    expect(next).toMatchObject({ number: 2, playerId: bobId, playerName: 'Bob', ended: false });
+  });
+
+  test('a player who leaves during their turn loses it without a segment being written', async () => {
+    const { alice, sessionId, bobId } = await turnBasedStory();
+
+    alice.disconnect();
+
+    expect(turns(sessionId).pop()).toMatchObject({ number: 2, playerId: bobId, ended: false });
+    expect(segments(sessionId)).toHaveLength(1);
+  });
+
+  test('timer-paced stories have no turns to pass', async () => {
+    const alice = server.io.connect();
+    const created = await alice.call('create_session', { playerName: 'Alice' });
+    await alice.call('story_seed', { content: 'a lighthouse on a foggy coast' });
+    await waitFor(() => segments(created.sessionId).length === 1, 5000);
+
+    expect(await alice.call('pass_turn')).toEqual({ success: false, error: 'This story is not turn-based' });
+    expect(turns(created.sessionId)).toEqual([]);
+  });
+
+  test('an unknown pacing mode is refused', async () => {
+    const created = await server.io.connect().call('create_session', { playerName: 'Alice', pacing: 'sideways' });
+
+    expect(created).toEqual({ success: false, error: 'Unknown pacing mode: sideways' });
+  });
+});
@@ -0,0 +1,88 @@
+const { createTestServer } = require('../helpers');
+
+let server;
+
+afterEach(async () => {
+  await server.stop();
+  jest.restoreAllMocks();
+});
+
+async function sessionWithPlayers(overrides) {
+  server = createTestServer(overrides);
+  const alice = server.io.connect();
+  const created = await alice.call('create_session', { playerName: 'Alice' });
+  const bob = server.io.connect();
+  await bob.call('join_session', { sessionId: created.sessionId, playerName: 'Bob' });
+  return { alice, bob, sessionId: created.sessionId };
+}
+
+// What the other players were told about who is typing
+function typingSeen(sessionId) {
+  return server.io.sent(sessionId, 'player_typing').map(entry => ({ from: entry.from, ...entry.data }));
+}
+
+describe('typing presence', () => {
+  test('typing is relayed to the other players, with the draft when it is shared', async () => {
+    const { alice, sessionId } = await sessionWithPlayers();
+
+    alice.call('typing', { active: true, mode: 'direct', text: 'The door creaks' });
+
+    expect(typingSeen(sessionId)).toEqual([{
+      from: alice.id,
+      playerId: alice.playerId,
+      playerName: 'Alice',
+      active: true,
+      mode: 'direct',
+      text: 'The door creaks'
+    }]);
+  });
+
+  test('a private draft is relayed without text, and an unknown mode as influence', async () => {
+    const { alice, sessionId } = await sessionWithPlayers();
+
+    alice.call('typing', { active: true, mode: 'shouting' });
+
+    expect(typingSeen(sessionId)).toEqual([expect.objectContaining({ mode: 'influence', text: null })]);
+  });
+
+  test('drafts are cut to maxDraftLength', async () => {
+    const { alice, sessionId } = await sessionWithPlayers({ typing: { maxDraftLength: 5 } });
+
+    alice.call('typing', { active: true, mode: 'chat', text: 'hello there' });
+
+    expect(typingSeen(sessionId)[0].text).toBe('hello');
+  });
+
+  test('updates faster than the throttle are dropped, but stopping always goes through', async () => {
+    const { alice, sessionId } = await sessionWithPlayers({ typing: { throttleMs: 1000 } });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(100000);
+
+    alice.call('typing', { active: true, text: 'T' });
+    now.mockReturnValue(100200);
+    alice.call('typing', { active: true, text: 'Th' });
+    alice.call('typing', { active: false });
+    now.mockReturnValue(100300);
+    alice.call('typing', { active: true, text: 'The' });
+
+    expect(typingSeen(sessionId).map(typing => [typing.active, typing.text])).toEqual([[true, 'T'], [false, null], [true, 'The']]);
+  });
+
+  test('nothing is relayed when typing presence is turned off or outside a session', async () => {
+    const { alice, sessionId } = await sessionWithPlayers({ typing: { enabled: false } });
+
+    alice.call('typing', { active: true, text: 'The door' });
+    server.io.connect().call('typing', { active: true, text: 'hello' });
+
+    expect(server.io.emitted.filter(entry => entry.event === 'player_typing')).toEqual([]);
+    expect(typingSeen(sessionId)).toEqual([]);
+  });
+
+  test('a player who leaves stops typing', async () => {
+    const { bob, sessionId } = await sessionWithPlayers();
+
+    bob.call('typing', { active: true, text: 'The door' });
+    bob.disconnect();
+
+    expect(typingSeen(sessionId).pop()).toEqual({ from: bob.id, playerId: bob.playerId, active: false });
+  });
+});
@@ -0,0 +1,92 @@
+const SessionChat = require('../../src/server/sessionChat');
+const { makeConfig, silentLogger } = require('../helpers');
+
+function chatWith(chat = {}) {
+  return new SessionChat(makeConfig({ chat }), silentLogger);
+}
+
+function sessionWith(...names) {
+  return {
+    sessionId: 'session-1',
+    players: new Map(names.map((name, index) => [`player-${index + 1}`, { id: `player-${index + 1}`, name }]))
+  };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SessionChat', () => {
+  test('messages are numbered and kept on the session, apart from the story inputs', () => {
+    const chat = chatWith();
+    const session = sessionWith('Mira', 'Tom');
+
+    const first = chat.post(session, 'player-1', '  who has the map?  ');
+    const second = chat.post(session, 'player-2', 'I do');
+
+    expect(first).toEqual({
+      id: 1,
+      playerId: 'player-1',
+      playerName: 'Mira',
+      text: 'who has the map?',
+      action: false,
+      timestamp: expect.any(Date)
+    });
+    expect(second.id).toBe(2);
+    expect(SessionChat.getHistory(session)).toEqual([first, second]);
+  });
+
+  test('"/me" makes the message an action', () => {
+    const message = chatWith().post(sessionWith('Mira'), 'player-1', '/me waves');
+
+    expect(message).toMatchObject({ text: 'waves', action: true });
+  });
+
+  test('long messages are cut to maxLength and control characters dropped', () => {
+    const message = chatWith({ maxLength: 10 }).post(sessionWith('Mira'), 'player-1', 'a\u0007bcdefghijklmnop');
+
+    expect(message.text).toBe('abcdefghij');
+  });
+
+  test('empty messages and strangers are refused', () => {
+    const chat = chatWith();
+    const session = sessionWith('Mira');
+
+    expect(() => chat.post(session, 'player-1', '   ')).toThrow('Chat message cannot be empty');
+    expect(() => chat.post(session, 'player-1', undefined)).toThrow('Chat message cannot be empty');
+    expect(() => chat.post(session, 'player-9', 'hello')).toThrow('Player not found in session');
+  });
+
+  test('each player may send rateLimit.messages per window', () => {
+    const chat = chatWith({ rateLimit: { messages: 2, windowMs: 10000 } });
+    const session = sessionWith('Mira', 'Tom');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(100000);
+
+    chat.post(session, 'player-1', 'one');
+    now.mockReturnValue(103000);
+    chat.post(session, 'player-1', 'two');
+
+    expect(() => chat.post(session, 'player-1', 'three')).toThrow('You are chatting too fast - wait 7s');
+    expect(chat.post(session, 'player-2', 'my turn').text).toBe('my turn');
+
+    now.mockReturnValue(110000);
+    expect(chat.post(session, 'player-1', 'three').text).toBe('three');
+  });
+
+  test('only the latest historyLimit messages are kept, and numbering carries on', () => {
+    const chat = chatWith({ historyLimit: 3, rateLimit: { messages: 10, windowMs: 10000 } });
+    const session = sessionWith('Mira');
+
+    for (const text of ['one', 'two', 'three', 'four', 'five']) {
+      chat.post(session, 'player-1', text);
+    }
+
+    expect(SessionChat.getHistory(session).map(message => [message.id, message.text]))
+      .toEqual([[3, 'three'], [4, 'four'], [5, 'five']]);
+  });
+
+  test('nothing can be sent when chat is turned off', () => {
+    expect(() => chatWith({ enabled: false }).post(sessionWith('Mira'), 'player-1', 'hello'))
+      .toThrow('Chat is turned off on this server');
+  });
+});
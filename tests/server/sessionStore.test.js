@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../../src/server/sessionStore');
+const { makeConfig, silentLogger, createTestServer } = require('../helpers');
+
+let databasePath;
+let servers;
+
+beforeEach(() => {
+  databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-db-')), 'story-chef.db');
+  servers = [];
+});
+
+afterEach(async () => {
+  for (const server of servers) {
+    await server.stop();
+  }
+});
+
+// A server writing to this test's database, as start() would set it up
+async function startServer() {
+  const server = createTestServer({ persistence: { enabled: true, databasePath } });
+  servers.push(server);
+  await server.sessionStore.initialize();
+  return server;
+}
+
+// Stop the first server and bring up a second one on the same database
+async function restart(server) {
+  await server.stop();
+  servers = servers.filter(running => running !== server);
+
+  const restarted = await startServer();
+  await restarted.restoreSessions();
+  return restarted;
+}
+
+function sessionWithPlayers(server) {
+  const session = server.sessionManager.createSession('host-1', 'Alice', '10.0.0.1');
+  server.sessionManager.updatePlayerSocket('host-1', 'socket-1');
+  server.sessionManager.joinSession(session.sessionId, 'player-2', 'Bob', '10.0.0.2');
+  return session.sessionId;
+}
+
+describe('session persistence', () => {
+  test('an unfinished session comes back with its players, inputs and segments after a restart', async () => {
+    const server = await startServer();
+    const sessionId = sessionWithPlayers(server);
+    server.sessionManager.addStoryInput(sessionId, 'host-1', 'seed', 'a lighthouse on a foggy coast');
+    server.sessionManager.addStorySegment(sessionId, {
+      segmentNumber: 1,
+      text: 'The keeper climbed the stairs one last time.',
+      timestamp: new Date(),
+      provider: 'test',
+      model: 'test-model'
+    });
+    server.sessionManager.addStoryInput(sessionId, 'player-2', 'influence', 'a storm rolls in');
+
+    const restarted = await restart(server);
+    const session = restarted.sessionManager.getSession(sessionId);
+
+    expect(session.hostPlayerId).toBe('host-1');
+    expect([...session.players.values()].map(player => [player.name, player.isHost, player.isConnected]))
+      .toEqual([['Alice', true, false], ['Bob', false, false]]);
+    expect(session.players.get('host-1').contributions.seedWords).toBe(6);
+    expect(session.storyState.segments.map(segment => segment.text)).toEqual(['The keeper climbed the stairs one last time.']);
+    expect(session.storyState.segments[0].timestamp).toBeInstanceOf(Date);
+    expect(session.pendingInputs.seeds.map(input => input.content)).toEqual(['a lighthouse on a foggy coast']);
+    expect(session.pendingInputs.influence.map(input => input.content)).toEqual(['a storm rolls in']);
+    expect(session.createdAt).toBeInstanceOf(Date);
+    expect(restarted.sessionManager.playerSessions.get('player-2')).toBe(sessionId);
+  });
+
+  test('inputs used by a segment are not restored, but seeds are', async () => {
+    const server = await startServer();
+    const sessionId = sessionWithPlayers(server);
+    server.sessionManager.addStoryInput(sessionId, 'host-1', 'seed', 'a haunted lighthouse');
+    server.sessionManager.addStoryInput(sessionId, 'player-2', 'influence', 'the lamp flickers');
+    server.sessionManager.addStorySegment(sessionId, {
+      segmentNumber: 1,
+      text: 'The lamp flickered as the tide came in.',
+      timestamp: new Date()
+    });
+
+    const session = (await restart(server)).sessionManager.getSession(sessionId);
+
+    expect(session.pendingInputs.seeds.map(input => input.content)).toEqual(['a haunted lighthouse']);
+    expect(session.pendingInputs.influence).toEqual([]);
+  });
+
+  test('completed stories are not restored', async () => {
+    const server = await startServer();
+    const sessionId = sessionWithPlayers(server);
+    server.sessionManager.completeStory(sessionId);
+
+    const restarted = await restart(server);
+
+    expect(restarted.sessionManager.getSession(sessionId)).toBeFalsy();
+  });
+
+  test('goals are restored with their players', async () => {
+    const server = await startServer();
+    const sessionId = sessionWithPlayers(server);
+    server.sessionStore.saveGoals(sessionId, 'player-2', [{ text: 'Mention a storm' }]);
+
+    const session = (await restart(server)).sessionManager.getSession(sessionId);
+
+    expect(session.players.get('player-2').goals).toEqual([{ text: 'Mention a storm' }]);
+    expect(session.goals.get('player-2')).toEqual([{ text: 'Mention a storm' }]);
+  });
+
+  test('nothing is written when persistence is disabled', async () => {
+    const store = new SessionStore(makeConfig({ persistence: { enabled: false, databasePath } }), silentLogger);
+
+    await expect(store.initialize()).resolves.toBe(false);
+    await expect(store.saveGoals('unsaved', 'host-1', [])).resolves.toBeNull();
+    await expect(store.loadUnfinishedSessions()).resolves.toEqual([]);
+    expect(fs.existsSync(databasePath)).toBe(false);
+  });
+});
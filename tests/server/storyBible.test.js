@@ -0,0 +1,119 @@
+const StoryBible = require('../../src/server/storyBible');
+
+const makeBible = (config = {}) => new StoryBible(null, config, null);
+
+describe('StoryBible.parse', () => {
+  test('reads entries by section, splitting names from descriptions', () => {
+    const text = [
+      'CHARACTERS:',
+      '- Juniper: a lighthouse keeper',
+      '- Lady Ashgrove',
+      'LOCATIONS:',
+      '- The harbor: fog-bound and quiet',
+      'ITEMS:',
+      '- Glowing bottle: washed up on the shore',
+      'FACTS:',
+      '- The bell rings once at midnight: nobody knows why'
+    ].join('\n');
+
+    expect(StoryBible.parse(text)).toEqual([
+      { type: 'character', name: 'Juniper', description: 'a lighthouse keeper' },
+      { type: 'character', name: 'Lady Ashgrove', description: '' },
+      { type: 'location', name: 'The harbor', description: 'fog-bound and quiet' },
+      { type: 'item', name: 'Glowing bottle', description: 'washed up on the shore' },
+      { type: 'fact', name: 'The bell rings once at midnight: nobody knows why', description: '' }
+    ]);
+  });
+
+  test('accepts markdown headers and bullets, and echoed type tags', () => {
+    const text = '## Characters:\n* [character] Juniper: keeper of the light\n**Items:**\n• Brass compass';
+
+    expect(StoryBible.parse(text)).toEqual([
+      { type: 'character', name: 'Juniper', description: 'keeper of the light' },
+      { type: 'item', name: 'Brass compass', description: '' }
+    ]);
+  });
+
+  test('skips "None" lines and lines before any section', () => {
+    const text = 'Here is the update.\n- Stray line\nCHARACTERS:\n- None\nITEMS:\n- none new';
+
+    expect(StoryBible.parse(text)).toEqual([]);
+  });
+
+  test('returns nothing for an empty answer', () => {
+    expect(StoryBible.parse('')).toEqual([]);
+    expect(StoryBible.parse(undefined)).toEqual([]);
+  });
+});
+
+describe('StoryBible.merge', () => {
+  test('adds new entries with ids and the segment they first appeared in', () => {
+    const bible = StoryBible.empty();
+
+    const changed = makeBible().merge(bible, [
+      { type: 'character', name: 'Juniper', description: 'a lighthouse keeper' },
+      { type: 'item', name: 'Bottle', description: '' }
+    ], 2);
+
+    expect(changed).toBe(2);
+    expect(bible.nextId).toBe(3);
+    expect(bible.entries).toEqual([
+      { id: 1, type: 'character', name: 'Juniper', description: 'a lighthouse keeper', pinned: false, corrected: false, firstSegment: 2, lastSegment: 2 },
+      { id: 2, type: 'item', name: 'Bottle', description: '', pinned: false, corrected: false, firstSegment: 2, lastSegment: 2 }
+    ]);
+  });
+
+  test('updates a known entry matched by type and name, ignoring case', () => {
+    const storyBible = makeBible();
+    const bible = StoryBible.empty();
+    storyBible.merge(bible, [{ type: 'character', name: 'Juniper', description: 'a lighthouse keeper' }], 1);
+
+    const changed = storyBible.merge(bible, [
+      { type: 'character', name: 'juniper', description: 'a former lighthouse keeper' },
+      { type: 'location', name: 'Juniper', description: 'a village' }
+    ], 3);
+
+    expect(changed).toBe(2);
+    expect(bible.entries).toHaveLength(2);
+    expect(bible.entries[0]).toMatchObject({ id: 1, name: 'Juniper', description: 'a former lighthouse keeper', firstSegment: 1, lastSegment: 3 });
+  });
+
+  test('a mention without a new description only moves lastSegment', () => {
+    const storyBible = makeBible();
+    const bible = StoryBible.empty();
+    storyBible.merge(bible, [{ type: 'character', name: 'Juniper', description: 'a lighthouse keeper' }], 1);
+
+    const changed = storyBible.merge(bible, [{ type: 'character', name: 'Juniper', description: '' }], 4);
+
+    expect(changed).toBe(0);
+    expect(bible.entries[0]).toMatchObject({ description: 'a lighthouse keeper', lastSegment: 4 });
+  });
+
+  test('keeps the description of entries the host corrected', () => {
+    const storyBible = makeBible();
+    const bible = StoryBible.empty();
+    storyBible.merge(bible, [{ type: 'character', name: 'Juniper', description: 'a lighthouse keeper' }], 1);
+    bible.entries[0].description = 'the last keeper of the northern light';
+    bible.entries[0].corrected = true;
+
+    const changed = storyBible.merge(bible, [{ type: 'character', name: 'Juniper', description: 'a sailor' }], 2);
+
+    expect(changed).toBe(0);
+    expect(bible.entries[0]).toMatchObject({ description: 'the last keeper of the northern light', lastSegment: 2 });
+  });
+
+  test('over the cap, drops the least recently mentioned entries that are not pinned or corrected', () => {
+    const storyBible = makeBible({ storyBible: { maxEntriesPerType: 2 } });
+    const bible = StoryBible.empty();
+    storyBible.merge(bible, [{ type: 'character', name: 'Ada', description: '' }], 1);
+    storyBible.merge(bible, [{ type: 'character', name: 'Bo', description: '' }], 2);
+    bible.entries[0].pinned = true;
+
+    storyBible.merge(bible, [
+      { type: 'character', name: 'Cy', description: '' },
+      { type: 'item', name: 'Lamp', description: '' }
+    ], 3);
+
+    expect(bible.entries.map(entry => entry.name)).toEqual(['Ada', 'Cy', 'Lamp']);
+  });
+});
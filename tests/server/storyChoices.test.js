@@ -0,0 +1,38 @@
+const StoryChoices = require('../../src/server/storyChoices');
+
+describe('StoryChoices.parse', () => {
+  test('reads numbered choices in any of the usual styles', () => {
+    const text = '1. Open the door\n2) Run for the stairs\n3: Call out to the stranger';
+
+    expect(StoryChoices.parse(text)).toEqual(['Open the door', 'Run for the stairs', 'Call out to the stranger']);
+  });
+
+  test('reads bulleted choices and strips markdown emphasis', () => {
+    const text = '- **Open the door**\n• Run for the *stairs*';
+
+    expect(StoryChoices.parse(text)).toEqual(['Open the door', 'Run for the stairs']);
+  });
+
+  test('ignores lines that are not choices', () => {
+    const text = 'Here are your options:\n\n  1. Open the door  \nWhat will you do?\n2.\n3. Hide';
+
+    expect(StoryChoices.parse(text)).toEqual(['Open the door', 'Hide']);
+  });
+
+  test('drops repeated choices', () => {
+    expect(StoryChoices.parse('1. Hide\n2. Hide\n3. Run')).toEqual(['Hide', 'Run']);
+  });
+
+  test('keeps at most maxChoices', () => {
+    const text = '1. A\n2. B\n3. C\n4. D\n5. E';
+
+    expect(StoryChoices.parse(text)).toEqual(['A', 'B', 'C', 'D']);
+    expect(StoryChoices.parse(text, 2)).toEqual(['A', 'B']);
+  });
+
+  test('returns no choices for empty answers', () => {
+    expect(StoryChoices.parse('')).toEqual([]);
+    expect(StoryChoices.parse(null)).toEqual([]);
+    expect(StoryChoices.parse('The story goes on.')).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+const StoryMemory = require('../../src/server/storyMemory');
+const { silentLogger } = require('../helpers');
+
+const ANSWER = [
+  'Here is the updated memory.',
+  '**SUMMARY:**',
+  'Mira found a brass compass in the old observatory.',
+  'It pointed at the harbor.',
+  'CHARACTERS:',
+  '- Mira: a young cartographer',
+  '* Rook',
+  'LOCATIONS:',
+  '- the old observatory: abandoned, full of maps',
+  'OPEN THREADS:',
+  '- Why does the compass point at the harbor?'
+].join('\n');
+
+function sessionWith(segments) {
+  return { sessionId: 'ABC123', storyState: { segments, memory: null } };
+}
+
+function segment(segmentNumber, text = `Segment ${segmentNumber}.`) {
+  return { id: segmentNumber, segmentNumber, text };
+}
+
+// An AI stand-in that answers story_memory_update with the given texts, in order
+function fakeAI(...answers) {
+  return {
+    executeTemplate: jest.fn(async () => {
+      const answer = answers.shift();
+      if (answer instanceof Error) throw answer;
+      return { success: true, content: answer };
+    })
+  };
+}
+
+describe('StoryMemory.parse', () => {
+  test('reads the summary, named entries and open threads', () => {
+    expect(StoryMemory.parse(ANSWER)).toEqual({
+      summary: 'Mira found a brass compass in the old observatory. It pointed at the harbor.',
+      characters: [{ name: 'Mira', description: 'a young cartographer' }, { name: 'Rook', description: '' }],
+      locations: [{ name: 'the old observatory', description: 'abandoned, full of maps' }],
+      threads: ['Why does the compass point at the harbor?'],
+      throughSegment: 0
+    });
+  });
+
+  test('drops "None" threads and keeps at most maxItems of each list', () => {
+    const memory = StoryMemory.parse('SUMMARY: Short.\nCHARACTERS:\n- A\n- B\n- C\nOPEN THREADS:\n- None', 2);
+
+    expect(memory.summary).toBe('Short.');
+    expect(memory.characters.map(character => character.name)).toEqual(['A', 'B']);
+    expect(memory.threads).toEqual([]);
+  });
+
+  test('formatting and parsing again gives the same memory', () => {
+    const memory = StoryMemory.parse(ANSWER);
+
+    expect(StoryMemory.parse(StoryMemory.format(memory))).toEqual(memory);
+    expect(StoryMemory.format(StoryMemory.empty())).toBe('None yet - the story has just begun.');
+  });
+});
+
+describe('StoryMemory updates', () => {
+  test('each segment is folded into the memory from before it', async () => {
+    const first = segment(1);
+    const session = sessionWith([first]);
+    const ai = fakeAI(ANSWER);
+    const memory = new StoryMemory(ai, { storyMemory: { maxItems: 5 } }, silentLogger);
+
+    await memory.update(session, first, { model_provider: 'mock', model_name: 'mock' });
+
+    expect(ai.executeTemplate).toHaveBeenCalledWith('story_memory_update', {
+      model_provider: 'mock',
+      model_name: 'mock',
+      story_memory: 'None yet - the story has just begun.',
+      new_segment: 'Segment 1.',
+      max_items: 5
+    }, { sessionId: 'ABC123' });
+    expect(session.storyState.memory).toMatchObject({ throughSegment: 1, threads: ['Why does the compass point at the harbor?'] });
+    expect(memory.getPromptText(session)).toBe(StoryMemory.format(session.storyState.memory));
+  });
+
+  test('updates for a session run one at a time, in segment order', async () => {
+    const segments = [segment(1), segment(2)];
+    const session = sessionWith(segments);
+    const ai = fakeAI('SUMMARY: After one.', 'SUMMARY: After two.');
+    const memory = new StoryMemory(ai, {}, silentLogger);
+
+    memory.update(session, segments[0], {});
+    memory.update(session, segments[1], {});
+    await memory.waitForUpdates('ABC123');
+
+    expect(ai.executeTemplate.mock.calls[1][1].story_memory).toContain('After one.');
+    expect(session.storyState.memory).toMatchObject({ summary: 'After two.', throughSegment: 2 });
+  });
+
+  test('a failed or empty update keeps the previous memory', async () => {
+    const segments = [segment(1), segment(2), segment(3)];
+    const session = sessionWith(segments);
+    const memory = new StoryMemory(fakeAI('SUMMARY: After one.', new Error('AI Error: overloaded'), 'CHARACTERS:\n- Mira'), {}, silentLogger);
+
+    for (const next of segments) {
+      await memory.update(session, next, {});
+    }
+
+    expect(session.storyState.memory).toMatchObject({ summary: 'After one.', throughSegment: 1 });
+  });
+
+  test('a disabled memory never calls the AI', async () => {
+    const first = segment(1);
+    const session = sessionWith([first]);
+    const ai = fakeAI(ANSWER);
+    const memory = new StoryMemory(ai, { storyMemory: { enabled: false } }, silentLogger);
+
+    await expect(memory.update(session, first, {})).resolves.toBeNull();
+    expect(ai.executeTemplate).not.toHaveBeenCalled();
+    expect(memory.getPromptText(session)).toBe('Not tracked for this story.');
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageTracker = require('../../src/server/usageTracker');
+const SessionStore = require('../../src/server/sessionStore');
+const { makeConfig, silentLogger } = require('../helpers');
+
+const pricing = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'anthropic/claude-3-5-haiku-latest': { input: 0.8, output: 4 }
+};
+
+function call(overrides = {}) {
+  return {
+    sessionId: 'ABC123',
+    playerId: 'player_1',
+    templateName: 'story_segment_generation',
+    provider: 'openai',
+    model: 'gpt-4o',
+    promptTokens: 1000,
+    completionTokens: 200,
+    latencyMs: 800,
+    success: true,
+    ...overrides
+  };
+}
+
+describe('UsageTracker', () => {
+  const tracker = () => new UsageTracker({ aiModel: { pricing } });
+
+  test('a call is priced per million tokens', () => {
+    const entry = tracker().record(call());
+
+    expect(entry.cost).toBeCloseTo((1000 * 2.5 + 200 * 10) / 1000000);
+    expect(entry).toMatchObject({ category: 'segment', priced: true, success: true });
+  });
+
+  test('a provider-specific price wins, and the requested model is priced when the served one is not', () => {
+    const usage = tracker();
+
+    const haiku = usage.record(call({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' }));
+    const dated = usage.record(call({ model: 'gpt-4o-2024-08-06', requestedModel: 'gpt-4o' }));
+    const unknown = usage.record(call({ model: 'llama3' }));
+
+    expect(haiku.cost).toBeCloseTo((1000 * 0.8 + 200 * 4) / 1000000);
+    expect(dated.cost).toBeCloseTo((1000 * 2.5 + 200 * 10) / 1000000);
+    expect(unknown).toMatchObject({ cost: 0, priced: false });
+  });
+
+  test('replayed calls cost nothing', () => {
+    expect(tracker().record(call({ replayed: true })).cost).toBe(0);
+  });
+
+  test('a session rolls up by template, model and player', () => {
+    const usage = tracker();
+    usage.record(call());
+    usage.record(call({ templateName: 'story_segment_with_direct', playerId: 'player_2', latencyMs: 400 }));
+    usage.record(call({ templateName: 'competition_goal_scoring', playerId: null, success: false, completionTokens: 0 }));
+    usage.record(call({ sessionId: 'OTHER1' }));
+
+    const session = usage.getSessionUsage('ABC123');
+
+    expect(session).toMatchObject({ calls: 3, failures: 1, promptTokens: 3000, completionTokens: 400, totalTokens: 3400 });
+    expect(Object.keys(session.byTemplate)).toEqual(['segment', 'scoring']);
+    expect(session.byTemplate.segment).toMatchObject({ calls: 2, averageLatencyMs: 600 });
+    expect(Object.keys(session.byPlayer)).toEqual(['player_1', 'player_2']);
+    expect(session.byModel['openai/gpt-4o'].calls).toBe(3);
+  });
+
+  test('a restored session rebuilds its rollup from stored entries', () => {
+    const usage = tracker();
+    const entries = [usage.record(call({ sessionId: 'OLD' })), usage.record(call({ sessionId: 'OLD' }))];
+
+    const restarted = tracker();
+    restarted.restore('ABC123', entries);
+
+    expect(restarted.getSessionUsage('ABC123')).toMatchObject({ calls: 2, promptTokens: 2000 });
+    restarted.clearSession('ABC123');
+    expect(restarted.getSessionUsage('ABC123')).toBeNull();
+  });
+});
+
+describe('usage history in the session store', () => {
+  let store;
+
+  beforeEach(async () => {
+    const databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'story-chef-db-')), 'story-chef.db');
+    store = new SessionStore(makeConfig({ persistence: { enabled: true, databasePath } }), silentLogger);
+    await store.initialize();
+  });
+
+  afterEach(() => store.close());
+
+  test('recorded calls load back per session and add up in the report', async () => {
+    const usage = new UsageTracker({ aiModel: { pricing } });
+    await store.saveUsage(usage.record(call()));
+    await store.saveUsage(usage.record(call({ templateName: 'story_conclusion', success: false })));
+    await store.saveUsage(usage.record(call({ sessionId: 'OTHER1', provider: 'anthropic', model: 'claude-3-5-haiku-latest' })));
+
+    const loaded = await store.loadUsage('ABC123');
+    const report = await store.getUsageReport();
+    const sessionReport = await store.getUsageReport({ sessionId: 'OTHER1' });
+
+    expect(loaded.map(entry => [entry.category, entry.success])).toEqual([['segment', true], ['conclusion', false]]);
+    expect(loaded[0].timestamp).toBeInstanceOf(Date);
+    expect(report.totals).toMatchObject({ sessions: 2, calls: 3, failures: 1, promptTokens: 3000 });
+    expect(report.byModel.map(row => [row.name, row.calls])).toEqual([['openai/gpt-4o', 2], ['anthropic/claude-3-5-haiku-latest', 1]]);
+    expect(sessionReport.totals).toMatchObject({ sessions: 1, calls: 1 });
+  });
+});
@@ -0,0 +1,33 @@
+const Utils = require('../../src/shared/utils');
+
+const SECRET = 'test-secret';
+
+describe('resume tokens', () => {
+  test('a signed token carries the session and player back', () => {
+    const token = Utils.createResumeToken('ABC123', 'player_1', SECRET);
+
+    expect(Utils.verifyResumeToken(token, SECRET)).toEqual({
+      sessionId: 'ABC123',
+      playerId: 'player_1',
+      issuedAt: expect.any(Number)
+    });
+  });
+
+  test('a token signed with another secret is rejected', () => {
+    const token = Utils.createResumeToken('ABC123', 'player_1', 'another-secret');
+
+    expect(Utils.verifyResumeToken(token, SECRET)).toBeNull();
+  });
+
+  test('a token whose payload was changed is rejected', () => {
+    const [, signature] = Utils.createResumeToken('ABC123', 'player_1', SECRET).split('.');
+    const forged = Buffer.from(JSON.stringify({ sessionId: 'ABC123', playerId: 'player_2', issuedAt: Date.now() }))
+      .toString('base64url');
+
+    expect(Utils.verifyResumeToken(`${forged}.${signature}`, SECRET)).toBeNull();
+  });
+
+  test.each([undefined, '', 'no-signature', '.', 42])('malformed token %p is rejected', (token) => {
+    expect(Utils.verifyResumeToken(token, SECRET)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+const StoryTree = require('../../src/shared/storyTree');
+
+const segment = (id, parentId) => ({ id, parentId, text: `Segment ${id}` });
+
+// 1 -> 2 -> 3 was rewound to segment 1, then 1 -> 4 -> 5 was rewound to segment 2,
+// and segment 7 continued 2 on a branch of its own; the story now reads 1 -> 4 -> 6
+function makeStoryState() {
+  const segments = { 1: segment(1, null), 2: segment(2, 1), 3: segment(3, 2), 4: segment(4, 1), 5: segment(5, 4), 6: segment(6, 4), 7: segment(7, 2) };
+
+  return {
+    segments: [segments[1], segments[4], segments[6]],
+    archivedSegments: [segments[2], segments[3], segments[7], segments[5]],
+    rewinds: [
+      { toSegment: 1, tipId: 3, abandonedSegments: 2, decidedBy: 'host' },
+      { toSegment: 2, tipId: 5, abandonedSegments: 1, decidedBy: 'vote' }
+    ]
+  };
+}
+
+const ids = branch => branch.segments.map(item => item.id);
+
+describe('StoryTree.getBranches', () => {
+  test('branch 1 is the current story', () => {
+    const [current] = StoryTree.getBranches(makeStoryState());
+
+    expect(ids(current)).toEqual([1, 4, 6]);
+    expect(current).toMatchObject({ number: 1, isCurrent: true, tipId: 6, forkIndex: 0, parent: null, rewind: null });
+  });
+
+  test('abandoned branches follow in order of their tips and run from the root', () => {
+    const branches = StoryTree.getBranches(makeStoryState());
+
+    expect(branches.map(ids)).toEqual([[1, 4, 6], [1, 2, 3], [1, 4, 5], [1, 2, 7]]);
+    expect(branches.slice(1).every(branch => !branch.isCurrent)).toBe(true);
+  });
+
+  test('each branch forks from the first branch that holds the segment it continues', () => {
+    const branches = StoryTree.getBranches(makeStoryState());
+
+    expect(branches.map(({ forkIndex, parent }) => ({ forkIndex, parent }))).toEqual([
+      { forkIndex: 0, parent: null },
+      { forkIndex: 1, parent: 1 },
+      { forkIndex: 2, parent: 1 },
+      { forkIndex: 2, parent: 2 }
+    ]);
+  });
+
+  test('a branch left by a rewind carries that rewind', () => {
+    const branches = StoryTree.getBranches(makeStoryState());
+
+    expect(branches[1].rewind).toMatchObject({ toSegment: 1, decidedBy: 'host' });
+    expect(branches[2].rewind).toMatchObject({ toSegment: 2, decidedBy: 'vote' });
+    expect(branches[3].rewind).toBeNull();
+  });
+
+  test('a story never rewound has a single branch', () => {
+    const branches = StoryTree.getBranches({ segments: [segment(1, null), segment(2, 1)] });
+
+    expect(branches).toHaveLength(1);
+    expect(ids(branches[0])).toEqual([1, 2]);
+  });
+
+  test('an empty story has one empty branch', () => {
+    expect(StoryTree.getBranches({ segments: [] })).toEqual([{
+      number: 1, isCurrent: true, tipId: null, forkIndex: 0, parent: null, segments: [], rewind: null
+    }]);
+  });
+});
+
+describe('StoryTree.getBranchPoints', () => {
+  test('maps the index of the segment a branch follows to the branches leaving there', () => {
+    const branches = StoryTree.getBranches(makeStoryState());
+
+    expect(StoryTree.getBranchPoints(branches, 1)).toEqual(new Map([[0, [2]], [1, [3]]]));
+    expect(StoryTree.getBranchPoints(branches, 2)).toEqual(new Map([[1, [4]]]));
+    expect(StoryTree.getBranchPoints(branches, 3)).toEqual(new Map());
+  });
+});